@@ -6,6 +6,177 @@ if (mongoose.models.ChunkCypherResult) {
   delete mongoose.modelSchemas.ChunkCypherResult;
 }
 
+// Result of checking generated Cypher against the document schema before ingestion
+const ConformanceReportSchema = new mongoose.Schema({
+  checkedAt: {
+    type: Date,
+    default: null
+  },
+  policy: {
+    type: String,
+    enum: ['warn', 'strip', 'fail'],
+    default: 'warn'
+  },
+  schemaVersion: {
+    type: Number,
+    default: null
+  },
+  conforms: {
+    type: Boolean,
+    default: true
+  },
+  violationCount: {
+    type: Number,
+    default: 0
+  },
+  // Violations per type (unknown_label, unknown_property, ...)
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  violations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  removedClauses: {
+    type: Number,
+    default: 0
+  },
+  removedProperties: {
+    type: Number,
+    default: 0
+  },
+  // Strip policy left nothing to ingest - ingestion skips this result
+  excluded: {
+    type: Boolean,
+    default: false
+  },
+  // Cypher as generated, before the strip policy rewrote it
+  originalCypher: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// One LLM repair of a statement that failed EXPLAIN validation (see neo4jIngest/validation.js)
+const RepairAttemptSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  // Position of the failing statement in the Cypher
+  statementIndex: {
+    type: Number,
+    default: null
+  },
+  statement: {
+    type: String,
+    default: null
+  },
+  // Neo4j error the statement was repaired for
+  error: {
+    type: String,
+    default: null
+  },
+  repairedStatement: {
+    type: String,
+    default: null
+  },
+  // Whether the repaired statement passed EXPLAIN, and its error if not
+  valid: {
+    type: Boolean,
+    default: false
+  },
+  validationError: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Self-repair of Cypher that failed validation before ingestion
+const CypherRepairSchema = new mongoose.Schema({
+  // repaired = the Cypher validates after the attempts; failed = attempts ran out (or the LLM call failed)
+  status: {
+    type: String,
+    enum: ['repaired', 'failed'],
+    required: true
+  },
+  attempts: {
+    type: [RepairAttemptSchema],
+    default: []
+  },
+  // Cypher before the first repair
+  originalCypher: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Throughput of the ingestion write phase (see services/neo4jIngest/index.js)
+const IngestionStatsSchema = new mongoose.Schema({
+  // statements = one query per statement; batched = UNWIND batches (see neo4jIngest/batching.js)
+  mode: {
+    type: String,
+    enum: ['statements', 'batched'],
+    default: 'statements'
+  },
+  batchSize: {
+    type: Number,
+    default: null
+  },
+  statements: {
+    type: Number,
+    default: 0
+  },
+  // Statements written as UNWIND rows / run as they are
+  batchedStatements: {
+    type: Number,
+    default: 0
+  },
+  fallbackStatements: {
+    type: Number,
+    default: 0
+  },
+  // Queries sent to Neo4j and UNWIND rows they carried
+  queries: {
+    type: Number,
+    default: 0
+  },
+  rows: {
+    type: Number,
+    default: 0
+  },
+  // Transactions committed or rolled back (more than one when failures were quarantined)
+  transactions: {
+    type: Number,
+    default: 1
+  },
+  quarantined: {
+    type: Number,
+    default: 0
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  statementsPerSecond: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
 const ChunkCypherResultSchema = new mongoose.Schema({
   docId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -54,6 +225,15 @@ const ChunkCypherResultSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Writes that failed and were quarantined (quarantineFailures, see models/QuarantinedStatement.js)
+  quarantinedStatements: {
+    type: Number,
+    default: 0
+  },
+  ingestionStats: {
+    type: IngestionStatsSchema,
+    default: null
+  },
   // Model metadata
   generationModel: {
     type: String,
@@ -63,6 +243,51 @@ const ChunkCypherResultSchema = new mongoose.Schema({
     type: String,
     enum: ['ollama', 'huggingface'],
     default: null
+  },
+  // cypher = the model writes Cypher; structured = the model extracts JSON and the Cypher is generated;
+  // table = generated from the document's mapped tables (chunkId null, see services/tableMapping.js)
+  generationMode: {
+    type: String,
+    enum: ['cypher', 'structured', 'table'],
+    default: 'cypher'
+  },
+  // Query parameters used by the generated Cypher (structured mode), shared by all its statements
+  cypherParams: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Structured and table modes: counts of extracted and dropped nodes/relationships
+  // (table mode adds tables: [{ tableIndex, mappingSource: document|pack, rows, skippedRows }])
+  extraction: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // How the text was fitted into the model's context window, as on Schema.promptBudget:
+  // { model, contextWindow, reservedTokens, instructionTokens, availableTokens, textTokens,
+  // strategy: single|map_reduce|truncated, parts, truncated, droppedTokens, droppedChars }
+  promptBudget: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Node properties written with different values, and the value kept (see utils/formatCypher.js)
+  propertyConflicts: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Property values dropped because Neo4j cannot store them (maps, nested or mixed lists)
+  droppedProperties: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Schema conformance report (see services/cypherConformance.js)
+  conformance: {
+    type: ConformanceReportSchema,
+    default: null
+  },
+  // LLM repair of statements that failed EXPLAIN validation
+  repair: {
+    type: CypherRepairSchema,
+    default: null
   }
 }, {
   timestamps: true
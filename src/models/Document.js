@@ -1,5 +1,69 @@
 import mongoose from 'mongoose';
 
+// Checkpoint for a single pipeline stage (used to resume failed runs)
+const StageCheckpointSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Table found while parsing (see services/parsing/tables.js)
+const DocumentTableSchema = new mongoose.Schema({
+  tableIndex: {
+    type: Number,
+    required: true
+  },
+  // Format the table was read from
+  source: {
+    type: String,
+    enum: ['docx', 'pdf', 'markdown', 'html', 'xlsx', 'csv', 'pptx', 'json'],
+    required: true
+  },
+  // PDF page or slide number
+  page: {
+    type: Number,
+    default: null
+  },
+  // Sheet name or JSON path
+  title: {
+    type: String,
+    default: null
+  },
+  // Header row; cell i of every row belongs to columns[i]
+  columns: {
+    type: [String],
+    default: []
+  },
+  rows: {
+    type: [[String]],
+    default: []
+  },
+  // Column-to-property mapping set through the API (see services/tableMapping.js):
+  // { nodes: [{ ref, label, id, properties: { prop: column } }], relationships: [{ from, type, to, properties }] }
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
 const DocumentSchema = new mongoose.Schema({
   filename: {
     type: String,
@@ -15,7 +79,7 @@ const DocumentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['uploaded', 'parsing', 'parsed', 'schema_extracting', 'schema_extracted', 'cypher_generating', 'cypher_generated', 'ingesting', 'completed', 'error'],
+    enum: ['uploaded', 'parsing', 'parsed', 'schema_extracting', 'schema_extracted', 'cypher_generating', 'cypher_generated', 'resolving_entities', 'awaiting_review', 'review_rejected', 'ingesting', 'completed', 'error'],
     default: 'uploaded'
   },
   error: {
@@ -27,11 +91,21 @@ const DocumentSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Schema pack chosen at upload (null = select by document type, "none" = no pack)
+  schemaPack: {
+    type: String,
+    default: null
+  },
   // Full parsed text (stored separately for large docs)
   fullText: {
     type: String,
     default: null
   },
+  // Tables detected in the file, as structured rows
+  tables: {
+    type: [DocumentTableSchema],
+    default: []
+  },
   // Metadata
   uploadTimestamp: {
     type: Date,
@@ -52,6 +126,50 @@ const DocumentSchema = new mongoose.Schema({
   processedChunks: {
     type: Number,
     default: 0
+  },
+  // Options of the last pipeline run (reused when resuming)
+  pipelineOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Human review of generated Cypher (requireReview option)
+  review: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'approved', 'rejected'],
+      default: 'not_required'
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewer: {
+      type: String,
+      default: null
+    },
+    comment: {
+      type: String,
+      default: null
+    },
+    // Number of Cypher results replaced by the reviewer
+    editedResults: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Stage checkpoints, in pipeline order
+  stages: {
+    parsing: { type: StageCheckpointSchema, default: () => ({}) },
+    chunking: { type: StageCheckpointSchema, default: () => ({}) },
+    schemaExtraction: { type: StageCheckpointSchema, default: () => ({}) },
+    constraints: { type: StageCheckpointSchema, default: () => ({}) },
+    cypherGeneration: { type: StageCheckpointSchema, default: () => ({}) },
+    entityResolution: { type: StageCheckpointSchema, default: () => ({}) },
+    ingestion: { type: StageCheckpointSchema, default: () => ({}) }
   }
 }, {
   timestamps: true
@@ -35,6 +35,26 @@ const DocumentChunkSchema = new mongoose.Schema({
   endIndex: {
     type: Number,
     default: 0
+  },
+  // Estimated tokens (see utils/tokens.js)
+  tokenCount: {
+    type: Number,
+    default: 0
+  },
+  // Chunking strategy that produced the chunk
+  strategy: {
+    type: String,
+    enum: ['words', 'paragraph', 'heading', 'sentence'],
+    default: 'words'
+  },
+  // Innermost heading the chunk starts under, and the headings enclosing it (outermost first)
+  heading: {
+    type: String,
+    default: null
+  },
+  sectionPath: {
+    type: [String],
+    default: []
   }
 }, {
   timestamps: true
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+
+// An entity as found in the chunks' Cypher: label + identity property value
+const ResolvedEntitySchema = new mongoose.Schema({
+  id: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  chunkIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  // Literal properties written for the entity (first value per property)
+  properties: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Entities merged into one identifier
+const EntityMergeSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true
+  },
+  idProperty: {
+    type: String,
+    required: true
+  },
+  canonicalId: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Every entity of the cluster, the canonical one first
+  members: {
+    type: [ResolvedEntitySchema],
+    default: []
+  },
+  // normalized_id, similar_name, shared_attributes
+  reasons: {
+    type: [String],
+    default: []
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  // auto = merged by the resolver; review = merged by a reviewer decision
+  decidedBy: {
+    type: String,
+    enum: ['auto', 'review'],
+    default: 'auto'
+  },
+  reviewer: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Possible duplicate the resolver did not merge on its own
+const EntityCandidateSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true
+  },
+  idProperty: {
+    type: String,
+    required: true
+  },
+  // The two entities; merging keeps the first one's identifier
+  entities: {
+    type: [ResolvedEntitySchema],
+    default: []
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  reasons: {
+    type: [String],
+    default: []
+  },
+  sharedAttributes: {
+    type: [String],
+    default: []
+  },
+  conflictingAttributes: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'merged', 'rejected'],
+    default: 'pending'
+  },
+  reviewer: {
+    type: String,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Cross-chunk entity resolution of a document (see services/entityResolution)
+const EntityResolutionSchema = new mongoose.Schema({
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    unique: true
+  },
+  // Distinct entities found in the chunks' Cypher
+  entityCount: {
+    type: Number,
+    default: 0
+  },
+  mergeThreshold: {
+    type: Number,
+    default: null
+  },
+  reviewThreshold: {
+    type: Number,
+    default: null
+  },
+  merges: {
+    type: [EntityMergeSchema],
+    default: []
+  },
+  candidates: {
+    type: [EntityCandidateSchema],
+    default: []
+  },
+  // Cypher results and identifier values rewritten by merges
+  resultsUpdated: {
+    type: Number,
+    default: 0
+  },
+  identifiersRewritten: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('EntityResolution', EntityResolutionSchema);
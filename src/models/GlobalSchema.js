@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Merged catalogue of every document schema - a new version is stored whenever the merge changes
+const GlobalSchemaSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Same structure as Schema: { nodes: { LabelName: [props] }, relationships: [...] }
+  nodes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  relationships: {
+    type: [mongoose.Schema.Types.Mixed],
+    required: true
+  },
+  // Number of document schemas each label / relationship was found in
+  labelCounts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Document schemas merged into this version
+  sourceDocIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  documentCount: {
+    type: Number,
+    default: 0
+  },
+  // Hash of nodes + relationships - an unchanged merge does not create a new version
+  contentHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('GlobalSchema', GlobalSchemaSchema);
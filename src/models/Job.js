@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const JobSchema = new mongoose.Schema({
+  // Job type - selects the handler that runs it (e.g. 'pipeline')
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null,
+    index: true
+  },
+  // Handler arguments (e.g. pipeline options)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may be claimed (used for retry backoff)
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease metadata - a running job whose lease expired is considered abandoned
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for claiming and listing jobs
+JobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+JobSchema.index({ status: 1, leaseExpiresAt: 1 });
+JobSchema.index({ createdAt: -1 });
+
+export default mongoose.model('Job', JobSchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Schema extracted from one part of a document by multi-pass or map-reduce extraction
+// (see services/schemaExtraction/multiPass.js); kept for inspection of the merged version
+const PartialSchemaSchema = new mongoose.Schema({
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  // Schema version the partial schema was merged into
+  schemaVersion: {
+    type: Number,
+    required: true
+  },
+  passIndex: {
+    type: Number,
+    required: true
+  },
+  // Chunk the pass read (null when the text was split for the extraction only)
+  chunkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentChunk',
+    default: null
+  },
+  chunkIndex: {
+    type: Number,
+    default: null
+  },
+  sectionPath: {
+    type: [String],
+    default: []
+  },
+  textTokens: {
+    type: Number,
+    default: null
+  },
+  // error = the pass failed after retries and is missing from the merge
+  status: {
+    type: String,
+    enum: ['extracted', 'error'],
+    default: 'extracted'
+  },
+  // Schema structure: { nodes: { LabelName: [props] }, relationships: [...] }
+  nodes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  relationships: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  extractionTimeMs: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+PartialSchemaSchema.index({ docId: 1, schemaVersion: 1, passIndex: 1 }, { unique: true });
+
+export default mongoose.model('PartialSchema', PartialSchemaSchema);
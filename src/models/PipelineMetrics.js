@@ -1,5 +1,21 @@
 import mongoose from 'mongoose';
 
+// Per generation mode (cypher / structured), so the two can be compared
+const generationModeMetrics = () => ({
+  cypherGeneration: {
+    success: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    avgProcessingTime: { type: Number, default: 0 }
+  },
+  ingestion: {
+    success: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    avgProcessingTime: { type: Number, default: 0 },
+    nodesCreated: { type: Number, default: 0 },
+    relationshipsCreated: { type: Number, default: 0 }
+  }
+});
+
 const PipelineMetricsSchema = new mongoose.Schema({
   date: {
     type: Date,
@@ -47,6 +63,11 @@ const PipelineMetricsSchema = new mongoose.Schema({
     legal: { success: { type: Number, default: 0 }, failed: { type: Number, default: 0 } },
     general: { success: { type: Number, default: 0 }, failed: { type: Number, default: 0 } }
   },
+  // Generation mode breakdown
+  byGenerationMode: {
+    cypher: generationModeMetrics(),
+    structured: generationModeMetrics()
+  },
   // Average processing times (ms)
   avgProcessingTime: {
     parsing: { type: Number, default: 0 },
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Write that failed during ingestion with quarantineFailures, kept for fixing and replay
+// (see services/neo4jIngest/quarantine.js)
+const QuarantinedStatementSchema = new mongoose.Schema({
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true
+  },
+  resultId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChunkCypherResult',
+    required: true,
+    index: true
+  },
+  // null in full document mode
+  chunkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentChunk',
+    default: null
+  },
+  // statement = a generated statement, tagged with its source on replay
+  // batch = one row of an UNWIND batch query, which already tags its source
+  kind: {
+    type: String,
+    enum: ['statement', 'batch'],
+    required: true
+  },
+  statement: {
+    type: String,
+    required: true
+  },
+  // Query parameters the statement uses (batch: { rows: [row] }), as plain JSON
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Statement and parameters as quarantined, before the first fix
+  originalStatement: {
+    type: String,
+    default: null
+  },
+  originalParams: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['quarantined', 'fixed', 'replayed'],
+    default: 'quarantined'
+  },
+  // Quarantined node writes this relationship row needs as end nodes; it is replayed only after them
+  dependsOn: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  // Neo4j error of the last failed execution
+  error: {
+    type: String,
+    default: null
+  },
+  errorCode: {
+    type: String,
+    default: null
+  },
+  replayAttempts: {
+    type: Number,
+    default: 0
+  },
+  fixedAt: {
+    type: Date,
+    default: null
+  },
+  replayedAt: {
+    type: Date,
+    default: null
+  },
+  // Update counters of the successful replay
+  replayCounters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+QuarantinedStatementSchema.index({ docId: 1, status: 1, createdAt: 1 });
+
+export default mongoose.model('QuarantinedStatement', QuarantinedStatementSchema);
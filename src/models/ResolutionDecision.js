@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+// Existing graph node an entity was resolved against
+const GraphCandidateSchema = new mongoose.Schema({
+  elementId: {
+    type: String,
+    required: true
+  },
+  id: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  // Documents that wrote the node
+  sourceDocIds: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+// Audit record of resolving a document's entity against the graph before ingestion
+// (see services/entityResolution/graph.js)
+const ResolutionDecisionSchema = new mongoose.Schema({
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  // Cypher results that write the entity
+  resultIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  idProperty: {
+    type: String,
+    required: true
+  },
+  // Identifier the document's Cypher used
+  entityId: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  entityName: {
+    type: String,
+    default: null
+  },
+  candidate: {
+    type: GraphCandidateSchema,
+    required: true
+  },
+  // exact_id = same identifier; normalized_id = same once normalised; fuzzy_name = similar name
+  method: {
+    type: String,
+    enum: ['exact_id', 'normalized_id', 'fuzzy_name'],
+    required: true
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  sharedAttributes: {
+    type: [String],
+    default: []
+  },
+  conflictingAttributes: {
+    type: [String],
+    default: []
+  },
+  // merge = the entity is written to the existing node; link = kept apart, linked with POSSIBLY_SAME_AS
+  action: {
+    type: String,
+    enum: ['merge', 'link'],
+    required: true
+  },
+  // Identifier the Cypher was rewritten to (merge with a different identifier)
+  rewrittenTo: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // When the POSSIBLY_SAME_AS relationship was written (link)
+  linkedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ResolutionDecisionSchema.index({ docId: 1, createdAt: 1 });
+
+export default mongoose.model('ResolutionDecision', ResolutionDecisionSchema);
@@ -5,13 +5,19 @@ const SchemaSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document',
     required: true,
-    unique: true,
     index: true
   },
+  // Incremented on every re-extraction - earlier versions are kept for diffing
   version: {
     type: Number,
     default: 1
   },
+  // Failed extractions are stored as versions too, but never used as the current schema
+  status: {
+    type: String,
+    enum: ['extracted', 'error'],
+    default: 'extracted'
+  },
   // Schema structure: { nodes: { LabelName: [props] }, relationships: [...] }
   nodes: {
     type: mongoose.Schema.Types.Mixed,
@@ -34,12 +40,87 @@ const SchemaSchema = new mongoose.Schema({
     type: String,
     enum: ['ollama', 'huggingface'],
     default: null
+  },
+  // 'user' versions are edits made through the API on top of basedOnVersion
+  source: {
+    type: String,
+    enum: ['extraction', 'user'],
+    default: 'extraction'
+  },
+  basedOnVersion: {
+    type: Number,
+    default: null
+  },
+  editedBy: {
+    type: String,
+    default: null
+  },
+  comment: {
+    type: String,
+    default: null
+  },
+  documentType: {
+    type: String,
+    default: null
+  },
+  // Schema pack used as the reference schema (null when none matched)
+  schemaPack: {
+    type: String,
+    default: null
+  },
+  // How the text was fitted into the model's context window (see utils/tokens.js promptBudget
+  // and utils/chunking.js fitTextToBudget): { model, contextWindow, reservedTokens, instructionTokens,
+  // availableTokens, textTokens, strategy: single|map_reduce|truncated, parts, truncated,
+  // droppedTokens, droppedChars }
+  promptBudget: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // single = one extraction over the text; multi_pass = one per chunk, merged (see models/PartialSchema.js)
+  extractionMode: {
+    type: String,
+    enum: ['single', 'multi_pass'],
+    default: 'single'
+  },
+  // Extraction passes merged into this version (more than one when the text overflowed or multi_pass)
+  passCount: {
+    type: Number,
+    default: 1
+  },
+  failedPassCount: {
+    type: Number,
+    default: 0
+  },
+  // Names merged across passes (see schemaRegistry.js mergeSchemas):
+  // { labels: [{ name, variants }], properties: [{ label, name, variants }],
+  //   relationshipTypes: [{ name, variants }], duplicateRelationships }
+  reconciliation: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // LLM consolidation of the merged schema:
+  // { status: applied|rejected|failed, model, before: { nodeTypes, relationshipTypes },
+  //   after: { nodeTypes, relationshipTypes }, error }
+  consolidation: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  extractionTimeMs: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
 });
 
-SchemaSchema.index({ docId: 1, version: 1 });
+SchemaSchema.index({ docId: 1, version: 1 }, { unique: true });
+
+/**
+ * Latest successfully extracted schema version for a document
+ */
+SchemaSchema.statics.findLatest = function (docId) {
+  return this.findOne({ docId, status: { $ne: 'error' } }).sort({ version: -1 });
+};
 
 export default mongoose.model('Schema', SchemaSchema);
 
@@ -8,8 +8,35 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
 import Document from '../models/Document.js';
-import { runPipeline, getPipelineStatus } from '../services/orchestrator.js';
+import Job from '../models/Job.js';
+import Schema from '../models/Schema.js';
+import { getPipelineStatus, getResumeStage, resetStagesFrom } from '../services/orchestrator.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { subscribePipelineEvents, getRecentPipelineEvents } from '../services/pipelineEvents.js';
+import { getCypherForReview, approveCypher, rejectCypher } from '../services/cypherReview.js';
+import { removeDocumentGraph, dryRunIngestion } from '../services/neo4jIngest/index.js';
+import { diffSchemas } from '../services/schemaRegistry.js';
+import { getCurrentSchema, saveSchemaEdit, patchSchema } from '../services/schemaEditor.js';
+import { assertSchemaPackExists, resolveDocumentSchemaPack } from '../services/schemaPacks.js';
+import { assertTableMapping, matchTableMapping, tableRowsToGraph } from '../services/tableMapping.js';
+import { detectDocumentType } from '../utils/documentTypeDetector.js';
+import { supportedDocumentFormat, supportedFormatLabels } from '../services/parsing/formats.js';
+import { assertConformancePolicy } from '../services/cypherConformance.js';
+import { assertGenerationMode } from '../services/cypherGeneration/structured.js';
+import { assertSchemaExtractionMode } from '../services/schemaExtraction/multiPass.js';
+import { getPartialSchemas } from '../services/schemaExtraction/index.js';
+import { assertIngestBatchSize } from '../services/neo4jIngest/batching.js';
+import { assertRepairAttempts } from '../services/neo4jIngest/validation.js';
+import {
+  listQuarantinedStatements,
+  fixQuarantinedStatement,
+  replayQuarantinedStatements
+} from '../services/neo4jIngest/quarantine.js';
+import { getEntityResolution, decideEntityCandidate } from '../services/entityResolution/index.js';
+import { listResolutionDecisions } from '../services/entityResolution/graph.js';
+import { assertChunkingStrategy, assertChunkMaxTokens } from '../utils/chunking.js';
 import { logger } from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
 
 const router = express.Router();
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
@@ -33,25 +60,85 @@ const upload = multer({
     fileSize: 100 * 1024 * 1024 // 100MB
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype) || 
-        /\.(pdf|docx|doc|txt)$/i.test(file.originalname)) {
+    if (supportedDocumentFormat(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, DOCX, DOC, and TXT are allowed.'));
+      cb(new Error(`Invalid file type. Supported formats: ${supportedFormatLabels()}.`));
     }
   }
 });
 
+// Checks of the non-boolean pipeline options (each throws an error with a 400 status)
+const OPTION_VALIDATORS = {
+  schemaPack: async (name) => {
+    if (typeof name !== 'string') {
+      throw httpError('schemaPack must be a pack name');
+    }
+    await assertSchemaPackExists(name);
+  },
+  conformancePolicy: assertConformancePolicy,
+  generationMode: assertGenerationMode,
+  schemaExtractionMode: assertSchemaExtractionMode,
+  chunkingStrategy: assertChunkingStrategy,
+  chunkMaxTokens: assertChunkMaxTokens,
+  ingestBatchSize: assertIngestBatchSize,
+  repairAttempts: assertRepairAttempts
+};
+
+// Options a run can be started with, and those that can override the previous run's on resume
+const PROCESS_OPTIONS = [
+  'useFullDocument', 'requireReview', 'createProvenance', 'reextractSchema', 'consolidateSchema', 'batchIngestion',
+  'quarantineFailures', 'resolveEntities', 'resolveAgainstGraph', 'mapTables', ...Object.keys(OPTION_VALIDATORS)
+];
+const RESUME_OPTIONS = [
+  'useLlamaParse', 'createNeo4jConstraints', 'useFullDocument', 'createProvenance', 'consolidateSchema', 'batchIngestion',
+  'quarantineFailures', 'resolveEntities', 'resolveAgainstGraph', 'mapTables', ...Object.keys(OPTION_VALIDATORS)
+];
+
+/**
+ * Pipeline options of a request body
+ * Booleans are taken as is (other types are ignored); other options must pass their check
+ * @param {object} body - Request body
+ * @param {Array<string>} allowedKeys - Options accepted by the route
+ * @returns {Promise<object>} - Options to pass to the pipeline job
+ */
+async function parsePipelineOptions(body = {}, allowedKeys) {
+  const options = {};
+  for (const key of allowedKeys) {
+    const validate = OPTION_VALIDATORS[key];
+    if (!validate) {
+      if (typeof body[key] === 'boolean') {
+        options[key] = body[key];
+      }
+    } else if (body[key] !== undefined) {
+      await validate(body[key]);
+      options[key] = body[key];
+    }
+  }
+  return options;
+}
+
+/**
+ * Respond 409 when a job is queued or running for the document
+ * @returns {Promise<boolean>} - Whether the response was sent
+ */
+async function rejectIfJobActive(docId, res) {
+  const activeJob = await Job.findOne({ docId, status: { $in: ['queued', 'running'] } });
+  if (!activeJob) {
+    return false;
+  }
+  res.status(409).json({
+    error: 'A job is queued or running for this document',
+    docId,
+    jobId: activeJob._id
+  });
+  return true;
+}
+
 /**
  * POST /documents
  * Upload a document
+ * Optional form field schemaPack selects the domain schema pack for this document
  */
 router.post('/', upload.single('file'), async (req, res) => {
   try {
@@ -59,11 +146,20 @@ router.post('/', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const schemaPack = req.body.schemaPack || null;
+    try {
+      await assertSchemaPackExists(schemaPack);
+    } catch (packError) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(packError.status || 500).json({ error: packError.message });
+    }
+
     const doc = new Document({
       filename: req.file.originalname,
       mimetype: req.file.mimetype,
       size: req.file.size,
       filePath: req.file.path,
+      schemaPack,
       status: 'uploaded'
     });
 
@@ -79,6 +175,7 @@ router.post('/', upload.single('file'), async (req, res) => {
       id: doc._id,
       filename: doc.filename,
       size: doc.size,
+      schemaPack: doc.schemaPack,
       status: doc.status,
       uploadTimestamp: doc.uploadTimestamp
     });
@@ -90,35 +187,225 @@ router.post('/', upload.single('file'), async (req, res) => {
 
 /**
  * POST /documents/:id/process
- * Run the full pipeline on a document
+ * Queue the full pipeline for a document
  */
 router.post('/:id/process', async (req, res) => {
   try {
     const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
     const options = {
       useLlamaParse: req.body.useLlamaParse !== false,
-      createNeo4jConstraints: req.body.createNeo4jConstraints !== false
+      createNeo4jConstraints: req.body.createNeo4jConstraints !== false,
+      ...(await parsePipelineOptions(req.body, PROCESS_OPTIONS))
     };
 
-    // Run pipeline asynchronously
-    runPipeline(docId, options)
-      .then(result => {
-        logger.info('Pipeline completed', { docId, result });
-      })
-      .catch(error => {
-        logger.error('Pipeline failed', { docId, error: error.message });
-      });
+    // Run pipeline as a durable job (survives server restarts)
+    const { job, created } = await enqueueJob('pipeline', {
+      docId,
+      payload: { options }
+    });
 
     res.status(202).json({
-      message: 'Pipeline started',
-      docId
+      message: created ? 'Pipeline queued' : 'Pipeline already queued',
+      docId,
+      jobId: job._id,
+      jobStatus: job.status
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.error('Failed to start pipeline', { error: error.message });
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * POST /documents/:id/resume
+ * Resume the pipeline from the first stage that did not complete
+ * Body options override the options stored from the previous run
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (doc.status === 'awaiting_review') {
+      return res.status(409).json({
+        error: 'Cypher is awaiting review; approve or reject it via /documents/:id/cypher',
+        docId
+      });
+    }
+
+    const resumeFrom = getResumeStage(doc);
+    if (!resumeFrom) {
+      return res.status(409).json({ error: 'All pipeline stages already completed', docId });
+    }
+
+    // e.g. resume a run stopped by the fail policy with strip or warn
+    const options = { resume: true, ...(await parsePipelineOptions(req.body, RESUME_OPTIONS)) };
+
+    const { job, created } = await enqueueJob('pipeline', {
+      docId,
+      payload: { options }
+    });
+
+    res.status(202).json({
+      message: created ? 'Pipeline resume queued' : 'Pipeline already queued',
+      docId,
+      resumeFrom,
+      jobId: job._id,
+      jobStatus: job.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Failed to resume pipeline', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /documents/:id/cypher
+ * Get generated Cypher and review state
+ */
+router.get('/:id/cypher', async (req, res) => {
+  try {
+    const review = await getCypherForReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(review);
+  } catch (error) {
+    logger.error('Failed to get Cypher for review', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /documents/:id/cypher/approve
+ * Approve generated Cypher (optionally edited) and queue ingestion
+ * Body: { cypher?, edits?: [{ resultId, cypher }], reviewer?, comment? }
+ */
+router.post('/:id/cypher/approve', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const { cypher, edits, reviewer, comment } = req.body || {};
+
+    const review = await approveCypher(docId, { cypher, edits, reviewer, comment });
+
+    // Cypher generation is checkpointed, so resuming continues at ingestion
+    const { job, created } = await enqueueJob('pipeline', {
+      docId,
+      payload: { options: { resume: true } }
+    });
+
+    res.status(202).json({
+      message: created ? 'Cypher approved, ingestion queued' : 'Cypher approved, pipeline already queued',
+      docId,
+      review,
+      jobId: job._id,
+      jobStatus: job.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Failed to approve Cypher', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /documents/:id/cypher/reject
+ * Reject generated Cypher - nothing is ingested
+ * Body: { reviewer?, comment? }
+ */
+router.post('/:id/cypher/reject', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const { reviewer, comment } = req.body || {};
+
+    const review = await rejectCypher(docId, { reviewer, comment });
+
+    res.json({
+      message: 'Cypher rejected',
+      docId,
+      review
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Failed to reject Cypher', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /documents/:id/cypher/regenerate
+ * Regenerate Cypher from the current (e.g. edited) schema without re-parsing
+ * Body: { removeGraph?: boolean } - remove the document's existing graph first
+ */
+router.post('/:id/cypher/regenerate', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (await rejectIfJobActive(docId, res)) {
+      return;
+    }
+
+    const schema = await getCurrentSchema(docId);
+    if (!schema || doc.stages?.schemaExtraction?.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Document has no extracted schema yet - process it first',
+        docId
+      });
+    }
+
+    let graphRemoval = null;
+    if (req.body?.removeGraph === true) {
+      graphRemoval = await removeDocumentGraph(docId);
+    }
+
+    // Constraints are derived from the schema too
+    await resetStagesFrom(docId, 'constraints');
+
+    const { job } = await enqueueJob('pipeline', {
+      docId,
+      payload: { options: { resume: true } }
+    });
+
+    res.status(202).json({
+      message: 'Cypher regeneration queued',
+      docId,
+      schemaVersion: schema.version,
+      graphRemoval,
+      jobId: job._id,
+      jobStatus: job.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Failed to regenerate Cypher', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /documents/:id/status
  * Get processing status for a document
@@ -139,6 +426,555 @@ router.get('/:id/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /documents/:id/events
+ * Server-Sent Events stream of pipeline progress (stage transitions, per-chunk progress, errors)
+ * Supports Last-Event-ID to replay buffered events after a reconnect
+ */
+router.get('/:id/events', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const writeEvent = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Current state first, so clients connecting mid-run can render progress immediately
+    res.write(`event: status\ndata: ${JSON.stringify({
+      docId,
+      status: doc.status,
+      error: doc.error,
+      stages: doc.stages
+    })}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+    for (const event of getRecentPipelineEvents(docId, lastEventId)) {
+      writeEvent(event);
+    }
+
+    const unsubscribe = subscribePipelineEvents(docId, writeEvent);
+
+    // Comment lines keep proxies from closing idle connections during long LLM calls
+    const keepAlive = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, 15000);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  } catch (error) {
+    logger.error('Failed to open event stream', { error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Shape a schema version for API responses
+ */
+function formatSchemaVersion(schema) {
+  return {
+    version: schema.version,
+    status: schema.status,
+    nodes: schema.nodes,
+    relationships: schema.relationships,
+    nodeTypes: Object.keys(schema.nodes || {}).length,
+    relationshipTypes: (schema.relationships || []).length,
+    extractionModel: schema.extractionModel,
+    extractionProvider: schema.extractionProvider,
+    documentType: schema.documentType,
+    schemaPack: schema.schemaPack || null,
+    extractionMode: schema.extractionMode || 'single',
+    passCount: schema.passCount ?? 1,
+    failedPassCount: schema.failedPassCount || 0,
+    consolidation: schema.consolidation || null,
+    promptBudget: schema.promptBudget || null,
+    extractionTimeMs: schema.extractionTimeMs,
+    source: schema.source,
+    basedOnVersion: schema.basedOnVersion,
+    editedBy: schema.editedBy,
+    comment: schema.comment,
+    error: schema.status === 'error' ? schema.rawResponse : null,
+    createdAt: schema.createdAt
+  };
+}
+
+/**
+ * Respond with a schema service error (status set by the service) or a 500
+ */
+function sendSchemaError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, violations: error.violations });
+  }
+  logger.error(message, { error: error.message });
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * GET /documents/:id/schema
+ * Get the current schema version
+ */
+router.get('/:id/schema', async (req, res) => {
+  try {
+    const schema = await getCurrentSchema(req.params.id);
+    if (!schema) {
+      return res.status(404).json({ error: 'Schema not found for document' });
+    }
+
+    res.json({ docId: req.params.id, ...formatSchemaVersion(schema) });
+  } catch (error) {
+    sendSchemaError(res, error, 'Failed to get schema');
+  }
+});
+
+/**
+ * PUT /documents/:id/schema
+ * Replace the schema - stored as a new version
+ * Body: { nodes, relationships, editedBy?, comment? }
+ */
+router.put('/:id/schema', async (req, res) => {
+  try {
+    const { nodes, relationships, editedBy, comment } = req.body || {};
+    const schema = await saveSchemaEdit(req.params.id, { nodes, relationships }, { editedBy, comment });
+
+    res.json({ docId: req.params.id, ...formatSchemaVersion(schema) });
+  } catch (error) {
+    sendSchemaError(res, error, 'Failed to replace schema');
+  }
+});
+
+/**
+ * PATCH /documents/:id/schema
+ * Partially update the schema - stored as a new version
+ * Body: { nodes?: { Label: [props] | null }, addRelationships?, removeRelationships?, editedBy?, comment? }
+ */
+router.patch('/:id/schema', async (req, res) => {
+  try {
+    const { editedBy, comment, ...patch } = req.body || {};
+    const schema = await patchSchema(req.params.id, patch, { editedBy, comment });
+
+    res.json({ docId: req.params.id, ...formatSchemaVersion(schema) });
+  } catch (error) {
+    sendSchemaError(res, error, 'Failed to patch schema');
+  }
+});
+
+/**
+ * GET /documents/:id/schemas
+ * List extracted schema versions, newest first
+ */
+router.get('/:id/schemas', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const schemas = await Schema.find({ docId }).sort({ version: -1 });
+    const current = schemas.find(s => s.status !== 'error');
+
+    res.json({
+      docId,
+      currentVersion: current ? current.version : null,
+      versions: schemas.map(formatSchemaVersion)
+    });
+  } catch (error) {
+    logger.error('Failed to list schema versions', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /documents/:id/schemas
+ * Queue a schema re-extraction that is stored as a new version
+ * Body: { schemaExtractionMode?: 'single' | 'multi_pass', consolidateSchema?: boolean }
+ */
+router.post('/:id/schemas', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const payload = {};
+    if (req.body?.schemaExtractionMode !== undefined) {
+      assertSchemaExtractionMode(req.body.schemaExtractionMode);
+      payload.mode = req.body.schemaExtractionMode;
+    }
+    if (typeof req.body?.consolidateSchema === 'boolean') {
+      payload.consolidate = req.body.consolidateSchema;
+    }
+
+    const { job, created } = await enqueueJob('schemaExtraction', { docId, payload });
+
+    res.status(202).json({
+      message: created ? 'Schema re-extraction queued' : 'Schema re-extraction already queued',
+      docId,
+      jobId: job._id,
+      jobStatus: job.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Failed to queue schema re-extraction', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /documents/:id/schemas/diff?from=1&to=2
+ * Added/removed labels, properties and relationships between two schema versions
+ * `to` defaults to the current version
+ */
+router.get('/:id/schemas/diff', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const from = parseInt(req.query.from);
+    if (!from) {
+      return res.status(400).json({ error: 'from version is required' });
+    }
+
+    const toSchema = req.query.to
+      ? await Schema.findOne({ docId, version: parseInt(req.query.to) })
+      : await Schema.findLatest(docId);
+    const fromSchema = await Schema.findOne({ docId, version: from });
+
+    if (!fromSchema || !toSchema) {
+      return res.status(404).json({ error: 'Schema version not found' });
+    }
+
+    res.json({
+      docId,
+      from: fromSchema.version,
+      to: toSchema.version,
+      ...diffSchemas(fromSchema, toSchema)
+    });
+  } catch (error) {
+    logger.error('Failed to diff schema versions', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /documents/:id/schemas/:version/partials
+ * Partial schemas of the passes merged into a schema version, with the names reconciled between them
+ * `version` may be "current"
+ */
+router.get('/:id/schemas/:version/partials', async (req, res) => {
+  try {
+    const version = req.params.version === 'current' ? null : parseInt(req.params.version);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ error: 'version must be a number or "current"' });
+    }
+
+    res.json(await getPartialSchemas(req.params.id, version));
+  } catch (error) {
+    logger.error('Failed to get partial schemas', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /documents/:id/graph
+ * Remove the document's contributions from Neo4j
+ * Nodes and relationships also referenced by other documents are kept (only untagged)
+ */
+router.delete('/:id/graph', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (await rejectIfJobActive(docId, res)) {
+      return;
+    }
+
+    const removal = await removeDocumentGraph(docId);
+
+    res.json({
+      message: 'Document graph removed',
+      docId,
+      ...removal
+    });
+  } catch (error) {
+    logger.error('Failed to remove document graph', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /documents/:id/ingest?dryRun=true
+ * Show what ingesting the document's Cypher would change in Neo4j, without changing it
+ * (ingestion itself runs as part of the pipeline: /process or /resume)
+ */
+router.post('/:id/ingest', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    if (req.query.dryRun !== 'true') {
+      return res.status(400).json({
+        error: 'Only dry runs are supported (dryRun=true); ingest via POST /documents/:id/process or /documents/:id/resume'
+      });
+    }
+
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // A dry run takes the same locks as ingestion - don't race a running pipeline
+    if (await rejectIfJobActive(docId, res)) {
+      return;
+    }
+
+    // Simulate the ingestion options of the document's last run
+    const { batchIngestion, ingestBatchSize } = doc.pipelineOptions || {};
+    const plan = await dryRunIngestion(docId, { batchIngestion, ingestBatchSize });
+
+    res.json(plan);
+  } catch (error) {
+    logger.error('Failed to dry run ingestion', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /documents/:id/quarantine
+ * List the writes quarantined during ingestion (optional ?status=quarantined|fixed|replayed)
+ */
+router.get('/:id/quarantine', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(await listQuarantinedStatements(docId, { status: req.query.status }));
+  } catch (error) {
+    logger.error('Failed to list quarantined statements', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /documents/:id/quarantine/:statementId
+ * Fix a quarantined write: body { statement?, params? }
+ */
+router.patch('/:id/quarantine/:statementId', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const entry = await fixQuarantinedStatement(docId, req.params.statementId, {
+      statement: req.body.statement,
+      params: req.body.params
+    });
+
+    res.json({ message: 'Quarantined statement updated', docId, statement: entry });
+  } catch (error) {
+    logger.error('Failed to fix quarantined statement', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /documents/:id/quarantine/replay
+ * Replay quarantined and fixed writes: body { ids? } (default: all of them)
+ */
+router.post('/:id/quarantine/replay', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (await rejectIfJobActive(docId, res)) {
+      return;
+    }
+
+    const replay = await replayQuarantinedStatements(docId, { ids: req.body.ids ?? null });
+
+    res.json({ message: 'Quarantined statements replayed', ...replay });
+  } catch (error) {
+    logger.error('Failed to replay quarantined statements', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /documents/:id/entities
+ * Cross-chunk entity resolution: automatic merges and candidates awaiting a decision
+ */
+router.get('/:id/entities', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const resolution = await getEntityResolution(docId);
+    if (!resolution) {
+      return res.status(404).json({ error: 'Entity resolution has not run for this document', docId });
+    }
+
+    res.json(resolution);
+  } catch (error) {
+    logger.error('Failed to get entity resolution', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /documents/:id/entities/candidates/:candidateId
+ * Merge or reject a possible duplicate: body { decision: 'merge'|'reject', reviewer? }
+ */
+router.post('/:id/entities/candidates/:candidateId', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (await rejectIfJobActive(docId, res)) {
+      return;
+    }
+
+    const { decision, reviewer } = req.body || {};
+    const outcome = await decideEntityCandidate(docId, req.params.candidateId, { decision, reviewer });
+
+    res.json({ message: `Entity candidate ${outcome.candidate.status}`, docId, ...outcome });
+  } catch (error) {
+    logger.error('Failed to decide entity candidate', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /documents/:id/resolution-decisions
+ * Audit log of resolving the document's entities against the graph
+ * (optional ?action=merge|link&method=exact_id|normalized_id|fuzzy_name)
+ */
+router.get('/:id/resolution-decisions', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(await listResolutionDecisions(docId, { action: req.query.action, method: req.query.method }));
+  } catch (error) {
+    logger.error('Failed to list resolution decisions', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /documents/:id/tables
+ * Tables detected while parsing, with the column mapping each one uses (its own or the schema pack's)
+ */
+router.get('/:id/tables', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const pack = await resolveDocumentSchemaPack(doc, detectDocumentType(doc.filename, doc.fullText || ''));
+    const tables = doc.tables.map(table => {
+      const matched = matchTableMapping(table, pack);
+      return {
+        ...table.toObject(),
+        rowCount: table.rows.length,
+        mappingSource: matched?.source || null,
+        appliedMapping: matched?.mapping || null
+      };
+    });
+
+    res.json({ docId, schemaPack: pack?.name || null, count: tables.length, tables });
+  } catch (error) {
+    logger.error('Failed to get document tables', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /documents/:id/tables/:tableIndex/mapping
+ * Set the column-to-property mapping of a table (body { mapping }, null removes it)
+ * Returns what the mapping makes of the rows; the graph data is generated on the next pipeline run.
+ */
+router.put('/:id/tables/:tableIndex/mapping', async (req, res) => {
+  try {
+    const docId = req.params.id;
+    const doc = await Document.findById(docId);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const tableIndex = parseInt(req.params.tableIndex);
+    const table = doc.tables.find(candidate => candidate.tableIndex === tableIndex);
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found', docId, tableIndex: req.params.tableIndex });
+    }
+
+    const mapping = req.body?.mapping ?? null;
+    if (mapping !== null) {
+      try {
+        assertTableMapping(mapping, table.columns);
+      } catch (mappingError) {
+        return res.status(mappingError.status || 500).json({ error: mappingError.message });
+      }
+    }
+
+    await Document.updateOne({ _id: docId, 'tables.tableIndex': tableIndex }, { $set: { 'tables.$.mapping': mapping } });
+
+    const preview = mapping ? tableRowsToGraph(table, mapping) : null;
+    res.json({
+      message: mapping ? 'Table mapping saved' : 'Table mapping removed',
+      docId,
+      tableIndex,
+      mapping,
+      preview: preview && {
+        nodes: preview.nodes.length,
+        relationships: preview.relationships.length,
+        skippedRows: preview.skippedRows,
+        sample: { nodes: preview.nodes.slice(0, 5), relationships: preview.relationships.slice(0, 5) }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to set table mapping', { error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /documents
  * List all documents
@@ -190,7 +1026,8 @@ router.get('/:id', async (req, res) => {
       processingStartedAt: doc.processingStartedAt,
       processingCompletedAt: doc.processingCompletedAt,
       totalChunks: doc.totalChunks,
-      processedChunks: doc.processedChunks
+      processedChunks: doc.processedChunks,
+      tableCount: doc.tables.length
     });
   } catch (error) {
     logger.error('Failed to get document', { error: error.message });
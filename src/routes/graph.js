@@ -0,0 +1,36 @@
+/**
+ * Graph routes
+ * Inspection of ingested graph entities and their provenance
+ */
+
+import express from 'express';
+import { getNodeEvidence } from '../services/evidence.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /graph/nodes/:id/evidence
+ * Get the source text snippets supporting a node
+ * Query params: contextChars
+ */
+router.get('/nodes/:id/evidence', async (req, res) => {
+  try {
+    const options = {};
+    if (req.query.contextChars) {
+      options.contextChars = parseInt(req.query.contextChars) || 0;
+    }
+
+    const evidence = await getNodeEvidence(req.params.id, options);
+    if (!evidence) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    res.json(evidence);
+  } catch (error) {
+    logger.error('Failed to get node evidence', { nodeId: req.params.id, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
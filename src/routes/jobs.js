@@ -0,0 +1,103 @@
+/**
+ * Job routes
+ * Visibility into the durable pipeline job queue
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Shape a job for API responses
+ */
+function formatJob(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    docId: job.docId,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    payload: job.payload,
+    result: job.result,
+    error: job.error,
+    leaseOwner: job.leaseOwner,
+    leaseExpiresAt: job.leaseExpiresAt,
+    heartbeatAt: job.heartbeatAt,
+    runAfter: job.runAfter,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * GET /jobs
+ * List jobs, newest first
+ * Query params: status, type, docId, limit, skip
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = parseInt(req.query.skip) || 0;
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.query.docId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.docId)) {
+        return res.status(400).json({ error: 'Invalid docId' });
+      }
+      filter.docId = req.query.docId;
+    }
+
+    const jobs = await Job.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Job.countDocuments(filter);
+
+    res.json({
+      jobs: jobs.map(formatJob),
+      total,
+      limit,
+      skip
+    });
+  } catch (error) {
+    logger.error('Failed to list jobs', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Get job details
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    logger.error('Failed to get job', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
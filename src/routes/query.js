@@ -9,6 +9,7 @@ import { getNeo4jSession } from '../config/database.js';
 import neo4j from 'neo4j-driver';
 import { logger } from '../utils/logger.js';
 import Schema from '../models/Schema.js';
+import { getGlobalSchema } from '../services/schemaRegistry.js';
 
 const router = express.Router();
 
@@ -62,10 +63,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Question is required' });
     }
 
-    // Get schema (either from docId or use a default/global schema)
+    // Get schema (either from docId or the global schema merged across documents)
     let schema;
+    let globalSchemaVersion = null;
     if (docId) {
-      const schemaDoc = await Schema.findOne({ docId });
+      const schemaDoc = await Schema.findLatest(docId);
       if (!schemaDoc) {
         return res.status(404).json({ error: 'Schema not found for document' });
       }
@@ -74,11 +76,18 @@ router.post('/', async (req, res) => {
         relationships: schemaDoc.relationships
       };
     } else {
-      // For now, return error if no docId - could be extended to use a global schema
-      return res.status(400).json({ error: 'docId is required to get schema' });
+      const globalSchema = await getGlobalSchema();
+      if (!globalSchema || Object.keys(globalSchema.nodes).length === 0) {
+        return res.status(404).json({ error: 'No schemas available - process a document first' });
+      }
+      schema = {
+        nodes: globalSchema.nodes,
+        relationships: globalSchema.relationships
+      };
+      globalSchemaVersion = globalSchema.version;
     }
 
-    logger.info('Generating query Cypher', { question, docId });
+    logger.info('Generating query Cypher', { question, docId, globalSchemaVersion });
 
     const model = CYPHER_MODEL_PROVIDER === 'ollama' 
       ? TEXT2CYPHER_MODEL_OLLAMA 
@@ -139,6 +148,8 @@ router.post('/', async (req, res) => {
 
       res.json({
         question,
+        docId: docId || null,
+        globalSchemaVersion,
         cypher,
         results: records,
         count: records.length
@@ -0,0 +1,113 @@
+/**
+ * Schema routes
+ * Global schema registry merged across all documents, and domain schema packs
+ */
+
+import express from 'express';
+import { getGlobalSchema, rebuildGlobalSchema } from '../services/schemaRegistry.js';
+import { listSchemaPacks, getSchemaPack, loadSchemaPacks } from '../services/schemaPacks.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Shape a global schema for API responses
+ */
+function formatGlobalSchema(globalSchema) {
+  return {
+    version: globalSchema.version,
+    nodes: globalSchema.nodes,
+    relationships: globalSchema.relationships,
+    labelCounts: globalSchema.labelCounts,
+    documentCount: globalSchema.documentCount,
+    sourceDocIds: globalSchema.sourceDocIds,
+    contentHash: globalSchema.contentHash,
+    createdAt: globalSchema.createdAt,
+    updatedAt: globalSchema.updatedAt
+  };
+}
+
+/**
+ * GET /schemas/global
+ * Get the merged global schema (latest version unless ?version= is given)
+ */
+router.get('/global', async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version) : null;
+    if (req.query.version && !version) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    const globalSchema = await getGlobalSchema({ version });
+    if (!globalSchema) {
+      return res.status(404).json({ error: 'Global schema version not found' });
+    }
+
+    res.json(formatGlobalSchema(globalSchema));
+  } catch (error) {
+    logger.error('Failed to get global schema', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /schemas/global/rebuild
+ * Re-merge all document schemas (stores a new version only if the result changed)
+ */
+router.post('/global/rebuild', async (req, res) => {
+  try {
+    const globalSchema = await rebuildGlobalSchema();
+    res.json(formatGlobalSchema(globalSchema));
+  } catch (error) {
+    logger.error('Failed to rebuild global schema', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /schemas/packs
+ * List the schema packs loaded from SCHEMA_PACKS_DIR
+ */
+router.get('/packs', async (req, res) => {
+  try {
+    const packs = await listSchemaPacks();
+    res.json({ count: packs.length, packs });
+  } catch (error) {
+    logger.error('Failed to list schema packs', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /schemas/packs/reload
+ * Re-read the pack directory (after adding or editing pack files)
+ */
+router.post('/packs/reload', async (req, res) => {
+  try {
+    await loadSchemaPacks({ reload: true });
+    const packs = await listSchemaPacks();
+    res.json({ count: packs.length, packs });
+  } catch (error) {
+    logger.error('Failed to reload schema packs', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /schemas/packs/:name
+ * Get a schema pack with all its rules
+ */
+router.get('/packs/:name', async (req, res) => {
+  try {
+    const pack = await getSchemaPack(req.params.name);
+    if (!pack) {
+      return res.status(404).json({ error: 'Schema pack not found' });
+    }
+    res.json(pack);
+  } catch (error) {
+    logger.error('Failed to get schema pack', { name: req.params.name, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
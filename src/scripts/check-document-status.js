@@ -94,7 +94,7 @@ async function checkDocumentStatus(filename) {
     }
     
     // Check schema
-    const schema = await Schema.findOne({ docId: doc._id });
+    const schema = await Schema.findLatest(doc._id);
     if (schema) {
       console.log(`\n📋 Schema Extracted:`);
       console.log(`  Node Types: ${Object.keys(schema.nodes).length}`);
@@ -23,6 +23,7 @@ import { connectMongoDB, getNeo4jDriver } from '../config/database.js';
 import Document from '../models/Document.js';
 import { runPipeline } from '../services/orchestrator.js';
 import { logger } from '../utils/logger.js';
+import { supportedDocumentFormat, mimetypeForFile } from '../services/parsing/formats.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,24 +32,8 @@ const WATCH_FOLDER = process.env.WATCH_FOLDER || path.join(process.cwd(), 'watch
 const PROCESSED_FOLDER = path.join(WATCH_FOLDER, 'processed');
 const ERROR_FOLDER = path.join(WATCH_FOLDER, 'error');
 
-// Allowed file extensions
-const ALLOWED_EXTENSIONS = ['.pdf', '.docx', '.doc', '.txt'];
 const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
 
-/**
- * Get MIME type from file extension
- */
-function getMimeType(filename) {
-  const ext = path.extname(filename).toLowerCase();
-  const mimeTypes = {
-    '.pdf': 'application/pdf',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.doc': 'application/msword',
-    '.txt': 'text/plain'
-  };
-  return mimeTypes[ext] || 'application/octet-stream';
-}
-
 /**
  * Check if file is valid for processing
  */
@@ -62,10 +47,9 @@ async function isValidFile(filePath) {
       return false;
     }
     
-    // Check extension
-    const ext = path.extname(filePath).toLowerCase();
-    if (!ALLOWED_EXTENSIONS.includes(ext)) {
-      logger.warn('Invalid file type', { filePath, ext });
+    // Check extension against the supported formats
+    if (!supportedDocumentFormat(null, filePath)) {
+      logger.warn('Invalid file type', { filePath, ext: path.extname(filePath).toLowerCase() });
       return false;
     }
     
@@ -112,7 +96,7 @@ async function processFile(filePath) {
 
     // Get file stats
     const stats = await fs.stat(filePath);
-    const mimetype = getMimeType(filename);
+    const mimetype = mimetypeForFile(filename);
 
     // Create document record
     const doc = new Document({
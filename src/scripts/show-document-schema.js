@@ -49,7 +49,7 @@ async function showDocumentSchema(filename) {
     console.log(`   Status: ${doc.status}\n`);
     
     // Get schema for this document
-    const schema = await Schema.findOne({ docId: doc._id });
+    const schema = await Schema.findLatest(doc._id);
     
     if (!schema) {
       console.log('❌ No schema found for this document');
@@ -17,6 +17,7 @@ import { connectMongoDB, getNeo4jDriver } from '../config/database.js';
 import Document from '../models/Document.js';
 import { runPipeline, getPipelineStatus } from '../services/orchestrator.js';
 import { logger } from '../utils/logger.js';
+import { mimetypeForFile } from '../services/parsing/formats.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,7 +42,7 @@ async function testPipeline(documentPath) {
     // Get file info
     const stats = await fs.stat(documentPath);
     const filename = path.basename(documentPath);
-    const mimetype = getMimeType(filename);
+    const mimetype = mimetypeForFile(filename);
 
     logger.info('File info', { filename, size: stats.size, mimetype });
 
@@ -98,17 +99,6 @@ async function testPipeline(documentPath) {
   }
 }
 
-function getMimeType(filename) {
-  const ext = path.extname(filename).toLowerCase();
-  const mimeTypes = {
-    '.pdf': 'application/pdf',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.doc': 'application/msword',
-    '.txt': 'text/plain'
-  };
-  return mimeTypes[ext] || 'application/octet-stream';
-}
-
 // Get document path from command line
 const documentPath = process.argv[2];
 
@@ -10,6 +10,10 @@ import { logger } from './utils/logger.js';
 import documentsRouter from './routes/documents.js';
 import queryRouter from './routes/query.js';
 import metricsRouter from './routes/metrics.js';
+import jobsRouter from './routes/jobs.js';
+import graphRouter from './routes/graph.js';
+import schemasRouter from './routes/schemas.js';
+import { startJobWorkers, stopJobWorkers } from './services/jobQueue.js';
 
 // Load environment variables
 dotenv.config();
@@ -42,6 +46,9 @@ app.get('/health', (req, res) => {
 app.use('/documents', documentsRouter);
 app.use('/query', queryRouter);
 app.use('/metrics', metricsRouter);
+app.use('/jobs', jobsRouter);
+app.use('/graph', graphRouter);
+app.use('/schemas', schemasRouter);
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -70,6 +77,9 @@ async function start() {
     // Initialize Neo4j driver (verify connectivity)
     getNeo4jDriver();
     
+    // Start job workers (also resumes jobs interrupted by a previous shutdown)
+    startJobWorkers();
+    
     // Start server
     app.listen(PORT, () => {
       logger.info(`Server started on port ${PORT}`, {
@@ -87,11 +97,13 @@ async function start() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await stopJobWorkers();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await stopJobWorkers();
   process.exit(0);
 });
 
@@ -0,0 +1,745 @@
+/**
+ * Cypher Conformance Service
+ * Checks generated Cypher against the document's extracted schema before ingestion
+ *
+ * Reported violations:
+ *   unknown_label                  - node label the schema does not define
+ *   unknown_property               - node property missing from the label's property list
+ *   unknown_relationship_type      - relationship type the schema does not define
+ *   invalid_relationship_endpoints - known type between labels the schema does not connect,
+ *                                    e.g. (:Trade)-[:HAS_POSITION]->(:Account)
+ *
+ * The conformance policy decides what happens to non-conforming Cypher before ingestion:
+ * warn (ingest as generated), strip (remove offending clauses and properties) or fail
+ * (stop the pipeline before anything is written).
+ */
+
+import ChunkCypherResult from '../models/ChunkCypherResult.js';
+import Schema from '../models/Schema.js';
+import { maskLiterals } from './neo4jIngest/provenance.js';
+import { emitPipelineEvent } from './pipelineEvents.js';
+import { logger } from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
+
+export const CONFORMANCE_POLICIES = ['warn', 'strip', 'fail'];
+
+export const VIOLATION_TYPES = [
+  'unknown_label',
+  'unknown_property',
+  'unknown_relationship_type',
+  'invalid_relationship_endpoints'
+];
+
+// Violations stored per ChunkCypherResult (the counts always cover all of them)
+const MAX_STORED_VIOLATIONS = 200;
+
+// Bookkeeping properties written by the pipeline itself, never part of an extracted schema
+export const BOOKKEEPING_PROPERTIES = new Set(['createdAt', 'updatedAt', 'sourceDocIds', 'sourceChunkIds']);
+
+const CLAUSE_PATTERN = /\b(OPTIONAL\s+MATCH|DETACH\s+DELETE|MATCH|MERGE|CREATE|SET|WITH|UNWIND|RETURN|DELETE|REMOVE|FOREACH|CALL)\b/gi;
+const WRITE_CLAUSES = new Set(['MERGE', 'CREATE', 'SET', 'DELETE', 'DETACH DELETE', 'REMOVE', 'FOREACH']);
+const NAME = '(?:`[^`]+`|[A-Za-z_]\\w*)';
+const NODE_HEAD_PATTERN = new RegExp(`\\(\\s*([A-Za-z_]\\w*)?\\s*((?::\\s*${NAME}\\s*)*)`, 'g');
+const RELATIONSHIP_PATTERN = /(<\s*)?-\s*\[([^\]]*)\]\s*-(\s*>)?/g;
+const SET_ITEM_PATTERN = new RegExp(`^\\s*([A-Za-z_]\\w*)\\.(${NAME})\\s*=`);
+
+/**
+ * Check a conformancePolicy option
+ * @param {string} policy - Requested policy
+ * @throws {Error} - 400 if the policy is not one of CONFORMANCE_POLICIES
+ */
+export function assertConformancePolicy(policy) {
+  if (!CONFORMANCE_POLICIES.includes(policy)) {
+    throw httpError(`conformancePolicy must be one of: ${CONFORMANCE_POLICIES.join(', ')}`, 400);
+  }
+}
+
+function unquote(name) {
+  return name.startsWith('`') ? name.slice(1, -1) : name;
+}
+
+/**
+ * Index of the bracket closing the one at `open` (masked text, so brackets in strings are gone)
+ */
+function findClosing(masked, open, end) {
+  let depth = 0;
+  for (let i = open; i < end; i++) {
+    const char = masked[i];
+    if (char === '(' || char === '[' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split masked[start, end) at top-level commas
+ * @returns {Array<{start: number, end: number}>} - Non-empty segments, trimmed
+ */
+function splitTopLevel(masked, start, end) {
+  const segments = [];
+  let depth = 0;
+  let segmentStart = start;
+
+  const push = (segmentEnd) => {
+    let s = segmentStart;
+    let e = segmentEnd;
+    while (s < e && /\s/.test(masked[s])) s++;
+    while (e > s && /\s/.test(masked[e - 1])) e--;
+    if (e > s) {
+      segments.push({ start: s, end: e });
+    }
+  };
+
+  for (let i = start; i < end; i++) {
+    const char = masked[i];
+    if (char === '(' || char === '[' || char === '{') {
+      depth++;
+    } else if (char === ')' || char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      push(i);
+      segmentStart = i + 1;
+    }
+  }
+  push(end);
+
+  return segments;
+}
+
+/**
+ * Split Cypher into statements at top-level semicolons
+ */
+function splitStatements(masked) {
+  const statements = [];
+  let start = 0;
+  for (let i = 0; i <= masked.length; i++) {
+    if (i === masked.length || masked[i] === ';') {
+      if (masked.slice(start, i).trim()) {
+        statements.push({ start, end: i, hasSemicolon: i < masked.length });
+      }
+      start = i + 1;
+    }
+  }
+  return statements;
+}
+
+/**
+ * Split a statement into clauses (ON CREATE SET / ON MATCH SET stay part of their MERGE)
+ */
+function splitClauses(masked, start, end) {
+  const text = masked.slice(start, end);
+  const boundaries = [];
+
+  for (const match of text.matchAll(CLAUSE_PATTERN)) {
+    const keyword = match[1].toUpperCase().replace(/\s+/g, ' ');
+    const before = text.slice(0, match.index);
+    if (/\.\s*$/.test(before)) {
+      continue; // property access such as n.set
+    }
+    if ((keyword === 'CREATE' || keyword === 'MATCH') && /\bON\s*$/i.test(before)) {
+      continue;
+    }
+    if (keyword === 'SET' && /\bON\s+(CREATE|MATCH)\s*$/i.test(before)) {
+      continue;
+    }
+    boundaries.push({ keyword, start: start + match.index });
+  }
+
+  return boundaries.map((boundary, i) => ({
+    keyword: boundary.keyword,
+    start: boundary.start,
+    end: i + 1 < boundaries.length ? boundaries[i + 1].start : end
+  }));
+}
+
+/**
+ * Map entries `{key: value, ...}` between the braces at open/close
+ */
+function parseMapEntries(masked, open, close) {
+  return splitTopLevel(masked, open + 1, close).map(segment => {
+    const match = masked.slice(segment.start, segment.end).match(new RegExp(`^(${NAME})\\s*:`));
+    return { ...segment, key: match ? unquote(match[1]) : null };
+  });
+}
+
+/**
+ * Node patterns `(var:Label:Other {props})` in a clause
+ */
+function parseNodePatterns(masked, clause) {
+  const nodes = [];
+  const text = masked.slice(clause.start, clause.end);
+  NODE_HEAD_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = NODE_HEAD_PATTERN.exec(text)) !== null) {
+    const start = clause.start + match.index;
+    // Function calls such as date(...) or count(n) are not node patterns
+    if (match.index > 0 && /[\w`]/.test(text[match.index - 1])) {
+      continue;
+    }
+
+    let cursor = start + match[0].length;
+    let map = null;
+    if (masked[cursor] === '{') {
+      const close = findClosing(masked, cursor, clause.end);
+      if (close === -1) {
+        continue;
+      }
+      map = { start: cursor, end: close + 1, entries: parseMapEntries(masked, cursor, close) };
+      cursor = close + 1;
+      while (cursor < clause.end && /\s/.test(masked[cursor])) cursor++;
+    }
+    if (masked[cursor] !== ')' || (!match[1] && !match[2] && !map)) {
+      continue;
+    }
+
+    const labels = [...match[2].matchAll(new RegExp(`:\\s*(${NAME})`, 'g'))].map(m => unquote(m[1]));
+    nodes.push({ variable: match[1] || null, labels, map, start, end: cursor + 1 });
+    NODE_HEAD_PATTERN.lastIndex = cursor + 1 - clause.start;
+  }
+
+  return nodes;
+}
+
+/**
+ * Relationship patterns `-[var:TYPE]->` in a clause, with the node patterns on either side
+ */
+function parseRelationshipPatterns(masked, clause, nodes) {
+  const relationships = [];
+  const text = masked.slice(clause.start, clause.end);
+
+  for (const match of text.matchAll(RELATIONSHIP_PATTERN)) {
+    const start = clause.start + match.index;
+    const end = start + match[0].length;
+    const inner = match[2].match(new RegExp(`^\\s*([A-Za-z_]\\w*)?\\s*(?::\\s*(${NAME}))?`));
+
+    const left = [...nodes].reverse().find(node => node.end <= start && !masked.slice(node.end, start).trim());
+    const right = nodes.find(node => node.start >= end && !masked.slice(end, node.start).trim());
+
+    relationships.push({
+      variable: inner?.[1] || null,
+      type: inner?.[2] ? unquote(inner[2]) : null,
+      direction: match[3] ? 'right' : (match[1] ? 'left' : 'none'),
+      left,
+      right
+    });
+  }
+
+  return relationships;
+}
+
+/**
+ * SET assignments `var.prop = value` in a clause, including ON CREATE SET / ON MATCH SET
+ */
+function parseSetRegions(masked, clause) {
+  const text = masked.slice(clause.start, clause.end);
+  const starts = [];
+
+  if (clause.keyword === 'SET') {
+    starts.push({ start: clause.start, bodyStart: clause.start + 3 });
+  }
+  for (const match of text.matchAll(/\bON\s+(CREATE|MATCH)\s+SET\b/gi)) {
+    starts.push({ start: clause.start + match.index, bodyStart: clause.start + match.index + match[0].length });
+  }
+
+  return starts.map((region, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].start : clause.end;
+    const items = splitTopLevel(masked, region.bodyStart, end).map(segment => {
+      const match = masked.slice(segment.start, segment.end).match(SET_ITEM_PATTERN);
+      return { ...segment, variable: match?.[1] || null, property: match ? unquote(match[2]) : null };
+    });
+    return { start: region.start, bodyStart: region.bodyStart, end, items };
+  });
+}
+
+/**
+ * Variables a clause references (labels, relationship types, properties and map keys excluded)
+ */
+function referencedVariables(masked, clause) {
+  const text = masked.slice(clause.start, clause.end);
+  const variables = new Set();
+  for (const match of text.matchAll(/[A-Za-z_]\w*/g)) {
+    const before = text.slice(0, match.index).trimEnd();
+    const after = text.slice(match.index + match[0].length).trimStart();
+    const prev = before[before.length - 1];
+    if (prev === '.' || prev === ':' || prev === '$' || /\w/.test(text[match.index - 1] || '')) {
+      continue;
+    }
+    if ((prev === '{' || prev === ',') && after.startsWith(':')) {
+      continue;
+    }
+    variables.add(match[0]);
+  }
+  return variables;
+}
+
+/**
+ * Parse Cypher into statements, clauses and the patterns the checker looks at
+ */
+function analyzeCypher(cypher) {
+  const masked = maskLiterals(cypher);
+  const documentLabels = new Map();
+
+  const statements = splitStatements(masked).map((statement, index) => {
+    const upper = masked.slice(statement.start, statement.end).trim().toUpperCase();
+    const schemaModification = /^(CREATE|DROP)\s+(CONSTRAINT|INDEX)\b/.test(upper);
+    const clauses = schemaModification ? [] : splitClauses(masked, statement.start, statement.end).map(clause => {
+      const nodes = parseNodePatterns(masked, clause);
+      return {
+        ...clause,
+        nodes,
+        relationships: parseRelationshipPatterns(masked, clause, nodes),
+        setRegions: parseSetRegions(masked, clause)
+      };
+    });
+
+    const variableLabels = new Map();
+    for (const clause of clauses) {
+      for (const node of clause.nodes) {
+        if (node.variable && node.labels.length > 0 && !variableLabels.has(node.variable)) {
+          variableLabels.set(node.variable, node.labels);
+        }
+      }
+    }
+    for (const [variable, labels] of variableLabels) {
+      if (!documentLabels.has(variable)) {
+        documentLabels.set(variable, labels);
+      }
+    }
+
+    return { ...statement, index, schemaModification, clauses, variableLabels };
+  });
+
+  // Generated Cypher often spreads one entity over several statements, so fall back to
+  // labels bound elsewhere in the text when a statement only references a variable
+  const labelsOf = (statement, node) => {
+    if (!node) {
+      return [];
+    }
+    if (node.labels.length > 0) {
+      return node.labels;
+    }
+    return statement.variableLabels.get(node.variable) || documentLabels.get(node.variable) || [];
+  };
+
+  return { masked, statements, labelsOf };
+}
+
+function relationshipKey(from, type, to) {
+  return `${from}|${type}|${to}`;
+}
+
+function formatPattern(from, type, to) {
+  return `(:${from})-[:${type}]->(:${to})`;
+}
+
+/**
+ * Find schema violations, keeping the position of each one for stripping
+ */
+function findViolations(cypher, schema) {
+  const analysis = analyzeCypher(cypher);
+  const { masked, statements, labelsOf } = analysis;
+  const nodes = schema?.nodes || {};
+  const relationships = (schema?.relationships || []).filter(rel => rel?.type && rel?.from && rel?.to);
+  const knownRelationships = new Set(relationships.map(rel => relationshipKey(rel.from, rel.type, rel.to)));
+  const knownTypes = new Set(relationships.map(rel => rel.type));
+  const knownProperty = (label, property) =>
+    BOOKKEEPING_PROPERTIES.has(property) || (Array.isArray(nodes[label]) && nodes[label].includes(property));
+
+  const findings = [];
+  const seen = new Set();
+
+  const report = (statement, clause, target, violation) => {
+    const key = `${statement.index}|${violation.type}|${violation.label}|${violation.property}|` +
+      `${violation.relationshipType}|${violation.from}|${violation.to}`;
+    const first = !seen.has(key);
+    seen.add(key);
+    findings.push({
+      statement,
+      clause,
+      target,
+      report: first,
+      violation: {
+        ...violation,
+        statementIndex: statement.index,
+        clause: cypher.slice(clause.start, clause.end).trim().slice(0, 200)
+      }
+    });
+  };
+
+  for (const statement of statements) {
+    for (const clause of statement.clauses) {
+      for (const node of clause.nodes) {
+        for (const label of node.labels) {
+          if (!Object.prototype.hasOwnProperty.call(nodes, label)) {
+            report(statement, clause, { scope: 'clause' }, {
+              type: 'unknown_label',
+              label,
+              message: `Label "${label}" is not in the schema`
+            });
+          }
+        }
+
+        const labels = labelsOf(statement, node).filter(label => Object.prototype.hasOwnProperty.call(nodes, label));
+        if (!node.map || labels.length === 0) {
+          continue;
+        }
+        for (const entry of node.map.entries) {
+          if (entry.key && !labels.some(label => knownProperty(label, entry.key))) {
+            report(statement, clause, { scope: 'mapEntry', map: node.map, entry }, {
+              type: 'unknown_property',
+              label: labels[0],
+              property: entry.key,
+              message: `Property "${entry.key}" is not defined for label "${labels[0]}"`
+            });
+          }
+        }
+      }
+
+      for (const region of clause.setRegions) {
+        for (const item of region.items) {
+          if (!item.variable) {
+            continue;
+          }
+          const labels = (statement.variableLabels.get(item.variable) || [])
+            .filter(label => Object.prototype.hasOwnProperty.call(nodes, label));
+          if (labels.length > 0 && !labels.some(label => knownProperty(label, item.property))) {
+            report(statement, clause, { scope: 'setItem', region, item }, {
+              type: 'unknown_property',
+              label: labels[0],
+              property: item.property,
+              message: `Property "${item.property}" is not defined for label "${labels[0]}"`
+            });
+          }
+        }
+      }
+
+      for (const rel of clause.relationships) {
+        if (!rel.type) {
+          continue;
+        }
+        if (!knownTypes.has(rel.type)) {
+          report(statement, clause, { scope: 'clause' }, {
+            type: 'unknown_relationship_type',
+            relationshipType: rel.type,
+            message: `Relationship type "${rel.type}" is not in the schema`
+          });
+          continue;
+        }
+
+        const leftLabels = labelsOf(statement, rel.left).filter(label => Object.prototype.hasOwnProperty.call(nodes, label));
+        const rightLabels = labelsOf(statement, rel.right).filter(label => Object.prototype.hasOwnProperty.call(nodes, label));
+        if (leftLabels.length === 0 || rightLabels.length === 0) {
+          continue; // unknown or unresolved endpoints are reported as labels, not endpoints
+        }
+
+        const [fromLabels, toLabels] = rel.direction === 'left' ? [rightLabels, leftLabels] : [leftLabels, rightLabels];
+        const connects = (from, to) => from.some(f => to.some(t => knownRelationships.has(relationshipKey(f, rel.type, t))));
+        if (connects(fromLabels, toLabels) || (rel.direction === 'none' && connects(toLabels, fromLabels))) {
+          continue;
+        }
+
+        const expected = relationships
+          .filter(schemaRel => schemaRel.type === rel.type)
+          .map(schemaRel => ({ from: schemaRel.from, to: schemaRel.to }));
+        const reversed = connects(toLabels, fromLabels);
+        report(statement, clause, { scope: 'clause' }, {
+          type: 'invalid_relationship_endpoints',
+          relationshipType: rel.type,
+          from: fromLabels[0],
+          to: toLabels[0],
+          expected,
+          reversed,
+          message: `${formatPattern(fromLabels[0], rel.type, toLabels[0])} does not match the schema ` +
+            `(expected ${expected.map(e => formatPattern(e.from, rel.type, e.to)).join(' or ')}` +
+            `${reversed ? '; direction is reversed' : ''})`
+        });
+      }
+    }
+  }
+
+  return { analysis, masked, findings };
+}
+
+/**
+ * Check Cypher against a schema
+ * @param {string} cypher - Generated Cypher
+ * @param {{nodes: object, relationships: Array}} schema - Extracted schema
+ * @returns {{conforms: boolean, violations: Array<object>, counts: object}}
+ */
+export function checkCypherConformance(cypher, schema) {
+  const { findings } = findViolations(cypher || '', schema);
+  const violations = findings.filter(finding => finding.report).map(finding => finding.violation);
+
+  const counts = Object.fromEntries(VIOLATION_TYPES.map(type => [type, 0]));
+  for (const violation of violations) {
+    counts[violation.type]++;
+  }
+
+  return { conforms: violations.length === 0, violations, counts };
+}
+
+/**
+ * Remove non-conforming parts of Cypher
+ * Unknown properties are removed from their map or SET clause; clauses with unknown labels,
+ * unknown relationship types or wrong endpoints are removed, together with later clauses that
+ * use a variable only those clauses bound. Statements left without a write clause are dropped.
+ * @param {string} cypher - Generated Cypher
+ * @param {{nodes: object, relationships: Array}} schema - Extracted schema
+ * @returns {{cypher: string, removedClauses: number, removedProperties: number, removedStatements: number}}
+ */
+export function stripNonConformingCypher(cypher, schema) {
+  const { analysis, masked, findings } = findViolations(cypher || '', schema);
+  if (findings.length === 0) {
+    return { cypher, removedClauses: 0, removedProperties: 0, removedStatements: 0 };
+  }
+
+  const removedClauseSet = new Set(findings.filter(f => f.target.scope === 'clause').map(f => f.clause));
+
+  // A SET clause that loses all of its assignments is removed as a whole
+  const removedSetItems = new Map();
+  for (const finding of findings.filter(f => f.target.scope === 'setItem')) {
+    const items = removedSetItems.get(finding.target.region) || new Set();
+    removedSetItems.set(finding.target.region, items.add(finding.target.item));
+    if (finding.clause.keyword === 'SET' && items.size === finding.target.region.items.length) {
+      removedClauseSet.add(finding.clause);
+    }
+  }
+
+  const edits = [];
+  let removedClauses = 0;
+  let removedStatements = 0;
+
+  for (const statement of analysis.statements) {
+    const available = new Set();
+    const lost = new Set();
+    const kept = [];
+    let removedInStatement = 0;
+
+    for (const clause of statement.clauses) {
+      const bound = [
+        ...clause.nodes.map(node => node.variable),
+        ...clause.relationships.map(rel => rel.variable)
+      ].filter(Boolean);
+      const usesLost = [...referencedVariables(masked, clause)].some(v => lost.has(v) && !available.has(v));
+
+      if (removedClauseSet.has(clause) || usesLost) {
+        removedClauseSet.add(clause);
+        bound.filter(v => !available.has(v)).forEach(v => lost.add(v));
+        removedInStatement++;
+      } else {
+        bound.forEach(v => available.add(v));
+        kept.push(clause);
+      }
+    }
+
+    if (removedInStatement === 0) {
+      continue;
+    }
+
+    // A query cannot end in WITH/MATCH/UNWIND, so drop what trails the last kept write clause
+    const lastWrite = kept.findLastIndex(clause => WRITE_CLAUSES.has(clause.keyword) || clause.keyword === 'RETURN');
+    for (const clause of kept.splice(lastWrite + 1)) {
+      removedClauseSet.add(clause);
+      removedInStatement++;
+    }
+    removedClauses += removedInStatement;
+
+    if (!kept.some(clause => WRITE_CLAUSES.has(clause.keyword))) {
+      edits.push({ start: statement.start, end: statement.hasSemicolon ? statement.end + 1 : statement.end, text: '' });
+      removedStatements++;
+      continue;
+    }
+
+    // Remove runs of adjacent clauses; a run at the end takes the whitespace before it along,
+    // so the semicolon stays on the last kept line
+    let run = null;
+    const closeRun = () => {
+      if (!run) {
+        return;
+      }
+      if (run.end === statement.end) {
+        while (run.start > statement.start && /\s/.test(cypher[run.start - 1])) run.start--;
+      }
+      edits.push({ ...run, text: '' });
+      run = null;
+    };
+    for (const clause of statement.clauses) {
+      if (!removedClauseSet.has(clause)) {
+        closeRun();
+      } else if (run) {
+        run.end = clause.end;
+      } else {
+        run = { start: clause.start, end: clause.end };
+      }
+    }
+    closeRun();
+  }
+
+  // Property removals, grouped per map / SET region, outside removed clauses
+  const groups = new Map();
+  let removedProperties = 0;
+  for (const finding of findings) {
+    if (finding.target.scope === 'clause' || removedClauseSet.has(finding.clause)) {
+      continue;
+    }
+    if (edits.some(edit => edit.start <= finding.clause.start && finding.clause.end <= edit.end)) {
+      continue; // statement dropped
+    }
+    const container = finding.target.map || finding.target.region;
+    const removed = finding.target.entry || finding.target.item;
+    if (!groups.has(container)) {
+      groups.set(container, { scope: finding.target.scope, removed: new Set() });
+    }
+    groups.get(container).removed.add(removed);
+  }
+
+  for (const [container, group] of groups) {
+    const entries = group.scope === 'mapEntry' ? container.entries : container.items;
+    const keptEntries = entries.filter(entry => !group.removed.has(entry)).map(entry => cypher.slice(entry.start, entry.end));
+    removedProperties += group.removed.size;
+
+    if (group.scope === 'mapEntry') {
+      let start = container.start;
+      if (keptEntries.length === 0) {
+        while (start > 0 && /[ \t]/.test(cypher[start - 1])) start--;
+      }
+      edits.push({ start, end: container.end, text: keptEntries.length > 0 ? `{${keptEntries.join(', ')}}` : '' });
+    } else {
+      const trailing = cypher.slice(container.start, container.end).match(/\s*$/)[0];
+      edits.push({
+        start: container.start,
+        end: container.end,
+        text: keptEntries.length > 0
+          ? `${cypher.slice(container.start, container.bodyStart)} ${keptEntries.join(', ')}${trailing}`
+          : trailing
+      });
+    }
+  }
+
+  let result = cypher;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  result = result
+    .replace(/\n[ \t]*(?=\n)/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { cypher: result, removedClauses, removedProperties, removedStatements };
+}
+
+/**
+ * Check a document's pending Cypher results against its latest schema and apply the policy
+ * The report is stored on each ChunkCypherResult as `conformance`. Results already executed
+ * are not checked again.
+ * @param {string} docId - Document ID
+ * @param {object} options - Check options
+ * @param {string} options.policy - warn, strip or fail
+ * @returns {Promise<object>} - Summary across all checked results
+ * @throws {Error} - With policy "fail", when any result does not conform (after storing the reports)
+ */
+export async function checkDocumentConformance(docId, { policy = process.env.CYPHER_CONFORMANCE_POLICY || 'warn' } = {}) {
+  assertConformancePolicy(policy);
+
+  const summary = {
+    policy,
+    schemaVersion: null,
+    checkedResults: 0,
+    nonConformingResults: 0,
+    violationCount: 0,
+    counts: Object.fromEntries(VIOLATION_TYPES.map(type => [type, 0])),
+    removedClauses: 0,
+    removedProperties: 0,
+    excludedResults: 0
+  };
+
+  const schemaDoc = await Schema.findLatest(docId);
+  if (!schemaDoc || !schemaDoc.nodes || Object.keys(schemaDoc.nodes).length === 0) {
+    logger.warn('No schema to check Cypher conformance against', { docId });
+    return { ...summary, skipped: true };
+  }
+
+  const schema = { nodes: schemaDoc.nodes, relationships: schemaDoc.relationships };
+  summary.schemaVersion = schemaDoc.version;
+
+  const results = await ChunkCypherResult.find({ docId, status: { $in: ['generated', 'validated'] } }).sort({ createdAt: 1 });
+
+  for (const result of results) {
+    const report = checkCypherConformance(result.generatedCypher, schema);
+    const update = {
+      checkedAt: new Date(),
+      policy,
+      schemaVersion: schemaDoc.version,
+      conforms: report.conforms,
+      violationCount: report.violations.length,
+      counts: report.counts,
+      violations: report.violations.slice(0, MAX_STORED_VIOLATIONS),
+      removedClauses: 0,
+      removedProperties: 0,
+      excluded: false,
+      // Keep the Cypher from before an earlier strip
+      originalCypher: result.conformance?.originalCypher || null
+    };
+
+    let generatedCypher = result.generatedCypher;
+    if (policy === 'strip' && !report.conforms) {
+      const stripped = stripNonConformingCypher(result.generatedCypher, schema);
+      update.removedClauses = stripped.removedClauses;
+      update.removedProperties = stripped.removedProperties;
+      update.originalCypher = update.originalCypher || result.generatedCypher;
+      if (stripped.cypher) {
+        generatedCypher = stripped.cypher;
+      } else {
+        // Nothing conforming is left - ingestion skips the result
+        update.excluded = true;
+        summary.excludedResults++;
+      }
+    }
+
+    await result.updateOne({ generatedCypher, conformance: update });
+
+    summary.checkedResults++;
+    summary.violationCount += report.violations.length;
+    summary.removedClauses += update.removedClauses;
+    summary.removedProperties += update.removedProperties;
+    for (const type of VIOLATION_TYPES) {
+      summary.counts[type] += report.counts[type];
+    }
+    if (!report.conforms) {
+      summary.nonConformingResults++;
+    }
+  }
+
+  summary.conforms = summary.nonConformingResults === 0;
+
+  const logMeta = {
+    docId,
+    policy,
+    schemaVersion: summary.schemaVersion,
+    nonConformingResults: summary.nonConformingResults,
+    violationCount: summary.violationCount,
+    counts: summary.counts
+  };
+  if (summary.conforms) {
+    logger.info('Cypher conforms to schema', logMeta);
+  } else {
+    logger.warn('Cypher does not conform to schema', logMeta);
+  }
+  emitPipelineEvent(docId, 'conformance', summary);
+
+  if (policy === 'fail' && !summary.conforms) {
+    throw new Error(
+      `Cypher does not conform to schema version ${schemaDoc.version}: ` +
+      `${summary.violationCount} violation(s) in ${summary.nonConformingResults} result(s)`
+    );
+  }
+
+  return summary;
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCypherConformance, stripNonConformingCypher, assertConformancePolicy } from './cypherConformance.js';
+
+const schema = {
+  nodes: { Person: ['personId', 'name'], Company: ['companyId'] },
+  relationships: [{ type: 'WORKS_AT', from: 'Person', to: 'Company' }]
+};
+
+const cypher = `MERGE (p:Person {personId: "P1", name: "a;}", age: 3}) SET p.nick = "x", p.updatedAt = 1;
+MERGE (c:Company {companyId: "C1"});
+MERGE (g:Galaxy {id: 1}) MERGE (p)-[:LIVES_IN]->(g);
+MATCH (p:Person {personId: "P1"}), (c:Company {companyId: "C1"}) MERGE (c)-[:WORKS_AT]->(p);
+MERGE (q:Person {personId: "P2", note: "MERGE (z:Bad {x: 1}) ; }"})`;
+
+test('violations are reported by type, ignoring text inside strings', () => {
+  const { conforms, counts, violations } = checkCypherConformance(cypher, schema);
+  assert.equal(conforms, false);
+  assert.deepEqual(counts, {
+    unknown_label: 1,
+    unknown_property: 3,
+    unknown_relationship_type: 1,
+    invalid_relationship_endpoints: 1
+  });
+  assert.deepEqual(violations.filter(v => v.type === 'unknown_property').map(v => v.property), ['age', 'nick', 'note']);
+  assert.ok(!violations.some(v => v.label === 'Bad'));
+
+  const reversed = violations.find(v => v.type === 'invalid_relationship_endpoints');
+  assert.equal(reversed.reversed, true);
+});
+
+test('conforming Cypher has no violations', () => {
+  const { conforms, violations } = checkCypherConformance(
+    'MERGE (p:Person {personId: "P1"}) MERGE (c:Company {companyId: "C1"}) MERGE (p)-[:WORKS_AT]->(c)',
+    schema
+  );
+  assert.equal(conforms, true);
+  assert.deepEqual(violations, []);
+});
+
+test('stripping removes offending clauses, properties and statements', () => {
+  const stripped = stripNonConformingCypher(cypher, schema);
+  assert.equal(stripped.cypher, [
+    'MERGE (p:Person {personId: "P1", name: "a;}"}) SET p.updatedAt = 1;',
+    'MERGE (c:Company {companyId: "C1"});',
+    'MERGE (q:Person {personId: "P2"})'
+  ].join('\n'));
+  assert.equal(stripped.removedStatements, 2);
+  assert.equal(checkCypherConformance(stripped.cypher, schema).conforms, true);
+});
+
+test('conforming Cypher is not changed by stripping', () => {
+  const conforming = 'MERGE (c:Company {companyId: "C1"})';
+  assert.deepEqual(stripNonConformingCypher(conforming, schema), {
+    cypher: conforming, removedClauses: 0, removedProperties: 0, removedStatements: 0
+  });
+});
+
+test('unknown policies are rejected with 400', () => {
+  assert.doesNotThrow(() => assertConformancePolicy('strip'));
+  assert.throws(() => assertConformancePolicy('ignore'), error => error.status === 400);
+});
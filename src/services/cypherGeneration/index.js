@@ -3,28 +3,76 @@
  * Generates Cypher queries from documents using LLM models
  */
 
-import { callLLM, extractCypher } from '../../utils/llm.js';
+import { callLLM, extractCypher, extractJSON } from '../../utils/llm.js';
 import { logger } from '../../utils/logger.js';
 import ChunkCypherResult from '../../models/ChunkCypherResult.js';
 import DocumentChunk from '../../models/DocumentChunk.js';
 import Schema from '../../models/Schema.js';
 import Document from '../../models/Document.js';
-import { detectDocumentType, getDocumentTypePrompts } from '../../utils/documentTypeDetector.js';
+import { detectDocumentType } from '../../utils/documentTypeDetector.js';
 import { retryWithBackoff, isRetryableError } from '../../utils/retry.js';
-import { formatStructuredCypher } from '../../utils/formatCypher.js';
+import { formatStructuredCypherWithReport } from '../../utils/formatCypher.js';
+import { parseCypher, statementNodes, statementRelationships, formatName, applyEdits } from '../../utils/cypherParser.js';
+import { emitPipelineEvent } from '../pipelineEvents.js';
+import { buildExtractionPrompt, normalizeExtractedGraph, generateParameterisedCypher } from './structured.js';
+import { resolveDocumentSchemaPack, canonicalizeRelationship, getVariablePrefix, getIdProperty, getLabelForIdProperty } from '../schemaPacks.js';
+import { promptBudget, contextWindowOptions } from '../../utils/tokens.js';
+import { fitTextToBudget } from '../../utils/chunking.js';
+import { matchTableMapping, tableRowsToGraph } from '../tableMapping.js';
+import { omitTableText } from '../parsing/tables.js';
 
 const CYPHER_MODEL_PROVIDER = process.env.CYPHER_MODEL_PROVIDER || 'ollama';
 const TEXT2CYPHER_MODEL_HF = process.env.TEXT2CYPHER_MODEL_HF || 'tomasonjo/text2cypher-demo-16bit';
 const TEXT2CYPHER_MODEL_OLLAMA = process.env.TEXT2CYPHER_MODEL_OLLAMA || 'deepseek-r1:7b';
 const CYPHER_GENERATION_TIMEOUT = parseInt(process.env.CYPHER_GENERATION_TIMEOUT_MS || process.env.OLLAMA_TIMEOUT_MS || '900000'); // 15 minutes default
 
+// Tokens the answer may take (max_new_tokens), kept free in the context window
+const CHUNK_OUTPUT_TOKENS = 1024;
+const FULL_DOCUMENT_OUTPUT_TOKENS = 8192;
+
+/**
+ * Pick a relationship to illustrate the generic rules in the prompt
+ * Uses the pack's first canonical direction, else the first schema relationship between two known labels
+ * @param {object} schema - Graph schema
+ * @param {object|null} pack - Schema pack
+ * @returns {{from: object, type: string, to: object}}
+ */
+function pickPromptSample(schema, pack) {
+  const rel = pack?.canonicalDirections[0] ||
+    schema.relationships.find(r => r.from !== r.to && schema.nodes[r.from] && schema.nodes[r.to]);
+
+  if (!rel) {
+    return {
+      from: { label: 'Person', idProp: 'personId', variable: 'p' },
+      type: 'WORKS_FOR',
+      to: { label: 'Organization', idProp: 'organizationId', variable: 'o' }
+    };
+  }
+
+  const describe = (label) => ({
+    label,
+    idProp: getIdProperty(pack, label) || `${label.charAt(0).toLowerCase()}${label.slice(1)}Id`,
+    variable: getVariablePrefix(pack, label)
+  });
+  const from = describe(rel.from);
+  const to = describe(rel.to);
+  if (to.variable === from.variable) {
+    to.variable = `${to.variable}2`;
+  }
+  return { from, type: rel.type, to };
+}
+
 /**
  * Build Cypher generation prompt
+ * Relationship directions, naming examples and few-shot examples come from the schema pack
+ * when one is selected, otherwise from the extracted schema itself. The text is used as given;
+ * callers fit it into the model's context window first (see fitTextToBudget).
  * @param {object} schema - Graph schema
- * @param {string} chunkText - Chunk text content
+ * @param {string} chunkText - Chunk or document text
  * @param {string} docType - Document type (business, financial, technical, etc.)
+ * @param {object|null} pack - Schema pack selected for the document
  */
-function buildCypherPrompt(schema, chunkText, docType = 'general') {
+function buildCypherPrompt(schema, chunkText, docType = 'general', pack = null) {
   // Format schema for prompt
   const nodeTypes = Object.entries(schema.nodes)
     .map(([label, props]) => `  - ${label}: [${props.join(', ')}]`)
@@ -34,31 +82,52 @@ function buildCypherPrompt(schema, chunkText, docType = 'general') {
     .map(rel => `  - ${rel.from} --[${rel.type}]--> ${rel.to}`)
     .join('\n');
 
-  // Get document type-specific hints
-  const typePrompts = getDocumentTypePrompts(docType);
-
-  // Truncate chunk text if too long
-  // For full document mode, use larger limit (15000 chars)
-  // For chunked mode, use smaller limit (2000 chars)
-  const isFullDocument = chunkText.length > 5000; // Heuristic: full documents are usually longer
-  const maxChunkLength = isFullDocument ? 15000 : 2000;
-  const truncatedChunk = chunkText.length > maxChunkLength
-    ? chunkText.substring(0, maxChunkLength) + '\n[... text continues ...]'
-    : chunkText;
-
-  // Build relationship examples from reference schema
-  const relationshipExamples = [
-    'Account --[HELD_BY]--> Party',
-    'Account --[HAS_ADDRESS]--> Address',
-    'Account --[EXECUTED_TRADE]--> Trade',
-    'Account --[HAS_POSITION]--> Position',
-    'Account --[HAS_HOLDING]--> Holding',
-    'Account --[HAS_INVESTMENT]--> Investment',
-    'Party --[HAS_ACCOUNT]--> Account',
-    'Address --[BELONGS_TO]--> Party',
-    'Security --[HAS_TRADE]--> Trade',
-    'Security --[INVOLVED_IN_INVESTMENT]--> Investment'
-  ].join(', ');
+  // Canonical directions come from the pack; without one, the schema's relationships are the reference
+  const directions = pack?.canonicalDirections.length ? pack.canonicalDirections : schema.relationships;
+  const variableFor = (label) => getVariablePrefix(pack, label);
+
+  const relationshipExamples = directions
+    .slice(0, 10)
+    .map(rel => `${rel.from} --[${rel.type}]--> ${rel.to}`)
+    .join(', ');
+
+  const directionLines = directions
+    .map(rel => `     * ${rel.from} → ${rel.to}: (${variableFor(rel.from)})-[:${rel.type}]->(${variableFor(rel.to)}) ✅`)
+    .join('\n');
+
+  const wrongDirectionLines = directions
+    .filter(rel => rel.from !== rel.to)
+    .slice(0, 2)
+    .map(rel => `     * WRONG: (${variableFor(rel.to)})-[:${rel.type}]->(${variableFor(rel.from)}) ❌\n` +
+      `     * CORRECT: (${variableFor(rel.from)})-[:${rel.type}]->(${variableFor(rel.to)}) ✅`)
+    .join('\n');
+
+  const redundantLines = (pack?.redundantRelationships || [])
+    .filter(rule => rule.preferred)
+    .map(rule => `     * Use ONLY: ${rule.preferred} ✅\n` +
+      `     * NOT: (${variableFor(rule.from)})-[:${rule.type}]->(${variableFor(rule.to)}) ❌`)
+    .join('\n');
+
+  const labels = Object.keys(schema.nodes).slice(0, 5);
+  const idProps = labels
+    .map(label => getIdProperty(pack, label) || (schema.nodes[label] || []).find(p => /Id$/.test(p)))
+    .filter(Boolean);
+
+  const sample = pickPromptSample(schema, pack);
+  const { from: a, to: b } = sample;
+
+  const correctExample = pack?.examples.correct.length
+    ? `\nEXAMPLE (CORRECT - Proper Directions):\n${pack.examples.correct.join('\n')}\n`
+    : '';
+
+  const wrongExamples = [
+    `MERGE (${a.variable})-[:${sample.type}]->({${b.idProp}: "987"}) ❌ - Node created inline`,
+    `MERGE (${b.variable}:${b.label} {${a.idProp}: ${a.variable}.${a.idProp}}) ❌ - Variable reference in MERGE`,
+    `MERGE (${a.variable})-[:CONNECTS_TO]->(${b.variable}) ❌ - Generic relationship name`,
+    `MERGE (${b.variable}:${b.label} {date: date("12/11/25")}) ❌ - Invalid date format`,
+    ...(pack?.examples.wrong || []).map(example => `${example.cypher} ❌ - ${example.reason}`),
+    `MERGE (${a.variable})-[:${sample.type}]-&gt;(${b.variable}) ❌ - HTML entity (should be ->)`
+  ].join('\n');
 
   return `Generate Cypher MERGE statements from this ${docType} document.
 
@@ -67,136 +136,378 @@ Nodes: ${nodeTypes.replace(/\n/g, ' | ')}
 Relationships: ${relationships.replace(/\n/g, ' | ')}
 
 IMPORTANT - Use Business-Meaningful Relationship Names:
-For financial/business documents, use these relationship types:
+For this document, use these relationship types:
 ${relationshipExamples}
 NOT generic names like CONNECTS_TO or RELATED_TO.
-
+${pack?.hints.cypher ? `\nDomain guidance (${pack.name}): ${pack.hints.cypher}\n` : ''}
 Text:
-${truncatedChunk}
+${chunkText}
 
 CRITICAL RULES - Follow These Exactly:
 
 1. ✅ NODE CREATION - Always Explicit:
    - ALWAYS use MERGE (var:LabelName {keyProperty: value}) for nodes
    - NEVER create nodes inline in relationships
-   - WRONG: MERGE (a)-[:HAS_ADDRESS]->({addressId: "987"}) ❌
+   - WRONG: MERGE (${a.variable})-[:${sample.type}]->({${b.idProp}: "987"}) ❌
    - CORRECT: 
-     MERGE (addr:Address {addressId: "987"})
-     MERGE (a)-[:HAS_ADDRESS]->(addr) ✅
+     MERGE (${b.variable}:${b.label} {${b.idProp}: "987"})
+     MERGE (${a.variable})-[:${sample.type}]->(${b.variable}) ✅
    - If a node is mentioned, create it explicitly FIRST, then link it
 
 2. ✅ RELATIONSHIP SEMANTICS - Business-Meaningful & Correct Direction:
    - Use UPPER_SNAKE_CASE for relationship types
    - Use business-meaningful names with CORRECT direction (subject → object):
-     * Party → Account: (party)-[:HAS_ACCOUNT]->(account) ✅
-     * Account → Address: (account)-[:HAS_ADDRESS]->(address) ✅
-     * Account → Trade: (account)-[:EXECUTED_TRADE]->(trade) ✅
-     * Account → Position: (account)-[:HAS_POSITION]->(position) ✅
-     * Account → Holding: (account)-[:HAS_HOLDING]->(holding) ✅
-     * Account → Investment: (account)-[:HAS_INVESTMENT]->(investment) ✅
-     * Trade → Security: (trade)-[:ON_SECURITY]->(security) ✅
-     * Investment → Security: (investment)-[:IN_SECURITY]->(security) ✅
-     * Position → Security: (position)-[:IN_SECURITY]->(security) ✅
-     * Holding → Security: (holding)-[:IN_SECURITY]->(security) ✅
+${directionLines}
    - CRITICAL: Direction must be subject → object:
-     * WRONG: (position)-[:HAS_POSITION]->(account) ❌
-     * CORRECT: (account)-[:HAS_POSITION]->(position) ✅
-     * WRONG: (trade)-[:EXECUTED_TRADE]->(account) ❌
-     * CORRECT: (account)-[:EXECUTED_TRADE]->(trade) ✅
-   - Avoid redundant bidirectional relationships:
-     * Use ONLY: (party)-[:HAS_ACCOUNT]->(account) ✅
-     * NOT BOTH: (party)-[:HAS_ACCOUNT]->(account) AND (account)-[:HELD_BY]->(party) ❌
-   - Address ownership: Use (party)-[:HAS_ADDRESS]->(address) as primary
-   - NOT generic: CONNECTS_TO, RELATED_TO, LINKS_TO ❌
+${wrongDirectionLines}
+${redundantLines ? `   - Avoid redundant bidirectional relationships:\n${redundantLines}\n` : ''}   - NOT generic: CONNECTS_TO, RELATED_TO, LINKS_TO ❌
 
 3. ✅ PROPERTIES - Complete and Consistent:
-   - Use camelCase: accountId, partyId, securityId, addressId, tradeId
-   - Include ALL explicitly mentioned attributes (accountType, tradeDate, etc.)
+   - Use camelCase${idProps.length ? `: ${idProps.join(', ')}` : ''}
+   - Include ALL explicitly mentioned attributes
    - Do NOT invent values - if missing, skip property
-   - Keep property names consistent (don't mix productId and securityId)
+   - Keep property names consistent (use the same ID property for a label everywhere)
    - Match property names exactly as shown in schema
 
 4. ✅ NAMING CONSISTENCY:
-   - Node labels: PascalCase (Account, Party, Security, Trade, Address)
-   - Relationship types: UPPER_SNAKE_CASE (HELD_BY, HAS_ADDRESS, OWNS)
-   - Properties: camelCase (accountId, partyId, securityId)
+   - Node labels: PascalCase (${labels.join(', ')})
+   - Relationship types: UPPER_SNAKE_CASE (${sample.type})
+   - Properties: camelCase (${idProps.join(', ') || `${a.idProp}, ${b.idProp}`})
 
 5. ✅ DATES - Valid ISO Format Only:
    - Use date("YYYY-MM-DD") ONLY if ISO format is confirmed
-   - If invalid format (e.g., "12/11/25"), skip and comment: // INVALID DATE FORMAT: tradeDate = "12/11/25"
+   - If invalid format (e.g., "12/11/25"), skip and comment: // INVALID DATE FORMAT: date = "12/11/25"
    - If missing, skip property (don't invent dates)
 
 6. ✅ MERGE EVERYWHERE - Idempotent:
    - Use MERGE for ALL nodes and relationships (idempotent)
    - Use SET for updating properties: SET n.property = value
    - Use ON CREATE SET + ON MATCH SET if needed:
-     MERGE (a:Account {accountId: "123"})
-     ON CREATE SET a.createdAt = datetime()
-     ON MATCH SET a.updatedAt = datetime()
+     MERGE (${a.variable}:${a.label} {${a.idProp}: "123"})
+     ON CREATE SET ${a.variable}.createdAt = datetime()
+     ON MATCH SET ${a.variable}.updatedAt = datetime()
 
 7. ✅ MERGE with Literals Only:
-   - MERGE nodes using ONLY literal values: MERGE (a:Account {accountId: "123"}) ✅
-   - NEVER reference other node properties in MERGE maps: MERGE (t:Trade {securityId: s.securityId}) ❌
+   - MERGE nodes using ONLY literal values: MERGE (${a.variable}:${a.label} {${a.idProp}: "123"}) ✅
+   - NEVER reference other node properties in MERGE maps: MERGE (${b.variable}:${b.label} {${a.idProp}: ${a.variable}.${a.idProp}}) ❌
    - If linking nodes, use WITH or SET:
-     MERGE (s:Security {securityId: "101"})
-     WITH s
-     MERGE (t:Trade {securityId: "101"}) ✅
+     MERGE (${a.variable}:${a.label} {${a.idProp}: "101"})
+     WITH ${a.variable}
+     MERGE (${b.variable}:${b.label} {${a.idProp}: "101"}) ✅
    OR:
-     MERGE (s:Security {securityId: "101"})
-     MERGE (t:Trade {tradeId: "T1"})
-     SET t.securityId = s.securityId ✅
+     MERGE (${a.variable}:${a.label} {${a.idProp}: "101"})
+     MERGE (${b.variable}:${b.label} {${b.idProp}: "B1"})
+     SET ${b.variable}.${a.idProp} = ${a.variable}.${a.idProp} ✅
 
 8. ✅ RELATIONSHIP SYNTAX:
    - Use -> (not -&gt; or HTML entities)
-   - Example: MERGE (a)-[:HELD_BY]->(p) ✅
-   - Wrong: MERGE (a)-[:HELD_BY]-&gt;(p) ❌
+   - Example: MERGE (${a.variable})-[:${sample.type}]->(${b.variable}) ✅
+   - Wrong: MERGE (${a.variable})-[:${sample.type}]-&gt;(${b.variable}) ❌
 
 9. ✅ OUTPUT FORMAT:
    - Output ONLY valid Cypher code
    - No markdown, no explanations, no code blocks
    - One statement per line
    - Include all nodes and relationships from the document
-
-EXAMPLE (CORRECT - Proper Directions):
-MERGE (party1:Party {partyId: "P1", firstName: "John", lastName: "Doe"})
-MERGE (account1:Account {accountId: "A1", accountType: "Checking", accountStatus: "Active"})
-MERGE (address1:Address {addressId: "AD1", street: "123 Main St", city: "New York", state: "NY", zipCode: "10001"})
-MERGE (trade1:Trade {tradeId: "T1", tradeAmount: 1000, tradeDate: date("2024-01-15")})
-MERGE (security1:Security {securityId: "S1", securityType: "Stock"})
-MERGE (position1:Position {positionId: "POS1", quantity: 100})
-MERGE (holding1:Holding {holdingId: "HOL1", quantity: 50})
-MERGE (investment1:Investment {investmentId: "INV1", investmentAmount: 5000})
-MERGE (party1)-[:HAS_ACCOUNT]->(account1)
-MERGE (party1)-[:HAS_ADDRESS]->(address1)
-MERGE (account1)-[:HAS_ADDRESS]->(address1)
-MERGE (account1)-[:EXECUTED_TRADE]->(trade1)
-MERGE (account1)-[:HAS_POSITION]->(position1)
-MERGE (account1)-[:HAS_HOLDING]->(holding1)
-MERGE (account1)-[:HAS_INVESTMENT]->(investment1)
-MERGE (trade1)-[:ON_SECURITY]->(security1)
-MERGE (investment1)-[:IN_SECURITY]->(security1)
-MERGE (position1)-[:IN_SECURITY]->(security1)
-MERGE (holding1)-[:IN_SECURITY]->(security1)
-
+${correctExample}
 EXAMPLE (WRONG - Don't Do This):
-MERGE (a)-[:HAS_ADDRESS]->({addressId: "987"}) ❌ - Node created inline
-MERGE (t:Trade {securityId: s.securityId}) ❌ - Variable reference in MERGE
-MERGE (a)-[:CONNECTS_TO]->(b) ❌ - Generic relationship name
-MERGE (s:Security {productId: "101"}) ❌ - Wrong property name
-MERGE (t:Trade {tradeDate: date("12/11/25")}) ❌ - Invalid date format
-MERGE (pos)-[:HAS_POSITION]->(account) ❌ - Wrong direction (should be account → position)
-MERGE (trade)-[:EXECUTED_TRADE]->(account) ❌ - Wrong direction (should be account → trade)
-MERGE (account)-[:HELD_BY]->(party) ❌ - Redundant (use party-[:HAS_ACCOUNT]->account instead)
-MERGE (a)-[:HasAccount]->(b) ❌ - Wrong case (should be HAS_ACCOUNT)
-MERGE (a)-[:HAS_ADDRESS]-&gt;(b) ❌ - HTML entity (should be ->)
+${wrongExamples}
 
 Generate Cypher:`;
 }
 
+/**
+ * Label of every variable bound with a label anywhere in the parsed Cypher (first binding wins)
+ */
+function collectVariableLabels(ast) {
+  const variableLabels = new Map();
+  for (const statement of ast.statements) {
+    for (const { node } of statementNodes(statement)) {
+      if (node.variable && node.labels.length > 0 && !variableLabels.has(node.variable)) {
+        variableLabels.set(node.variable, node.labels[0]);
+      }
+    }
+  }
+  return variableLabels;
+}
+
+/**
+ * Whether an expression is date("...") with a non-ISO (YYYY-MM-DD) argument
+ */
+function isInvalidDate(value) {
+  return value?.type === 'function' && value.name.toLowerCase() === 'date' &&
+    value.args.length === 1 && value.args[0].type === 'string' &&
+    !/^\d{4}-\d{2}-\d{2}$/.test(value.args[0].value);
+}
+
+/**
+ * Fix 3: Rename property aliases declared by the pack in MERGE node maps
+ * e.g. { Security: { productId: 'securityId' } } renames productId in maps of Security nodes
+ */
+function renamePropertyAliases(cypher, pack) {
+  const ast = parseCypher(cypher);
+  const edits = [];
+
+  for (const statement of ast.statements) {
+    for (const { clause, node } of statementNodes(statement)) {
+      if (clause.type !== 'MERGE' || node.properties?.type !== 'map') {
+        continue;
+      }
+      const aliases = node.labels.map(label => pack.propertyAliases?.[label]).find(Boolean);
+      for (const entry of node.properties.entries) {
+        if (aliases?.[entry.key]) {
+          edits.push({ start: entry.keyStart, end: entry.keyEnd, text: formatName(aliases[entry.key]) });
+        }
+      }
+    }
+  }
+
+  return applyEdits(cypher, edits);
+}
+
+/**
+ * Fix 4: Replace references to other nodes' properties in MERGE maps with the literal value
+ * MERGE (t:Trade {securityId: s.securityId}) becomes MERGE (t:Trade {securityId: "101"})
+ * when s was written earlier as (s:Security {securityId: "101"})
+ */
+function inlinePropertyReferences(cypher) {
+  const ast = parseCypher(cypher);
+  const literals = new Map(); // "variable.property" -> literal text
+  const edits = [];
+
+  for (const statement of ast.statements) {
+    for (const { clause, node } of statementNodes(statement)) {
+      if (node.properties?.type !== 'map') {
+        continue;
+      }
+      for (const entry of node.properties.entries) {
+        let literal = null;
+        if (entry.value.type === 'string' || entry.value.type === 'number') {
+          literal = entry.value.text;
+        } else if (clause.type === 'MERGE' && entry.value.type === 'property') {
+          literal = literals.get(`${entry.value.variable}.${entry.value.property}`) || null;
+          if (literal) {
+            edits.push({ start: entry.value.start, end: entry.value.end, text: literal });
+          } else {
+            logger.debug('Unresolved property reference in MERGE', { reference: entry.value.text });
+          }
+        }
+        if (literal && node.variable && !literals.has(`${node.variable}.${entry.key}`)) {
+          literals.set(`${node.variable}.${entry.key}`, literal);
+        }
+      }
+    }
+  }
+
+  return applyEdits(cypher, edits);
+}
+
+/**
+ * Fix 5: Declare nodes created inline in relationships
+ * MERGE (a)-[:REL]->({addressId: "A1"}) becomes
+ * MERGE (addr:Address {addressId: "A1"}) followed by MERGE (a)-[:REL]->(addr)
+ */
+function declareInlineNodes(cypher, pack) {
+  const ast = parseCypher(cypher);
+  const usedVariables = new Set();
+  for (const statement of ast.statements) {
+    for (const { node } of statementNodes(statement)) {
+      if (node.variable) {
+        usedVariables.add(node.variable);
+      }
+    }
+  }
+  const edits = [];
+
+  for (const statement of ast.statements) {
+    const declared = new Map(); // "Label:idValue" -> variable
+    for (const clause of statement.clauses) {
+      if (clause.type !== 'MERGE' && clause.type !== 'CREATE') {
+        continue;
+      }
+      const declarations = [];
+      for (const path of clause.patterns) {
+        if (path.relationships.length === 0) {
+          continue;
+        }
+        for (const node of path.nodes) {
+          if (node.variable || node.labels.length > 0 || node.properties?.type !== 'map') {
+            continue;
+          }
+          const idEntry = node.properties.entries.find(entry => /\w+Id$/.test(entry.key) && entry.value.type === 'string');
+          if (!idEntry) {
+            continue;
+          }
+
+          const label = getLabelForIdProperty(pack, idEntry.key);
+          const key = `${label}:${idEntry.value.value}`;
+          let variable = declared.get(key);
+          if (!variable) {
+            const prefix = getVariablePrefix(pack, label);
+            variable = prefix;
+            for (let counter = 2; usedVariables.has(variable); counter++) {
+              variable = `${prefix}${counter}`;
+            }
+            usedVariables.add(variable);
+            declared.set(key, variable);
+            declarations.push(`MERGE (${variable}:${formatName(label)} ${node.properties.text})\n`);
+          }
+          edits.push({ start: node.start, end: node.end, text: `(${variable})` });
+        }
+      }
+      if (declarations.length > 0) {
+        edits.push({ start: clause.start, end: clause.start, text: declarations.join('') });
+      }
+    }
+  }
+
+  return applyEdits(cypher, edits);
+}
+
+/**
+ * Fix 6: Remove invalid date formats
+ * date("12/11/25") is dropped from property maps (set to null in SET) and noted in a comment:
+ * // INVALID DATE FORMAT: tradeDate = "12/11/25" - Expected YYYY-MM-DD
+ */
+function removeInvalidDates(cypher) {
+  const ast = parseCypher(cypher);
+  const edits = [];
+
+  for (const statement of ast.statements) {
+    for (const clause of statement.clauses) {
+      const notes = [];
+
+      for (const path of clause.patterns || []) {
+        for (const element of [...path.nodes, ...path.relationships]) {
+          const map = element.properties;
+          if (map?.type !== 'map' || !map.entries.some(entry => isInvalidDate(entry.value))) {
+            continue;
+          }
+          const kept = map.entries.filter(entry => {
+            if (!isInvalidDate(entry.value)) {
+              return true;
+            }
+            notes.push(`// INVALID DATE FORMAT: ${entry.key} = ${entry.value.args[0].text} - Expected YYYY-MM-DD`);
+            return false;
+          });
+          edits.push({ start: map.start, end: map.end, text: `{${kept.map(entry => cypher.slice(entry.start, entry.end)).join(', ')}}` });
+        }
+      }
+
+      const items = [...(clause.items || []), ...(clause.actions || []).flatMap(action => action.items)];
+      for (const item of items) {
+        if (item.kind === 'property' && isInvalidDate(item.value)) {
+          notes.push(`// INVALID DATE FORMAT: ${item.property} = ${item.value.args[0].text} - Expected YYYY-MM-DD`);
+          edits.push({ start: item.value.start, end: item.value.end, text: 'null' });
+        }
+      }
+
+      if (notes.length > 0) {
+        logger.debug('Invalid date format detected', { notes });
+        edits.push({ start: clause.start, end: clause.start, text: notes.map(note => `${note}\n`).join('') });
+      }
+    }
+  }
+
+  return applyEdits(cypher, edits);
+}
+
+/**
+ * Fix 7: Rewrite relationship MERGEs into the pack's canonical form
+ * Node labels come from the pattern itself or from a labelled pattern of the variable elsewhere.
+ * Inverted relationships have their arrow reversed, aliased types are renamed and redundant
+ * relationships are removed (the MERGE keeps declaring its labelled end nodes).
+ * @param {string} cypher - Cypher text
+ * @param {object} pack - Schema pack
+ * @returns {string} - Rewritten Cypher
+ */
+function applyRelationshipRules(cypher, pack) {
+  const ast = parseCypher(cypher);
+  const variableLabels = collectVariableLabels(ast);
+  const labelOf = (node) => node.labels[0] || variableLabels.get(node.variable);
+  const edits = [];
+
+  for (const statement of ast.statements) {
+    for (const { clause, path, relationship, from, to } of statementRelationships(statement)) {
+      if (clause.type !== 'MERGE' || relationship.types.length !== 1 || relationship.direction === 'both') {
+        continue;
+      }
+      const type = relationship.types[0];
+      const rel = canonicalizeRelationship(pack, labelOf(from), type, labelOf(to));
+
+      if (rel.redundant) {
+        if (path.relationships.length !== 1 || relationship.variable) {
+          logger.debug('Kept redundant relationship used elsewhere in the pattern', { type, pack: pack.name });
+          continue;
+        }
+        logger.debug('Removed redundant relationship', { type, from: from.variable, to: to.variable, pack: pack.name });
+        const declarations = path.nodes
+          .filter(node => node.labels.length > 0)
+          .map(node => `MERGE ${cypher.slice(node.start, node.end)}`);
+        const onlyClause = statement.clauses.length === 1 && declarations.length === 0;
+        edits.push({
+          start: clause.start,
+          end: onlyClause && statement.semicolon !== null ? statement.semicolon + 1 : clause.end,
+          text: declarations.join('\n')
+        });
+        continue;
+      }
+
+      if (!rel.flip && rel.type === type) {
+        continue;
+      }
+      if (rel.flip) {
+        logger.debug('Fixed relationship direction', { originalType: type, type: rel.type, from: from.variable, to: to.variable, pack: pack.name });
+      } else {
+        logger.debug('Renamed relationship type', { originalType: type, type: rel.type, pack: pack.name });
+      }
+      const detail = cypher.slice(relationship.detailStart, relationship.typeStart) +
+        formatName(rel.type) +
+        cypher.slice(relationship.typeEnd, relationship.detailEnd);
+      const pointsRight = (relationship.direction === 'out') !== rel.flip;
+      edits.push({ start: relationship.start, end: relationship.end, text: pointsRight ? `-${detail}->` : `<-${detail}-` });
+    }
+  }
+
+  return applyEdits(cypher, edits);
+}
+
+/**
+ * Fix 9: Turn relationship MATCHes that follow a MERGE into MERGEs
+ * MATCH (a)-[:REL]->(b) after MERGE (a...) / MERGE (b...) would match nothing on a fresh graph.
+ * A WITH (or the end of the statement) starts over; MATCHes with WHERE are left alone.
+ */
+function mergeRelationshipMatches(cypher) {
+  const ast = parseCypher(cypher);
+  const edits = [];
+
+  for (const statement of ast.statements) {
+    let hasMergeBefore = false;
+    for (const clause of statement.clauses) {
+      if (clause.type === 'MERGE') {
+        hasMergeBefore = true;
+      } else if (clause.type === 'WITH') {
+        hasMergeBefore = false;
+      } else if (clause.type === 'MATCH' && !clause.raw && hasMergeBefore && !clause.where &&
+          clause.patterns.length === 1 && clause.patterns[0].relationships.length > 0 &&
+          clause.patterns[0].relationships.every(rel => !rel.length)) {
+        edits.push({ start: clause.start, end: clause.start + 'MATCH'.length, text: 'MERGE' });
+        logger.debug('Fixed MATCH relationship after MERGE', { original: clause.text.substring(0, 100) });
+      }
+    }
+  }
+
+  return applyEdits(cypher, edits);
+}
+
 /**
  * Fix common Cypher syntax errors and quality issues
+ * Fixes 3-7 and 9 work on the parsed Cypher (utils/cypherParser.js) and edit only the parts they fix.
+ * Domain-specific fixes (ID typos, property aliases, relationship directions) come from the schema pack
+ * @param {string} cypher - Generated Cypher
+ * @param {object|null} pack - Schema pack selected for the document
  */
-function fixCypherSyntax(cypher) {
+function fixCypherSyntax(cypher, pack = null) {
   if (!cypher || cypher.trim().length === 0) {
     return cypher;
   }
@@ -234,340 +545,261 @@ function fixCypherSyntax(cypher) {
     return match;
   });
 
-  // Fix 2: Fix common property name typos
-  const propertyFixes = [
-    { pattern: /accountI\s+d/gi, replacement: 'accountId' },
-    { pattern: /partyI\s+d/gi, replacement: 'partyId' },
-    { pattern: /securityI\s+d/gi, replacement: 'securityId' },
-    { pattern: /productI\s+d/gi, replacement: 'productId' },
-    { pattern: /tradeI\s+d/gi, replacement: 'tradeId' },
-    { pattern: /positionI\s+d/gi, replacement: 'positionId' },
-    { pattern: /holdingI\s+d/gi, replacement: 'holdingId' },
-    { pattern: /investmentI\s+d/gi, replacement: 'investmentId' },
-    { pattern: /addressI\s+d/gi, replacement: 'addressId' },
-    { pattern: /transactionI\s+d/gi, replacement: 'transactionId' },
-    { pattern: /referenceI\s+d/gi, replacement: 'referenceId' },
-    { pattern: /riskI\s+d/gi, replacement: 'riskId' }
-  ];
-
-  for (const fix of propertyFixes) {
-    fixed = fixed.replace(fix.pattern, fix.replacement);
-  }
-
-  // Fix 3: Fix property name inconsistencies (productId vs securityId for Security nodes)
-  // If Security node uses productId, change to securityId
-  fixed = fixed.replace(/MERGE\s*\([^:]*:Security\s*\{[^}]*\bproductId\b([^}]*)\}/gi, (match) => {
-    return match.replace(/\bproductId\b/gi, 'securityId');
-  });
-
-  // Fix 4: MERGE with variable references - convert to WITH + SET pattern
-  // Pattern: MERGE (t:Trade {securityId: s.securityId})
-  // Should be: MERGE (s:Security {securityId: "101"}) WITH s MERGE (t:Trade {securityId: "101"})
-  // Or: Extract the literal value and use it
-
-  // First, find MERGE statements that reference other node properties
-  const mergeWithRefPattern = /MERGE\s*\(([^:]+):(\w+)\s*\{([^}]*)\}/g;
-  const problematicMerges = [];
-
-  let match;
-  while ((match = mergeWithRefPattern.exec(fixed)) !== null) {
-    const varName = match[1].trim();
-    const label = match[2];
-    const props = match[3];
-
-    // Check if properties reference other variables (e.g., s.securityId, a.accountId)
-    const varRefPattern = /\b(\w+)\.(\w+)\b/g;
-    const varRefs = [];
-    let propMatch;
-    while ((propMatch = varRefPattern.exec(props)) !== null) {
-      varRefs.push({ var: propMatch[1], prop: propMatch[2] });
-    }
-
-    if (varRefs.length > 0) {
-      problematicMerges.push({
-        fullMatch: match[0],
-        varName,
-        label,
-        props,
-        varRefs,
-        index: match.index
-      });
-    }
+  // Fix 2: Fix split ID property names (e.g. "accountI d") for the pack's ID conventions
+  const packIdProps = new Set(Object.values(pack?.idProperties || {}).filter(p => /Id$/.test(p)));
+  for (const idProp of packIdProps) {
+    fixed = fixed.replace(new RegExp(`${idProp.slice(0, -1)}\\s+d`, 'gi'), idProp);
   }
 
-  // Fix problematic MERGE statements by extracting literal values
-  // This is a simplified fix - in practice, we'd need to trace back to find the literal value
-  // For now, we'll add a WITH clause before the problematic MERGE
-  if (problematicMerges.length > 0) {
-    // Sort by index (descending) to avoid offset issues
-    problematicMerges.sort((a, b) => b.index - a.index);
-
-    for (const prob of problematicMerges) {
-      // Find the referenced variable's MERGE statement before this one
-      const beforeThis = fixed.substring(0, prob.index);
-      const afterThis = fixed.substring(prob.index);
-
-      // Try to find the literal value from the referenced variable's MERGE
-      // This is a heuristic - we'll look for MERGE statements with the referenced variable
-      for (const ref of prob.varRefs) {
-        const refVarPattern = new RegExp(`MERGE\\s*\\(${ref.var}:\\w+\\s*\\{([^}]*)\\b${ref.prop}\\s*:\\s*["']([^"']+)["']`, 'i');
-        const refMatch = beforeThis.match(refVarPattern);
-
-        if (refMatch && refMatch[2]) {
-          const literalValue = refMatch[2];
-          // Replace the variable reference with the literal value
-          const newProps = prob.props.replace(new RegExp(`\\b${ref.var}\\.${ref.prop}\\b`, 'g'), `"${literalValue}"`);
-          const newMerge = `MERGE (${prob.varName}:${prob.label} {${newProps}})`;
-          fixed = beforeThis + newMerge + afterThis.substring(prob.fullMatch.length);
-          break;
-        }
-      }
-    }
+  // Fix 3: Fix property name inconsistencies declared by the pack
+  if (pack) {
+    fixed = renamePropertyAliases(fixed, pack);
   }
 
-  // Fix 5: Fix invalid node creation in relationships
-  // Pattern: MERGE (a)-[:REL]->({prop: value}) - node created inline
-  // Should be: MERGE (node:Label {prop: value}) then MERGE (a)-[:REL]->(node)
-  const inlineNodePattern = /MERGE\s*\(([^)]+)\)-\[:([^\]]+)\]->\s*\(\s*\{([^}]+)\}\s*\)/g;
-  let inlineNodeMatch;
-  const inlineNodes = [];
-  let offset = 0;
-
-  while ((inlineNodeMatch = inlineNodePattern.exec(fixed)) !== null) {
-    const beforeRel = inlineNodeMatch[1];
-    const relType = inlineNodeMatch[2];
-    const props = inlineNodeMatch[3];
-
-    // Extract label from props or infer from relationship
-    const labelMatch = props.match(/(\w+Id):\s*["']([^"']+)["']/);
-    if (labelMatch) {
-      const idProp = labelMatch[1];
-      const idValue = labelMatch[2];
-      // Infer label from property name (e.g., addressId -> Address)
-      const label = idProp.charAt(0).toUpperCase() + idProp.slice(1).replace(/Id$/, '');
-      const varName = label.toLowerCase().charAt(0);
-
-      inlineNodes.push({
-        match: inlineNodeMatch[0],
-        index: inlineNodeMatch.index + offset,
-        label,
-        varName,
-        props,
-        beforeRel,
-        relType
-      });
-    }
+  // Fix 4: MERGE with variable references - use the literal value of the referenced property
+  fixed = inlinePropertyReferences(fixed);
+
+  // Fix 5: Fix invalid node creation in relationships - declare the node first
+  fixed = declareInlineNodes(fixed, pack);
+
+  // Fix 6: Fix invalid date formats
+  fixed = removeInvalidDates(fixed);
+
+  // Fix 7: Apply the pack's relationship rules (aliases, canonical directions, redundant pairs)
+  // Pattern: (position)-[:HAS_POSITION]->(account) should be (account)-[:HAS_POSITION]->(position)
+  if (pack) {
+    fixed = applyRelationshipRules(fixed, pack);
   }
 
-  // Fix inline nodes by creating them explicitly first
-  if (inlineNodes.length > 0) {
-    inlineNodes.sort((a, b) => b.index - a.index); // Process from end to start
+  // Fix 8: Remove empty lines (e.g. left by removed relationships)
+  fixed = fixed.split('\n').filter(line => line.trim().length > 0).join('\n');
 
-    for (const inlineNode of inlineNodes) {
-      const before = fixed.substring(0, inlineNode.index);
-      const after = fixed.substring(inlineNode.index + inlineNode.match.length);
+  // Fix 9: Ensure relationship patterns after MERGE statements use MERGE
+  return mergeRelationshipMatches(fixed);
+}
 
-      // Create node explicitly first
-      const nodeCreation = `MERGE (${inlineNode.varName}:${inlineNode.label} {${inlineNode.props}})\n`;
-      const relationship = `MERGE (${inlineNode.beforeRel})-[:${inlineNode.relType}]->(${inlineNode.varName})`;
+/**
+ * Build the prompt asking the model to repair a statement that failed validation
+ * @param {string} statement - Failing statement
+ * @param {string} error - Neo4j error message
+ * @param {object} schema - Graph schema
+ * @param {Array<string>} paramNames - Query parameters the statement may reference
+ */
+function buildRepairPrompt(statement, error, schema, paramNames = []) {
+  const nodeTypes = Object.entries(schema.nodes)
+    .map(([label, props]) => `  - ${label}: [${props.join(', ')}]`)
+    .join('\n');
 
-      fixed = before + nodeCreation + relationship + after;
-      offset += nodeCreation.length - inlineNode.match.length;
-    }
-  }
+  const relationships = schema.relationships
+    .map(rel => `  - ${rel.from} --[${rel.type}]--> ${rel.to}`)
+    .join('\n');
 
-  // Fix 6: Fix invalid date formats
-  // Pattern: date("12/11/25") or date("invalid") -> comment out
-  const invalidDatePattern = /date\(["']([^"']+)["']\)/g;
-  fixed = fixed.replace(invalidDatePattern, (match, dateValue) => {
-    // Check if date is in ISO format (YYYY-MM-DD)
-    const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
-    if (!isoDatePattern.test(dateValue)) {
-      logger.debug('Invalid date format detected', { dateValue });
-      return `// INVALID DATE FORMAT: ${match} - Expected YYYY-MM-DD`;
-    }
-    return match;
-  });
+  const paramRule = paramNames.length > 0
+    ? `\n5. The statement uses query parameters (${paramNames.map(name => `$${name}`).join(', ')}). Keep the $ references, do not inline their values.`
+    : '';
 
-  // Fix 7: Fix inverted relationship directions
-  // Pattern: (position)-[:HAS_POSITION]->(account) should be (account)-[:HAS_POSITION]->(position)
-  const relationshipFixes = [
-    // Position/Holding/Investment/Trade relationships - these should come FROM Account
-    {
-      pattern: /MERGE\s*\((\w+):Position[^)]*\)\s*-\[:HAS_POSITION\]->\s*\((\w+):Account[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:HAS_POSITION]->($1)',
-      description: 'Fix Position HAS_POSITION direction'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Holding[^)]*\)\s*-\[:HAS_HOLDING\]->\s*\((\w+):Account[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:HAS_HOLDING]->($1)',
-      description: 'Fix Holding HAS_HOLDING direction'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Investment[^)]*\)\s*-\[:MADE_INVESTMENT\]->\s*\((\w+):Account[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:HAS_INVESTMENT]->($1)',
-      description: 'Fix Investment MADE_INVESTMENT direction and name'
-    },
-    // Standardize MADE_INVESTMENT to HAS_INVESTMENT
-    {
-      pattern: /MERGE\s*\((\w+):Account[^)]*\)\s*-\[:MADE_INVESTMENT\]->\s*\((\w+):Investment[^)]*\)/gi,
-      replacement: 'MERGE ($1)-[:HAS_INVESTMENT]->($2)',
-      description: 'Standardize MADE_INVESTMENT to HAS_INVESTMENT'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Trade[^)]*\)\s*-\[:EXECUTED_TRADE\]->\s*\((\w+):Account[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:EXECUTED_TRADE]->($1)', // Fix direction: account → trade
-      description: 'Fix Trade EXECUTED_TRADE direction (account → trade)'
-    },
-    // Security relationships - these should go TO Security
-    {
-      pattern: /MERGE\s*\((\w+):Security[^)]*\)\s*-\[:HasTrade\]->\s*\((\w+):Trade[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:ON_SECURITY]->($1)',
-      description: 'Fix Security HasTrade direction and name'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Security[^)]*\)\s*-\[:InvolvedInInvestment\]->\s*\((\w+):Investment[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:IN_SECURITY]->($1)',
-      description: 'Fix Security InvolvedInInvestment direction and name'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Security[^)]*\)\s*-\[:HeldInPosition\]->\s*\((\w+):Position[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:IN_SECURITY]->($1)',
-      description: 'Fix Security HeldInPosition direction and name'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Security[^)]*\)\s*-\[:HeldInHolding\]->\s*\((\w+):Holding[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:IN_SECURITY]->($1)',
-      description: 'Fix Security HeldInHolding direction and name'
-    },
-    // Fix HELD_IN_POSITION and HELD_IN_HOLDING patterns (should be IN_SECURITY from Position/Holding)
-    {
-      pattern: /MERGE\s*\((\w+):Security[^)]*\)\s*-\[:HELD_IN_POSITION\]->\s*\((\w+):Position[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:IN_SECURITY]->($1)',
-      description: 'Fix Security HELD_IN_POSITION direction and name'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Security[^)]*\)\s*-\[:HELD_IN_HOLDING\]->\s*\((\w+):Holding[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:IN_SECURITY]->($1)',
-      description: 'Fix Security HELD_IN_HOLDING direction and name'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Position[^)]*\)\s*-\[:HELD_IN_POSITION\]->\s*\((\w+):Security[^)]*\)/gi,
-      replacement: 'MERGE ($1)-[:IN_SECURITY]->($2)',
-      description: 'Fix Position HELD_IN_POSITION to IN_SECURITY'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Holding[^)]*\)\s*-\[:HELD_IN_HOLDING\]->\s*\((\w+):Security[^)]*\)/gi,
-      replacement: 'MERGE ($1)-[:IN_SECURITY]->($2)',
-      description: 'Fix Holding HELD_IN_HOLDING to IN_SECURITY'
-    },
-    // Party relationships - fix case and direction
-    {
-      pattern: /MERGE\s*\((\w+):Party[^)]*\)\s*-\[:HasAccount\]->\s*\((\w+):Account[^)]*\)/gi,
-      replacement: 'MERGE ($1)-[:HAS_ACCOUNT]->($2)',
-      description: 'Fix Party HasAccount case'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Account[^)]*\)\s*-\[:HAS_ACCOUNT\]->\s*\((\w+):Party[^)]*\)/gi,
-      replacement: 'MERGE ($2)-[:HAS_ACCOUNT]->($1)', // Fix direction: party → account
-      description: 'Fix HAS_ACCOUNT direction (party → account)'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Account[^)]*\)\s*-\[:HELD_BY\]->\s*\((\w+):Party[^)]*\)/gi,
-      replacement: '', // Remove redundant - we'll use HAS_ACCOUNT from Party
-      description: 'Remove redundant HELD_BY relationship'
-    },
-    // Address relationships - fix case and remove redundant
-    {
-      pattern: /MERGE\s*\((\w+):Party[^)]*\)\s*-\[:HasAddress\]->\s*\((\w+):Address[^)]*\)/gi,
-      replacement: 'MERGE ($1)-[:HAS_ADDRESS]->($2)',
-      description: 'Fix Party HasAddress case'
-    },
-    {
-      pattern: /MERGE\s*\((\w+):Address[^)]*\)\s*-\[:BelongsTo\]->\s*\((\w+):(Party|Account)[^)]*\)/gi,
-      replacement: '', // Remove redundant - we'll use HAS_ADDRESS
-      description: 'Remove redundant BelongsTo relationship'
-    }
-  ];
+  return `This Cypher statement failed Neo4j validation (EXPLAIN):
 
-  for (const fix of relationshipFixes) {
-    const before = fixed;
-    fixed = fixed.replace(fix.pattern, fix.replacement);
-    if (before !== fixed) {
-      logger.debug('Fixed relationship direction', { description: fix.description });
-    }
+${statement}
+
+Neo4j error:
+${error}
+
+Graph schema:
+Node types:
+${nodeTypes}
+
+Relationship types:
+${relationships}
+
+Rewrite the statement so that it is valid Cypher.
+RULES:
+1. Keep the same nodes, relationships and property values - only fix what the error points at.
+2. Use MERGE, never CREATE.
+3. Use only labels, relationship types and properties from the schema.
+4. Output ONLY the corrected Cypher, no explanations, no markdown.${paramRule}
+
+Corrected Cypher:`;
+}
+
+/**
+ * Ask the model for a corrected version of a statement that failed validation
+ * The answer gets the same syntax fixes as generated Cypher.
+ * @param {string} docId - MongoDB document ID
+ * @param {object} failure - Failing statement
+ * @param {string} failure.statement - Statement as validated
+ * @param {string} failure.error - Neo4j error message
+ * @param {Array<string>} failure.paramNames - Query parameters available to the statement
+ * @returns {Promise<{statement: string, model: string}>} - Corrected statement (empty when none was returned)
+ */
+export async function repairCypherStatement(docId, { statement, error, paramNames = [] }) {
+  const doc = await Document.findById(docId);
+  const schemaDoc = await Schema.findLatest(docId);
+  if (!doc || !schemaDoc) {
+    throw new Error(`Schema not found for document: ${docId}`);
   }
 
-  // Fix 8: Remove duplicate relationship lines (empty lines from removed relationships)
-  fixed = fixed.split('\n').filter(line => line.trim().length > 0).join('\n');
+  const schema = { nodes: schemaDoc.nodes, relationships: schemaDoc.relationships };
+  const docType = detectDocumentType(doc.filename, doc.fullText || '');
+  const pack = await resolveDocumentSchemaPack(doc, docType);
 
-  // Fix 9: Ensure all relationship patterns use MERGE
-  // Pattern: MATCH (a)-[:REL]->(b) after MERGE statements
-  // Split by lines to preserve structure
-  const lines = fixed.split('\n');
-  const fixedLines = [];
-  let hasMergeBefore = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    const upperLine = line.toUpperCase();
-
-    // Track if we've seen MERGE statements
-    if (upperLine.startsWith('MERGE')) {
-      hasMergeBefore = true;
-      fixedLines.push(lines[i]);
-    } else if (upperLine.startsWith('MATCH')) {
-      // Check if this MATCH is for a relationship pattern
-      const relationshipPattern = /MATCH\s*(\([^)]+\)\s*-\[[^\]]+\]-\s*\([^)]+\))/i;
-      const match = line.match(relationshipPattern);
-
-      if (match && hasMergeBefore) {
-        // Convert MATCH relationship to MERGE
-        const fixedLine = line.replace(/^MATCH/i, 'MERGE');
-        fixedLines.push(fixedLine);
-        logger.debug('Fixed MATCH relationship after MERGE', {
-          original: line.substring(0, 100),
-          fixed: fixedLine.substring(0, 100)
-        });
-      } else {
-        // Keep other MATCH statements as-is (might be valid)
-        fixedLines.push(lines[i]);
-      }
-    } else if (upperLine.startsWith('WITH')) {
-      // Reset flag when we see WITH
-      hasMergeBefore = false;
-      fixedLines.push(lines[i]);
-    } else {
-      fixedLines.push(lines[i]);
+  const model = CYPHER_MODEL_PROVIDER === 'ollama'
+    ? TEXT2CYPHER_MODEL_OLLAMA
+    : TEXT2CYPHER_MODEL_HF;
+
+  const response = await retryWithBackoff(
+    () => callLLM(
+      CYPHER_MODEL_PROVIDER,
+      model,
+      buildRepairPrompt(statement, error, schema, paramNames),
+      'Fix the Cypher statement. Output Cypher only. No explanations, no markdown.',
+      { temperature: 0, max_new_tokens: 1024, timeout: CYPHER_GENERATION_TIMEOUT }
+    ),
+    {
+      maxRetries: 2,
+      initialDelay: 2000,
+      maxDelay: 30000,
+      shouldRetry: isRetryableError,
+      context: `cypher-repair-${docId}`
     }
-  }
+  );
+
+  const cypher = typeof response === 'string' ? extractCypher(response) : '';
+  const repaired = cypher ? fixCypherSyntax(cypher, pack).trim().replace(/;\s*$/, '') : '';
 
-  return fixedLines.join('\n');
+  return { statement: repaired, model };
 }
 
 /**
- * Validate Cypher syntax using EXPLAIN
+ * Ask the Cypher model for the statements of one prompt
+ * The answer gets the usual syntax fixes; an empty answer is asked for once more.
+ * @param {object} options - Request options
+ * @param {string} options.prompt - Cypher prompt
+ * @param {string} options.systemPrompt - System prompt
+ * @param {object|null} options.pack - Schema pack (syntax fixes)
+ * @param {number} options.maxOutputTokens - Tokens the answer may take
+ * @param {object} options.logContext - Chunk or document (and part) the prompt is for
+ * @returns {Promise<string>} - Trimmed Cypher
  */
-async function validateCypher(cypher, session) {
+async function requestCypher({ prompt, systemPrompt, pack, maxOutputTokens, logContext }) {
+  const model = CYPHER_MODEL_PROVIDER === 'ollama'
+    ? TEXT2CYPHER_MODEL_OLLAMA
+    : TEXT2CYPHER_MODEL_HF;
+  const llmOptions = {
+    temperature: 0.1,
+    max_new_tokens: maxOutputTokens,
+    timeout: CYPHER_GENERATION_TIMEOUT,
+    ...contextWindowOptions(CYPHER_MODEL_PROVIDER, model)
+  };
+  const context = Object.values(logContext).join('-');
+
+  let response;
+  try {
+    // Retry LLM call with exponential backoff
+    response = await retryWithBackoff(
+      () => callLLM(CYPHER_MODEL_PROVIDER, model, prompt, systemPrompt, llmOptions),
+      {
+        maxRetries: 3,
+        initialDelay: 2000,
+        maxDelay: 30000,
+        shouldRetry: isRetryableError,
+        context: `cypher-generation-${context}`
+      }
+    );
+  } catch (llmError) {
+    logger.error('LLM call failed after retries', {
+      ...logContext,
+      error: llmError.message,
+      provider: CYPHER_MODEL_PROVIDER,
+      model
+    });
+    throw llmError;
+  }
+
+  if (!response || typeof response !== 'string') {
+    logger.error('Invalid LLM response', {
+      ...logContext,
+      responseType: typeof response,
+      response: response ? JSON.stringify(response).substring(0, 500) : 'null'
+    });
+    throw new Error(`Invalid LLM response: expected string, got ${typeof response}`);
+  }
+
+  logger.info('LLM response received', {
+    ...logContext,
+    responseLength: response.length,
+    responsePreview: response.substring(0, 500)
+  });
+
+  // Extract Cypher from response
+  let cypher = extractCypher(response);
+
+  logger.info('Extracted Cypher', {
+    ...logContext,
+    cypherLength: cypher?.length || 0,
+    cypherPreview: cypher?.substring(0, 200) || 'empty'
+  });
+
+  // If empty, try retry with more explicit instructions
   if (!cypher || cypher.trim().length === 0) {
-    return { valid: false, error: 'Empty Cypher' };
+    logger.warn('Empty Cypher generated, retrying', {
+      ...logContext,
+      rawResponse: response?.substring(0, 500) || 'null'
+    });
+    const retryPrompt = `${prompt}\n\nIMPORTANT: Generate Cypher MERGE statements now.`;
+    response = await retryWithBackoff(
+      () => callLLM(CYPHER_MODEL_PROVIDER, model, retryPrompt, systemPrompt, llmOptions),
+      {
+        maxRetries: 1,
+        initialDelay: 1000,
+        shouldRetry: isRetryableError,
+        context: `cypher-retry-${context}`
+      }
+    );
+    cypher = extractCypher(response);
+
+    logger.debug('Retry Cypher extracted', {
+      ...logContext,
+      cypherLength: cypher?.length || 0
+    });
   }
 
-  try {
-    // Try EXPLAIN to check syntax
-    await session.run(`EXPLAIN ${cypher}`);
-    return { valid: true };
-  } catch (error) {
-    return { valid: false, error: error.message };
+  if (!cypher || cypher.trim().length === 0) {
+    const errorMsg = `Generated Cypher is empty after retry. Raw response: ${response?.substring(0, 500) || 'null'}`;
+    logger.error('Cypher extraction failed', {
+      ...logContext,
+      rawResponse: response?.substring(0, 1000) || 'null',
+      responseLength: response?.length || 0
+    });
+    throw new Error(errorMsg);
   }
+
+  // Fix common syntax errors
+  const originalCypher = cypher;
+  cypher = fixCypherSyntax(cypher, pack);
+  if (cypher !== originalCypher) {
+    logger.info('Fixed Cypher syntax errors', {
+      ...logContext,
+      originalLength: originalCypher.length,
+      fixedLength: cypher.length
+    });
+  }
+
+  const trimmedCypher = cypher.trim();
+  if (!trimmedCypher) {
+    throw new Error('Cypher is empty after trimming');
+  }
+  return trimmedCypher;
 }
 
 /**
  * Generate Cypher for a single chunk
  * @param {string} chunkId - MongoDB chunk ID
+ * @param {object} options - Generation options
+ * @param {boolean} options.mapTables - Leave out mapped tables, whose rows generateCypherForTables turns into graph data
  * @returns {Promise<string>} - Generated Cypher
  */
-export async function generateCypherForChunk(chunkId) {
+export async function generateCypherForChunk(chunkId, { mapTables = false } = {}) {
   const chunk = await DocumentChunk.findById(chunkId);
   if (!chunk) {
     throw new Error(`Chunk not found: ${chunkId}`);
@@ -581,7 +813,7 @@ export async function generateCypherForChunk(chunkId) {
   }
 
   // Get schema
-  const schemaDoc = await Schema.findOne({ docId: chunk.docId });
+  const schemaDoc = await Schema.findLatest(chunk.docId);
   if (!schemaDoc) {
     throw new Error(`Schema not found for document: ${chunk.docId}`);
   }
@@ -594,6 +826,8 @@ export async function generateCypherForChunk(chunkId) {
   // Detect document type for prompt customization
   const doc = await Document.findById(chunk.docId);
   const docType = doc ? detectDocumentType(doc.filename, doc.fullText || '') : 'general';
+  const pack = await resolveDocumentSchemaPack(doc, docType);
+  const chunkText = mapTables ? textWithoutMappedTables(chunk.rawText, doc, pack, { chunkId }) : chunk.rawText;
 
   await chunk.updateOne({ status: 'cypher_generating' });
 
@@ -607,141 +841,63 @@ export async function generateCypherForChunk(chunkId) {
       chunkIndex: chunk.chunkIndex,
       provider: CYPHER_MODEL_PROVIDER,
       model,
-      docType
+      docType,
+      schemaPack: pack?.name || null
     });
 
-    const prompt = buildCypherPrompt(schema, chunk.rawText, docType);
+    // Heading-aware chunks carry the section they come from, which a chunk cut from its heading lacks
+    const sectionHeader = chunk.sectionPath?.length > 0
+      ? `Section: ${chunk.sectionPath.join(' > ')}\n\n`
+      : '';
     const systemPrompt = 'Generate Cypher MERGE statements only. No explanations, no markdown.';
 
-    let response;
-    try {
-      // Retry LLM call with exponential backoff
-      response = await retryWithBackoff(
-        () => callLLM(
-          CYPHER_MODEL_PROVIDER,
-          model,
-          prompt,
-          systemPrompt,
-          { temperature: 0.1, max_new_tokens: 1024, timeout: CYPHER_GENERATION_TIMEOUT }
-        ),
-        {
-          maxRetries: 3,
-          initialDelay: 2000,
-          maxDelay: 30000,
-          shouldRetry: isRetryableError,
-          context: `cypher-generation-${chunkId}`
-        }
-      );
-    } catch (llmError) {
-      logger.error('LLM call failed after retries', {
-        chunkId,
-        error: llmError.message,
-        provider: CYPHER_MODEL_PROVIDER,
-        model
-      });
-      throw llmError;
-    }
-
-    if (!response || typeof response !== 'string') {
-      logger.error('Invalid LLM response', {
-        chunkId,
-        responseType: typeof response,
-        response: response ? JSON.stringify(response).substring(0, 500) : 'null'
-      });
-      throw new Error(`Invalid LLM response: expected string, got ${typeof response}`);
-    }
-
-    logger.info('LLM response received', {
-      chunkId,
-      responseLength: response.length,
-      responsePreview: response.substring(0, 500)
-    });
-
-    // Extract Cypher from response
-    let cypher = extractCypher(response);
-
-    logger.info('Extracted Cypher', {
-      chunkId,
-      cypherLength: cypher?.length || 0,
-      cypherPreview: cypher?.substring(0, 200) || 'empty'
+    // A chunk larger than the context window allows is generated in parts
+    const budget = promptBudget({
+      model,
+      instructions: `${systemPrompt}\n\n${buildCypherPrompt(schema, sectionHeader, docType, pack)}`,
+      maxOutputTokens: CHUNK_OUTPUT_TOKENS
     });
-
-    // Fix common syntax errors
-    if (cypher) {
-      const originalCypher = cypher;
-      cypher = fixCypherSyntax(cypher);
-      if (cypher !== originalCypher) {
-        logger.info('Fixed Cypher syntax errors', {
-          chunkId,
-          originalLength: originalCypher.length,
-          fixedLength: cypher.length
-        });
-      }
+    const { parts, ...fitted } = fitTextToBudget(chunkText, budget.availableTokens);
+    const promptBudgetRecord = { ...budget, ...fitted, parts: parts.length };
+    if (fitted.truncated) {
+      logger.warn('Chunk text truncated to fit the Cypher model context window', { chunkId, ...promptBudgetRecord });
     }
 
-    // If empty, try retry with more explicit instructions
-    if (!cypher || cypher.trim().length === 0) {
-      logger.warn('Empty Cypher generated, retrying', {
-        chunkId,
-        rawResponse: response?.substring(0, 500) || 'null'
-      });
-      const retryPrompt = `${prompt}\n\nIMPORTANT: Generate Cypher MERGE statements now.`;
-      response = await retryWithBackoff(
-        () => callLLM(
-          CYPHER_MODEL_PROVIDER,
-          model,
-          retryPrompt,
-          systemPrompt,
-          { temperature: 0.1, max_new_tokens: 1024, timeout: CYPHER_GENERATION_TIMEOUT }
-        ),
-        {
-          maxRetries: 1,
-          initialDelay: 1000,
-          shouldRetry: isRetryableError,
-          context: `cypher-retry-${chunkId}`
-        }
-      );
-      cypher = extractCypher(response);
-
-      logger.debug('Retry Cypher extracted', {
-        chunkId,
-        cypherLength: cypher?.length || 0
-      });
-    }
-
-    if (!cypher || cypher.trim().length === 0) {
-      const errorMsg = `Generated Cypher is empty after retry. Raw response: ${response?.substring(0, 500) || 'null'}`;
-      logger.error('Cypher extraction failed', {
-        chunkId,
-        rawResponse: response?.substring(0, 1000) || 'null',
-        responseLength: response?.length || 0
-      });
-      throw new Error(errorMsg);
-    }
-
-    // Ensure cypher is not empty before saving (double-check)
-    const trimmedCypher = cypher.trim();
-    if (!trimmedCypher || trimmedCypher.length === 0) {
-      throw new Error('Cypher is empty after trimming');
+    const partCyphers = [];
+    for (const [partIndex, part] of parts.entries()) {
+      partCyphers.push(await requestCypher({
+        prompt: buildCypherPrompt(schema, `${sectionHeader}${part}`, docType, pack),
+        systemPrompt,
+        pack,
+        maxOutputTokens: CHUNK_OUTPUT_TOKENS,
+        logContext: parts.length > 1 ? { chunkId, part: partIndex + 1 } : { chunkId }
+      }));
     }
+    const cypher = partCyphers.join('\n');
 
     // Store result
     const result = existing || new ChunkCypherResult({
       docId: chunk.docId,
       chunkId: chunk._id,
-      generatedCypher: trimmedCypher, // Use trimmed version
+      generatedCypher: cypher,
       status: 'generated',
       generationModel: model,
-      generationProvider: CYPHER_MODEL_PROVIDER
+      generationProvider: CYPHER_MODEL_PROVIDER,
+      promptBudget: promptBudgetRecord
     });
 
     if (!existing) {
       await result.save();
     } else {
       await result.updateOne({
-        generatedCypher: trimmedCypher, // Use trimmed version
+        generatedCypher: cypher,
         status: 'generated',
-        error: null
+        error: null,
+        propertyConflicts: [],
+        droppedProperties: [],
+        conformance: null,
+        repair: null,
+        promptBudget: promptBudgetRecord
       });
     }
 
@@ -749,6 +905,7 @@ export async function generateCypherForChunk(chunkId) {
 
     logger.info('Cypher generated successfully', {
       chunkId,
+      parts: parts.length,
       cypherLength: cypher.length,
       lines: cypher.split('\n').length
     });
@@ -804,18 +961,39 @@ export async function generateCypherForChunk(chunkId) {
 }
 
 /**
- * Generate Cypher for full document
+ * Tables whose rows become graph data from a column mapping (see generateCypherForTables)
+ */
+function mappedTables(doc, pack) {
+  return (doc?.tables || []).filter(table => matchTableMapping(table, pack));
+}
+
+/**
+ * Text for the LLM without the mapped tables, so their rows are not extracted a second time
+ */
+function textWithoutMappedTables(text, doc, pack, logContext) {
+  const tables = mappedTables(doc, pack);
+  if (tables.length === 0) {
+    return text;
+  }
+  const { text: remaining, omittedRows } = omitTableText(text, tables);
+  logger.info('Mapped tables left out of the generation text', { ...logContext, tables: tables.length, omittedRows });
+  return remaining;
+}
+
+/**
+ * Load what full document generation needs: document, latest schema, text and schema pack
  * @param {string} docId - MongoDB document ID
- * @returns {Promise<string>} - Generated Cypher for entire document
+ * @param {object} options - Load options
+ * @param {boolean} options.mapTables - Leave mapped tables out of the text
  */
-export async function generateCypherForFullDocument(docId) {
+async function loadFullDocumentContext(docId, { mapTables = false } = {}) {
   const doc = await Document.findById(docId);
   if (!doc) {
     throw new Error(`Document not found: ${docId}`);
   }
 
   // Get schema
-  const schemaDoc = await Schema.findOne({ docId });
+  const schemaDoc = await Schema.findLatest(docId);
   if (!schemaDoc) {
     throw new Error(`Schema not found for document: ${docId}`);
   }
@@ -833,7 +1011,7 @@ export async function generateCypherForFullDocument(docId) {
     // Try to get from chunks
     const chunks = await DocumentChunk.find({ docId }).sort({ chunkIndex: 1 });
     if (chunks.length > 0) {
-      documentText = chunks.map(c => c.text).join('\n\n');
+      documentText = chunks.map(c => c.rawText).join('\n\n');
     } else {
       throw new Error(`No text found for document ${docId}`);
     }
@@ -841,11 +1019,26 @@ export async function generateCypherForFullDocument(docId) {
 
   // Detect document type
   const docType = detectDocumentType(doc.filename, documentText);
+  const pack = await resolveDocumentSchemaPack(doc, docType);
+  if (mapTables) {
+    documentText = textWithoutMappedTables(documentText, doc, pack, { docId });
+  }
+
+  return { doc, schema, documentText, docType, pack };
+}
+
+/**
+ * Generate Cypher for full document
+ * @param {string} docId - MongoDB document ID
+ * @param {object} options - Generation options
+ * @param {boolean} options.mapTables - Leave out mapped tables, whose rows generateCypherForTables turns into graph data
+ * @returns {Promise<{cypher: string, propertyConflicts: Array<object>, droppedProperties: Array<object>,
+ *   promptBudget: object}>} - Generated Cypher for entire document, the node property conflicts resolved
+ *   and the property values dropped while formatting it, and how the text was fitted into the context window
+ */
+export async function generateCypherForFullDocument(docId, { mapTables = false } = {}) {
+  const { schema, documentText, docType, pack } = await loadFullDocumentContext(docId, { mapTables });
 
-  // Build prompt for full document (use full text, not truncated)
-  // For full document, pass a flag or use larger limit in buildCypherPrompt
-  // We'll pass the full text and let buildCypherPrompt handle truncation intelligently
-  const prompt = buildCypherPrompt(schema, documentText, docType);
   const systemPrompt = 'You are a Cypher query generation expert. Generate complete, valid Neo4j Cypher MERGE statements for the ENTIRE document. Output Cypher code only, no markdown, no explanations. Include ALL nodes and relationships from the document.';
 
   // Determine model
@@ -853,103 +1046,247 @@ export async function generateCypherForFullDocument(docId) {
     ? TEXT2CYPHER_MODEL_OLLAMA
     : TEXT2CYPHER_MODEL_HF;
 
+  // Text beyond the context window is generated part by part and merged when formatting
+  const budget = promptBudget({
+    model,
+    instructions: `${systemPrompt}\n\n${buildCypherPrompt(schema, '', docType, pack)}`,
+    maxOutputTokens: FULL_DOCUMENT_OUTPUT_TOKENS
+  });
+  const { parts, ...fitted } = fitTextToBudget(documentText, budget.availableTokens);
+  const promptBudgetRecord = { ...budget, ...fitted, parts: parts.length };
+  if (fitted.truncated) {
+    logger.warn('Document text truncated to fit the Cypher model context window', { docId, ...promptBudgetRecord });
+  }
+
   logger.info('Generating Cypher for full document', {
     docId,
     provider: CYPHER_MODEL_PROVIDER,
     model,
+    schemaPack: pack?.name || null,
     textLength: documentText.length,
+    parts: parts.length,
     nodeCount: Object.keys(schema.nodes).length,
     relationshipCount: schema.relationships.length
   });
 
-  // Call LLM with retry logic
-  let response;
+  const partCyphers = [];
+  for (const [partIndex, part] of parts.entries()) {
+    partCyphers.push(await requestCypher({
+      prompt: buildCypherPrompt(schema, part, docType, pack),
+      systemPrompt,
+      pack,
+      maxOutputTokens: FULL_DOCUMENT_OUTPUT_TOKENS,
+      logContext: parts.length > 1 ? { docId, part: partIndex + 1 } : { docId }
+    }));
+  }
+  let cypher = partCyphers.join('\n');
+
+  // Format Cypher in structured format (constraints, nodes, relationships)
+  let propertyConflicts = [];
+  let droppedProperties = [];
   try {
-    response = await retryWithBackoff(
-      () => callLLM(
-        CYPHER_MODEL_PROVIDER,
-        model,
-        prompt,
-        systemPrompt,
-        { temperature: 0.1, max_new_tokens: 8192, timeout: CYPHER_GENERATION_TIMEOUT }
-      ),
-      {
-        maxRetries: 3,
-        initialDelay: 2000,
-        maxDelay: 30000,
-        shouldRetry: isRetryableError,
-        context: `cypher-generation-full-${docId}`
-      }
-    );
-  } catch (llmError) {
-    logger.error('LLM call failed after retries', {
+    const formatted = formatStructuredCypherWithReport(cypher, schema, pack);
+    logger.info('Cypher formatted in structured format', {
       docId,
-      error: llmError.message,
-      provider: CYPHER_MODEL_PROVIDER,
-      model
+      originalLength: cypher.length,
+      formattedLength: formatted.cypher.length,
+      propertyConflicts: formatted.propertyConflicts.length,
+      droppedProperties: formatted.droppedProperties.length
     });
-    throw llmError;
-  }
-
-  if (!response || typeof response !== 'string') {
-    logger.error('Invalid LLM response', {
+    cypher = formatted.cypher;
+    propertyConflicts = formatted.propertyConflicts;
+    droppedProperties = formatted.droppedProperties;
+  } catch (formatError) {
+    logger.warn('Failed to format Cypher, using raw output', {
       docId,
-      responseType: typeof response,
-      response: response ? JSON.stringify(response).substring(0, 500) : 'null'
+      error: formatError.message
     });
-    throw new Error(`Invalid LLM response: expected string, got ${typeof response}`);
+    // Continue with raw Cypher if formatting fails
   }
 
-  logger.info('LLM response received', {
+  logger.info('Cypher generated for full document', {
     docId,
-    responseLength: response.length,
-    responsePreview: response.substring(0, 500)
+    cypherLength: cypher.length,
+    statementCount: (cypher.match(/MERGE/g) || []).length
   });
 
-  // Extract Cypher from response
-  let cypher = extractCypher(response);
+  return { cypher, propertyConflicts, droppedProperties, promptBudget: promptBudgetRecord };
+}
 
-  logger.info('Extracted Cypher', {
+/**
+ * Generate Cypher for full document in structured mode
+ * The LLM extracts the graph as JSON; the Cypher is generated from it with every value as a
+ * query parameter (see structured.js), so no syntax repair or formatting is needed.
+ * @param {string} docId - MongoDB document ID
+ * @param {object} options - Generation options
+ * @param {boolean} options.mapTables - Leave out mapped tables, whose rows generateCypherForTables turns into graph data
+ * @returns {Promise<{cypher: string, params: object, propertyConflicts: Array<object>, extraction: object,
+ *   promptBudget: object}>} Generated Cypher, its parameters, resolved property conflicts, extraction
+ *   counts and how the text was fitted into the context window
+ */
+export async function generateStructuredCypherForFullDocument(docId, { mapTables = false } = {}) {
+  const { schema, documentText, docType, pack } = await loadFullDocumentContext(docId, { mapTables });
+
+  const systemPrompt = 'You extract knowledge graphs from documents. Output a single JSON object only, no markdown, no explanations.';
+
+  const model = CYPHER_MODEL_PROVIDER === 'ollama'
+    ? TEXT2CYPHER_MODEL_OLLAMA
+    : TEXT2CYPHER_MODEL_HF;
+
+  // Text beyond the context window is extracted part by part; the parts are merged by normalising
+  const budget = promptBudget({
+    model,
+    instructions: `${systemPrompt}\n\n${buildExtractionPrompt(schema, '', docType, pack)}`,
+    maxOutputTokens: FULL_DOCUMENT_OUTPUT_TOKENS
+  });
+  const { parts, ...fitted } = fitTextToBudget(documentText, budget.availableTokens);
+  const promptBudgetRecord = { ...budget, ...fitted, parts: parts.length };
+  if (fitted.truncated) {
+    logger.warn('Document text truncated to fit the extraction model context window', { docId, ...promptBudgetRecord });
+  }
+
+  logger.info('Extracting graph JSON for full document', {
     docId,
-    cypherLength: cypher?.length || 0,
-    cypherPreview: cypher?.substring(0, 200) || 'empty'
+    provider: CYPHER_MODEL_PROVIDER,
+    model,
+    schemaPack: pack?.name || null,
+    textLength: documentText.length,
+    parts: parts.length
   });
 
-  if (!cypher || cypher.trim().length === 0) {
-    logger.warn('No Cypher extracted from response', { docId, responsePreview: response.substring(0, 1000) });
-    throw new Error('No Cypher was extracted from LLM response');
+  const extracted = { nodes: [], relationships: [] };
+  for (const [partIndex, part] of parts.entries()) {
+    let response;
+    try {
+      response = await retryWithBackoff(
+        () => callLLM(
+          CYPHER_MODEL_PROVIDER,
+          model,
+          buildExtractionPrompt(schema, part, docType, pack),
+          systemPrompt,
+          {
+            temperature: 0.1,
+            max_new_tokens: FULL_DOCUMENT_OUTPUT_TOKENS,
+            timeout: CYPHER_GENERATION_TIMEOUT,
+            ...contextWindowOptions(CYPHER_MODEL_PROVIDER, model)
+          }
+        ),
+        {
+          maxRetries: 3,
+          initialDelay: 2000,
+          maxDelay: 30000,
+          shouldRetry: isRetryableError,
+          context: `graph-extraction-full-${docId}`
+        }
+      );
+    } catch (llmError) {
+      logger.error('LLM call failed after retries', {
+        docId,
+        part: partIndex + 1,
+        error: llmError.message,
+        provider: CYPHER_MODEL_PROVIDER,
+        model
+      });
+      throw llmError;
+    }
+
+    if (!response || typeof response !== 'string') {
+      throw new Error(`Invalid LLM response: expected string, got ${typeof response}`);
+    }
+
+    const raw = extractJSON(response);
+    if (!raw || !Array.isArray(raw.nodes)) {
+      throw new Error('Extracted graph must be an object with a "nodes" array');
+    }
+    extracted.nodes.push(...raw.nodes);
+    extracted.relationships.push(...(Array.isArray(raw.relationships) ? raw.relationships : []));
   }
 
-  // Fix common Cypher syntax errors
-  cypher = fixCypherSyntax(cypher);
+  const graph = normalizeExtractedGraph(extracted, schema, pack);
+  if (graph.nodes.length === 0) {
+    throw new Error('No nodes were extracted from LLM response');
+  }
 
-  // Format Cypher in structured format (constraints, nodes, relationships)
-  try {
-    const formattedCypher = formatStructuredCypher(cypher, schema);
-    logger.info('Cypher formatted in structured format', {
-      docId,
-      originalLength: cypher.length,
-      formattedLength: formattedCypher.length
-    });
-    cypher = formattedCypher;
-  } catch (formatError) {
-    logger.warn('Failed to format Cypher, using raw output', {
-      docId,
-      error: formatError.message
+  const { cypher, params } = generateParameterisedCypher(graph, pack);
+  const extraction = {
+    nodes: graph.nodes.length,
+    relationships: graph.relationships.length,
+    droppedNodes: graph.dropped.nodes,
+    droppedRelationships: graph.dropped.relationships
+  };
+
+  logger.info('Cypher generated from extracted graph', {
+    docId,
+    ...extraction,
+    propertyConflicts: graph.propertyConflicts.length
+  });
+
+  return { cypher, params, propertyConflicts: graph.propertyConflicts, extraction, promptBudget: promptBudgetRecord };
+}
+
+/**
+ * Generate Cypher for the document's tables from their column mappings (no LLM)
+ * Each table uses its own mapping, else the first mapping of the schema pack whose columns it has;
+ * tables without one are left to the text generation. The rows go through the same normalisation
+ * and parameterised Cypher as structured mode.
+ * @param {string} docId - MongoDB document ID
+ * @returns {Promise<{cypher: string, params: object, propertyConflicts: Array<object>, extraction: object}|null>}
+ *   Generated Cypher, its parameters, resolved property conflicts and counts per table; null when no
+ *   table has a mapping
+ */
+export async function generateCypherForTables(docId) {
+  const { doc, schema, pack } = await loadFullDocumentContext(docId);
+
+  const extracted = { nodes: [], relationships: [] };
+  const tables = [];
+  for (const table of doc.tables || []) {
+    const matched = matchTableMapping(table, pack);
+    if (!matched) {
+      continue;
+    }
+    const rows = tableRowsToGraph(table, matched.mapping);
+    extracted.nodes.push(...rows.nodes);
+    extracted.relationships.push(...rows.relationships);
+    tables.push({
+      tableIndex: table.tableIndex,
+      mappingSource: matched.source,
+      rows: table.rows.length,
+      skippedRows: rows.skippedRows
     });
-    // Continue with raw Cypher if formatting fails
   }
 
-  logger.info('Cypher generated for full document', {
+  if (tables.length === 0) {
+    logger.info('No mapped tables to generate Cypher for', { docId, tables: (doc.tables || []).length });
+    return null;
+  }
+
+  const graph = normalizeExtractedGraph(extracted, schema, pack);
+  if (graph.nodes.length === 0) {
+    logger.warn('Mapped tables yielded no nodes', { docId, tables });
+    return null;
+  }
+
+  const { cypher, params } = generateParameterisedCypher(graph, pack);
+  const extraction = {
+    nodes: graph.nodes.length,
+    relationships: graph.relationships.length,
+    droppedNodes: graph.dropped.nodes,
+    droppedRelationships: graph.dropped.relationships,
+    tables
+  };
+
+  logger.info('Cypher generated from mapped tables', {
     docId,
-    cypherLength: cypher.length,
-    statementCount: (cypher.match(/MERGE/g) || []).length
+    tables: tables.length,
+    nodes: extraction.nodes,
+    relationships: extraction.relationships,
+    propertyConflicts: graph.propertyConflicts.length
   });
 
-  return cypher;
+  return { cypher, params, propertyConflicts: graph.propertyConflicts, extraction };
 }
 
-export async function generateCypherForAllChunks(docId) {
+export async function generateCypherForAllChunks(docId, { mapTables = false } = {}) {
   const chunks = await DocumentChunk.find({
     docId,
     status: { $in: ['pending', 'error'] }
@@ -958,11 +1295,22 @@ export async function generateCypherForAllChunks(docId) {
   logger.info('Generating Cypher for all chunks', { docId, chunkCount: chunks.length });
 
   const results = [];
+  const total = chunks.length;
   for (const chunk of chunks) {
+    const chunkStartTime = Date.now();
+    emitPipelineEvent(docId, 'chunk', {
+      stage: 'cypherGeneration',
+      chunkId: chunk._id.toString(),
+      chunkIndex: chunk.chunkIndex,
+      status: 'started',
+      completed: results.length,
+      total
+    });
+
     try {
       // Retry failed chunks
       const cypher = await retryWithBackoff(
-        () => generateCypherForChunk(chunk._id),
+        () => generateCypherForChunk(chunk._id, { mapTables }),
         {
           maxRetries: 2,
           initialDelay: 1000,
@@ -975,12 +1323,31 @@ export async function generateCypherForAllChunks(docId) {
         }
       );
       results.push({ chunkId: chunk._id, success: true, cypher });
+      emitPipelineEvent(docId, 'chunk', {
+        stage: 'cypherGeneration',
+        chunkId: chunk._id.toString(),
+        chunkIndex: chunk.chunkIndex,
+        status: 'completed',
+        completed: results.length,
+        total,
+        durationMs: Date.now() - chunkStartTime
+      });
     } catch (error) {
       logger.error('Failed to generate Cypher for chunk after retries', {
         chunkId: chunk._id,
         error: error.message
       });
       results.push({ chunkId: chunk._id, success: false, error: error.message });
+      emitPipelineEvent(docId, 'chunk', {
+        stage: 'cypherGeneration',
+        chunkId: chunk._id.toString(),
+        chunkIndex: chunk.chunkIndex,
+        status: 'failed',
+        completed: results.length,
+        total,
+        durationMs: Date.now() - chunkStartTime,
+        error: error.message
+      });
     }
   }
 
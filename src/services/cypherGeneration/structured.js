@@ -0,0 +1,304 @@
+/**
+ * Structured extraction mode
+ * The LLM returns the graph as JSON and the Cypher is generated here, deterministically
+ *
+ * Expected JSON:
+ *   { nodes: [{ label, id, props }], relationships: [{ from, type, to, props }] }
+ * `from`/`to` are node ids (or { label, id } when the same id is used by several labels).
+ *
+ * Every value reaches Neo4j as a query parameter, so quoting in the extracted text can no
+ * longer break a statement and no syntax repair is needed.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { generateConstraintsFromNodes, resolveProperty } from '../../utils/formatCypher.js';
+import { formatName } from '../../utils/cypherParser.js';
+import { canonicalizeRelationship, getVariablePrefix, getIdProperty } from '../schemaPacks.js';
+import { httpError } from '../../utils/httpError.js';
+
+export const GENERATION_MODES = ['cypher', 'structured'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Check a requested generation mode
+ * @param {string} mode - Generation mode
+ * @throws {Error} - 400 when the mode is unknown
+ */
+export function assertGenerationMode(mode) {
+  if (!GENERATION_MODES.includes(mode)) {
+    throw httpError(`generationMode must be one of: ${GENERATION_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Build the extraction prompt for structured mode
+ * @param {object} schema - Graph schema
+ * @param {string} text - Document text
+ * @param {string} docType - Document type
+ * @param {object|null} pack - Schema pack selected for the document
+ */
+export function buildExtractionPrompt(schema, text, docType = 'general', pack = null) {
+  const nodeTypes = Object.entries(schema.nodes)
+    .map(([label, props]) => `  - ${label} (id property: ${idPropertyFor(label, schema, pack)}): [${props.join(', ')}]`)
+    .join('\n');
+
+  const directions = pack?.canonicalDirections.length ? pack.canonicalDirections : schema.relationships;
+  const relationships = directions
+    .map(rel => `  - ${rel.from} --[${rel.type}]--> ${rel.to}`)
+    .join('\n');
+
+  return `Extract the entities and relationships from this ${docType} document as JSON.
+
+Schema:
+Nodes:
+${nodeTypes}
+Relationships:
+${relationships}
+${pack?.hints.cypher ? `\nDomain guidance (${pack.name}): ${pack.hints.cypher}\n` : ''}
+Text:
+${text}
+
+Return ONLY a JSON object of this form:
+{
+  "nodes": [
+    { "label": "Account", "id": "A-1001", "props": { "accountType": "checking", "balance": 2500.75, "openedDate": "2021-03-15" } }
+  ],
+  "relationships": [
+    { "from": "P-1", "type": "HAS_ACCOUNT", "to": "A-1001", "props": {} }
+  ]
+}
+
+Rules:
+- Use only the labels, relationship types and properties of the schema
+- "id" is the value of the label's id property; do not repeat it in "props"
+- "from" and "to" are node ids. If two nodes of different labels share an id, use { "label": "...", "id": "..." }
+- Relationship direction is subject -> object, as listed in the schema
+- Property values are strings, numbers, booleans or lists of those. Write numbers as numbers, dates as "YYYY-MM-DD"
+- Do not invent values; leave out properties the text does not state
+- Include every entity and relationship the text mentions
+
+JSON:`;
+}
+
+/**
+ * ID property of a label: the pack's convention, the schema's {label}Id property, else {label}Id
+ */
+function idPropertyFor(label, schema, pack) {
+  const packIdProp = getIdProperty(pack, label);
+  if (packIdProp) {
+    return packIdProp;
+  }
+  const labelIdPattern = new RegExp(`^${label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}_?id$`, 'i');
+  const schemaIdProp = (schema.nodes[label] || []).find(prop => typeof prop === 'string' && labelIdPattern.test(prop));
+  return schemaIdProp || `${label.charAt(0).toLowerCase()}${label.slice(1)}Id`;
+}
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Keep the property values Neo4j can store (scalars and lists of scalars)
+ */
+function cleanProps(props, context) {
+  const cleaned = {};
+  if (!props || typeof props !== 'object' || Array.isArray(props)) {
+    return cleaned;
+  }
+  for (const [key, value] of Object.entries(props)) {
+    if (isScalar(value) || (Array.isArray(value) && value.every(isScalar))) {
+      cleaned[key] = value;
+    } else if (value !== null && value !== undefined) {
+      logger.debug('Dropping extracted property that Neo4j cannot store', { ...context, property: key });
+    }
+  }
+  return cleaned;
+}
+
+function normalizeLabel(label) {
+  const name = String(label ?? '').trim().replace(/^:/, '');
+  return name ? name.charAt(0).toUpperCase() + name.slice(1) : null;
+}
+
+function normalizeType(type) {
+  const name = String(type ?? '').trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^\w]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return name ? name.toUpperCase() : null;
+}
+
+/**
+ * Validate and normalise the graph returned by the LLM
+ * Invalid entries are dropped (and counted); nodes repeated with the same label and id are
+ * merged, resolving differing property values the same way the Cypher formatter does.
+ * @param {object} raw - Parsed JSON from the LLM
+ * @param {object} schema - Graph schema
+ * @param {object|null} pack - Schema pack (ID conventions, relationship rules)
+ * @returns {{nodes: Array<object>, relationships: Array<object>, propertyConflicts: Array<object>, dropped: object}}
+ */
+export function normalizeExtractedGraph(raw, schema, pack = null) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.nodes)) {
+    throw new Error('Extracted graph must be an object with a "nodes" array');
+  }
+
+  const dropped = { nodes: 0, relationships: 0 };
+  const nodesByKey = new Map();
+  const candidatesByKey = new Map(); // node key -> property -> candidate JSON texts
+
+  for (const entry of raw.nodes) {
+    const label = normalizeLabel(entry?.label);
+    if (!label) {
+      dropped.nodes++;
+      continue;
+    }
+    const idProp = idPropertyFor(label, schema, pack);
+    const props = cleanProps(entry.props || entry.properties, { label });
+    const id = isScalar(entry.id) && entry.id !== '' ? entry.id : props[idProp];
+    if (!isScalar(id) || id === '') {
+      dropped.nodes++;
+      continue;
+    }
+    delete props[idProp];
+
+    const key = `${label}:${id}`;
+    if (!nodesByKey.has(key)) {
+      nodesByKey.set(key, { key, label, idProp, id, props: {} });
+      candidatesByKey.set(key, new Map());
+    }
+    const candidates = candidatesByKey.get(key);
+    for (const [property, value] of Object.entries(props)) {
+      if (!candidates.has(property)) {
+        candidates.set(property, []);
+      }
+      candidates.get(property).push(JSON.stringify(value));
+    }
+  }
+
+  const propertyConflicts = [];
+  const nodes = [...nodesByKey.values()];
+  for (const node of nodes) {
+    for (const [property, candidates] of candidatesByKey.get(node.key)) {
+      const { value, values } = resolveProperty(candidates);
+      node.props[property] = JSON.parse(value);
+      if (values.length > 1) {
+        propertyConflicts.push({ label: node.label, idProperty: node.idProp, idValue: node.id, property, kept: value, values });
+      }
+    }
+  }
+
+  // Relationship ends refer to nodes by id, or by { label, id }
+  const nodesById = new Map();
+  for (const node of nodes) {
+    const id = String(node.id);
+    nodesById.set(id, [...(nodesById.get(id) || []), node]);
+  }
+  const findNode = (ref) => {
+    if (ref && typeof ref === 'object') {
+      return nodesByKey.get(`${normalizeLabel(ref.label)}:${ref.id}`) || null;
+    }
+    const matches = isScalar(ref) ? nodesById.get(String(ref)) || [] : [];
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  const relationships = [];
+  const seen = new Set();
+  for (const entry of Array.isArray(raw.relationships) ? raw.relationships : []) {
+    let from = findNode(entry?.from);
+    let to = findNode(entry?.to);
+    const type = normalizeType(entry?.type);
+    if (!from || !to || !type) {
+      logger.debug('Dropping extracted relationship with unknown end nodes', { from: entry?.from, type: entry?.type, to: entry?.to });
+      dropped.relationships++;
+      continue;
+    }
+
+    const canonical = canonicalizeRelationship(pack, from.label, type, to.label);
+    if (canonical.redundant) {
+      continue;
+    }
+    if (canonical.flip) {
+      [from, to] = [to, from];
+    }
+
+    const key = `${from.key}|${canonical.type}|${to.key}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    relationships.push({ from, type: canonical.type, to, props: cleanProps(entry.props || entry.properties, { type }) });
+  }
+
+  return { nodes, relationships, propertyConflicts, dropped };
+}
+
+/**
+ * Cypher expression for a parameter, typed from its value (ISO dates become date()/datetime())
+ */
+function parameterExpression(name, value) {
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    return `date($${name})`;
+  }
+  if (typeof value === 'string' && ISO_DATETIME.test(value)) {
+    return `datetime($${name})`;
+  }
+  return `$${name}`;
+}
+
+/**
+ * SET items for a property map, adding the parameters they use
+ */
+function setItems(variable, props, prefix, params) {
+  return Object.entries(props).map(([property, value], index) => {
+    const name = /^\w+$/.test(property) ? `${prefix}_${property}` : `${prefix}_p${index}`;
+    params[name] = value;
+    return `${variable}.${formatName(property)} = ${parameterExpression(name, value)}`;
+  });
+}
+
+/**
+ * Generate parameterised Cypher for a normalised graph
+ * One statement per node (identity MERGE + SET) and per relationship (MATCH both ends + MERGE).
+ * All statements share one parameter map; parameter names are unique per statement.
+ * @param {{nodes: Array<object>, relationships: Array<object>}} graph - Normalised graph
+ * @param {object|null} pack - Schema pack (variable prefixes)
+ * @returns {{cypher: string, params: object}}
+ */
+export function generateParameterisedCypher(graph, pack = null) {
+  const params = {};
+
+  let nodesSection = '\n/* --- 2) Create nodes (values are query parameters) --- */\n\n';
+  graph.nodes.forEach((node, index) => {
+    const prefix = `n${index + 1}`;
+    const variable = getVariablePrefix(pack, node.label);
+    params[`${prefix}_id`] = node.id;
+
+    nodesSection += `MERGE (${variable}:${formatName(node.label)} {${formatName(node.idProp)}: $${prefix}_id})`;
+    const items = setItems(variable, node.props, prefix, params);
+    if (items.length > 0) {
+      nodesSection += `\nSET ${items.join(', ')}`;
+    }
+    nodesSection += ';\n';
+  });
+
+  let relationshipsSection = '\n/* --- 3) Now MERGE relationships between the nodes above --- */\n\n';
+  graph.relationships.forEach((rel, index) => {
+    const prefix = `r${index + 1}`;
+    params[`${prefix}_from`] = rel.from.id;
+    params[`${prefix}_to`] = rel.to.id;
+
+    relationshipsSection += `MATCH (a:${formatName(rel.from.label)} {${formatName(rel.from.idProp)}: $${prefix}_from}), ` +
+      `(b:${formatName(rel.to.label)} {${formatName(rel.to.idProp)}: $${prefix}_to})\n` +
+      `MERGE (a)-[r:${formatName(rel.type)}]->(b)`;
+    const items = setItems('r', rel.props, prefix, params);
+    if (items.length > 0) {
+      relationshipsSection += `\nSET ${items.join(', ')}`;
+    }
+    relationshipsSection += ';\n';
+  });
+
+  const constraintsSection = generateConstraintsFromNodes(graph.nodes, pack);
+  return { cypher: constraintsSection + nodesSection + relationshipsSection, params };
+}
@@ -0,0 +1,174 @@
+/**
+ * Cypher Review Service
+ * Human-in-the-loop approval of generated Cypher before Neo4j ingestion
+ */
+
+import Document from '../models/Document.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import ChunkCypherResult from '../models/ChunkCypherResult.js';
+import { emitPipelineEvent } from './pipelineEvents.js';
+import { logger } from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Get generated Cypher and review state for a document
+ * @param {string} docId - Document ID
+ * @returns {Promise<object|null>} - Review payload, or null if the document does not exist
+ */
+export async function getCypherForReview(docId) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    return null;
+  }
+
+  const results = await ChunkCypherResult.find({ docId }).sort({ createdAt: 1 });
+  const chunks = await DocumentChunk.find({ docId }).select('chunkIndex');
+  const chunkIndexById = new Map(chunks.map(c => [c._id.toString(), c.chunkIndex]));
+
+  return {
+    docId: doc._id,
+    filename: doc.filename,
+    status: doc.status,
+    review: doc.review,
+    results: results.map(r => ({
+      id: r._id,
+      chunkId: r.chunkId,
+      chunkIndex: r.chunkId ? chunkIndexById.get(r.chunkId.toString()) ?? null : null,
+      status: r.status,
+      error: r.error,
+      generatedCypher: r.generatedCypher,
+      cypherParams: r.cypherParams,
+      propertyConflicts: r.propertyConflicts,
+      droppedProperties: r.droppedProperties,
+      conformance: r.conformance,
+      repair: r.repair,
+      generationModel: r.generationModel,
+      generationProvider: r.generationProvider,
+      generationMode: r.generationMode,
+      createdAt: r.createdAt,
+      updatedAt: r.updatedAt
+    })),
+    cypher: results.map(r => r.generatedCypher).join('\n\n')
+  };
+}
+
+/**
+ * Normalize reviewer edits into [{ resultId, cypher }]
+ * Accepts either `cypher` (single result documents) or `edits: [{ resultId, cypher }]`
+ */
+function normalizeEdits(results, { cypher, edits }) {
+  if (typeof cypher === 'string') {
+    if (results.length !== 1) {
+      throw httpError('Document has multiple Cypher results; use "edits" with resultId', 400);
+    }
+    return [{ resultId: results[0]._id.toString(), cypher }];
+  }
+
+  if (!edits) {
+    return [];
+  }
+
+  if (!Array.isArray(edits)) {
+    throw httpError('"edits" must be an array of { resultId, cypher }', 400);
+  }
+
+  const resultIds = new Set(results.map(r => r._id.toString()));
+  return edits.map((edit, i) => {
+    if (!edit || typeof edit.cypher !== 'string' || !edit.resultId) {
+      throw httpError(`Invalid edit at index ${i}: resultId and cypher are required`, 400);
+    }
+    if (!resultIds.has(edit.resultId.toString())) {
+      throw httpError(`Cypher result not found for document: ${edit.resultId}`, 404);
+    }
+    return { resultId: edit.resultId.toString(), cypher: edit.cypher };
+  });
+}
+
+/**
+ * Approve generated Cypher, optionally replacing it with edited Cypher
+ * @param {string} docId - Document ID
+ * @param {object} options - Review options
+ * @param {string} options.cypher - Edited Cypher (single result documents)
+ * @param {Array<{resultId: string, cypher: string}>} options.edits - Edited Cypher per result
+ * @param {string} options.reviewer - Reviewer name
+ * @param {string} options.comment - Review comment
+ * @returns {Promise<object>} - Updated review state
+ */
+export async function approveCypher(docId, { cypher, edits, reviewer = null, comment = null } = {}) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw httpError('Document not found', 404);
+  }
+
+  if (doc.status !== 'awaiting_review') {
+    throw httpError(`Document is not awaiting review (status: ${doc.status})`, 409);
+  }
+
+  const results = await ChunkCypherResult.find({ docId }).sort({ createdAt: 1 });
+  const normalizedEdits = normalizeEdits(results, { cypher, edits });
+
+  for (const edit of normalizedEdits) {
+    const trimmed = edit.cypher.trim();
+    if (!trimmed) {
+      throw httpError(`Edited Cypher is empty for result ${edit.resultId}`, 400);
+    }
+    await ChunkCypherResult.updateOne(
+      { _id: edit.resultId, docId },
+      { generatedCypher: trimmed, status: 'generated', error: null, propertyConflicts: [], droppedProperties: [], conformance: null, repair: null }
+    );
+  }
+
+  const review = {
+    status: 'approved',
+    requestedAt: doc.review?.requestedAt || null,
+    reviewedAt: new Date(),
+    reviewer,
+    comment,
+    editedResults: normalizedEdits.length
+  };
+  await doc.updateOne({ review });
+
+  logger.info('Cypher approved', { docId, reviewer, editedResults: normalizedEdits.length });
+  emitPipelineEvent(docId, 'review', { status: 'approved', reviewer, editedResults: normalizedEdits.length });
+
+  return review;
+}
+
+/**
+ * Reject generated Cypher - the document is not ingested
+ * Results are kept for inspection; reprocess the document to regenerate them
+ * @param {string} docId - Document ID
+ * @param {object} options - Review options
+ * @param {string} options.reviewer - Reviewer name
+ * @param {string} options.comment - Rejection reason
+ * @returns {Promise<object>} - Updated review state
+ */
+export async function rejectCypher(docId, { reviewer = null, comment = null } = {}) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw httpError('Document not found', 404);
+  }
+
+  if (doc.status !== 'awaiting_review') {
+    throw httpError(`Document is not awaiting review (status: ${doc.status})`, 409);
+  }
+
+  const review = {
+    status: 'rejected',
+    requestedAt: doc.review?.requestedAt || null,
+    reviewedAt: new Date(),
+    reviewer,
+    comment,
+    editedResults: 0
+  };
+  await doc.updateOne({
+    status: 'review_rejected',
+    review,
+    processingCompletedAt: new Date()
+  });
+
+  logger.info('Cypher rejected', { docId, reviewer, comment });
+  emitPipelineEvent(docId, 'review', { status: 'rejected', reviewer, comment });
+
+  return review;
+}
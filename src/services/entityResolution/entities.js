@@ -0,0 +1,228 @@
+/**
+ * Entities written by generated Cypher, and identifier rewriting
+ * Shared by cross-chunk resolution (index.js) and resolution against the graph (graph.js).
+ *
+ * An entity is a node pattern with a label and an identity property in its map, e.g.
+ * `MERGE (a:Account {accountId: "A1"})`. Identity values may be literals or, in structured
+ * mode, query parameters resolved from the result's cypherParams; rewriting updates whichever
+ * one the Cypher uses.
+ */
+
+import ChunkCypherResult from '../../models/ChunkCypherResult.js';
+import { parseCypher, statementNodes, applyEdits } from '../../utils/cypherParser.js';
+import { getIdProperty } from '../schemaPacks.js';
+import { normalizeValue, entityName, isNameProperty } from './similarity.js';
+
+/**
+ * Value of a literal or parameter expression, or undefined
+ */
+function expressionValue(expression, params) {
+  if (['string', 'number', 'boolean'].includes(expression?.type)) {
+    return expression.value;
+  }
+  if (expression?.type === 'parameter') {
+    const value = params?.[expression.name];
+    return ['string', 'number', 'boolean'].includes(typeof value) ? value : undefined;
+  }
+  return undefined;
+}
+
+/**
+ * Map entry holding a node's identity: the pack's ID property, else an *Id/id property,
+ * else the only literal entry
+ * @returns {{key: string, value: *, expression: object}|null}
+ */
+function identityEntry(label, entries, pack, params) {
+  const identities = entries
+    .map(entry => ({ key: entry.key, value: expressionValue(entry.value, params), expression: entry.value }))
+    .filter(entry => typeof entry.value === 'string' || typeof entry.value === 'number');
+  const packIdProp = getIdProperty(pack, label);
+  return identities.find(entry => packIdProp && entry.key === packIdProp) ||
+    identities.find(entry => /^[a-z]\w*Id$/.test(entry.key) || /^(id|uuid)$/i.test(entry.key)) ||
+    (identities.length === 1 ? identities[0] : null);
+}
+
+/**
+ * Cypher literal for an identifier value (strings with double quotes, as formatCypher writes them)
+ */
+export function literalText(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Key of an entity: label, identity property and identity value (with its type)
+ */
+export function entityKey(label, idProperty, id) {
+  return `${label}\u0000${idProperty}\u0000${typeof id}:${id}`;
+}
+
+/**
+ * Collect the entities written by a set of Cypher results
+ * @param {Array<object>} results - ChunkCypherResults, in chunk order
+ * @param {object|null} pack - Schema pack (ID conventions)
+ * @returns {Array<object>} - Entities in order of first appearance: { key, label, idProperty, id,
+ *   idText, name, properties (first value per property), values (normalised values per property),
+ *   chunkIds, resultIds }
+ */
+export function collectEntities(results, pack) {
+  const entities = new Map();
+
+  const addProperty = (entity, property, value) => {
+    if (value === undefined || value === null || property === entity.idProperty) {
+      return;
+    }
+    if (!entity.properties.has(property)) {
+      entity.properties.set(property, value);
+      entity.values.set(property, new Set());
+    }
+    entity.values.get(property).add(normalizeValue(value));
+  };
+
+  for (const result of results) {
+    const params = result.cypherParams || {};
+    for (const statement of parseCypher(result.generatedCypher).statements) {
+      if (statement.kind !== 'query') {
+        continue;
+      }
+      const variables = new Map();
+
+      for (const { clause, node } of statementNodes(statement)) {
+        if (!['MERGE', 'CREATE', 'MATCH'].includes(clause.type) || node.labels.length === 0 || node.properties?.type !== 'map') {
+          continue;
+        }
+        const label = node.labels[0];
+        const identity = identityEntry(label, node.properties.entries, pack, params);
+        if (!identity) {
+          continue;
+        }
+
+        const key = entityKey(label, identity.key, identity.value);
+        let entity = entities.get(key);
+        if (!entity) {
+          entity = {
+            key,
+            label,
+            idProperty: identity.key,
+            id: identity.value,
+            idText: literalText(identity.value),
+            properties: new Map(),
+            values: new Map(),
+            chunkIds: new Set(),
+            resultIds: new Set()
+          };
+          entities.set(key, entity);
+        }
+        if (result.chunkId) {
+          entity.chunkIds.add(result.chunkId.toString());
+        }
+        entity.resultIds.add(result._id.toString());
+        for (const entry of node.properties.entries) {
+          addProperty(entity, entry.key, expressionValue(entry.value, params));
+        }
+        if (node.variable) {
+          variables.set(node.variable, entity);
+        }
+      }
+
+      for (const clause of statement.clauses) {
+        const itemGroups = [
+          ...(clause.type === 'SET' ? [clause.items] : []),
+          ...(clause.actions || []).map(action => action.items)
+        ];
+        for (const item of itemGroups.flat()) {
+          const entity = variables.get(item.variable);
+          if (entity && item.kind === 'property') {
+            addProperty(entity, item.property, expressionValue(item.value, params));
+          }
+        }
+      }
+    }
+  }
+
+  return [...entities.values()].map(entity => ({ ...entity, name: entityName(entity.properties) }));
+}
+
+/**
+ * Compare the non-name attributes two entities both have
+ * @param {Map<string, Set<string>>} left - Normalised values per property
+ * @param {Map<string, Set<string>>} right - Normalised values per property
+ * @returns {{sharedAttributes: Array<string>, conflictingAttributes: Array<string>}}
+ */
+export function compareAttributes(left, right) {
+  const sharedAttributes = [];
+  const conflictingAttributes = [];
+  for (const [property, values] of left) {
+    const other = right.get(property);
+    if (!other || isNameProperty(property)) {
+      continue;
+    }
+    if ([...values].some(value => other.has(value))) {
+      sharedAttributes.push(property);
+    } else {
+      conflictingAttributes.push(property);
+    }
+  }
+  return { sharedAttributes, conflictingAttributes };
+}
+
+/**
+ * Entity as stored on resolution records
+ */
+export function storedEntity(entity) {
+  return {
+    id: entity.id,
+    name: entity.name,
+    chunkIds: [...entity.chunkIds],
+    properties: Object.fromEntries(entity.properties)
+  };
+}
+
+/**
+ * Rewrite identifiers in the results' Cypher (or cypherParams) and save the results
+ * @param {Array<object>} results - ChunkCypherResults
+ * @param {Map<string, {id: *}>} targets - Entity key -> entity whose identifier to use
+ * @param {object|null} pack - Schema pack (ID conventions)
+ * @returns {Promise<{resultsUpdated: number, identifiersRewritten: number}>}
+ */
+export async function rewriteIdentifiers(results, targets, pack) {
+  let resultsUpdated = 0;
+  let identifiersRewritten = 0;
+
+  for (const result of results) {
+    const params = result.cypherParams || {};
+    const edits = [];
+    const paramUpdates = {};
+    for (const statement of parseCypher(result.generatedCypher).statements) {
+      for (const { node } of statementNodes(statement)) {
+        if (node.labels.length === 0 || node.properties?.type !== 'map') {
+          continue;
+        }
+        const identity = identityEntry(node.labels[0], node.properties.entries, pack, params);
+        const target = identity && targets.get(entityKey(node.labels[0], identity.key, identity.value));
+        if (!target) {
+          continue;
+        }
+        if (identity.expression.type === 'parameter') {
+          paramUpdates[identity.expression.name] = target.id;
+        } else {
+          edits.push({ start: identity.expression.start, end: identity.expression.end, text: literalText(target.id) });
+        }
+      }
+    }
+
+    const rewritten = edits.length + Object.keys(paramUpdates).length;
+    if (rewritten > 0) {
+      result.generatedCypher = applyEdits(result.generatedCypher, edits);
+      const update = { generatedCypher: result.generatedCypher };
+      if (Object.keys(paramUpdates).length > 0) {
+        result.cypherParams = { ...params, ...paramUpdates };
+        update.cypherParams = result.cypherParams;
+      }
+      await ChunkCypherResult.updateOne({ _id: result._id }, update);
+      resultsUpdated++;
+      identifiersRewritten += rewritten;
+    }
+  }
+
+  return { resultsUpdated, identifiersRewritten };
+}
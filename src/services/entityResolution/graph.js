@@ -0,0 +1,360 @@
+/**
+ * Entity resolution against the graph
+ * Before ingestion, the entities of a document's Cypher are looked up among the nodes earlier
+ * documents wrote, so an entity that already exists under a slightly different identifier is
+ * not created a second time.
+ *
+ * Candidates are searched per label and identity property:
+ *   exact_id      - a node with the same identifier (found through the property's index)
+ *   normalized_id - the same identifier once case, separators and leading zeros are ignored
+ *   fuzzy_name    - a name at least `reviewThreshold` similar
+ * The last two compare against at most `scanLimit` nodes per label.
+ *
+ * merge - the entity is written to the existing node: exact matches need nothing, other matches
+ *         have their identifier rewritten in the Cypher. Used for exact and normalised IDs and for
+ *         names above `mergeThreshold` with a shared attribute, when no attribute conflicts and
+ *         no other candidate scores as high.
+ * link  - the entity stays a node of its own, linked to each candidate with a
+ *         (entity)-[:POSSIBLY_SAME_AS {score, method}]->(candidate) relationship after ingestion.
+ *
+ * Every decision is stored as a ResolutionDecision for audit. Resolving the same Cypher again
+ * replaces its decisions, except merges that rewrote an identifier: the rewrite stays in the Cypher.
+ */
+
+import neo4j from 'neo4j-driver';
+import { getNeo4jSession } from '../../config/database.js';
+import ResolutionDecision from '../../models/ResolutionDecision.js';
+import ChunkCypherResult from '../../models/ChunkCypherResult.js';
+import Document from '../../models/Document.js';
+import { logger } from '../../utils/logger.js';
+import { formatName } from '../../utils/cypherParser.js';
+import { detectDocumentType } from '../../utils/documentTypeDetector.js';
+import { resolveDocumentSchemaPack } from '../schemaPacks.js';
+import { BOOKKEEPING_PROPERTIES } from '../cypherConformance.js';
+import { sourceTagItems, sourceParams } from '../neo4jIngest/provenance.js';
+import { rollbackTransaction, toPlainValue } from '../neo4jIngest/transactions.js';
+import { normalizeId, normalizeValue, nameSimilarity, entityName } from './similarity.js';
+import { collectEntities, compareAttributes, rewriteIdentifiers, entityKey } from './entities.js';
+import { MERGE_THRESHOLD, REVIEW_THRESHOLD } from './index.js';
+import { httpError } from '../../utils/httpError.js';
+
+export const RESOLUTION_ACTIONS = ['merge', 'link'];
+export const RESOLUTION_METHODS = ['exact_id', 'normalized_id', 'fuzzy_name'];
+
+const SCAN_LIMIT = parseInt(process.env.GRAPH_RESOLUTION_SCAN_LIMIT || '5000');
+
+// Candidates linked to one entity at most
+const MAX_LINKS = 5;
+
+/**
+ * Identifier as a query parameter: whole numbers are sent as integers
+ */
+function idParam(id) {
+  return Number.isInteger(id) ? neo4j.int(id) : id;
+}
+
+/**
+ * Graph node as an entity comparable with the document's entities
+ */
+function graphEntity(record, idProperty) {
+  const properties = new Map();
+  const values = new Map();
+  for (const [property, value] of Object.entries(record.get('properties'))) {
+    if (BOOKKEEPING_PROPERTIES.has(property) || property === idProperty) {
+      continue;
+    }
+    const plain = toPlainValue(value);
+    if (['string', 'number', 'boolean'].includes(typeof plain)) {
+      properties.set(property, plain);
+      values.set(property, new Set([normalizeValue(plain)]));
+    }
+  }
+  const raw = record.get('properties');
+  return {
+    elementId: record.get('elementId'),
+    id: toPlainValue(raw[idProperty]),
+    name: entityName(properties),
+    values,
+    sourceDocIds: (raw.sourceDocIds || []).map(String)
+  };
+}
+
+/**
+ * Find the graph nodes of one label that may be the given entities
+ * @returns {Promise<Array<object>>} - Graph entities (exact matches first)
+ */
+async function findGraphCandidates(session, { label, idProperty, ids, docId, scanLimit }) {
+  const match = `MATCH (n:${formatName(label)})`;
+  const notThisDocument = 'NOT $docId IN coalesce(n.sourceDocIds, [])';
+  const returned = 'RETURN elementId(n) AS elementId, properties(n) AS properties';
+
+  const exact = await session.run(
+    `${match} WHERE n.${formatName(idProperty)} IN $ids AND ${notThisDocument} ${returned}`,
+    { ids: ids.map(idParam), docId }
+  );
+  const scanned = await session.run(
+    `${match} WHERE n.${formatName(idProperty)} IS NOT NULL AND ${notThisDocument} ${returned} LIMIT $limit`,
+    { docId, limit: neo4j.int(scanLimit) }
+  );
+
+  const candidates = new Map();
+  for (const record of [...exact.records, ...scanned.records]) {
+    if (!candidates.has(record.get('elementId'))) {
+      candidates.set(record.get('elementId'), graphEntity(record, idProperty));
+    }
+  }
+  return [...candidates.values()];
+}
+
+/**
+ * Compare a document entity with a graph node
+ * @returns {object|null} - { candidate, method, score, sharedAttributes, conflictingAttributes, mergeable }
+ */
+function compareWithGraph(entity, candidate, { mergeThreshold, reviewThreshold }) {
+  const { sharedAttributes, conflictingAttributes } = compareAttributes(entity.values, candidate.values);
+  const comparison = { candidate, sharedAttributes, conflictingAttributes };
+
+  if (candidate.id === entity.id) {
+    return { ...comparison, method: 'exact_id', score: 1, mergeable: true };
+  }
+  if (normalizeId(entity.id) !== '' && normalizeId(entity.id) === normalizeId(candidate.id)) {
+    return { ...comparison, method: 'normalized_id', score: 1, mergeable: conflictingAttributes.length === 0 };
+  }
+
+  const score = entity.name && candidate.name ? Math.round(nameSimilarity(entity.name, candidate.name) * 1000) / 1000 : 0;
+  if (score < reviewThreshold) {
+    return null;
+  }
+  return {
+    ...comparison,
+    method: 'fuzzy_name',
+    score,
+    mergeable: score >= mergeThreshold && sharedAttributes.length > 0 && conflictingAttributes.length === 0
+  };
+}
+
+/**
+ * Decide what to do with the candidates found for an entity
+ * @returns {Array<object>} - Comparisons with their action
+ */
+function decide(matches) {
+  if (matches.length === 0) {
+    return [];
+  }
+  const exact = matches.find(match => match.method === 'exact_id');
+  if (exact) {
+    return [{ ...exact, action: 'merge' }];
+  }
+
+  const ranked = [...matches].sort((a, b) => b.score - a.score);
+  const [best, second] = ranked;
+  if (best.mergeable && !(second && second.score === best.score)) {
+    return [{ ...best, action: 'merge' }];
+  }
+  return ranked.slice(0, MAX_LINKS).map(match => ({ ...match, action: 'link' }));
+}
+
+/**
+ * Resolve a document's entities against the nodes already in the graph
+ * Merges rewrite identifiers in the Cypher results that have not been ingested yet; links are
+ * written by writeResolutionLinks after ingestion.
+ * @param {string} docId - Document ID
+ * @param {object} options - Resolution options
+ * @param {number} options.mergeThreshold - Name similarity merged without review (with a shared attribute)
+ * @param {number} options.reviewThreshold - Name similarity linked as a possible duplicate
+ * @param {number} options.scanLimit - Nodes per label compared by normalised ID and name
+ * @returns {Promise<{entities: number, merged: number, linked: number, resultsUpdated: number,
+ *   identifiersRewritten: number}>}
+ */
+export async function resolveGraphEntities(docId, {
+  mergeThreshold = MERGE_THRESHOLD,
+  reviewThreshold = REVIEW_THRESHOLD,
+  scanLimit = SCAN_LIMIT
+} = {}) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw new Error(`Document not found: ${docId}`);
+  }
+  const pack = await resolveDocumentSchemaPack(doc, detectDocumentType(doc.filename, doc.fullText || ''));
+
+  const results = await ChunkCypherResult.find({
+    docId,
+    status: { $nin: ['error', 'executed'] },
+    'conformance.excluded': { $ne: true }
+  });
+  const resultIds = results.map(result => result._id);
+
+  // Earlier decisions on these results are replaced; rewrites are already in their Cypher
+  const rewrites = await ResolutionDecision.find({ docId, resultIds: { $in: resultIds }, rewrittenTo: { $ne: null } });
+  const rewritten = new Set(rewrites.map(decision => entityKey(decision.label, decision.idProperty, decision.rewrittenTo)));
+  await ResolutionDecision.deleteMany({ docId, resultIds: { $in: resultIds }, rewrittenTo: null });
+
+  const entities = collectEntities(results, pack)
+    .filter(entity => !rewritten.has(entityKey(entity.label, entity.idProperty, entity.id)));
+
+  const groups = new Map();
+  for (const entity of entities) {
+    const group = `${entity.label}\u0000${entity.idProperty}`;
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(entity);
+  }
+
+  const decisions = [];
+  const targets = new Map();
+  const session = getNeo4jSession(neo4j.session.READ);
+  try {
+    for (const members of groups.values()) {
+      const { label, idProperty } = members[0];
+      const candidates = await findGraphCandidates(session, {
+        label,
+        idProperty,
+        ids: members.map(entity => entity.id),
+        docId: docId.toString(),
+        scanLimit
+      });
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      for (const entity of members) {
+        const matches = candidates
+          .map(candidate => compareWithGraph(entity, candidate, { mergeThreshold, reviewThreshold }))
+          .filter(Boolean);
+
+        for (const match of decide(matches)) {
+          const rewrittenTo = match.action === 'merge' && match.method !== 'exact_id' ? match.candidate.id : null;
+          if (rewrittenTo !== null) {
+            targets.set(entity.key, { id: rewrittenTo });
+          }
+          decisions.push({
+            docId,
+            resultIds: [...entity.resultIds],
+            label,
+            idProperty,
+            entityId: entity.id,
+            entityName: entity.name,
+            candidate: {
+              elementId: match.candidate.elementId,
+              id: match.candidate.id,
+              name: match.candidate.name,
+              sourceDocIds: match.candidate.sourceDocIds
+            },
+            method: match.method,
+            score: match.score,
+            sharedAttributes: match.sharedAttributes,
+            conflictingAttributes: match.conflictingAttributes,
+            action: match.action,
+            rewrittenTo
+          });
+        }
+      }
+    }
+  } finally {
+    await session.close();
+  }
+
+  const rewrite = await rewriteIdentifiers(results, targets, pack);
+  if (decisions.length > 0) {
+    await ResolutionDecision.insertMany(decisions);
+  }
+
+  const summary = {
+    entities: entities.length,
+    merged: decisions.filter(decision => decision.action === 'merge').length,
+    linked: decisions.filter(decision => decision.action === 'link').length,
+    ...rewrite
+  };
+  logger.info('Entities resolved against the graph', { docId, ...summary });
+  return summary;
+}
+
+/**
+ * Drop the resolution decisions of Cypher results that no longer exist, e.g. when Cypher is generated again
+ * @param {string} docId - Document ID
+ */
+export async function clearResolutionDecisions(docId) {
+  const resultIds = await ChunkCypherResult.find({ docId }).distinct('_id');
+  await ResolutionDecision.deleteMany({ docId, resultIds: { $nin: resultIds } });
+}
+
+/**
+ * Write the POSSIBLY_SAME_AS relationships of a document's link decisions
+ * Runs after ingestion, when the document's nodes exist. Relationships are tagged with the
+ * document, so removing its graph removes them too.
+ * @param {string} docId - Document ID
+ * @returns {Promise<number>} - Relationships written
+ */
+export async function writeResolutionLinks(docId) {
+  const decisions = await ResolutionDecision.find({ docId, action: 'link', linkedAt: null });
+  if (decisions.length === 0) {
+    return 0;
+  }
+
+  let linked = 0;
+  const session = getNeo4jSession(neo4j.session.WRITE);
+  const tx = session.beginTransaction();
+  try {
+    const written = [];
+    for (const decision of decisions) {
+      const result = await tx.run(`
+        MATCH (a:${formatName(decision.label)} {${formatName(decision.idProperty)}: $entityId})
+        MATCH (b) WHERE elementId(b) = $elementId AND b <> a
+        MERGE (a)-[r:POSSIBLY_SAME_AS]->(b)
+        SET r.score = $score, r.method = $method, ${sourceTagItems('r')}
+        RETURN count(r) AS linked
+      `, {
+        entityId: idParam(decision.entityId),
+        elementId: decision.candidate.elementId,
+        score: decision.score,
+        method: decision.method,
+        ...sourceParams(docId)
+      });
+      if (toPlainValue(result.records[0].get('linked')) > 0) {
+        written.push(decision._id);
+      }
+    }
+    await tx.commit();
+    linked = written.length;
+    await ResolutionDecision.updateMany({ _id: { $in: written } }, { linkedAt: new Date() });
+  } catch (error) {
+    await rollbackTransaction(tx);
+    throw error;
+  } finally {
+    await session.close();
+  }
+
+  logger.info('Resolution links written', { docId, linked, decisions: decisions.length });
+  return linked;
+}
+
+/**
+ * List a document's resolution decisions, oldest first
+ * @param {string} docId - Document ID
+ * @param {object} filters - Filters
+ * @param {string} filters.action - merge or link
+ * @param {string} filters.method - exact_id, normalized_id or fuzzy_name
+ * @returns {Promise<{docId: string, counts: object, decisions: Array<object>}>}
+ */
+export async function listResolutionDecisions(docId, { action, method } = {}) {
+  if (action !== undefined && !RESOLUTION_ACTIONS.includes(action)) {
+    throw httpError(`action must be one of: ${RESOLUTION_ACTIONS.join(', ')}`);
+  }
+  if (method !== undefined && !RESOLUTION_METHODS.includes(method)) {
+    throw httpError(`method must be one of: ${RESOLUTION_METHODS.join(', ')}`);
+  }
+
+  const decisions = await ResolutionDecision.find({
+    docId,
+    ...(action ? { action } : {}),
+    ...(method ? { method } : {})
+  }).sort({ createdAt: 1 }).lean();
+
+  const counts = Object.fromEntries(RESOLUTION_ACTIONS.map(name => [name, 0]));
+  for (const decision of decisions) {
+    counts[decision.action]++;
+  }
+
+  return { docId, counts, decisions };
+}
@@ -0,0 +1,346 @@
+/**
+ * Entity Resolution Service
+ * Finds entities that chunked generation wrote more than once under different identifiers
+ * and rewrites the chunks' Cypher to one identifier per entity, before ingestion
+ *
+ * Each chunk is generated on its own, so the same account can be `accountId: "A1"` in one
+ * chunk and `"A-001"` in another. Entities are collected from every chunk's Cypher (label,
+ * identity property value and literal properties) and compared per label and identity property:
+ *   normalized_id     - identifiers equal once case, separators and leading zeros are ignored
+ *   similar_name      - names at least `reviewThreshold` similar (see similarity.js)
+ *   shared_attributes - other properties with equal values
+ *
+ * A pair is merged when the identifiers match, or the names reach `mergeThreshold` and at least
+ * one other attribute is shared - and no attribute has conflicting values. Other similar pairs,
+ * and pairs written side by side in one chunk, are stored as candidates for review.
+ */
+
+import mongoose from 'mongoose';
+import EntityResolution from '../../models/EntityResolution.js';
+import ChunkCypherResult from '../../models/ChunkCypherResult.js';
+import DocumentChunk from '../../models/DocumentChunk.js';
+import Document from '../../models/Document.js';
+import { logger } from '../../utils/logger.js';
+import { detectDocumentType } from '../../utils/documentTypeDetector.js';
+import { resolveDocumentSchemaPack } from '../schemaPacks.js';
+import { normalizeId, nameSimilarity } from './similarity.js';
+import { collectEntities, compareAttributes, storedEntity, rewriteIdentifiers, entityKey } from './entities.js';
+import { httpError } from '../../utils/httpError.js';
+
+export const ENTITY_DECISIONS = ['merge', 'reject'];
+
+export const MERGE_THRESHOLD = parseFloat(process.env.ENTITY_RESOLUTION_MERGE_THRESHOLD || '0.9');
+export const REVIEW_THRESHOLD = parseFloat(process.env.ENTITY_RESOLUTION_REVIEW_THRESHOLD || '0.75');
+
+/**
+ * Compare two entities of the same label and identity property
+ * @returns {{action: 'merge'|'review'|null, score: number, reasons: Array<string>,
+ *   sharedAttributes: Array<string>, conflictingAttributes: Array<string>}}
+ */
+function compareEntities(a, b, { mergeThreshold, reviewThreshold }) {
+  const idMatch = normalizeId(a.id) !== '' && normalizeId(a.id) === normalizeId(b.id);
+  const nameScore = a.name && b.name ? nameSimilarity(a.name, b.name) : 0;
+
+  const { sharedAttributes, conflictingAttributes } = compareAttributes(a.values, b.values);
+
+  const score = idMatch ? 1 : Math.round(nameScore * 1000) / 1000;
+  const reasons = [
+    ...(idMatch ? ['normalized_id'] : []),
+    ...(nameScore >= reviewThreshold ? ['similar_name'] : []),
+    ...(sharedAttributes.length > 0 ? ['shared_attributes'] : [])
+  ];
+  const comparison = { score, reasons, sharedAttributes, conflictingAttributes };
+
+  if (!idMatch && nameScore < reviewThreshold) {
+    return { ...comparison, action: null };
+  }
+
+  // Two identifiers written side by side in one chunk were probably meant as two entities
+  const sameChunk = [...a.chunkIds].some(chunkId => b.chunkIds.has(chunkId));
+  const confident = idMatch || (nameScore >= mergeThreshold && sharedAttributes.length > 0);
+  const action = confident && !sameChunk && conflictingAttributes.length === 0 ? 'merge' : 'review';
+  return { ...comparison, action };
+}
+
+/**
+ * Cluster duplicate entities
+ * @returns {{merges: Array<object>, candidates: Array<object>, canonical: Map<string, object>}}
+ *   Merges and review candidates as stored, and entity key -> canonical entity for merged entities
+ */
+function clusterEntities(entities, thresholds) {
+  const groups = new Map();
+  for (const entity of entities) {
+    const group = `${entity.label}\u0000${entity.idProperty}`;
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(entity);
+  }
+
+  const merges = [];
+  const candidates = [];
+  const canonical = new Map();
+
+  for (const members of groups.values()) {
+    const parent = members.map((_, index) => index);
+    const find = (index) => parent[index] === index ? index : (parent[index] = find(parent[index]));
+    const mergeReasons = new Map(); // root -> { reasons, score }
+    const reviews = [];
+
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const comparison = compareEntities(members[i], members[j], thresholds);
+        if (comparison.action === 'merge') {
+          const [left, right] = [find(i), find(j)];
+          const reasons = new Set([
+            ...(mergeReasons.get(left)?.reasons || []),
+            ...(mergeReasons.get(right)?.reasons || []),
+            ...comparison.reasons
+          ]);
+          const score = Math.min(comparison.score, mergeReasons.get(left)?.score ?? 1, mergeReasons.get(right)?.score ?? 1);
+          parent[right] = left;
+          mergeReasons.set(left, { reasons: [...reasons], score });
+        } else if (comparison.action === 'review') {
+          reviews.push({ i, j, comparison });
+        }
+      }
+    }
+
+    // The entity written in most chunks keeps its identifier (the first one on a tie)
+    const clusters = new Map();
+    members.forEach((entity, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) {
+        clusters.set(root, []);
+      }
+      clusters.get(root).push(entity);
+    });
+    const representative = new Map();
+    for (const [root, cluster] of clusters) {
+      const kept = cluster.reduce((best, entity) => entity.chunkIds.size > best.chunkIds.size ? entity : best);
+      representative.set(root, kept);
+      if (cluster.length > 1) {
+        const ordered = [kept, ...cluster.filter(entity => entity !== kept)];
+        merges.push({
+          label: kept.label,
+          idProperty: kept.idProperty,
+          canonicalId: kept.id,
+          members: ordered.map(storedEntity),
+          reasons: mergeReasons.get(root)?.reasons || [],
+          score: mergeReasons.get(root)?.score ?? null,
+          decidedBy: 'auto'
+        });
+        for (const entity of cluster) {
+          if (entity !== kept) {
+            canonical.set(entity.key, kept);
+          }
+        }
+      }
+    }
+
+    // One candidate per pair of clusters, with the best-scoring comparison
+    const reviewed = new Map();
+    for (const { i, j, comparison } of reviews) {
+      const [left, right] = [find(i), find(j)];
+      if (left === right) {
+        continue;
+      }
+      const pairKey = [left, right].sort((x, y) => x - y).join(':');
+      if (!reviewed.has(pairKey) || reviewed.get(pairKey).comparison.score < comparison.score) {
+        reviewed.set(pairKey, { left, right, comparison });
+      }
+    }
+    for (const { left, right, comparison } of reviewed.values()) {
+      const pair = [representative.get(left), representative.get(right)]
+        .sort((x, y) => y.chunkIds.size - x.chunkIds.size);
+      candidates.push({
+        label: pair[0].label,
+        idProperty: pair[0].idProperty,
+        entities: pair.map(storedEntity),
+        score: comparison.score,
+        reasons: comparison.reasons,
+        sharedAttributes: comparison.sharedAttributes,
+        conflictingAttributes: comparison.conflictingAttributes,
+        status: 'pending'
+      });
+    }
+  }
+
+  return { merges, candidates, canonical };
+}
+
+/**
+ * Chunk results of a document in chunk order, with the document's schema pack
+ */
+async function loadChunkResults(docId) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw httpError('Document not found', 404);
+  }
+  const pack = await resolveDocumentSchemaPack(doc, detectDocumentType(doc.filename, doc.fullText || ''));
+
+  const chunks = await DocumentChunk.find({ docId }).select('_id chunkIndex').lean();
+  const chunkIndexById = new Map(chunks.map(chunk => [chunk._id.toString(), chunk.chunkIndex]));
+  const results = await ChunkCypherResult.find({
+    docId,
+    chunkId: { $ne: null },
+    status: { $ne: 'error' },
+    'conformance.excluded': { $ne: true }
+  });
+  results.sort((a, b) => (chunkIndexById.get(a.chunkId.toString()) ?? 0) - (chunkIndexById.get(b.chunkId.toString()) ?? 0));
+
+  return { doc, pack, results };
+}
+
+/**
+ * Resolve entities duplicated across a document's chunks
+ * Merged identifiers are rewritten in the chunks' Cypher; the outcome replaces the document's
+ * previous EntityResolution record.
+ * @param {string} docId - Document ID
+ * @param {object} options - Resolution options
+ * @param {number} options.mergeThreshold - Name similarity merged without review (with a shared attribute)
+ * @param {number} options.reviewThreshold - Name similarity stored as a review candidate
+ * @returns {Promise<{entityCount: number, merges: number, mergedEntities: number, candidates: number,
+ *   resultsUpdated: number, identifiersRewritten: number}>}
+ */
+export async function resolveDocumentEntities(docId, {
+  mergeThreshold = MERGE_THRESHOLD,
+  reviewThreshold = REVIEW_THRESHOLD
+} = {}) {
+  const { pack, results } = await loadChunkResults(docId);
+
+  const entities = collectEntities(results, pack);
+  const { merges, candidates, canonical } = clusterEntities(entities, { mergeThreshold, reviewThreshold });
+  const rewrite = await rewriteIdentifiers(results, canonical, pack);
+
+  await EntityResolution.findOneAndUpdate(
+    { docId },
+    {
+      docId,
+      entityCount: entities.length,
+      mergeThreshold,
+      reviewThreshold,
+      merges,
+      candidates,
+      ...rewrite
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const summary = {
+    entityCount: entities.length,
+    merges: merges.length,
+    mergedEntities: canonical.size,
+    candidates: candidates.length,
+    ...rewrite
+  };
+  logger.info('Entities resolved across chunks', { docId, ...summary });
+  return summary;
+}
+
+/**
+ * Get a document's entity resolution
+ * @param {string} docId - Document ID
+ * @returns {Promise<object|null>} - EntityResolution, or null if resolution has not run
+ */
+export async function getEntityResolution(docId) {
+  return EntityResolution.findOne({ docId }).lean();
+}
+
+/**
+ * Decide on a review candidate
+ * Merging rewrites the second entity's identifier to the first one's in the chunks' Cypher.
+ * Only possible until the document is ingested.
+ * @param {string} docId - Document ID
+ * @param {string} candidateId - Candidate ID
+ * @param {object} decision - Decision
+ * @param {string} decision.decision - merge or reject
+ * @param {string} decision.reviewer - Who decided
+ * @returns {Promise<{candidate: object, resultsUpdated: number, identifiersRewritten: number}>}
+ */
+export async function decideEntityCandidate(docId, candidateId, { decision, reviewer = null } = {}) {
+  if (!ENTITY_DECISIONS.includes(decision)) {
+    throw httpError(`decision must be one of: ${ENTITY_DECISIONS.join(', ')}`, 400);
+  }
+
+  const resolution = await EntityResolution.findOne({ docId });
+  const candidate = mongoose.Types.ObjectId.isValid(candidateId) ? resolution?.candidates.id(candidateId) : null;
+  if (!candidate) {
+    throw httpError('Entity candidate not found', 404);
+  }
+  if (candidate.status !== 'pending') {
+    throw httpError(`Candidate was already ${candidate.status}`, 409);
+  }
+
+  let rewrite = { resultsUpdated: 0, identifiersRewritten: 0 };
+  if (decision === 'merge') {
+    const { doc, pack, results } = await loadChunkResults(docId);
+    if (doc.stages?.ingestion?.status === 'completed') {
+      throw httpError('Document is already ingested - merge the entities in the graph instead', 409);
+    }
+
+    const [kept, dropped] = candidate.entities;
+    const { label, idProperty } = candidate;
+    rewrite = await rewriteIdentifiers(
+      results,
+      new Map([[entityKey(label, idProperty, dropped.id), kept]]),
+      pack
+    );
+
+    // Fold the dropped entity (and anything already merged into it) into the kept entity's merge
+    const sameEntity = (merge, id) => merge.label === label && merge.idProperty === idProperty && merge.canonicalId === id;
+    const droppedMerge = resolution.merges.find(merge => sameEntity(merge, dropped.id));
+    const droppedMembers = droppedMerge ? droppedMerge.members : [dropped];
+    if (droppedMerge) {
+      resolution.merges.pull(droppedMerge);
+    }
+    const keptMerge = resolution.merges.find(merge => sameEntity(merge, kept.id));
+    if (keptMerge) {
+      keptMerge.members.push(...droppedMembers);
+      keptMerge.decidedBy = 'review';
+      keptMerge.reviewer = reviewer;
+    } else {
+      resolution.merges.push({
+        label,
+        idProperty,
+        canonicalId: kept.id,
+        members: [kept, ...droppedMembers],
+        reasons: candidate.reasons,
+        score: candidate.score,
+        decidedBy: 'review',
+        reviewer
+      });
+    }
+
+    // Other candidates now refer to the kept entity
+    for (const other of resolution.candidates) {
+      if (other === candidate || other.label !== label || other.idProperty !== idProperty) {
+        continue;
+      }
+      other.entities = other.entities.map(entity => entity.id === dropped.id ? kept : entity);
+      if (other.status === 'pending' && other.entities[0].id === other.entities[1].id) {
+        other.status = 'merged';
+        other.decidedAt = new Date();
+      }
+    }
+
+    resolution.resultsUpdated += rewrite.resultsUpdated;
+    resolution.identifiersRewritten += rewrite.identifiersRewritten;
+  }
+
+  candidate.status = decision === 'merge' ? 'merged' : 'rejected';
+  candidate.reviewer = reviewer;
+  candidate.decidedAt = new Date();
+  await resolution.save();
+
+  logger.info('Entity candidate decided', { docId, candidateId, decision, ...rewrite });
+  return { candidate: candidate.toObject(), ...rewrite };
+}
+
+/**
+ * Drop a document's entity resolution, e.g. when its Cypher is generated again
+ * @param {string} docId - Document ID
+ */
+export async function clearEntityResolution(docId) {
+  await EntityResolution.deleteOne({ docId });
+}
@@ -0,0 +1,127 @@
+/**
+ * Normalisation and similarity measures for entity resolution
+ */
+
+// Legal-form and filler words that do not tell two organisation names apart
+const NAME_STOPWORDS = new Set([
+  'the', 'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp', 'corporation',
+  'co', 'company', 'gmbh', 'ag', 'ab', 'sa', 'bv', 'nv', 'oy', 'as'
+]);
+
+// Properties holding an entity's display name, in order of preference
+const NAME_PROPERTY_PATTERN = /(^|[a-z])(Name|name)$|^title$/;
+
+/**
+ * Lowercase text without diacritics
+ */
+function fold(value) {
+  return String(value).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Normalise an identifier: case, separators and leading zeros are ignored
+ * "A-001", "a_1" and "A1" all normalise to "a1".
+ * @param {string|number} value - Identifier value
+ * @returns {string}
+ */
+export function normalizeId(value) {
+  return fold(value)
+    .replace(/[^a-z0-9]/g, '')
+    .replace(/(^|[a-z])0+(?=\d)/g, '$1');
+}
+
+/**
+ * Normalise a name into comparable words: punctuation, "&" and legal forms are dropped
+ * @param {string} value - Name
+ * @returns {string}
+ */
+export function normalizeName(value) {
+  return fold(value)
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NAME_STOPWORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Normalise a property value for equality checks
+ */
+export function normalizeValue(value) {
+  return fold(value).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two names from 0 to 1
+ * The better of the edit-distance ratio and the word overlap, so both typos
+ * ("Acme Holdngs") and reordered or shortened names ("Holdings Acme") score high.
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number}
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const ratio = 1 - editDistance(left, right) / Math.max(left.length, right.length);
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const common = [...leftWords].filter(word => rightWords.has(word)).length;
+  const overlap = common / new Set([...leftWords, ...rightWords]).size;
+
+  return Math.max(ratio, overlap);
+}
+
+/**
+ * Display name of an entity from its properties
+ * Prefers `name`, then other *Name properties, then `title`; falls back to firstName + lastName.
+ * @param {Map<string, *>} properties - Property values
+ * @returns {string|null}
+ */
+export function entityName(properties) {
+  if (properties.has('name')) {
+    return String(properties.get('name'));
+  }
+  if (properties.has('firstName') && properties.has('lastName')) {
+    return `${properties.get('firstName')} ${properties.get('lastName')}`;
+  }
+  for (const [property, value] of properties) {
+    if (NAME_PROPERTY_PATTERN.test(property) && property !== 'firstName' && property !== 'lastName') {
+      return String(value);
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a property holds a name (compared by nameSimilarity rather than equality)
+ */
+export function isNameProperty(property) {
+  return NAME_PROPERTY_PATTERN.test(property);
+}
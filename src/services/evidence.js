@@ -0,0 +1,184 @@
+/**
+ * Evidence Service
+ * Resolves graph nodes back to the source text spans they were extracted from
+ *
+ * Uses MENTIONED_IN provenance links when ingestion wrote them, and falls back to the
+ * sourceDocIds/sourceChunkIds tags (searching the stored chunk text) otherwise.
+ */
+
+import neo4j from 'neo4j-driver';
+import { getNeo4jSession } from '../config/database.js';
+import Document from '../models/Document.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import { findMention } from './neo4jIngest/provenance.js';
+import { toPlainValue } from './neo4jIngest/transactions.js';
+import { logger } from '../utils/logger.js';
+
+const EVIDENCE_CONTEXT_CHARS = parseInt(process.env.EVIDENCE_CONTEXT_CHARS || '200');
+
+/**
+ * Cut a snippet around a span, or the beginning of the text when the span is unknown
+ */
+function buildSnippet(text, start, end, contextChars) {
+  if (!text) {
+    return { snippet: null, snippetStartOffset: null };
+  }
+  if (start === null || start === undefined) {
+    return { snippet: text.slice(0, contextChars * 2), snippetStartOffset: 0 };
+  }
+  const from = Math.max(0, start - contextChars);
+  const to = Math.min(text.length, end + contextChars);
+  return { snippet: text.slice(from, to), snippetStartOffset: from };
+}
+
+/**
+ * Build one evidence entry from a source text and a document-level span
+ */
+function buildEvidence({ doc, chunk, span, contextChars }) {
+  const text = chunk ? chunk.rawText : doc?.fullText;
+  const baseOffset = chunk ? (chunk.startIndex || 0) : 0;
+  const located = span.startOffset !== null && span.startOffset !== undefined;
+
+  const { snippet, snippetStartOffset } = buildSnippet(
+    text,
+    located ? span.startOffset - baseOffset : null,
+    located ? span.endOffset - baseOffset : null,
+    contextChars
+  );
+
+  return {
+    docId: doc?._id || chunk?.docId || null,
+    filename: doc?.filename || null,
+    chunkId: chunk?._id || null,
+    chunkIndex: chunk ? chunk.chunkIndex : null,
+    located,
+    startOffset: located ? span.startOffset : null,
+    endOffset: located ? span.endOffset : null,
+    matchedProperty: span.matchedProperty || null,
+    matchedText: span.matchedText || null,
+    snippet,
+    snippetStartOffset: snippetStartOffset === null ? null : snippetStartOffset + baseOffset
+  };
+}
+
+/**
+ * Get the source text snippets supporting a node
+ * @param {string} nodeId - Neo4j element ID, or numeric ID as returned by POST /query
+ * @param {object} options - Evidence options
+ * @param {number} options.contextChars - Characters of context around each mention
+ * @returns {Promise<object|null>} - Node and evidence, or null if the node does not exist
+ */
+export async function getNodeEvidence(nodeId, { contextChars = EVIDENCE_CONTEXT_CHARS } = {}) {
+  const numericId = /^\d+$/.test(nodeId);
+  const session = getNeo4jSession(neo4j.session.READ);
+
+  let record;
+  try {
+    const result = await session.run(`
+      MATCH (n)
+      WHERE ${numericId ? 'id(n) = $nodeId' : 'elementId(n) = $nodeId'}
+      OPTIONAL MATCH (n)-[m:MENTIONED_IN]->(s)
+      RETURN id(n) AS id,
+             elementId(n) AS elementId,
+             labels(n) AS labels,
+             properties(n) AS properties,
+             collect(CASE WHEN s IS NULL THEN null ELSE {
+               mention: properties(m),
+               sourceLabels: labels(s),
+               source: properties(s)
+             } END) AS mentions
+    `, { nodeId: numericId ? neo4j.int(nodeId) : nodeId });
+    record = result.records[0];
+  } finally {
+    await session.close();
+  }
+
+  if (!record) {
+    return null;
+  }
+
+  const properties = toPlainValue(record.get('properties'));
+  const mentions = toPlainValue(record.get('mentions'));
+
+  const docCache = new Map();
+  const getDoc = async (docId) => {
+    if (!docId) {
+      return null;
+    }
+    const key = docId.toString();
+    if (!docCache.has(key)) {
+      docCache.set(key, await Document.findById(key).select('filename fullText'));
+    }
+    return docCache.get(key);
+  };
+
+  const evidence = [];
+  let evidenceSource = 'provenance';
+
+  if (mentions.length > 0) {
+    for (const { mention, sourceLabels, source } of mentions) {
+      const chunk = sourceLabels.includes('SourceChunk')
+        ? await DocumentChunk.findById(source.chunkId)
+        : null;
+      const doc = await getDoc(source.docId);
+      evidence.push(buildEvidence({ doc, chunk, span: mention, contextChars }));
+    }
+  } else {
+    // No provenance links - search the text of the chunks/documents the node was tagged with
+    evidenceSource = 'tags';
+    const chunks = await DocumentChunk.find({ _id: { $in: properties.sourceChunkIds || [] } })
+      .sort({ chunkIndex: 1 });
+    const docsWithChunks = new Set(chunks.map(c => c.docId.toString()));
+
+    for (const chunk of chunks) {
+      const mention = findMention(chunk.rawText, properties);
+      const baseOffset = chunk.startIndex || 0;
+      evidence.push(buildEvidence({
+        doc: await getDoc(chunk.docId),
+        chunk,
+        span: {
+          startOffset: mention ? baseOffset + mention.start : null,
+          endOffset: mention ? baseOffset + mention.end : null,
+          matchedProperty: mention?.property,
+          matchedText: mention?.text
+        },
+        contextChars
+      }));
+    }
+
+    for (const docId of properties.sourceDocIds || []) {
+      if (docsWithChunks.has(docId)) {
+        continue;
+      }
+      const doc = await getDoc(docId);
+      if (!doc) {
+        continue;
+      }
+      const mention = findMention(doc.fullText, properties);
+      evidence.push(buildEvidence({
+        doc,
+        chunk: null,
+        span: {
+          startOffset: mention?.start ?? null,
+          endOffset: mention?.end ?? null,
+          matchedProperty: mention?.property,
+          matchedText: mention?.text
+        },
+        contextChars
+      }));
+    }
+  }
+
+  logger.debug('Resolved node evidence', { nodeId, evidence: evidence.length, evidenceSource });
+
+  return {
+    node: {
+      id: toPlainValue(record.get('id')),
+      elementId: record.get('elementId'),
+      labels: record.get('labels'),
+      properties
+    },
+    evidenceSource,
+    evidence
+  };
+}
@@ -0,0 +1,349 @@
+/**
+ * Job Queue Service
+ * Durable MongoDB-backed job queue with leased workers
+ *
+ * Jobs are claimed atomically, kept alive with a heartbeat while running and
+ * requeued when their lease expires (e.g. the server crashed mid-run).
+ */
+
+import os from 'os';
+import Job from '../models/Job.js';
+import Document from '../models/Document.js';
+import { runPipeline } from './orchestrator.js';
+import { extractSchema } from './schemaExtraction/index.js';
+import { logger } from '../utils/logger.js';
+import { isRetryableError } from '../utils/retry.js';
+import { httpError } from '../utils/httpError.js';
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '1');
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS || '120000'); // 2 minutes default
+const JOB_HEARTBEAT_MS = parseInt(process.env.JOB_HEARTBEAT_MS || '30000');
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000');
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3');
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS || '30000');
+
+// Unique per process so a restarted server never mistakes old leases for its own
+const WORKER_ID = `${os.hostname()}-${process.pid}-${Date.now()}`;
+
+/**
+ * Job handlers keyed by job type
+ * Each handler receives the claimed job and returns a JSON-serializable result
+ */
+const JOB_HANDLERS = {
+  // Later attempts resume from the last completed stage instead of starting over
+  pipeline: (job) => {
+    const options = job.payload?.options || {};
+    return runPipeline(job.docId.toString(), {
+      ...options,
+      resume: options.resume || job.attempts > 1
+    });
+  },
+  // Stores a new schema version without touching the rest of the pipeline
+  schemaExtraction: (job) => extractSchema(job.docId.toString(), {
+    reextract: true,
+    mode: job.payload?.mode,
+    consolidate: job.payload?.consolidate
+  })
+};
+
+let workersRunning = false;
+let activeJobs = 0;
+let pollTimer = null;
+
+/**
+ * Add a job to the queue
+ * If an unfinished job of the same type already exists for the document, it is returned instead;
+ * an unfinished job of another type is a conflict (409)
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {object} options - Job options
+ * @param {string} options.docId - Document the job operates on
+ * @param {object} options.payload - Handler arguments
+ * @param {number} options.maxAttempts - Maximum attempts before the job is failed
+ * @returns {Promise<{job: object, created: boolean}>}
+ */
+export async function enqueueJob(type, { docId = null, payload = {}, maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  if (docId) {
+    const activeJob = await Job.findOne({
+      docId,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (activeJob && activeJob.type === type) {
+      logger.info('Job already queued for document', { jobId: activeJob._id, type, docId });
+      return { job: activeJob, created: false };
+    }
+    // Jobs of different types both write the document's stages or schema versions
+    if (activeJob) {
+      throw httpError(`A ${activeJob.type} job is queued or running for this document (job ${activeJob._id})`, 409);
+    }
+  }
+
+  const job = new Job({
+    type,
+    docId,
+    payload,
+    maxAttempts
+  });
+  await job.save();
+
+  logger.info('Job enqueued', { jobId: job._id, type, docId });
+  return { job, created: true };
+}
+
+/**
+ * Atomically claim the oldest runnable job for this worker
+ * @returns {Promise<object|null>} - Claimed job or null if the queue is empty
+ */
+async function claimNextJob() {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      status: 'queued',
+      runAfter: { $lte: now }
+    },
+    {
+      $set: {
+        status: 'running',
+        leaseOwner: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS),
+        heartbeatAt: now,
+        startedAt: now,
+        error: null
+      },
+      $inc: { attempts: 1 }
+    },
+    {
+      sort: { createdAt: 1 },
+      new: true
+    }
+  );
+}
+
+/**
+ * Requeue running jobs whose lease expired (worker crashed or was killed)
+ * Jobs that already used all attempts are failed and their document marked as errored
+ */
+export async function recoverExpiredJobs() {
+  const now = new Date();
+  const expiredJobs = await Job.find({
+    status: 'running',
+    leaseExpiresAt: { $lt: now }
+  });
+
+  let requeued = 0;
+  let failed = 0;
+
+  for (const job of expiredJobs) {
+    // Condition on the observed lease so a late heartbeat wins over recovery
+    const filter = { _id: job._id, status: 'running', leaseExpiresAt: job.leaseExpiresAt };
+
+    if (job.attempts >= job.maxAttempts) {
+      const error = `Job interrupted after ${job.attempts} attempt(s) (lease expired)`;
+      const update = await Job.updateOne(filter, {
+        status: 'failed',
+        error,
+        completedAt: now,
+        leaseOwner: null,
+        leaseExpiresAt: null
+      });
+      if (update.modifiedCount > 0) {
+        failed++;
+        if (job.docId) {
+          await Document.updateOne({ _id: job.docId }, { status: 'error', error });
+        }
+      }
+    } else {
+      const update = await Job.updateOne(filter, {
+        status: 'queued',
+        runAfter: now,
+        leaseOwner: null,
+        leaseExpiresAt: null
+      });
+      if (update.modifiedCount > 0) {
+        requeued++;
+      }
+    }
+  }
+
+  if (requeued > 0 || failed > 0) {
+    logger.warn('Recovered interrupted jobs', { requeued, failed });
+  }
+
+  return { requeued, failed };
+}
+
+/**
+ * Execute a claimed job, keeping its lease alive until the handler settles
+ */
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.type];
+  const leaseFilter = { _id: job._id, status: 'running', leaseOwner: WORKER_ID };
+
+  logger.info('Job started', {
+    jobId: job._id,
+    type: job.type,
+    docId: job.docId,
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts
+  });
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const now = new Date();
+      const update = await Job.updateOne(leaseFilter, {
+        heartbeatAt: now,
+        leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS)
+      });
+      if (update.matchedCount === 0) {
+        logger.warn('Job lease lost', { jobId: job._id, workerId: WORKER_ID });
+      }
+    } catch (error) {
+      logger.warn('Job heartbeat failed', { jobId: job._id, error: error.message });
+    }
+  }, JOB_HEARTBEAT_MS);
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    const result = await handler(job);
+
+    await Job.updateOne(leaseFilter, {
+      status: 'completed',
+      result: result ?? null,
+      completedAt: new Date(),
+      leaseOwner: null,
+      leaseExpiresAt: null
+    });
+
+    logger.info('Job completed', { jobId: job._id, type: job.type, docId: job.docId });
+  } catch (error) {
+    const canRetry = job.attempts < job.maxAttempts && isRetryableError(error);
+
+    if (canRetry) {
+      await Job.updateOne(leaseFilter, {
+        status: 'queued',
+        error: error.message,
+        runAfter: new Date(Date.now() + JOB_RETRY_DELAY_MS * job.attempts),
+        leaseOwner: null,
+        leaseExpiresAt: null
+      });
+      logger.warn('Job failed, requeued', {
+        jobId: job._id,
+        type: job.type,
+        attempt: job.attempts,
+        error: error.message
+      });
+    } else {
+      await Job.updateOne(leaseFilter, {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date(),
+        leaseOwner: null,
+        leaseExpiresAt: null
+      });
+      logger.error('Job failed', {
+        jobId: job._id,
+        type: job.type,
+        attempt: job.attempts,
+        error: error.message
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Poll for work until stopped, running at most JOB_CONCURRENCY jobs at once
+ */
+async function pollJobs() {
+  if (!workersRunning) {
+    return;
+  }
+
+  try {
+    await recoverExpiredJobs();
+
+    while (workersRunning && activeJobs < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+
+      activeJobs++;
+      runJob(job)
+        .catch((error) => {
+          logger.error('Job runner error', { jobId: job._id, error: error.message });
+        })
+        .finally(() => {
+          activeJobs--;
+        });
+    }
+  } catch (error) {
+    logger.error('Job polling failed', { error: error.message });
+  } finally {
+    if (workersRunning) {
+      pollTimer = setTimeout(pollJobs, JOB_POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Start job workers (MongoDB must already be connected)
+ */
+export function startJobWorkers() {
+  if (workersRunning) {
+    return;
+  }
+
+  workersRunning = true;
+  logger.info('Job workers started', {
+    workerId: WORKER_ID,
+    concurrency: JOB_CONCURRENCY,
+    leaseMs: JOB_LEASE_MS,
+    pollIntervalMs: JOB_POLL_INTERVAL_MS
+  });
+
+  pollJobs();
+}
+
+/**
+ * Stop polling and hand running jobs back to the queue so the next worker resumes them
+ */
+export async function stopJobWorkers() {
+  if (!workersRunning) {
+    return;
+  }
+
+  workersRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  try {
+    // The interrupted attempt is not counted against the job, but the next run resumes its checkpoints
+    const released = await Job.updateMany(
+      { status: 'running', leaseOwner: WORKER_ID },
+      {
+        $set: {
+          status: 'queued',
+          runAfter: new Date(),
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          'payload.options.resume': true
+        },
+        $inc: { attempts: -1 }
+      }
+    );
+    logger.info('Job workers stopped', { workerId: WORKER_ID, releasedJobs: released.modifiedCount });
+  } catch (error) {
+    logger.error('Failed to release running jobs', { workerId: WORKER_ID, error: error.message });
+  }
+}
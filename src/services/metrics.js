@@ -16,8 +16,10 @@ import { detectDocumentType } from '../utils/documentTypeDetector.js';
  * @param {number} metrics.processingTime - Processing time in ms
  * @param {string} metrics.docId - Document ID
  * @param {string} metrics.docType - Document type (optional, will be detected if not provided)
+ * @param {string} metrics.generationMode - Cypher generation mode of the run (cypherGeneration and ingestion stages)
+ * @param {object} metrics.counts - Ingestion only: { nodesCreated, relationshipsCreated }
  */
-export async function recordMetrics({ stage, success, processingTime, docId, docType = null }) {
+export async function recordMetrics({ stage, success, processingTime, docId, docType = null, generationMode = null, counts = null }) {
   try {
     // Get or create today's metrics
     const today = new Date();
@@ -76,6 +78,25 @@ export async function recordMetrics({ stage, success, processingTime, docId, doc
       );
     }
     
+    // Update generation mode metrics
+    const modeStage = metrics.byGenerationMode?.[generationMode]?.[stage];
+    if (modeStage) {
+      if (success) {
+        modeStage.success++;
+      } else {
+        modeStage.failed++;
+      }
+      modeStage.avgProcessingTime = updateAverage(
+        modeStage.avgProcessingTime,
+        processingTime,
+        modeStage.success + modeStage.failed
+      );
+      if (stage === 'ingestion' && counts) {
+        modeStage.nodesCreated += counts.nodesCreated || 0;
+        modeStage.relationshipsCreated += counts.relationshipsCreated || 0;
+      }
+    }
+    
     // Detect document type if not provided
     if (docId && !docType) {
       try {
@@ -220,8 +241,10 @@ export async function getSuccessRate(startDate, endDate) {
         technical: { success: 0, failed: 0 },
         legal: { success: 0, failed: 0 },
         general: { success: 0, failed: 0 }
-      }
+      },
+      byGenerationMode: {}
     };
+    const modeTimes = {}; // mode -> stage -> { totalTime, count } for a weighted average
     
     for (const metric of metrics) {
       aggregated.totalDocuments += metric.totalDocuments;
@@ -240,6 +263,42 @@ export async function getSuccessRate(startDate, endDate) {
         aggregated.byDocumentType[docType].success += metric.byDocumentType[docType]?.success || 0;
         aggregated.byDocumentType[docType].failed += metric.byDocumentType[docType]?.failed || 0;
       }
+
+      // Aggregate by generation mode
+      for (const mode of ['cypher', 'structured']) {
+        aggregated.byGenerationMode[mode] ||= {
+          cypherGeneration: { success: 0, failed: 0, avgProcessingTime: 0 },
+          ingestion: { success: 0, failed: 0, avgProcessingTime: 0, nodesCreated: 0, relationshipsCreated: 0 }
+        };
+        modeTimes[mode] ||= { cypherGeneration: { totalTime: 0, count: 0 }, ingestion: { totalTime: 0, count: 0 } };
+        for (const stage of ['cypherGeneration', 'ingestion']) {
+          const source = metric.byGenerationMode?.[mode]?.[stage];
+          if (!source) {
+            continue;
+          }
+          const target = aggregated.byGenerationMode[mode][stage];
+          const count = (source.success || 0) + (source.failed || 0);
+          target.success += source.success || 0;
+          target.failed += source.failed || 0;
+          modeTimes[mode][stage].totalTime += (source.avgProcessingTime || 0) * count;
+          modeTimes[mode][stage].count += count;
+          if (stage === 'ingestion') {
+            target.nodesCreated += source.nodesCreated || 0;
+            target.relationshipsCreated += source.relationshipsCreated || 0;
+          }
+        }
+      }
+    }
+
+    for (const mode in aggregated.byGenerationMode) {
+      for (const stage of ['cypherGeneration', 'ingestion']) {
+        const { totalTime, count } = modeTimes[mode][stage];
+        const target = aggregated.byGenerationMode[mode][stage];
+        target.avgProcessingTime = count > 0 ? Math.round((totalTime / count) * 100) / 100 : 0;
+        target.successRate = count > 0 ? Math.round((target.success / count) * 10000) / 100 : 0;
+      }
+      const ingested = aggregated.byGenerationMode[mode].ingestion;
+      ingested.avgNodesPerDocument = ingested.success > 0 ? Math.round((ingested.nodesCreated / ingested.success) * 100) / 100 : 0;
     }
     
     // Calculate success rates
@@ -275,7 +334,8 @@ export async function getSuccessRate(startDate, endDate) {
       byDocumentType: {
         ...aggregated.byDocumentType,
         successRates: docTypeSuccessRates
-      }
+      },
+      byGenerationMode: aggregated.byGenerationMode
     };
     
   } catch (error) {
@@ -0,0 +1,459 @@
+/**
+ * Batched ingestion
+ * Turns generated write statements into a few parameterised `UNWIND $rows AS row ...` queries
+ *
+ * Each statement is parsed (utils/cypherParser.js) into node and relationship writes. Writes of
+ * the same shape - labels, MERGE keys, properties set and the temporal function wrapping each
+ * value - share one query, and their values (literals, or structured mode parameters) become
+ * its rows. Within a run of batchable statements nodes are written before relationships, whose
+ * ends are matched by the keys the nodes were merged with.
+ *
+ * Statements that cannot be expressed that way (CREATE, WITH, WHERE, property references,
+ * paths through unbound nodes, ...) are kept and run as they are, in their original position.
+ */
+
+import neo4j from 'neo4j-driver';
+import { parseCypher, formatName } from '../../utils/cypherParser.js';
+import { sourceTagItems } from './provenance.js';
+import { httpError } from '../../utils/httpError.js';
+
+export const DEFAULT_BATCH_SIZE = 500;
+
+// Functions evaluated by Neo4j around a row value (or without arguments, e.g. datetime())
+const TEMPORAL_FUNCTIONS = new Set(['date', 'datetime', 'localdatetime', 'localtime', 'time', 'duration']);
+
+/**
+ * Check a requested ingestion batch size
+ * @param {*} batchSize - Rows per UNWIND query
+ * @throws {Error} - 400 unless a positive integer
+ */
+export function assertIngestBatchSize(batchSize) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw httpError('ingestBatchSize must be a positive integer');
+  }
+}
+
+/**
+ * Value of a literal or parameter expression, as sent to Neo4j
+ * @returns {{value: *}|null} - null when the value is only known to the database
+ */
+function resolveValue(expression, params) {
+  switch (expression.type) {
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return { value: expression.value };
+    case 'number':
+      // Whole numbers are written as integers, like in the original statement
+      if (/^-?\s*(0x[0-9a-f]+|\d+)$/i.test(expression.text)) {
+        return Number.isSafeInteger(expression.value) ? { value: neo4j.int(expression.value) } : null;
+      }
+      return { value: expression.value };
+    case 'parameter':
+      return Object.prototype.hasOwnProperty.call(params, expression.name) ? { value: params[expression.name] } : null;
+    case 'list': {
+      const items = expression.items.map(item => resolveValue(item, params));
+      return items.every(Boolean) ? { value: items.map(item => item.value) } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Property assignment: a row value, optionally wrapped in a temporal function
+ * @returns {{fn: string|null, hasValue: boolean, value: *}|null}
+ */
+function resolveAssignment(expression, params) {
+  if (expression.type === 'function' && TEMPORAL_FUNCTIONS.has(expression.name.toLowerCase())) {
+    if (expression.args.length === 0) {
+      return { fn: expression.name, hasValue: false, value: null };
+    }
+    const arg = expression.args.length === 1 ? resolveValue(expression.args[0], params) : null;
+    return arg ? { fn: expression.name, hasValue: true, value: arg.value } : null;
+  }
+  const resolved = resolveValue(expression, params);
+  return resolved ? { fn: null, hasValue: true, value: resolved.value } : null;
+}
+
+/**
+ * Assignments of a property map pattern ({key: value, ...})
+ * @returns {Map<string, object>|null}
+ */
+function resolveMap(map, params) {
+  if (map?.type !== 'map') {
+    return null;
+  }
+  const assignments = new Map();
+  for (const entry of map.entries) {
+    const assignment = resolveAssignment(entry.value, params);
+    if (!assignment) {
+      return null;
+    }
+    assignments.set(entry.key, assignment);
+  }
+  return assignments;
+}
+
+// A later assignment of the same property replaces the earlier one
+function assign(target, property, assignment) {
+  target.delete(property);
+  target.set(property, assignment);
+}
+
+function newAssignments() {
+  return { onCreate: new Map(), onMatch: new Map(), set: new Map() };
+}
+
+/**
+ * Add `variable.property = value` and `variable += {map}` SET items to a write
+ * @returns {boolean} - false when an item cannot be batched
+ */
+function addSetItem(write, target, item, params) {
+  if (item.kind === 'property') {
+    const assignment = resolveAssignment(item.value, params);
+    if (!assignment) {
+      return false;
+    }
+    assign(target, item.property, assignment);
+    return true;
+  }
+  if (item.kind === 'merge') {
+    const assignments = resolveMap(item.value, params);
+    if (!assignments) {
+      return false;
+    }
+    for (const [property, assignment] of assignments) {
+      assign(target, property, assignment);
+    }
+    return true;
+  }
+  if (item.kind === 'labels' && write.extraLabels) {
+    item.labels.forEach(label => write.extraLabels.add(label));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Convert one parsed statement into node and relationship writes
+ * @returns {{nodes: Array<object>, relationships: Array<object>}|null} - null when the statement must run as is
+ */
+function statementWrites(statement, params) {
+  if (statement.kind !== 'query' || statement.errors.length > 0) {
+    return null;
+  }
+
+  // With a MATCH, writes depend on the matched nodes existing: only relationships between them are batched
+  const hasMatch = statement.clauses.some(clause => clause.type === 'MATCH');
+  const bound = new Map(); // variable -> { kind: 'node'|'relationship', write }
+  const matched = new Set();
+  const nodes = [];
+  const relationships = [];
+
+  const bindNode = (node) => {
+    const key = resolveMap(node.properties, params);
+    if (!key || key.size === 0 || (node.variable && bound.has(node.variable))) {
+      return null;
+    }
+    const write = { labels: node.labels, key, extraLabels: new Set(), ...newAssignments() };
+    if (node.variable) {
+      bound.set(node.variable, { kind: 'node', write });
+    }
+    return write;
+  };
+
+  // Relationship ends must be variables of nodes bound earlier in the statement
+  const boundNode = (node) => {
+    const binding = node.variable && !node.labels.length && !node.properties ? bound.get(node.variable) : null;
+    return binding?.kind === 'node' ? binding : null;
+  };
+
+  const addActions = (clause, variable, write) => {
+    for (const action of clause.actions) {
+      const target = action.on === 'CREATE' ? write.onCreate : write.onMatch;
+      for (const item of action.items) {
+        // Labels set ON CREATE/ON MATCH only would be set on every row
+        if (item.variable !== variable || item.kind === 'labels' || !addSetItem(write, target, item, params)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  for (const clause of statement.clauses) {
+    if (clause.raw) {
+      return null;
+    }
+
+    if (clause.type === 'MATCH') {
+      if (clause.where !== undefined) {
+        return null;
+      }
+      for (const path of clause.patterns) {
+        const node = path.nodes[0];
+        if (path.variable || path.relationships.length > 0 || !node.variable || !bindNode(node)) {
+          return null;
+        }
+        matched.add(node.variable);
+      }
+    } else if (clause.type === 'MERGE') {
+      const path = clause.patterns[0];
+      if (path.variable) {
+        return null;
+      }
+
+      if (path.relationships.length === 0) {
+        const write = hasMatch ? null : bindNode(path.nodes[0]);
+        if (!write || !addActions(clause, path.nodes[0].variable, write)) {
+          return null;
+        }
+        nodes.push(write);
+      } else if (path.relationships.length === 1) {
+        const relationship = path.relationships[0];
+        const left = boundNode(path.nodes[0]);
+        const right = boundNode(path.nodes[1]);
+        if (!left || !right || relationship.types.length !== 1 || relationship.length ||
+            (relationship.variable && bound.has(relationship.variable))) {
+          return null;
+        }
+        const key = relationship.properties ? resolveMap(relationship.properties, params) : new Map();
+        if (!key) {
+          return null;
+        }
+        const [from, to] = relationship.direction === 'in' ? [right, left] : [left, right];
+        const write = {
+          type: relationship.types[0],
+          directed: relationship.direction !== 'both',
+          from: from.write,
+          to: to.write,
+          key,
+          ...newAssignments()
+        };
+        if (relationship.variable) {
+          bound.set(relationship.variable, { kind: 'relationship', write });
+        }
+        if (!addActions(clause, relationship.variable, write)) {
+          return null;
+        }
+        [path.nodes[0], path.nodes[1]].forEach(node => matched.delete(node.variable));
+        relationships.push(write);
+      } else {
+        return null;
+      }
+    } else if (clause.type === 'SET') {
+      for (const item of clause.items) {
+        const binding = bound.get(item.variable);
+        if (!binding || (hasMatch && binding.kind === 'node') || !addSetItem(binding.write, binding.write.set, item, params)) {
+          return null;
+        }
+      }
+    } else {
+      return null;
+    }
+  }
+
+  // A matched node no relationship uses would still be tagged by the original statement
+  if (matched.size > 0 || nodes.length + relationships.length === 0) {
+    return null;
+  }
+  return { nodes, relationships };
+}
+
+// Shape of an assignment map: the part of a write that goes into the query text
+function assignmentShape(assignments) {
+  return [...assignments].map(([property, { fn, hasValue }]) => [property, fn, hasValue]);
+}
+
+// Values of an assignment map: the part of a write that goes into the row
+function assignmentValues(assignments) {
+  const values = {};
+  for (const [property, { hasValue, value }] of assignments) {
+    if (hasValue) {
+      values[property] = value;
+    }
+  }
+  return values;
+}
+
+function valueExpression([property, fn, hasValue], rowPath) {
+  const ref = `${rowPath}.${formatName(property)}`;
+  if (!fn) {
+    return ref;
+  }
+  return hasValue ? `${fn}(${ref})` : `${fn}()`;
+}
+
+function mapPattern(shape, rowPath) {
+  return `{${shape.map(entry => `${formatName(entry[0])}: ${valueExpression(entry, rowPath)}`).join(', ')}}`;
+}
+
+function setItems(variable, shape, rowPath) {
+  return shape.map(entry => `${variable}.${formatName(entry[0])} = ${valueExpression(entry, rowPath)}`);
+}
+
+function labelText(labels) {
+  return labels.map(label => `:${formatName(label)}`).join('');
+}
+
+function nodeShape(write) {
+  return { labels: write.labels, key: assignmentShape(write.key) };
+}
+
+function assignmentsShape(write) {
+  return { onCreate: assignmentShape(write.onCreate), onMatch: assignmentShape(write.onMatch), set: assignmentShape(write.set) };
+}
+
+function assignmentsRow(write) {
+  return {
+    onCreate: assignmentValues(write.onCreate),
+    onMatch: assignmentValues(write.onMatch),
+    set: assignmentValues(write.set)
+  };
+}
+
+// MERGE actions and SET clauses shared by node and relationship queries
+function assignmentClauses(variable, shape) {
+  const lines = [];
+  if (shape.onCreate.length > 0) {
+    lines.push(`ON CREATE SET ${setItems(variable, shape.onCreate, 'row.onCreate').join(', ')}`);
+  }
+  if (shape.onMatch.length > 0) {
+    lines.push(`ON MATCH SET ${setItems(variable, shape.onMatch, 'row.onMatch').join(', ')}`);
+  }
+  return lines;
+}
+
+function buildNodeQuery(shape, chunkTagged) {
+  const lines = [
+    'UNWIND $rows AS row',
+    `MERGE (n${labelText(shape.labels)} ${mapPattern(shape.key, 'row.key')})`,
+    ...assignmentClauses('n', shape)
+  ];
+  const sets = [
+    ...(shape.extraLabels.length > 0 ? [`n${labelText(shape.extraLabels)}`] : []),
+    ...setItems('n', shape.set, 'row.set')
+  ];
+  if (sets.length > 0) {
+    lines.push(`SET ${sets.join(', ')}`);
+  }
+  lines.push(`SET ${sourceTagItems('n', { chunkTagged })}`);
+  return lines.join('\n');
+}
+
+function buildRelationshipQuery(shape, chunkTagged) {
+  const key = shape.key.length > 0 ? ` ${mapPattern(shape.key, 'row.key')}` : '';
+  const lines = [
+    'UNWIND $rows AS row',
+    `MATCH (a${labelText(shape.from.labels)} ${mapPattern(shape.from.key, 'row.from')})`,
+    `MATCH (b${labelText(shape.to.labels)} ${mapPattern(shape.to.key, 'row.to')})`,
+    `MERGE (a)-[r:${formatName(shape.type)}${key}]-${shape.directed ? '>' : ''}(b)`,
+    ...assignmentClauses('r', shape)
+  ];
+  if (shape.set.length > 0) {
+    lines.push(`SET ${setItems('r', shape.set, 'row.set').join(', ')}`);
+  }
+  // One clause per entity: both ends can be the same node
+  for (const variable of ['a', 'b', 'r']) {
+    lines.push(`SET ${sourceTagItems(variable, { chunkTagged })}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Plan the write statements of a generated Cypher result as UNWIND batches
+ * @param {Array<string>} statements - Write statements (no schema statements)
+ * @param {object} params - Query parameters the statements use (structured mode)
+ * @param {object} options - Planning options
+ * @param {boolean} options.chunkTagged - Also tag sourceChunkIds (chunked mode)
+ * @returns {{steps: Array<{kind: string, shape: object, query: string, rows: Array<object>}|{statement: string}>, batchedStatements: number, fallbackStatements: number}}
+ *   Steps run in order: batch queries (kind node/relationship) take `$rows` plus the source parameters,
+ *   statements run as they are
+ */
+export function planBatchedWrites(statements, params = {}, { chunkTagged = false } = {}) {
+  const steps = [];
+  let nodeGroups = new Map();
+  let relationshipGroups = new Map();
+  let batchedStatements = 0;
+  let fallbackStatements = 0;
+
+  const addRow = (groups, kind, shape, row, buildQuery) => {
+    const signature = JSON.stringify(shape);
+    if (!groups.has(signature)) {
+      groups.set(signature, { kind, shape, query: buildQuery(shape, chunkTagged), rows: [] });
+    }
+    groups.get(signature).rows.push(row);
+  };
+
+  const flush = () => {
+    steps.push(...nodeGroups.values(), ...relationshipGroups.values());
+    nodeGroups = new Map();
+    relationshipGroups = new Map();
+  };
+
+  for (const text of statements) {
+    const parsed = parseCypher(text).statements;
+    const writes = parsed.length === 1 ? statementWrites(parsed[0], params) : null;
+
+    if (!writes) {
+      flush();
+      steps.push({ statement: text });
+      fallbackStatements++;
+      continue;
+    }
+
+    for (const write of writes.nodes) {
+      const shape = { ...nodeShape(write), extraLabels: [...write.extraLabels], ...assignmentsShape(write) };
+      addRow(nodeGroups, 'node', shape, { key: assignmentValues(write.key), ...assignmentsRow(write) }, buildNodeQuery);
+    }
+    for (const write of writes.relationships) {
+      const shape = {
+        type: write.type,
+        directed: write.directed,
+        from: nodeShape(write.from),
+        to: nodeShape(write.to),
+        key: assignmentShape(write.key),
+        ...assignmentsShape(write)
+      };
+      const row = {
+        from: assignmentValues(write.from.key),
+        to: assignmentValues(write.to.key),
+        key: assignmentValues(write.key),
+        ...assignmentsRow(write)
+      };
+      addRow(relationshipGroups, 'relationship', shape, row, buildRelationshipQuery);
+    }
+    batchedStatements++;
+  }
+  flush();
+
+  return { steps, batchedStatements, fallbackStatements };
+}
+
+/**
+ * Query that counts, per row of a batch step, the existing entities its MERGE would match
+ * Run before the writes (dry runs) to tell MERGEs that would match from ones that would create.
+ * @param {object} step - Node or relationship step of planBatchedWrites
+ * @returns {string} - Query taking `$rows`, returning the row index `i` and `matches` per row
+ */
+export function buildMergeCheckQuery(step) {
+  const { shape } = step;
+  // Rows are told apart by index: identical rows would otherwise be grouped together
+  const unwind = 'UNWIND range(0, size($rows) - 1) AS i\nWITH i, $rows[i] AS row';
+  if (step.kind === 'node') {
+    return [
+      unwind,
+      `OPTIONAL MATCH (n${labelText(shape.labels)} ${mapPattern(shape.key, 'row.key')})`,
+      'RETURN i, count(n) AS matches'
+    ].join('\n');
+  }
+  const key = shape.key.length > 0 ? ` ${mapPattern(shape.key, 'row.key')}` : '';
+  return [
+    unwind,
+    `OPTIONAL MATCH (a${labelText(shape.from.labels)} ${mapPattern(shape.from.key, 'row.from')})` +
+      `-[r:${formatName(shape.type)}${key}]-${shape.directed ? '>' : ''}` +
+      `(b${labelText(shape.to.labels)} ${mapPattern(shape.to.key, 'row.to')})`,
+    'RETURN i, count(r) AS matches'
+  ].join('\n');
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import neo4j from 'neo4j-driver';
+import { planBatchedWrites, buildMergeCheckQuery, assertIngestBatchSize } from './batching.js';
+
+const statements = [
+  'MERGE (a:Person {personId: "P1"}) SET a:Employee:Manager, a.name = "x;}"',
+  'MERGE (b:Person {personId: "P2"}) SET b:Employee:Manager, b.name = "y"',
+  'MERGE (c:Company {companyId: $n1_id}) SET c.since = date("2020-01-01")',
+  'MATCH (a:Person {personId: "P1"}), (c:Company {companyId: "C1"}) MERGE (a)-[r:WORKS_AT]->(c) SET r.since = 2020',
+  'CREATE (x:Thing {id: 1})',
+  'MERGE (d:Person {personId: "P3"}) SET d.age = 3'
+];
+
+test('statements of the same shape share one UNWIND query', () => {
+  const { steps, batchedStatements, fallbackStatements } = planBatchedWrites(statements, { n1_id: 'C1' });
+  assert.equal(batchedStatements, 5);
+  assert.equal(fallbackStatements, 1);
+
+  const [people] = steps;
+  assert.equal(people.kind, 'node');
+  assert.deepEqual(people.shape.extraLabels, ['Employee', 'Manager']);
+  assert.deepEqual(people.rows.map(row => [row.key.personId, row.set.name]), [['P1', 'x;}'], ['P2', 'y']]);
+  assert.match(people.query, /^UNWIND \$rows AS row\nMERGE \(n:Person \{personId: row\.key\.personId\}\)\nSET n:Employee:Manager, n\.name = row\.set\.name/);
+});
+
+test('parameters, temporal functions and integers become row values', () => {
+  const { steps } = planBatchedWrites(statements, { n1_id: 'C1' });
+  const company = steps.find(step => step.shape?.labels?.[0] === 'Company');
+  assert.deepEqual(company.rows[0].key, { companyId: 'C1' });
+  assert.equal(company.rows[0].set.since, '2020-01-01');
+  assert.match(company.query, /SET n\.since = date\(row\.set\.since\)/);
+
+  const relationship = steps.find(step => step.kind === 'relationship');
+  assert.ok(neo4j.isInt(relationship.rows[0].set.since));
+  assert.deepEqual([relationship.rows[0].from, relationship.rows[0].to], [{ personId: 'P1' }, { companyId: 'C1' }]);
+});
+
+test('nodes are written before relationships, and unbatchable statements keep their place', () => {
+  const { steps } = planBatchedWrites(statements, { n1_id: 'C1' });
+  assert.deepEqual(steps.map(step => step.kind || step.statement), [
+    'node', 'node', 'relationship', 'CREATE (x:Thing {id: 1})', 'node'
+  ]);
+});
+
+test('queries tag every entity with its source', () => {
+  const { steps } = planBatchedWrites(statements, { n1_id: 'C1' }, { chunkTagged: true });
+  const relationship = steps.find(step => step.kind === 'relationship');
+  for (const variable of ['a', 'b', 'r']) {
+    assert.match(relationship.query, new RegExp(`SET ${variable}\\.sourceDocIds = .*, ${variable}\\.sourceChunkIds = `));
+  }
+  const untagged = planBatchedWrites(statements, { n1_id: 'C1' }).steps[0];
+  assert.doesNotMatch(untagged.query, /sourceChunkIds/);
+});
+
+test('merge check queries count the matches per row', () => {
+  const [people] = planBatchedWrites(statements, { n1_id: 'C1' }).steps;
+  assert.equal(buildMergeCheckQuery(people), [
+    'UNWIND range(0, size($rows) - 1) AS i',
+    'WITH i, $rows[i] AS row',
+    'OPTIONAL MATCH (n:Person {personId: row.key.personId})',
+    'RETURN i, count(n) AS matches'
+  ].join('\n'));
+});
+
+test('batch sizes must be positive integers', () => {
+  assert.doesNotThrow(() => assertIngestBatchSize(500));
+  for (const size of [0, -1, 1.5, '10']) {
+    assert.throws(() => assertIngestBatchSize(size), error => error.status === 400);
+  }
+});
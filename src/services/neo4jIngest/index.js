@@ -9,56 +9,25 @@ import { logger } from '../../utils/logger.js';
 import ChunkCypherResult from '../../models/ChunkCypherResult.js';
 import DocumentChunk from '../../models/DocumentChunk.js';
 import Document from '../../models/Document.js';
+import ResolutionDecision from '../../models/ResolutionDecision.js';
 import { retryWithBackoff, isRetryableError } from '../../utils/retry.js';
-
-/**
- * Split Cypher into individual statements
- * Handles semicolon-separated statements
- */
-function splitCypherStatements(cypher) {
-  if (!cypher || cypher.trim().length === 0) {
-    return [];
-  }
-
-  // Split by semicolon, but preserve semicolons inside strings/quotes
-  const statements = [];
-  let current = '';
-  let inString = false;
-  let stringChar = null;
-
-  for (let i = 0; i < cypher.length; i++) {
-    const char = cypher[i];
-    const prevChar = i > 0 ? cypher[i - 1] : null;
-
-    if ((char === '"' || char === "'" || char === '`') && prevChar !== '\\') {
-      if (!inString) {
-        inString = true;
-        stringChar = char;
-      } else if (char === stringChar) {
-        inString = false;
-        stringChar = null;
-      }
-    }
-
-    if (char === ';' && !inString) {
-      const trimmed = current.trim();
-      if (trimmed.length > 0) {
-        statements.push(trimmed);
-      }
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-
-  // Add last statement if any
-  const trimmed = current.trim();
-  if (trimmed.length > 0) {
-    statements.push(trimmed);
-  }
-
-  return statements.filter(s => s.length > 0);
-}
+import { splitCypherStatements } from '../../utils/cypherParser.js';
+import { tagStatementWithSource, sourceParams, writeSourceProvenance, writtenLabels } from './provenance.js';
+import { planBatchedWrites, buildMergeCheckQuery, DEFAULT_BATCH_SIZE } from './batching.js';
+import { emptyCounters, addCounters, readCounters, rollbackTransaction, toPlainValue } from './transactions.js';
+import { clearQuarantine, quarantineWrite } from './quarantine.js';
+import { validateCypherWithRepair } from './validation.js';
+import { httpError } from '../../utils/httpError.js';
+
+// Write (:SourceDocument)/(:SourceChunk) nodes and MENTIONED_IN links for ingested entities
+const CREATE_PROVENANCE_GRAPH = process.env.CREATE_PROVENANCE_GRAPH === 'true';
+// Write parsed nodes/relationships as UNWIND batches instead of statement by statement
+const BATCH_INGESTION = process.env.NEO4J_BATCH_INGESTION === 'true';
+const INGEST_BATCH_SIZE = parseInt(process.env.NEO4J_INGEST_BATCH_SIZE || String(DEFAULT_BATCH_SIZE));
+// Commit the writes that succeed and quarantine failing ones instead of rolling back the whole result
+const QUARANTINE_FAILED_STATEMENTS = process.env.QUARANTINE_FAILED_STATEMENTS === 'true';
+// LLM repairs per result for statements that fail EXPLAIN validation (0 = fail right away)
+const CYPHER_REPAIR_ATTEMPTS = parseInt(process.env.CYPHER_REPAIR_ATTEMPTS || '2');
 
 /**
  * Check if a Cypher statement is a schema modification
@@ -99,37 +68,265 @@ function separateSchemaAndWriteStatements(statements) {
 }
 
 /**
- * Validate Cypher syntax using EXPLAIN
- * @param {string} cypher - Cypher query to validate
- * @param {object} session - Neo4j session
- * @returns {Promise<{valid: boolean, error?: string}>}
+ * Query parameters stored with generated Cypher (structured mode), as Neo4j values
+ * Whole numbers are sent as integers; the driver would send every JS number as a float
+ * @param {object} result - ChunkCypherResult
+ * @returns {object} - Parameters for every statement of the result
+ */
+function storedCypherParams(result) {
+  const toNeo4j = (value) => Array.isArray(value)
+    ? value.map(toNeo4j)
+    : Number.isInteger(value) ? neo4j.int(value) : value;
+  return Object.fromEntries(
+    Object.entries(result.cypherParams || {}).map(([name, value]) => [name, toNeo4j(value)])
+  );
+}
+
+/**
+ * Plan write statements as steps: UNWIND batches (batchSize > 0, see batching.js) or one step per statement
  */
-async function validateCypher(cypher, session) {
-  if (!cypher || cypher.trim().length === 0) {
-    return { valid: false, error: 'Empty Cypher' };
+function planWriteSteps(writeStatements, params, { chunkTagged = false, batchSize = 0 } = {}) {
+  return batchSize > 0
+    ? planBatchedWrites(writeStatements, params, { chunkTagged })
+    : { steps: writeStatements.map(statement => ({ statement })), batchedStatements: 0, fallbackStatements: writeStatements.length };
+}
+
+/**
+ * Run write steps in an open transaction
+ * A failure is logged and thrown as is - Neo4j has already rolled the transaction back.
+ * @returns {Promise<{counters: object, queries: number, rows: number}>}
+ */
+async function runWriteSteps(tx, steps, { params = {}, tagParams, chunkTagged = false, batchSize = 0, logContext = {} }) {
+  const counters = emptyCounters();
+  let queries = 0;
+  let rows = 0;
+
+  const run = async (query, queryParams, describe) => {
+    try {
+      addCounters(counters, readCounters((await tx.run(query, queryParams)).summary, logContext));
+      queries++;
+    } catch (error) {
+      logger.error('Failed to execute Cypher statement', { ...logContext, ...describe, error: error.message });
+      throw error;
+    }
+  };
+
+  for (const step of steps) {
+    if (step.statement) {
+      await run(
+        tagStatementWithSource(step.statement, { chunkTagged }),
+        { ...params, ...tagParams },
+        { statement: step.statement.substring(0, 200) }
+      );
+      continue;
+    }
+    const size = batchSize || step.rows.length;
+    for (let offset = 0; offset < step.rows.length; offset += size) {
+      const batch = step.rows.slice(offset, offset + size);
+      await run(step.query, { ...tagParams, rows: batch }, { statement: step.query.substring(0, 200), rows: batch.length });
+      rows += batch.length;
+    }
   }
 
-  try {
-    // Split into statements and validate each
-    const statements = splitCypherStatements(cypher);
-    
-    for (const statement of statements) {
-      // Use EXPLAIN to check syntax without executing
-      await session.run(`EXPLAIN ${statement}`);
+  return { counters, queries, rows };
+}
+
+/**
+ * Throughput statistics of a write phase (stored as ChunkCypherResult.ingestionStats)
+ */
+function writeStats({ writeStatements, plan, batchSize, queries, rows, startTime, quarantined = 0, transactions = 1 }) {
+  const durationMs = Date.now() - startTime;
+  return {
+    mode: batchSize > 0 ? 'batched' : 'statements',
+    batchSize: batchSize > 0 ? batchSize : null,
+    statements: writeStatements.length,
+    batchedStatements: plan.batchedStatements,
+    fallbackStatements: plan.fallbackStatements,
+    queries,
+    rows,
+    transactions,
+    quarantined,
+    durationMs,
+    statementsPerSecond: durationMs > 0 ? Math.round(writeStatements.length * 1000 / durationMs) : null
+  };
+}
+
+/**
+ * Run the write statements of a Cypher result in an open transaction
+ * With a batch size, statements are planned as UNWIND batches first (see batching.js);
+ * statements the planner cannot batch still run one by one. A failure is thrown as is -
+ * Neo4j has already rolled the transaction back.
+ * @param {object} tx - Open Neo4j transaction
+ * @param {Array<string>} writeStatements - Write statements of the result
+ * @param {object} options - Execution options
+ * @param {object} options.params - Query parameters stored with the Cypher
+ * @param {object} options.tagParams - Source parameters for provenance tagging
+ * @param {boolean} options.chunkTagged - Also tag sourceChunkIds
+ * @param {number} options.batchSize - Rows per UNWIND query (0 = statement by statement)
+ * @param {object} options.logContext - Fields added to log entries
+ * @returns {Promise<{nodesCreated: number, relationshipsCreated: number, counters: object, stats: object}>}
+ */
+async function executeWriteStatements(tx, writeStatements, options) {
+  const startTime = Date.now();
+  const plan = planWriteSteps(writeStatements, options.params, options);
+  const { counters, queries, rows } = await runWriteSteps(tx, plan.steps, options);
+  const stats = writeStats({ writeStatements, plan, batchSize: options.batchSize || 0, queries, rows, startTime });
+
+  return { nodesCreated: counters.nodesCreated, relationshipsCreated: counters.relationshipsCreated, counters, stats };
+}
+
+/**
+ * Run the write statements of a Cypher result, committing what succeeds and quarantining what fails
+ * Statements are always planned as UNWIND batches, so a failing write can be narrowed down to a single
+ * node or relationship. All writes are tried in one transaction; when it fails it is rolled back and
+ * split in halves (steps first, then the rows of a batch), each committed on its own, until the
+ * failing writes are isolated and stored in the quarantine (see quarantine.js). Relationship rows whose
+ * end node was quarantined match no node and write nothing, so they are quarantined too, to be
+ * replayed after that node.
+ * @param {object} session - Neo4j write session
+ * @param {Array<string>} writeStatements - Write statements of the result
+ * @param {object} options - Execution options of executeWriteStatements, plus:
+ * @param {object} options.result - ChunkCypherResult the statements come from
+ * @returns {Promise<{nodesCreated: number, relationshipsCreated: number, counters: object, stats: object, quarantined: number}>}
+ * @throws {Error} - Retriable Neo4j errors (connection, transient), which say nothing about the statements
+ */
+async function executeWithQuarantine(session, writeStatements, { result, ...options }) {
+  const startTime = Date.now();
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const plan = planBatchedWrites(writeStatements, options.params, options);
+
+  // Batch steps are split into units of at most batchSize rows
+  const units = plan.steps.flatMap(step => {
+    if (step.statement) {
+      return [step];
+    }
+    const chunks = [];
+    for (let offset = 0; offset < step.rows.length; offset += batchSize) {
+      chunks.push({ ...step, rows: step.rows.slice(offset, offset + batchSize) });
+    }
+    return chunks;
+  });
+
+  const counters = emptyCounters();
+  const failures = [];
+  let queries = 0;
+  let rows = 0;
+  let transactions = 0;
+
+  const commitUnits = async (batch) => {
+    const tx = session.beginTransaction();
+    transactions++;
+    try {
+      const outcome = await runWriteSteps(tx, batch, { ...options, batchSize });
+      await tx.commit();
+      addCounters(counters, outcome.counters);
+      queries += outcome.queries;
+      rows += outcome.rows;
+    } catch (error) {
+      await rollbackTransaction(tx);
+      if (neo4j.isRetriableError(error)) {
+        throw error;
+      }
+      if (batch.length > 1) {
+        const middle = Math.ceil(batch.length / 2);
+        await commitUnits(batch.slice(0, middle));
+        await commitUnits(batch.slice(middle));
+      } else if (batch[0].rows?.length > 1) {
+        const [unit] = batch;
+        const middle = Math.ceil(unit.rows.length / 2);
+        await commitUnits([{ ...unit, rows: unit.rows.slice(0, middle) }]);
+        await commitUnits([{ ...unit, rows: unit.rows.slice(middle) }]);
+      } else {
+        failures.push({ step: batch[0], error });
+      }
+    }
+  };
+
+  if (units.length > 0) {
+    await commitUnits(units);
+  }
+  const quarantinedNodes = new Map(); // endpointKey -> QuarantinedStatement ids
+  for (const { step, error } of failures) {
+    const entry = await quarantineWrite(result, step, error);
+    if (step.kind === 'node') {
+      for (const label of step.shape.labels) {
+        const key = endpointKey(label, step.rows[0].key);
+        quarantinedNodes.set(key, [...(quarantinedNodes.get(key) || []), entry._id]);
+      }
+    }
+  }
+  const dependents = quarantinedNodes.size > 0 ? relationshipsOnQuarantinedNodes(units, failures, quarantinedNodes) : [];
+  for (const { step, dependsOn } of dependents) {
+    await quarantineWrite(result, step, new Error('An end node of this relationship was quarantined'), { dependsOn });
+  }
+  const quarantined = failures.length + dependents.length;
+
+  const stats = writeStats({ writeStatements, plan, batchSize, queries, rows, startTime, quarantined, transactions });
+  return {
+    nodesCreated: counters.nodesCreated,
+    relationshipsCreated: counters.relationshipsCreated,
+    counters,
+    stats,
+    quarantined
+  };
+}
+
+/**
+ * Identity of a node as matched by a relationship batch query: one label and the key values
+ */
+function endpointKey(label, keyValues) {
+  return `${label}|${JSON.stringify(keyValues)}`;
+}
+
+/**
+ * Relationship rows of batch units that MATCH a quarantined node as either end
+ * Such a row wrote nothing, unless a node with the same key already existed in the graph -
+ * replaying it then only merges the relationship again.
+ * @param {Array<object>} units - Write units of executeWithQuarantine
+ * @param {Array<object>} failures - Quarantined { step } (already quarantined rows are skipped)
+ * @param {Map<string, Array>} quarantinedNodes - endpointKey -> ids of the node's quarantined writes
+ * @returns {Array<{step: object, dependsOn: Array}>} - Single-row steps and the node writes they need
+ */
+function relationshipsOnQuarantinedNodes(units, failures, quarantinedNodes) {
+  const failedRows = new Set(failures.flatMap(({ step }) => step.rows || []));
+  const endpointDependencies = (end, keyValues) => {
+    const ids = end.labels.map(label => quarantinedNodes.get(endpointKey(label, keyValues)));
+    return ids.every(Boolean) ? ids.flat() : [];
+  };
+
+  const dependents = [];
+  for (const unit of units.filter(unit => unit.kind === 'relationship')) {
+    for (const row of unit.rows.filter(row => !failedRows.has(row))) {
+      const dependsOn = [
+        ...endpointDependencies(unit.shape.from, row.from),
+        ...endpointDependencies(unit.shape.to, row.to)
+      ];
+      if (dependsOn.length > 0) {
+        dependents.push({ step: { ...unit, rows: [row] }, dependsOn: [...new Set(dependsOn.map(String))] });
+      }
     }
-    
-    return { valid: true };
-  } catch (error) {
-    return { valid: false, error: error.message };
   }
+  return dependents;
 }
 
 /**
  * Execute Cypher for a single chunk
  * @param {string} chunkId - MongoDB chunk ID
- * @returns {Promise<{nodesCreated: number, relationshipsCreated: number}>}
+ * @param {object} options - Ingestion options
+ * @param {boolean} options.createProvenance - Link ingested nodes to a (:SourceChunk) node
+ * @param {boolean} options.batchIngestion - Write nodes/relationships as UNWIND batches
+ * @param {number} options.ingestBatchSize - Rows per UNWIND query
+ * @param {boolean} options.quarantineFailures - Commit the writes that succeed and quarantine the ones that fail
+ * @param {number} options.repairAttempts - LLM repairs of statements that fail validation
+ * @returns {Promise<{nodesCreated: number, relationshipsCreated: number, quarantined: number}>}
  */
-export async function ingestChunkCypher(chunkId) {
+export async function ingestChunkCypher(chunkId, {
+  createProvenance = CREATE_PROVENANCE_GRAPH,
+  batchIngestion = BATCH_INGESTION,
+  ingestBatchSize = INGEST_BATCH_SIZE,
+  quarantineFailures = QUARANTINE_FAILED_STATEMENTS,
+  repairAttempts = CYPHER_REPAIR_ATTEMPTS
+} = {}) {
   const result = await ChunkCypherResult.findOne({ chunkId });
   if (!result) {
     throw new Error(`Cypher result not found for chunk: ${chunkId}`);
@@ -139,26 +336,34 @@ export async function ingestChunkCypher(chunkId) {
     logger.info('Cypher already executed for chunk', { chunkId });
     return {
       nodesCreated: result.nodesCreated || 0,
-      relationshipsCreated: result.relationshipsCreated || 0
+      relationshipsCreated: result.relationshipsCreated || 0,
+      quarantined: result.quarantinedStatements || 0
     };
   }
 
+  if (result.conformance?.excluded) {
+    logger.warn('Skipping chunk Cypher excluded by the conformance policy', { chunkId });
+    return { nodesCreated: 0, relationshipsCreated: 0 };
+  }
+
   const chunk = await DocumentChunk.findById(chunkId);
   if (!chunk) {
     throw new Error(`Chunk not found: ${chunkId}`);
   }
 
-  // Validate Cypher before ingestion
+  // Validate Cypher before ingestion, repairing failing statements with the LLM
   const validationSession = getNeo4jSession(neo4j.session.READ);
   try {
-    const validationResult = await validateCypher(result.generatedCypher, validationSession);
+    const validationResult = await validateCypherWithRepair(result, validationSession, {
+      params: storedCypherParams(result),
+      repairAttempts,
+      logContext: { chunkId }
+    });
     if (!validationResult.valid) {
-      await validationSession.close();
       throw new Error(`Cypher validation failed: ${validationResult.error}`);
     }
-    logger.info('Cypher validated successfully', { chunkId });
+    logger.info('Cypher validated successfully', { chunkId, repairs: validationResult.repairs });
   } catch (validationError) {
-    await validationSession.close();
     logger.error('Cypher validation error', { chunkId, error: validationError.message });
     throw validationError;
   } finally {
@@ -230,57 +435,30 @@ export async function ingestChunkCypher(chunkId) {
       return { nodesCreated: 0, relationshipsCreated: 0 };
     }
 
-    tx = session.beginTransaction();
-
-    let nodesCreated = 0;
-    let relationshipsCreated = 0;
-
-    let hasErrors = false;
-    let lastError = null;
-
-    for (const statement of writeStatements) {
-      try {
-        const cypherResult = await tx.run(statement);
-        
-        // Try to count created nodes/relationships from summary
-        const summary = cypherResult.summary;
-        if (summary && summary.counters) {
-          const stats = summary.counters;
-          try {
-            // Handle both function and property access (Neo4j driver version differences)
-            const nodesCreatedCount = typeof stats.nodesCreated === 'function' 
-              ? stats.nodesCreated() 
-              : (stats.nodesCreated || 0);
-            const relationshipsCreatedCount = typeof stats.relationshipsCreated === 'function'
-              ? stats.relationshipsCreated()
-              : (stats.relationshipsCreated || 0);
-            nodesCreated += nodesCreatedCount || 0;
-            relationshipsCreated += relationshipsCreatedCount || 0;
-          } catch (statsError) {
-            // If stats access fails, log but don't fail the transaction
-            logger.warn('Could not read stats from summary', { 
-              chunkId,
-              error: statsError.message,
-              statsKeys: Object.keys(stats || {})
-            });
-          }
-        }
-      } catch (error) {
-        logger.error('Failed to execute Cypher statement', { 
-          chunkId, 
-          statement: statement.substring(0, 200),
-          error: error.message 
-        });
-        hasErrors = true;
-        lastError = error;
-        // Transaction is rolled back - break out of loop
-        break;
-      }
+    // Tag everything the statements touch with their source chunk (used for rollback)
+    const writeOptions = {
+      params: storedCypherParams(result),
+      tagParams: sourceParams(chunk.docId, chunk._id),
+      chunkTagged: true,
+      batchSize: batchIngestion ? ingestBatchSize : 0,
+      logContext: { chunkId }
+    };
+    let outcome;
+    if (quarantineFailures) {
+      // Writes that succeed are committed as they go; provenance gets a transaction of its own
+      await clearQuarantine({ resultId: result._id });
+      outcome = await executeWithQuarantine(session, writeStatements, { ...writeOptions, batchSize: ingestBatchSize, result });
+      tx = session.beginTransaction();
+    } else {
+      tx = session.beginTransaction();
+      outcome = await executeWriteStatements(tx, writeStatements, writeOptions);
     }
+    const { nodesCreated, relationshipsCreated, stats, quarantined = 0 } = outcome;
 
-    if (hasErrors) {
-      // Transaction already rolled back by Neo4j when statement failed
-      throw lastError;
+    if (createProvenance) {
+      const doc = await Document.findById(chunk.docId);
+      const provenance = await writeSourceProvenance(tx, { doc, chunk, labels: writtenLabels(writeStatements) });
+      logger.info('Source provenance written', { chunkId, ...provenance });
     }
 
     await tx.commit();
@@ -293,7 +471,9 @@ export async function ingestChunkCypher(chunkId) {
       status: 'executed',
       executionTimeMs: executionTime,
       nodesCreated,
-      relationshipsCreated
+      relationshipsCreated,
+      quarantinedStatements: quarantined,
+      ingestionStats: stats
     });
 
     await chunk.updateOne({ status: 'ingested' });
@@ -302,27 +482,18 @@ export async function ingestChunkCypher(chunkId) {
       chunkId, 
       nodesCreated, 
       relationshipsCreated,
-      executionTimeMs: executionTime
+      executionTimeMs: executionTime,
+      batchedStatements: stats.batchedStatements,
+      queries: stats.queries,
+      quarantined
     });
 
-    return { nodesCreated, relationshipsCreated };
+    return { nodesCreated, relationshipsCreated, quarantined };
 
   } catch (error) {
     // Handle transaction cleanup
     if (tx) {
-      try {
-        // Try to rollback - safe even if already rolled back
-        await tx.rollback();
-      } catch (rollbackError) {
-        // If rollback fails because transaction was already rolled back, that's expected
-        // Only log unexpected errors
-        const errorMsg = rollbackError.message?.toLowerCase() || '';
-        if (!errorMsg.includes('rolled back') && 
-            !errorMsg.includes('terminated') &&
-            !errorMsg.includes('already')) {
-          logger.error('Failed to rollback transaction', { error: rollbackError.message });
-        }
-      }
+      await rollbackTransaction(tx);
     }
     
     await result.updateOne({
@@ -345,33 +516,73 @@ export async function ingestChunkCypher(chunkId) {
 /**
  * Ingest Cypher for full document (no chunks)
  * @param {string} docId - Document ID
- * @returns {Promise<{nodesCreated: number, relationshipsCreated: number}>}
+ * @param {object} options - Ingestion options
+ * @param {boolean} options.createProvenance - Link ingested nodes to a (:SourceDocument) node
+ * @param {boolean} options.batchIngestion - Write nodes/relationships as UNWIND batches
+ * @param {number} options.ingestBatchSize - Rows per UNWIND query
+ * @param {boolean} options.quarantineFailures - Commit the writes that succeed and quarantine the ones that fail
+ * @param {number} options.repairAttempts - LLM repairs of statements that fail validation
+ * @returns {Promise<{nodesCreated: number, relationshipsCreated: number, quarantined: number}>}
  */
-export async function ingestFullDocumentCypher(docId) {
-  const cypherResult = await ChunkCypherResult.findOne({ docId, chunkId: null });
+export async function ingestFullDocumentCypher(docId, options = {}) {
+  const cypherResult = await ChunkCypherResult.findOne({ docId, chunkId: null, generationMode: { $ne: 'table' } });
   if (!cypherResult) {
     throw new Error(`Cypher result not found for document: ${docId}`);
   }
+  return ingestDocumentResult(cypherResult, docId, options);
+}
+
+/**
+ * Ingest the Cypher generated from the document's mapped tables (see services/tableMapping.js)
+ * @param {string} docId - Document ID
+ * @param {object} options - Ingestion options, as for ingestFullDocumentCypher
+ * @returns {Promise<{nodesCreated: number, relationshipsCreated: number, quarantined: number}>}
+ */
+export async function ingestTableCypher(docId, options = {}) {
+  const cypherResult = await ChunkCypherResult.findOne({ docId, chunkId: null, generationMode: 'table' });
+  if (!cypherResult) {
+    throw new Error(`Table Cypher result not found for document: ${docId}`);
+  }
+  return ingestDocumentResult(cypherResult, docId, options);
+}
 
+/**
+ * Ingest a document-level Cypher result (not tied to a chunk)
+ */
+async function ingestDocumentResult(cypherResult, docId, {
+  createProvenance = CREATE_PROVENANCE_GRAPH,
+  batchIngestion = BATCH_INGESTION,
+  ingestBatchSize = INGEST_BATCH_SIZE,
+  quarantineFailures = QUARANTINE_FAILED_STATEMENTS,
+  repairAttempts = CYPHER_REPAIR_ATTEMPTS
+} = {}) {
   if (cypherResult.status === 'executed') {
     logger.info('Cypher already executed for document', { docId });
     return {
       nodesCreated: cypherResult.nodesCreated || 0,
-      relationshipsCreated: cypherResult.relationshipsCreated || 0
+      relationshipsCreated: cypherResult.relationshipsCreated || 0,
+      quarantined: cypherResult.quarantinedStatements || 0
     };
   }
 
-  // Validate Cypher before ingestion
+  if (cypherResult.conformance?.excluded) {
+    logger.warn('Skipping document Cypher excluded by the conformance policy', { docId });
+    return { nodesCreated: 0, relationshipsCreated: 0 };
+  }
+
+  // Validate Cypher before ingestion, repairing failing statements with the LLM
   const validationSession = getNeo4jSession(neo4j.session.READ);
   try {
-    const validationResult = await validateCypher(cypherResult.generatedCypher, validationSession);
+    const validationResult = await validateCypherWithRepair(cypherResult, validationSession, {
+      params: storedCypherParams(cypherResult),
+      repairAttempts,
+      logContext: { docId }
+    });
     if (!validationResult.valid) {
-      await validationSession.close();
       throw new Error(`Cypher validation failed: ${validationResult.error}`);
     }
-    logger.info('Cypher validated successfully', { docId });
+    logger.info('Cypher validated successfully', { docId, repairs: validationResult.repairs });
   } catch (validationError) {
-    await validationSession.close();
     logger.error('Cypher validation error', { docId, error: validationError.message });
     throw validationError;
   } finally {
@@ -385,7 +596,7 @@ export async function ingestFullDocumentCypher(docId) {
   let tx = null;
 
   try {
-    logger.info('Executing Cypher for full document', { docId, cypherLength: cypherResult.generatedCypher.length });
+    logger.info('Executing document Cypher', { docId, generationMode: cypherResult.generationMode, cypherLength: cypherResult.generatedCypher.length });
 
     // Split into individual statements
     const statements = splitCypherStatements(cypherResult.generatedCypher);
@@ -442,57 +653,29 @@ export async function ingestFullDocumentCypher(docId) {
       return { nodesCreated: 0, relationshipsCreated: 0 };
     }
 
-    tx = session.beginTransaction();
-
-    let nodesCreated = 0;
-    let relationshipsCreated = 0;
-
-    let hasErrors = false;
-    let lastError = null;
-
-    for (const statement of writeStatements) {
-      try {
-        const cypherResult_run = await tx.run(statement);
-        
-        // Try to count created nodes/relationships from summary
-        const summary = cypherResult_run.summary;
-        if (summary && summary.counters) {
-          const stats = summary.counters;
-          try {
-            // Handle both function and property access (Neo4j driver version differences)
-            const nodesCreatedCount = typeof stats.nodesCreated === 'function' 
-              ? stats.nodesCreated() 
-              : (stats.nodesCreated || 0);
-            const relationshipsCreatedCount = typeof stats.relationshipsCreated === 'function'
-              ? stats.relationshipsCreated()
-              : (stats.relationshipsCreated || 0);
-            nodesCreated += nodesCreatedCount || 0;
-            relationshipsCreated += relationshipsCreatedCount || 0;
-          } catch (statsError) {
-            // If stats access fails, log but don't fail the transaction
-            logger.warn('Could not read stats from summary', { 
-              docId,
-              error: statsError.message,
-              statsKeys: Object.keys(stats || {})
-            });
-          }
-        }
-      } catch (error) {
-        logger.error('Failed to execute Cypher statement', { 
-          docId, 
-          statement: statement.substring(0, 200),
-          error: error.message 
-        });
-        hasErrors = true;
-        lastError = error;
-        // Transaction is rolled back - break out of loop
-        break;
-      }
+    // Tag everything the statements touch with their source document (used for rollback)
+    const writeOptions = {
+      params: storedCypherParams(cypherResult),
+      tagParams: sourceParams(docId),
+      batchSize: batchIngestion ? ingestBatchSize : 0,
+      logContext: { docId }
+    };
+    let outcome;
+    if (quarantineFailures) {
+      // Writes that succeed are committed as they go; provenance gets a transaction of its own
+      await clearQuarantine({ resultId: cypherResult._id });
+      outcome = await executeWithQuarantine(session, writeStatements, { ...writeOptions, batchSize: ingestBatchSize, result: cypherResult });
+      tx = session.beginTransaction();
+    } else {
+      tx = session.beginTransaction();
+      outcome = await executeWriteStatements(tx, writeStatements, writeOptions);
     }
+    const { nodesCreated, relationshipsCreated, stats, quarantined = 0 } = outcome;
 
-    if (hasErrors) {
-      // Transaction already rolled back by Neo4j when statement failed
-      throw lastError;
+    if (createProvenance) {
+      const doc = await Document.findById(docId);
+      const provenance = await writeSourceProvenance(tx, { doc, labels: writtenLabels(writeStatements) });
+      logger.info('Source provenance written', { docId, ...provenance });
     }
 
     await tx.commit();
@@ -505,34 +688,27 @@ export async function ingestFullDocumentCypher(docId) {
       status: 'executed',
       executionTimeMs: executionTime,
       nodesCreated,
-      relationshipsCreated
+      relationshipsCreated,
+      quarantinedStatements: quarantined,
+      ingestionStats: stats
     });
 
     logger.info('Cypher executed successfully', { 
       docId, 
       nodesCreated, 
       relationshipsCreated,
-      executionTimeMs: executionTime
+      executionTimeMs: executionTime,
+      batchedStatements: stats.batchedStatements,
+      queries: stats.queries,
+      quarantined
     });
 
-    return { nodesCreated, relationshipsCreated };
+    return { nodesCreated, relationshipsCreated, quarantined };
 
   } catch (error) {
     // Handle transaction cleanup
     if (tx) {
-      try {
-        // Try to rollback - safe even if already rolled back
-        await tx.rollback();
-      } catch (rollbackError) {
-        // If rollback fails because transaction was already rolled back, that's expected
-        // Only log unexpected errors
-        const errorMsg = rollbackError.message?.toLowerCase() || '';
-        if (!errorMsg.includes('rolled back') && 
-            !errorMsg.includes('terminated') &&
-            !errorMsg.includes('already')) {
-          logger.error('Failed to rollback transaction', { error: rollbackError.message });
-        }
-      }
+      await rollbackTransaction(tx);
     }
     
     await cypherResult.updateOne({
@@ -549,8 +725,10 @@ export async function ingestFullDocumentCypher(docId) {
 
 /**
  * Ingest all Cypher for a document (handles both chunked and full document modes)
+ * @param {string} docId - Document ID
+ * @param {object} options - Ingestion options passed to the per-result ingest functions
  */
-export async function ingestAllChunks(docId) {
+export async function ingestAllChunks(docId, options = {}) {
   const doc = await Document.findById(docId);
   if (!doc) {
     throw new Error(`Document not found: ${docId}`);
@@ -558,12 +736,14 @@ export async function ingestAllChunks(docId) {
 
   await doc.updateOne({ status: 'ingesting' });
 
-  // Check if this is a full document (no chunks) or chunked mode
-  const fullDocumentResult = await ChunkCypherResult.findOne({ docId, chunkId: null });
+  // Check if this is a full document (no chunks) or chunked mode; mapped tables are ingested in both
+  const fullDocumentResult = await ChunkCypherResult.findOne({ docId, chunkId: null, generationMode: { $ne: 'table' } });
+  const tableResult = await ChunkCypherResult.findOne({ docId, chunkId: null, generationMode: 'table' });
   const chunks = await DocumentChunk.find({ docId }).sort({ chunkIndex: 1 });
 
   let totalNodes = 0;
   let totalRelationships = 0;
+  let quarantinedCount = 0;
   let successCount = 0;
   let errorCount = 0;
 
@@ -575,7 +755,7 @@ export async function ingestAllChunks(docId) {
     try {
       // Retry ingestion with exponential backoff
       const result = await retryWithBackoff(
-        () => ingestFullDocumentCypher(docId),
+        () => ingestFullDocumentCypher(docId, options),
         {
           maxRetries: 3,
           initialDelay: 2000,
@@ -586,6 +766,7 @@ export async function ingestAllChunks(docId) {
       );
       totalNodes = result.nodesCreated;
       totalRelationships = result.relationshipsCreated;
+      quarantinedCount = result.quarantined || 0;
       successCount = 1;
     } catch (error) {
       logger.error('Failed to ingest full document Cypher after retries', { 
@@ -602,7 +783,7 @@ export async function ingestAllChunks(docId) {
       try {
         // Retry ingestion with exponential backoff
         const result = await retryWithBackoff(
-          () => ingestChunkCypher(chunk._id),
+          () => ingestChunkCypher(chunk._id, options),
           {
             maxRetries: 3,
             initialDelay: 2000,
@@ -616,6 +797,7 @@ export async function ingestAllChunks(docId) {
         );
         totalNodes += result.nodesCreated;
         totalRelationships += result.relationshipsCreated;
+        quarantinedCount += result.quarantined || 0;
         successCount++;
       } catch (error) {
         logger.error('Failed to ingest chunk after retries', { 
@@ -625,10 +807,37 @@ export async function ingestAllChunks(docId) {
         errorCount++;
       }
     }
-  } else {
+  } else if (!tableResult) {
     throw new Error(`No Cypher results found for document: ${docId}`);
   }
 
+  if (tableResult) {
+    logger.info('Ingesting mapped table Cypher', { docId });
+
+    try {
+      const result = await retryWithBackoff(
+        () => ingestTableCypher(docId, options),
+        {
+          maxRetries: 3,
+          initialDelay: 2000,
+          maxDelay: 30000,
+          shouldRetry: (error) => isRetryableError(error),
+          context: `ingestion-tables-${docId}`
+        }
+      );
+      totalNodes += result.nodesCreated;
+      totalRelationships += result.relationshipsCreated;
+      quarantinedCount += result.quarantined || 0;
+      successCount++;
+    } catch (error) {
+      logger.error('Failed to ingest mapped table Cypher after retries', {
+        docId,
+        error: error.message
+      });
+      errorCount++;
+    }
+  }
+
   // Update document status
   const finalStatus = errorCount === 0 ? 'completed' : 
                      (successCount > 0 ? 'completed' : 'error');
@@ -643,6 +852,7 @@ export async function ingestAllChunks(docId) {
     docId, 
     totalNodes, 
     totalRelationships,
+    quarantinedCount,
     successCount,
     errorCount
   });
@@ -650,11 +860,280 @@ export async function ingestAllChunks(docId) {
   return {
     totalNodes,
     totalRelationships,
+    quarantinedCount,
     successCount,
     errorCount
   };
 }
 
+/**
+ * Find the existing nodes/relationships the MERGEs of some write statements would match
+ * Runs before the statements, so MERGEs repeated within the Cypher are reported once, against
+ * the graph as it was. Statements the batch planner cannot analyse are only counted.
+ * @param {object} tx - Open Neo4j transaction
+ * @param {Array<string>} writeStatements - Write statements
+ * @param {object} params - Query parameters stored with the Cypher
+ * @returns {Promise<{nodes: Array<object>, relationships: Array<object>, unclassifiedStatements: number}>}
+ */
+async function checkMergeTargets(tx, writeStatements, params) {
+  const plan = planBatchedWrites(writeStatements, params);
+  const nodes = new Map();
+  const relationships = new Map();
+
+  for (const step of plan.steps) {
+    if (step.statement) {
+      continue;
+    }
+    const { records } = await tx.run(buildMergeCheckQuery(step), { rows: step.rows });
+    for (const record of records) {
+      const row = step.rows[toPlainValue(record.get('i'))];
+      const matches = toPlainValue(record.get('matches'));
+      const target = step.kind === 'node'
+        ? { labels: step.shape.labels, key: toPlainValue(row.key) }
+        : {
+          type: step.shape.type,
+          from: { labels: step.shape.from.labels, key: toPlainValue(row.from) },
+          to: { labels: step.shape.to.labels, key: toPlainValue(row.to) },
+          key: toPlainValue(row.key)
+        };
+      const targets = step.kind === 'node' ? nodes : relationships;
+      const id = JSON.stringify(target);
+      if (!targets.has(id)) {
+        targets.set(id, { ...target, action: matches > 0 ? 'match' : 'create', matches });
+      }
+    }
+  }
+
+  return {
+    nodes: [...nodes.values()],
+    relationships: [...relationships.values()],
+    unclassifiedStatements: plan.fallbackStatements
+  };
+}
+
+/**
+ * Dry run one Cypher result: execute its write statements in a transaction that is rolled back
+ */
+async function dryRunCypherResult(result, { docId, chunkId = null, batchSize }) {
+  const statements = splitCypherStatements(result.generatedCypher);
+  const { schemaStatements, writeStatements } = separateSchemaAndWriteStatements(statements);
+  const report = {
+    resultId: result._id,
+    chunkId,
+    status: result.status,
+    schemaStatements: schemaStatements.length,
+    writeStatements: writeStatements.length,
+    counters: null,
+    merges: null,
+    error: null
+  };
+  if (writeStatements.length === 0) {
+    return report;
+  }
+
+  const params = storedCypherParams(result);
+  const session = getNeo4jSession(neo4j.session.WRITE);
+  const tx = session.beginTransaction();
+  try {
+    report.merges = await checkMergeTargets(tx, writeStatements, params);
+    const { counters } = await executeWriteStatements(tx, writeStatements, {
+      params,
+      tagParams: sourceParams(docId, chunkId),
+      chunkTagged: !!chunkId,
+      batchSize,
+      logContext: { docId, chunkId, dryRun: true }
+    });
+    report.counters = counters;
+  } catch (error) {
+    report.error = error.message;
+  } finally {
+    await rollbackTransaction(tx);
+    await session.close();
+  }
+  return report;
+}
+
+/**
+ * Show what ingesting a document's Cypher would change, without changing anything
+ * Write statements run exactly as in ingestion, in transactions that are always rolled back.
+ * Schema statements (constraints, indexes) cannot be rolled back and are only counted, and
+ * provenance nodes are not written.
+ * @param {string} docId - Document ID
+ * @param {object} options - Ingestion options to simulate
+ * @param {boolean} options.batchIngestion - Write nodes/relationships as UNWIND batches
+ * @param {number} options.ingestBatchSize - Rows per UNWIND query
+ * @returns {Promise<object>} - Per-result counters and MERGE targets, plus totals
+ * @throws {Error} - 404 when the document has no generated Cypher
+ */
+export async function dryRunIngestion(docId, {
+  batchIngestion = BATCH_INGESTION,
+  ingestBatchSize = INGEST_BATCH_SIZE
+} = {}) {
+  // Same selection as ingestAllChunks: the full document result wins over chunk results,
+  // and the mapped table result comes last
+  const fullDocumentResult = await ChunkCypherResult.findOne({ docId, chunkId: null, generationMode: { $ne: 'table' } });
+  const results = fullDocumentResult
+    ? [fullDocumentResult]
+    : await ChunkCypherResult.find({ docId, chunkId: { $ne: null } });
+
+  const chunkIndexes = new Map(
+    (await DocumentChunk.find({ docId }, { chunkIndex: 1 })).map(chunk => [chunk._id.toString(), chunk.chunkIndex])
+  );
+  results.sort((a, b) => (chunkIndexes.get(String(a.chunkId)) ?? 0) - (chunkIndexes.get(String(b.chunkId)) ?? 0));
+  results.push(...await ChunkCypherResult.find({ docId, chunkId: null, generationMode: 'table' }));
+  if (results.length === 0) {
+    throw httpError(`No Cypher results found for document: ${docId}`, 404);
+  }
+
+  const batchSize = batchIngestion ? ingestBatchSize : 0;
+  const reports = [];
+  for (const result of results) {
+    if (result.conformance?.excluded) {
+      reports.push({ resultId: result._id, chunkId: result.chunkId, status: result.status, excluded: true });
+      continue;
+    }
+    reports.push(await dryRunCypherResult(result, { docId, chunkId: result.chunkId, batchSize }));
+  }
+
+  const totals = {
+    counters: emptyCounters(),
+    // MERGE targets by action (match = an existing entity would be reused)
+    merges: {
+      nodes: { match: 0, create: 0 },
+      relationships: { match: 0, create: 0 },
+      unclassifiedStatements: 0
+    },
+    errors: reports.filter(report => report.error).length
+  };
+  for (const report of reports) {
+    addCounters(totals.counters, report.counters || {});
+    for (const kind of ['nodes', 'relationships']) {
+      for (const target of report.merges?.[kind] || []) {
+        totals.merges[kind][target.action]++;
+      }
+    }
+    totals.merges.unclassifiedStatements += report.merges?.unclassifiedStatements || 0;
+  }
+
+  logger.info('Ingestion dry run completed', { docId, results: reports.length, ...totals.counters, errors: totals.errors });
+
+  return {
+    docId,
+    dryRun: true,
+    mode: batchSize > 0 ? 'batched' : 'statements',
+    totals,
+    results: reports
+  };
+}
+
+/**
+ * Remove everything a document contributed to the graph
+ * Relationships and nodes tagged only with this document are deleted; entities that other
+ * documents also reference just lose this document's tags. Nodes that were written only by this
+ * document but are still connected to untagged (pre-provenance) relationships are kept.
+ * @param {string} docId - Document ID
+ * @returns {Promise<object>} - Counts of deleted, untagged and kept entities
+ */
+export async function removeDocumentGraph(docId) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw new Error(`Document not found: ${docId}`);
+  }
+
+  // Chunk IDs from earlier runs may only survive on the Cypher results
+  const chunks = await DocumentChunk.find({ docId }).select('_id');
+  const results = await ChunkCypherResult.find({ docId, chunkId: { $ne: null } }).select('chunkId');
+  const chunkIds = [...new Set([
+    ...chunks.map(c => c._id.toString()),
+    ...results.map(r => r.chunkId.toString())
+  ])];
+
+  const params = { docId: docId.toString(), chunkIds };
+  const untagSet = (entity) => `SET ${entity}.sourceDocIds = [id IN ${entity}.sourceDocIds WHERE id <> $docId],
+        ${entity}.sourceChunkIds = [id IN coalesce(${entity}.sourceChunkIds, []) WHERE NOT id IN $chunkIds]`;
+
+  const session = getNeo4jSession(neo4j.session.WRITE);
+  const tx = session.beginTransaction();
+
+  try {
+    logger.info('Removing document graph', { docId, chunkCount: chunkIds.length });
+
+    const deletedRels = await tx.run(`
+      MATCH ()-[r]->()
+      WHERE $docId IN r.sourceDocIds AND all(id IN r.sourceDocIds WHERE id = $docId)
+      DELETE r
+      RETURN count(r) AS count
+    `, params);
+
+    const untaggedRels = await tx.run(`
+      MATCH ()-[r]->()
+      WHERE $docId IN r.sourceDocIds
+      ${untagSet('r')}
+      RETURN count(r) AS count
+    `, params);
+
+    const deletedNodes = await tx.run(`
+      MATCH (n)
+      WHERE $docId IN n.sourceDocIds AND all(id IN n.sourceDocIds WHERE id = $docId)
+        AND NOT EXISTS { (n)--() }
+      DELETE n
+      RETURN count(n) AS count
+    `, params);
+
+    const untaggedNodes = await tx.run(`
+      MATCH (n)
+      WHERE $docId IN n.sourceDocIds
+      ${untagSet('n')}
+      RETURN count(n) AS count,
+             sum(CASE WHEN size(n.sourceDocIds) = 0 THEN 1 ELSE 0 END) AS kept
+    `, params);
+
+    await tx.commit();
+
+    const toNumber = (value) => (neo4j.isInt(value) ? value.toNumber() : value || 0);
+    const nodesKept = toNumber(untaggedNodes.records[0].get('kept'));
+    const removal = {
+      relationshipsDeleted: toNumber(deletedRels.records[0].get('count')),
+      relationshipsUntagged: toNumber(untaggedRels.records[0].get('count')),
+      nodesDeleted: toNumber(deletedNodes.records[0].get('count')),
+      nodesUntagged: toNumber(untaggedNodes.records[0].get('count')) - nodesKept,
+      nodesKept
+    };
+
+    // The stored Cypher can be ingested again (e.g. via POST /documents/:id/resume)
+    await ChunkCypherResult.updateMany(
+      { docId, status: 'executed' },
+      { status: 'generated', executionTimeMs: null, nodesCreated: 0, relationshipsCreated: 0, quarantinedStatements: 0, ingestionStats: null }
+    );
+    // Quarantined writes belong to the removed ingestion; ingesting again quarantines anew
+    await clearQuarantine({ docId });
+    // POSSIBLY_SAME_AS links were tagged with the document and are written again after ingestion
+    await ResolutionDecision.updateMany({ docId, action: 'link' }, { linkedAt: null });
+    await DocumentChunk.updateMany({ docId, status: 'ingested' }, { status: 'cypher_generated' });
+    await doc.updateOne({
+      $set: {
+        status: 'cypher_generated',
+        processedChunks: 0,
+        'stages.ingestion': { status: 'pending' }
+      }
+    });
+
+    logger.info('Document graph removed', { docId, ...removal });
+
+    return removal;
+  } catch (error) {
+    try {
+      await tx.rollback();
+    } catch (rollbackError) {
+      logger.warn('Failed to rollback graph removal', { docId, error: rollbackError.message });
+    }
+    logger.error('Failed to remove document graph', { docId, error: error.message });
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
 /**
  * Create uniqueness constraints for common node labels
  * Should be run once during setup
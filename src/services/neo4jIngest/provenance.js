@@ -0,0 +1,400 @@
+/**
+ * Ingestion provenance
+ * Tags nodes and relationships written by generated Cypher with the document/chunk they came from
+ *
+ * Every entity bound by a write statement gets `sourceDocIds` (and `sourceChunkIds` in chunked mode).
+ * These lists are what per-document rollback uses to tell a document's contributions apart from
+ * nodes shared with other documents.
+ *
+ * Optionally, (:SourceDocument)/(:SourceChunk) nodes are written as well, with a MENTIONED_IN
+ * relationship from each ingested node to the text it was extracted from (character offsets).
+ */
+
+import neo4j from 'neo4j-driver';
+import { parseCypher, statementNodes, formatName } from '../../utils/cypherParser.js';
+
+// Parameter names used by the tagging clause (structured mode parameters are prefixed n1_/r1_, so they never collide)
+export const SOURCE_DOC_PARAM = 'sourceDocId';
+export const SOURCE_CHUNK_PARAM = 'sourceChunkId';
+
+const CLAUSE_KEYWORDS = new Set([
+  'MATCH', 'OPTIONAL', 'MERGE', 'CREATE', 'SET', 'DELETE', 'DETACH', 'REMOVE', 'WITH',
+  'UNWIND', 'RETURN', 'WHERE', 'ON', 'FOREACH', 'CALL', 'ORDER', 'SKIP', 'LIMIT', 'AS',
+  'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'TRUE', 'FALSE', 'DISTINCT'
+]);
+
+/**
+ * Replace the contents of string literals and comments with spaces
+ * Positions are preserved so matches on the masked text can be applied to the original
+ */
+export function maskLiterals(statement) {
+  let masked = '';
+  let i = 0;
+
+  while (i < statement.length) {
+    const char = statement[i];
+    const next = statement[i + 1];
+
+    if (char === '"' || char === "'") {
+      masked += char;
+      i++;
+      while (i < statement.length && statement[i] !== char) {
+        if (statement[i] === '\\' && i + 1 < statement.length) {
+          masked += '  ';
+          i += 2;
+          continue;
+        }
+        masked += statement[i] === '\n' ? '\n' : ' ';
+        i++;
+      }
+      if (i < statement.length) {
+        masked += char;
+        i++;
+      }
+    } else if (char === '/' && next === '*') {
+      const end = statement.indexOf('*/', i + 2);
+      const stop = end === -1 ? statement.length : end + 2;
+      masked += statement.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (char === '/' && next === '/') {
+      const end = statement.indexOf('\n', i);
+      const stop = end === -1 ? statement.length : end;
+      masked += ' '.repeat(stop - i);
+      i = stop;
+    } else {
+      masked += char;
+      i++;
+    }
+  }
+
+  return masked;
+}
+
+/**
+ * Give anonymous nodes `(:Label ...)` and relationships `-[:TYPE]-` a variable so they can be tagged
+ */
+function nameAnonymousEntities(statement) {
+  const masked = maskLiterals(statement);
+  const insertions = [];
+  let counter = 0;
+
+  for (const match of masked.matchAll(/(?<![\w`])\(\s*:/g)) {
+    insertions.push({ index: match.index + 1, text: `__srcNode${counter++}` });
+  }
+  for (const match of masked.matchAll(/-\s*\[\s*(?=[:\]{*])/g)) {
+    insertions.push({ index: match.index + match[0].length, text: `__srcRel${counter++}` });
+  }
+
+  // Apply from the end so earlier indexes stay valid
+  insertions.sort((a, b) => b.index - a.index);
+  let named = statement;
+  for (const { index, text } of insertions) {
+    named = named.slice(0, index) + text + named.slice(index);
+  }
+  return named;
+}
+
+/**
+ * Collect variables bound in node `(x ...)` and relationship `[x ...]` patterns
+ */
+function collectPatternVariables(masked) {
+  const nodeVars = new Set();
+  const relVars = new Set();
+
+  // Function calls like count(x) are not patterns
+  for (const match of masked.matchAll(/(?<![\w`])\(\s*([A-Za-z_]\w*)\s*(?=[:){])/g)) {
+    nodeVars.add(match[1]);
+  }
+  for (const match of masked.matchAll(/-\s*\[\s*([A-Za-z_]\w*)\s*(?=[:\]{*])/g)) {
+    relVars.add(match[1]);
+  }
+
+  for (const name of [...nodeVars, ...relVars]) {
+    if (CLAUSE_KEYWORDS.has(name.toUpperCase())) {
+      nodeVars.delete(name);
+      relVars.delete(name);
+    }
+  }
+  // A variable used both ways is ambiguous - leave it alone
+  for (const name of relVars) {
+    if (nodeVars.has(name)) {
+      nodeVars.delete(name);
+      relVars.delete(name);
+    }
+  }
+
+  return { nodeVars, relVars };
+}
+
+/**
+ * Variables still in scope after the last WITH clause (null = no WITH, everything is in scope)
+ */
+function variablesInScopeAfterWith(masked) {
+  const withMatches = [...masked.matchAll(/\bWITH\b/gi)];
+  if (withMatches.length === 0) {
+    return null;
+  }
+
+  const last = withMatches[withMatches.length - 1];
+  const rest = masked.slice(last.index + last[0].length);
+  const projectionEnd = rest.search(/\b(MATCH|OPTIONAL|MERGE|CREATE|SET|DELETE|DETACH|REMOVE|UNWIND|RETURN|WHERE|FOREACH|CALL|ORDER|SKIP|LIMIT)\b/i);
+  const projection = projectionEnd === -1 ? rest : rest.slice(0, projectionEnd);
+
+  if (projection.trim().startsWith('*')) {
+    return null;
+  }
+
+  const inScope = new Set();
+  for (const item of projection.replace(/^\s*DISTINCT\b/i, '').split(',')) {
+    const alias = item.match(/\bAS\s+([A-Za-z_]\w*)\s*$/i);
+    const bare = item.match(/^\s*([A-Za-z_]\w*)\s*$/);
+    if (alias) {
+      inScope.add(alias[1]);
+    } else if (bare) {
+      inScope.add(bare[1]);
+    }
+  }
+
+  // Variables introduced after the WITH are in scope as well
+  const after = collectPatternVariables(rest);
+  for (const name of [...after.nodeVars, ...after.relVars]) {
+    inScope.add(name);
+  }
+
+  return inScope;
+}
+
+/**
+ * Build the SET expression that adds a value to a list property without duplicates
+ */
+function appendUnique(entity, property, param) {
+  return `${entity}.${property} = CASE WHEN $${param} IN coalesce(${entity}.${property}, []) ` +
+    `THEN ${entity}.${property} ELSE coalesce(${entity}.${property}, []) + $${param} END`;
+}
+
+/**
+ * SET items that tag one node or relationship with its source
+ * @param {string} entity - Variable of the node/relationship
+ * @param {object} options - Tagging options
+ * @param {boolean} options.chunkTagged - Also tag sourceChunkIds
+ * @returns {string} - Comma-separated SET items using the sourceParams parameters
+ */
+export function sourceTagItems(entity, { chunkTagged = false } = {}) {
+  const sets = [appendUnique(entity, 'sourceDocIds', SOURCE_DOC_PARAM)];
+  if (chunkTagged) {
+    sets.push(appendUnique(entity, 'sourceChunkIds', SOURCE_CHUNK_PARAM));
+  }
+  return sets.join(', ');
+}
+
+function buildTagClause(variables, entity, chunkTagged) {
+  return `FOREACH (${entity} IN [${variables.join(', ')}] | SET ${sourceTagItems(entity, { chunkTagged })})`;
+}
+
+/**
+ * Append a provenance tagging clause to a write statement
+ * @param {string} statement - Single Cypher write statement
+ * @param {object} options - Tagging options
+ * @param {boolean} options.chunkTagged - Also tag sourceChunkIds
+ * @returns {string} - Statement that tags every node/relationship it binds
+ */
+export function tagStatementWithSource(statement, { chunkTagged = false } = {}) {
+  const named = nameAnonymousEntities(statement.trim().replace(/;\s*$/, ''));
+  const masked = maskLiterals(named);
+
+  const { nodeVars, relVars } = collectPatternVariables(masked);
+  const inScope = variablesInScopeAfterWith(masked);
+  const filterScope = (vars) => [...vars].filter(name => !inScope || inScope.has(name));
+
+  const nodes = filterScope(nodeVars);
+  const relationships = filterScope(relVars);
+
+  if (nodes.length === 0 && relationships.length === 0) {
+    return named;
+  }
+
+  const clauses = [];
+  if (nodes.length > 0) {
+    clauses.push(buildTagClause(nodes, '__srcEntity', chunkTagged));
+  }
+  if (relationships.length > 0) {
+    clauses.push(buildTagClause(relationships, '__srcEntity', chunkTagged));
+  }
+  const tagClause = clauses.join('\n');
+
+  // Tagging must run before a trailing RETURN
+  const returnMatches = [...masked.matchAll(/\bRETURN\b/gi)];
+  if (returnMatches.length > 0) {
+    const index = returnMatches[returnMatches.length - 1].index;
+    return `${named.slice(0, index)}${tagClause}\n${named.slice(index)}`;
+  }
+
+  return `${named}\n${tagClause}`;
+}
+
+/**
+ * Query parameters for a tagged statement
+ * @param {string} docId - Source document ID
+ * @param {string|null} chunkId - Source chunk ID (null in full document mode)
+ */
+export function sourceParams(docId, chunkId = null) {
+  const params = { [SOURCE_DOC_PARAM]: docId.toString() };
+  if (chunkId) {
+    params[SOURCE_CHUNK_PARAM] = chunkId.toString();
+  }
+  return params;
+}
+
+// Shorter values (e.g. "id: 1") match almost anywhere and are not useful evidence
+const MIN_MENTION_LENGTH = 3;
+
+/**
+ * Find where a node is mentioned in source text
+ * Tries the node's string/number property values, longest first, case-insensitive
+ * @param {string} text - Source text (chunk or full document)
+ * @param {object} properties - Node properties
+ * @returns {{property: string, text: string, start: number, end: number}|null} - Offsets relative to text
+ */
+export function findMention(text, properties) {
+  if (!text) {
+    return null;
+  }
+
+  const candidates = Object.entries(properties)
+    .filter(([key]) => !key.startsWith('source'))
+    .map(([key, value]) => [key, neo4j.isInt(value) ? value.toString() : value])
+    .filter(([, value]) => (typeof value === 'string' || typeof value === 'number'))
+    .map(([key, value]) => [key, String(value).trim()])
+    .filter(([, value]) => value.length >= MIN_MENTION_LENGTH)
+    .sort((a, b) => b[1].length - a[1].length);
+
+  const haystack = text.toLowerCase();
+  for (const [property, value] of candidates) {
+    const start = haystack.indexOf(value.toLowerCase());
+    if (start !== -1) {
+      return {
+        property,
+        text: text.slice(start, start + value.length),
+        start,
+        end: start + value.length
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Labels of the node patterns in write statements
+ * The first label of each pattern is enough to find the node again by label scan
+ * @param {Array<string>} statements - Write statements
+ * @returns {Array<string>}
+ */
+export function writtenLabels(statements) {
+  const labels = new Set();
+  for (const statement of statements) {
+    for (const parsed of parseCypher(statement).statements) {
+      for (const { node } of statementNodes(parsed)) {
+        if (node.labels.length > 0) {
+          labels.add(node.labels[0]);
+        }
+      }
+    }
+  }
+  return [...labels];
+}
+
+/**
+ * Write SourceDocument/SourceChunk nodes and MENTIONED_IN relationships for ingested entities
+ * Runs inside the ingestion transaction, after the tagged write statements
+ * Offsets are document-level: chunk offsets are shifted by the chunk's startIndex
+ * @param {object} tx - Open Neo4j transaction
+ * @param {object} source - Source of the ingested Cypher
+ * @param {object} source.doc - Document
+ * @param {object} source.chunk - DocumentChunk (null in full document mode)
+ * @param {Array<string>} source.labels - Labels the Cypher wrote (see writtenLabels); only these are searched
+ * @returns {Promise<{mentions: number, located: number}>}
+ */
+export async function writeSourceProvenance(tx, { doc, chunk = null, labels = [] }) {
+  const docId = doc._id.toString();
+  const chunkId = chunk ? chunk._id.toString() : null;
+
+  await tx.run(`
+    MERGE (d:SourceDocument {docId: $docId})
+    SET d.filename = $filename,
+        d.mimetype = $mimetype,
+        d.sourceDocIds = [$docId]
+  `, { docId, filename: doc.filename, mimetype: doc.mimetype || null });
+
+  if (chunk) {
+    await tx.run(`
+      MATCH (d:SourceDocument {docId: $docId})
+      MERGE (c:SourceChunk {chunkId: $chunkId})
+      SET c.docId = $docId,
+          c.chunkIndex = $chunkIndex,
+          c.startOffset = $startOffset,
+          c.endOffset = $endOffset,
+          c.sourceDocIds = [$docId],
+          c.sourceChunkIds = [$chunkId]
+      MERGE (c)-[p:PART_OF]->(d)
+      SET p.sourceDocIds = [$docId]
+    `, {
+      docId,
+      chunkId,
+      chunkIndex: neo4j.int(chunk.chunkIndex),
+      startOffset: neo4j.int(chunk.startIndex || 0),
+      endOffset: neo4j.int(chunk.endIndex || 0)
+    });
+  }
+
+  // Entities this chunk/document just wrote (tagged by tagStatementWithSource), one label scan
+  // per written label; a node carrying several of them is only kept once
+  const tagFilter = chunk ? '$chunkId IN n.sourceChunkIds' : '$docId IN n.sourceDocIds';
+  const entities = new Map();
+  for (const label of labels) {
+    const result = await tx.run(`
+      MATCH (n:${formatName(label)})
+      WHERE ${tagFilter} AND NOT n:SourceDocument AND NOT n:SourceChunk
+      RETURN elementId(n) AS nodeId, properties(n) AS properties
+    `, { docId, chunkId });
+    for (const record of result.records) {
+      entities.set(record.get('nodeId'), record.get('properties'));
+    }
+  }
+
+  const text = chunk ? chunk.rawText : (doc.fullText || '');
+  const baseOffset = chunk ? (chunk.startIndex || 0) : 0;
+
+  const mentions = [...entities].map(([nodeId, properties]) => {
+    const mention = findMention(text, properties);
+    return {
+      nodeId,
+      startOffset: mention ? neo4j.int(baseOffset + mention.start) : null,
+      endOffset: mention ? neo4j.int(baseOffset + mention.end) : null,
+      matchedProperty: mention?.property || null,
+      matchedText: mention?.text || null
+    };
+  });
+
+  if (mentions.length > 0) {
+    const sourceMatch = chunk
+      ? 'MATCH (s:SourceChunk {chunkId: $chunkId})'
+      : 'MATCH (s:SourceDocument {docId: $docId})';
+    await tx.run(`
+      ${sourceMatch}
+      UNWIND $mentions AS m
+      MATCH (n) WHERE elementId(n) = m.nodeId
+      MERGE (n)-[r:MENTIONED_IN]->(s)
+      SET r.startOffset = m.startOffset,
+          r.endOffset = m.endOffset,
+          r.matchedProperty = m.matchedProperty,
+          r.matchedText = m.matchedText,
+          r.sourceDocIds = [$docId]
+    `, { docId, chunkId, mentions });
+  }
+
+  return {
+    mentions: mentions.length,
+    located: mentions.filter(m => m.startOffset !== null).length
+  };
+}
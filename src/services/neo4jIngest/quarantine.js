@@ -0,0 +1,248 @@
+/**
+ * Ingestion quarantine
+ * Stores the writes that failed during ingestion with quarantineFailures, so the rest of a
+ * document can be committed. Quarantined statements can be listed, fixed and replayed.
+ *
+ * A quarantined write is either a generated statement, or a single row of an UNWIND batch
+ * query (see batching.js) with its row as the `rows` parameter. Parameters are stored as
+ * plain JSON; on replay whole numbers are sent to Neo4j as integers again.
+ */
+
+import mongoose from 'mongoose';
+import neo4j from 'neo4j-driver';
+import { getNeo4jSession } from '../../config/database.js';
+import { logger } from '../../utils/logger.js';
+import { tokenizeCypher } from '../../utils/cypherParser.js';
+import QuarantinedStatement from '../../models/QuarantinedStatement.js';
+import ChunkCypherResult from '../../models/ChunkCypherResult.js';
+import { tagStatementWithSource, sourceParams } from './provenance.js';
+import { readCounters, rollbackTransaction, toPlainValue } from './transactions.js';
+import { httpError } from '../../utils/httpError.js';
+
+export const QUARANTINE_STATUSES = ['quarantined', 'fixed', 'replayed'];
+
+/**
+ * Stored parameters as Neo4j values: whole numbers are sent as integers
+ */
+function toNeo4jValue(value) {
+  if (Number.isInteger(value)) {
+    return neo4j.int(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toNeo4jValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toNeo4jValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * Parameters of a result's stored cypherParams that a statement references
+ */
+function referencedParams(statement, cypherParams) {
+  if (!cypherParams) {
+    return null;
+  }
+  const names = new Set(tokenizeCypher(statement).filter(token => token.type === 'parameter').map(token => token.value));
+  const params = Object.fromEntries(Object.entries(cypherParams).filter(([name]) => names.has(name)));
+  return Object.keys(params).length > 0 ? params : null;
+}
+
+/**
+ * Drop quarantined writes, e.g. of a Cypher result before it is ingested again
+ * @param {object} filter - { resultId } or { docId }
+ */
+export async function clearQuarantine(filter) {
+  await QuarantinedStatement.deleteMany(filter);
+}
+
+/**
+ * Store a write that failed during ingestion
+ * @param {object} result - ChunkCypherResult the write came from
+ * @param {object} step - Write step: { statement } or a batch step { query, rows } with a single row
+ * @param {Error} error - Neo4j error
+ * @param {object} options - Quarantine options
+ * @param {Array<string>} options.dependsOn - Quarantined writes to replay first (end nodes of a relationship row)
+ * @returns {Promise<object>} - QuarantinedStatement
+ */
+export async function quarantineWrite(result, step, error, { dependsOn = [] } = {}) {
+  const entry = step.statement
+    ? { kind: 'statement', statement: step.statement, params: referencedParams(step.statement, result.cypherParams) }
+    : { kind: 'batch', statement: step.query, params: { rows: toPlainValue(step.rows) } };
+
+  logger.warn('Quarantined failing write', {
+    docId: result.docId,
+    chunkId: result.chunkId,
+    kind: entry.kind,
+    statement: entry.statement.substring(0, 200),
+    error: error.message
+  });
+
+  return QuarantinedStatement.create({
+    docId: result.docId,
+    resultId: result._id,
+    chunkId: result.chunkId || null,
+    ...entry,
+    dependsOn,
+    error: error.message,
+    errorCode: error.code || null
+  });
+}
+
+/**
+ * List a document's quarantined statements
+ * @param {string} docId - Document ID
+ * @param {object} options - Filters
+ * @param {string} options.status - Only entries with this status
+ * @returns {Promise<{docId: string, counts: object, statements: Array<object>}>}
+ */
+export async function listQuarantinedStatements(docId, { status } = {}) {
+  if (status !== undefined && !QUARANTINE_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${QUARANTINE_STATUSES.join(', ')}`, 400);
+  }
+
+  const statements = await QuarantinedStatement.find({ docId, ...(status ? { status } : {}) })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const counts = Object.fromEntries(QUARANTINE_STATUSES.map(name => [name, 0]));
+  const grouped = await QuarantinedStatement.aggregate([
+    { $match: { docId: new mongoose.Types.ObjectId(docId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  for (const { _id, count } of grouped) {
+    counts[_id] = count;
+  }
+
+  return { docId, counts, statements };
+}
+
+/**
+ * Replace the statement and/or parameters of a quarantined write
+ * The first fix keeps the quarantined version in originalStatement/originalParams.
+ * @param {string} docId - Document ID
+ * @param {string} entryId - QuarantinedStatement ID
+ * @param {object} fix - Replacement
+ * @param {string} fix.statement - Cypher statement
+ * @param {object} fix.params - Query parameters (plain JSON)
+ * @returns {Promise<object>} - Updated QuarantinedStatement
+ */
+export async function fixQuarantinedStatement(docId, entryId, { statement, params } = {}) {
+  if (statement === undefined && params === undefined) {
+    throw httpError('Provide a statement and/or params', 400);
+  }
+  if (statement !== undefined && (typeof statement !== 'string' || !statement.trim())) {
+    throw httpError('statement must be a non-empty string', 400);
+  }
+  if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+    throw httpError('params must be an object', 400);
+  }
+
+  const entry = mongoose.Types.ObjectId.isValid(entryId)
+    ? await QuarantinedStatement.findOne({ _id: entryId, docId })
+    : null;
+  if (!entry) {
+    throw httpError('Quarantined statement not found', 404);
+  }
+  if (entry.status === 'replayed') {
+    throw httpError('Statement was already replayed', 409);
+  }
+
+  const update = { status: 'fixed', fixedAt: new Date() };
+  if (entry.originalStatement === null) {
+    update.originalStatement = entry.statement;
+    update.originalParams = entry.params;
+  }
+  if (statement !== undefined) {
+    update.statement = statement.trim().replace(/;\s*$/, '');
+  }
+  if (params !== undefined) {
+    update.params = params;
+  }
+
+  return QuarantinedStatement.findByIdAndUpdate(entry._id, update, { new: true }).lean();
+}
+
+/**
+ * Run quarantined writes again, each in its own transaction
+ * Replayed writes are tagged with their source like during ingestion, and their counters are
+ * added to the Cypher result. Writes that fail again stay quarantined with the new error.
+ * Relationship rows waiting for quarantined end nodes are left until those nodes are replayed.
+ * @param {string} docId - Document ID
+ * @param {object} options - Replay options
+ * @param {Array<string>} options.ids - Only these entries (default: every quarantined or fixed entry)
+ * @returns {Promise<{docId: string, replayed: number, failed: number, results: Array<object>}>}
+ */
+export async function replayQuarantinedStatements(docId, { ids = null } = {}) {
+  if (ids !== null && (!Array.isArray(ids) || !ids.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+    throw httpError('ids must be an array of quarantined statement IDs', 400);
+  }
+
+  const entries = await QuarantinedStatement.find({
+    docId,
+    status: { $in: ['quarantined', 'fixed'] },
+    ...(ids ? { _id: { $in: ids } } : {})
+  }).sort({ createdAt: 1 });
+
+  const results = [];
+  const session = getNeo4jSession(neo4j.session.WRITE);
+  try {
+    for (const entry of entries) {
+      // Its MATCH would find no end node and write nothing
+      if (entry.dependsOn.length > 0 &&
+        await QuarantinedStatement.exists({ _id: { $in: entry.dependsOn }, status: { $ne: 'replayed' } })) {
+        results.push({ id: entry._id, status: entry.status, error: 'End node writes have not been replayed yet' });
+        continue;
+      }
+      const query = entry.kind === 'statement'
+        ? tagStatementWithSource(entry.statement, { chunkTagged: !!entry.chunkId })
+        : entry.statement;
+      const tx = session.beginTransaction();
+      try {
+        const { summary } = await tx.run(query, {
+          ...toNeo4jValue(entry.params || {}),
+          ...sourceParams(docId, entry.chunkId)
+        });
+        await tx.commit();
+
+        const counters = readCounters(summary, { docId, quarantineId: entry._id });
+        await entry.updateOne({
+          status: 'replayed',
+          replayedAt: new Date(),
+          replayCounters: counters,
+          error: null,
+          errorCode: null,
+          $inc: { replayAttempts: 1 }
+        });
+        await ChunkCypherResult.updateOne({ _id: entry.resultId }, {
+          $inc: {
+            nodesCreated: counters.nodesCreated,
+            relationshipsCreated: counters.relationshipsCreated,
+            quarantinedStatements: -1
+          }
+        });
+        results.push({ id: entry._id, status: 'replayed', counters });
+      } catch (error) {
+        await rollbackTransaction(tx);
+        // Connection problems are not the statement's fault - stop and let the caller retry
+        if (neo4j.isRetriableError(error)) {
+          throw error;
+        }
+        await entry.updateOne({
+          error: error.message,
+          errorCode: error.code || null,
+          $inc: { replayAttempts: 1 }
+        });
+        results.push({ id: entry._id, status: entry.status, error: error.message });
+      }
+    }
+  } finally {
+    await session.close();
+  }
+
+  const replayed = results.filter(result => result.status === 'replayed').length;
+  logger.info('Quarantined statements replayed', { docId, replayed, failed: results.length - replayed });
+
+  return { docId, replayed, failed: results.length - replayed, results };
+}
@@ -0,0 +1,108 @@
+/**
+ * Transaction helpers shared by ingestion, dry runs and quarantine replay
+ */
+
+import neo4j from 'neo4j-driver';
+import { logger } from '../../utils/logger.js';
+
+// Update counters reported by dry runs and summed over the queries of an ingestion
+export const COUNTER_NAMES = [
+  'nodesCreated', 'nodesDeleted', 'relationshipsCreated', 'relationshipsDeleted',
+  'propertiesSet', 'labelsAdded', 'labelsRemoved'
+];
+
+/**
+ * Counters with every update at 0
+ */
+export function emptyCounters() {
+  return Object.fromEntries(COUNTER_NAMES.map(name => [name, 0]));
+}
+
+/**
+ * Add counters into a running total
+ * @param {object} total - Counters to add to (modified)
+ * @param {object} counters - Counters of one query
+ */
+export function addCounters(total, counters) {
+  for (const name of COUNTER_NAMES) {
+    total[name] += counters[name] || 0;
+  }
+  return total;
+}
+
+/**
+ * Update counters of a query, from its summary
+ * @param {object} summary - Result summary
+ * @param {object} logContext - Fields added to log entries
+ * @returns {object} - Counters by name
+ */
+export function readCounters(summary, logContext = {}) {
+  const counters = emptyCounters();
+  const stats = summary?.counters;
+  if (!stats) {
+    return counters;
+  }
+  try {
+    // Handle driver version differences: updates() map (driver 5), methods or properties (older drivers)
+    const updates = typeof stats.updates === 'function' ? stats.updates() : stats;
+    for (const name of COUNTER_NAMES) {
+      const value = typeof updates[name] === 'function' ? updates[name]() : updates[name];
+      counters[name] = Number(value) || 0;
+    }
+  } catch (statsError) {
+    // If stats access fails, log but don't fail the transaction
+    logger.warn('Could not read stats from summary', {
+      ...logContext,
+      error: statsError.message,
+      statsKeys: Object.keys(stats || {})
+    });
+  }
+  return counters;
+}
+
+const TEMPORAL_CHECKS = [
+  neo4j.isDate, neo4j.isDateTime, neo4j.isLocalDateTime, neo4j.isTime, neo4j.isLocalTime,
+  neo4j.isDuration, neo4j.isPoint
+];
+
+/**
+ * Convert Neo4j values to JSON-serializable values
+ * Integers become numbers, temporal values and points their string form; lists and maps are converted deeply
+ * @param {*} value - Value read from a record (or parameters holding Neo4j integers)
+ * @returns {*}
+ */
+export function toPlainValue(value) {
+  if (neo4j.isInt(value)) {
+    return value.toNumber();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (value && typeof value === 'object') {
+    if (TEMPORAL_CHECKS.some(check => check(value))) {
+      return value.toString();
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlainValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * Roll back a transaction that may already have been rolled back by a failed statement
+ * @param {object} tx - Neo4j transaction
+ */
+export async function rollbackTransaction(tx) {
+  try {
+    // Try to rollback - safe even if already rolled back
+    await tx.rollback();
+  } catch (rollbackError) {
+    // If rollback fails because transaction was already rolled back, that's expected
+    // Only log unexpected errors
+    const errorMsg = rollbackError.message?.toLowerCase() || '';
+    if (!errorMsg.includes('rolled back') &&
+        !errorMsg.includes('terminated') &&
+        !errorMsg.includes('already')) {
+      logger.error('Failed to rollback transaction', { error: rollbackError.message });
+    }
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Cypher validation before ingestion, with LLM self-repair
+ * Each statement is checked with EXPLAIN. When one fails, the statement, the Neo4j error and
+ * the document schema go back to the model for a corrected statement, which replaces it in
+ * the result's Cypher. This repeats until the Cypher validates or the attempts run out; every
+ * attempt is recorded in the result's `repair`.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { splitCypherStatements } from '../../utils/cypherParser.js';
+import { repairCypherStatement } from '../cypherGeneration/index.js';
+import { httpError } from '../../utils/httpError.js';
+
+export const MAX_REPAIR_ATTEMPTS = 10;
+
+/**
+ * Check a requested number of repair attempts
+ * @param {*} attempts - Repair attempts per result
+ * @throws {Error} - 400 unless an integer from 0 to MAX_REPAIR_ATTEMPTS
+ */
+export function assertRepairAttempts(attempts) {
+  if (!Number.isInteger(attempts) || attempts < 0 || attempts > MAX_REPAIR_ATTEMPTS) {
+    throw httpError(`repairAttempts must be an integer from 0 to ${MAX_REPAIR_ATTEMPTS}`);
+  }
+}
+
+/**
+ * Validate Cypher syntax using EXPLAIN
+ * @param {string} cypher - Cypher query to validate
+ * @param {object} session - Neo4j session
+ * @param {object} params - Query parameters the statements use
+ * @returns {Promise<{valid: boolean, error?: string, statement?: string, statementIndex?: number}>}
+ *   The first failing statement and its position when invalid
+ */
+export async function validateCypher(cypher, session, params = {}) {
+  if (!cypher || cypher.trim().length === 0) {
+    return { valid: false, error: 'Empty Cypher' };
+  }
+
+  // Split into statements and validate each
+  const statements = splitCypherStatements(cypher);
+  for (let index = 0; index < statements.length; index++) {
+    try {
+      // Use EXPLAIN to check syntax without executing
+      await session.run(`EXPLAIN ${statements[index]}`, params);
+    } catch (error) {
+      return { valid: false, error: error.message, statement: statements[index], statementIndex: index };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Replace one statement of a Cypher script, keeping everything around it (comments, layout)
+ */
+function replaceStatement(cypher, statementIndex, replacement) {
+  const statements = splitCypherStatements(cypher);
+  let offset = 0;
+  for (let index = 0; index < statementIndex; index++) {
+    offset = cypher.indexOf(statements[index], offset) + statements[index].length;
+  }
+  const start = cypher.indexOf(statements[statementIndex], offset);
+  return cypher.slice(0, start) + replacement + cypher.slice(start + statements[statementIndex].length);
+}
+
+/**
+ * Validate a result's Cypher, repairing failing statements with the LLM
+ * A repaired Cypher is saved on the result (and set on the passed document).
+ * @param {object} result - ChunkCypherResult
+ * @param {object} session - Neo4j session
+ * @param {object} options - Validation options
+ * @param {object} options.params - Query parameters the statements use
+ * @param {number} options.repairAttempts - LLM repairs to try (0 = validate only)
+ * @param {object} options.logContext - Fields added to log entries
+ * @returns {Promise<{valid: boolean, error?: string, repairs: number}>}
+ */
+export async function validateCypherWithRepair(result, session, { params = {}, repairAttempts = 0, logContext = {} } = {}) {
+  const originalCypher = result.generatedCypher;
+  let cypher = originalCypher;
+  let validation = await validateCypher(cypher, session, params);
+  const attempts = [];
+
+  while (!validation.valid && validation.statement && attempts.length < repairAttempts) {
+    const attempt = {
+      attempt: attempts.length + 1,
+      statementIndex: validation.statementIndex,
+      statement: validation.statement,
+      error: validation.error,
+      attemptedAt: new Date()
+    };
+    attempts.push(attempt);
+
+    const startTime = Date.now();
+    let repaired;
+    try {
+      repaired = await repairCypherStatement(result.docId, {
+        statement: validation.statement,
+        error: validation.error,
+        paramNames: Object.keys(params)
+      });
+    } catch (llmError) {
+      attempt.validationError = `Repair failed: ${llmError.message}`;
+      attempt.durationMs = Date.now() - startTime;
+      logger.warn('Cypher repair call failed', { ...logContext, attempt: attempt.attempt, error: llmError.message });
+      break;
+    }
+    attempt.model = repaired.model;
+    attempt.repairedStatement = repaired.statement || null;
+
+    if (!repaired.statement) {
+      attempt.validationError = 'Model returned no Cypher';
+      attempt.durationMs = Date.now() - startTime;
+      continue;
+    }
+
+    const check = await validateCypher(repaired.statement, session, params);
+    attempt.valid = check.valid;
+    attempt.validationError = check.valid ? null : check.error;
+    attempt.durationMs = Date.now() - startTime;
+
+    logger.info('Cypher repair attempt', {
+      ...logContext,
+      attempt: attempt.attempt,
+      statementIndex: attempt.statementIndex,
+      valid: check.valid,
+      error: attempt.validationError
+    });
+
+    // A repair that still fails is kept: the next attempt starts from it and its error
+    cypher = replaceStatement(cypher, validation.statementIndex, repaired.statement);
+    validation = await validateCypher(cypher, session, params);
+  }
+
+  if (attempts.length === 0) {
+    return { ...validation, repairs: 0 };
+  }
+
+  const repair = {
+    status: validation.valid ? 'repaired' : 'failed',
+    attempts,
+    originalCypher
+  };
+  const update = { repair };
+  if (validation.valid) {
+    update.generatedCypher = cypher;
+    result.generatedCypher = cypher;
+  }
+  await result.updateOne(update);
+
+  logger[validation.valid ? 'info' : 'warn']('Cypher repair finished', {
+    ...logContext,
+    status: repair.status,
+    attempts: attempts.length
+  });
+
+  return {
+    ...validation,
+    error: validation.valid ? undefined : `${validation.error} (after ${attempts.length} repair attempt(s))`,
+    repairs: attempts.length
+  };
+}
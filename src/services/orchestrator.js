@@ -5,9 +5,9 @@
 
 import { parseDocument } from './parsing/index.js';
 import { extractSchema } from './schemaExtraction/index.js';
-import { generateCypherForAllChunks, generateCypherForFullDocument } from './cypherGeneration/index.js';
+import { generateCypherForAllChunks, generateCypherForFullDocument, generateStructuredCypherForFullDocument, generateCypherForTables } from './cypherGeneration/index.js';
 import { ingestAllChunks, createConstraints } from './neo4jIngest/index.js';
-import { chunkText } from '../utils/chunking.js';
+import { chunkDocument } from '../utils/chunking.js';
 import { logger } from '../utils/logger.js';
 import Document from '../models/Document.js';
 import DocumentChunk from '../models/DocumentChunk.js';
@@ -16,208 +16,551 @@ import ChunkCypherResult from '../models/ChunkCypherResult.js';
 import { recordMetrics, recordDocumentCompletion } from './metrics.js';
 import { askYesNo } from '../utils/prompt.js';
 import { saveCypherToFile } from '../utils/saveCypher.js';
-import { formatStructuredCypher } from '../utils/formatCypher.js';
+import { formatStructuredCypher, formatStructuredCypherWithReport } from '../utils/formatCypher.js';
+import { emitPipelineEvent } from './pipelineEvents.js';
+import { resolveSchemaPack } from './schemaPacks.js';
+import { checkDocumentConformance } from './cypherConformance.js';
+import { resolveDocumentEntities, clearEntityResolution } from './entityResolution/index.js';
+import { resolveGraphEntities, writeResolutionLinks, clearResolutionDecisions } from './entityResolution/graph.js';
 
 const CYPHER_MODEL_PROVIDER = process.env.CYPHER_MODEL_PROVIDER || 'ollama';
 const TEXT2CYPHER_MODEL_HF = process.env.TEXT2CYPHER_MODEL_HF || 'tomasonjo/text2cypher-demo-16bit';
 const TEXT2CYPHER_MODEL_OLLAMA = process.env.TEXT2CYPHER_MODEL_OLLAMA || 'deepseek-r1:7b';
 
+// Pipeline stages in execution order (checkpointed on Document.stages)
+export const PIPELINE_STAGES = ['parsing', 'chunking', 'schemaExtraction', 'constraints', 'cypherGeneration', 'entityResolution', 'ingestion'];
+
+// Document status shown while a stage is running
+const STAGE_DOCUMENT_STATUS = {
+  parsing: 'parsing',
+  chunking: 'parsed',
+  schemaExtraction: 'schema_extracting',
+  constraints: 'schema_extracted',
+  cypherGeneration: 'cypher_generating',
+  entityResolution: 'resolving_entities',
+  ingestion: 'ingesting'
+};
+
+/**
+ * Update a stage checkpoint on the document
+ * @param {string} docId - Document ID
+ * @param {string} stage - Stage name (one of PIPELINE_STAGES)
+ * @param {object} fields - Checkpoint fields to set
+ * @param {object} extra - Additional top-level document fields to set
+ */
+async function updateStageCheckpoint(docId, stage, fields, extra = {}) {
+  const update = { ...extra };
+  for (const [key, value] of Object.entries(fields)) {
+    update[`stages.${stage}.${key}`] = value;
+  }
+  await Document.updateOne({ _id: docId }, { $set: update });
+}
+
+async function startStage(docId, stage) {
+  await updateStageCheckpoint(docId, stage, {
+    status: 'running',
+    startedAt: new Date(),
+    completedAt: null,
+    durationMs: null,
+    error: null
+  }, { status: STAGE_DOCUMENT_STATUS[stage] });
+  emitPipelineEvent(docId, 'stage', { stage, status: 'started' });
+  return Date.now();
+}
+
+async function completeStage(docId, stage, startTime, status = 'completed') {
+  const durationMs = Date.now() - startTime;
+  await updateStageCheckpoint(docId, stage, {
+    status,
+    completedAt: new Date(),
+    durationMs
+  });
+  emitPipelineEvent(docId, 'stage', { stage, status, durationMs });
+}
+
+async function skipStage(docId, stage) {
+  await updateStageCheckpoint(docId, stage, {
+    status: 'skipped',
+    startedAt: null,
+    completedAt: new Date(),
+    durationMs: 0,
+    error: null
+  });
+  emitPipelineEvent(docId, 'stage', { stage, status: 'skipped', durationMs: 0 });
+}
+
+async function failStage(docId, stage, startTime, errorMessage) {
+  const durationMs = startTime ? Date.now() - startTime : null;
+  await updateStageCheckpoint(docId, stage, {
+    status: 'failed',
+    completedAt: new Date(),
+    durationMs,
+    error: errorMessage
+  });
+  emitPipelineEvent(docId, 'stage', { stage, status: 'failed', durationMs, error: errorMessage });
+}
+
+/**
+ * Report a stage satisfied by a checkpoint from a previous run
+ */
+function reuseStage(docId, stage) {
+  emitPipelineEvent(docId, 'stage', { stage, status: 'reused', durationMs: 0 });
+}
+
+/**
+ * Get the first stage that has not completed (or been skipped) yet
+ * @param {object} doc - Document
+ * @returns {string|null} - Stage name, or null if every stage is done
+ */
+export function getResumeStage(doc) {
+  return PIPELINE_STAGES.find(stage => {
+    const status = doc.stages?.[stage]?.status;
+    return status !== 'completed' && status !== 'skipped';
+  }) || null;
+}
+
+/**
+ * Mark a stage and every later stage as pending so the next resume runs them again
+ * Resetting Cypher generation (or an earlier stage) discards the generated Cypher and its review
+ * @param {string} docId - Document ID
+ * @param {string} fromStage - First stage to run again (one of PIPELINE_STAGES)
+ */
+export async function resetStagesFrom(docId, fromStage) {
+  const fromIndex = PIPELINE_STAGES.indexOf(fromStage);
+  if (fromIndex === -1) {
+    throw new Error(`Unknown pipeline stage: ${fromStage}`);
+  }
+
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw new Error(`Document not found: ${docId}`);
+  }
+
+  const update = {};
+  for (const stage of PIPELINE_STAGES.slice(fromIndex)) {
+    update[`stages.${stage}`] = { status: 'pending' };
+  }
+
+  if (fromIndex <= PIPELINE_STAGES.indexOf('cypherGeneration')) {
+    await ChunkCypherResult.deleteMany({ docId });
+    await DocumentChunk.updateMany({ docId }, { status: 'pending', error: null });
+    await clearEntityResolution(docId);
+    await clearResolutionDecisions(docId);
+    update.review = { status: doc.pipelineOptions?.requireReview ? 'pending' : 'not_required' };
+  }
+
+  await doc.updateOne({ $set: update });
+  logger.info('Pipeline stages reset', { docId, fromStage });
+}
+
 /**
  * Run the complete pipeline for a document
  * @param {string} docId - MongoDB document ID
  * @param {object} options - Pipeline options
+ * @param {boolean} options.resume - Skip stages checkpointed as completed by a previous run
  * @returns {Promise<object>} - Pipeline results
  */
 export async function runPipeline(docId, options = {}) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw new Error(`Document not found: ${docId}`);
+  }
+
+  const resume = !!options.resume;
+
+  // When resuming, reuse the previous run's options (e.g. chunked vs. full document mode)
+  const runOptions = resume ? { ...(doc.pipelineOptions || {}), ...options } : { ...options };
+  delete runOptions.resume;
+
   const {
     useLlamaParse = !!process.env.LLAMAPARSE_API_KEY,
     createNeo4jConstraints = true,
-    useFullDocument = true // Default to full document mode (no chunking)
-  } = options;
+    useFullDocument = true, // Default to full document mode (no chunking)
+    chunkingStrategy = process.env.CHUNKING_STRATEGY || 'words', // words, paragraph, heading or sentence
+    chunkMaxTokens = parseInt(process.env.CHUNK_MAX_TOKENS || '1000'), // Token budget of the paragraph, heading and sentence strategies
+    requireReview = process.env.REQUIRE_CYPHER_REVIEW === 'true', // Wait for HTTP approval before ingestion
+    createProvenance = process.env.CREATE_PROVENANCE_GRAPH === 'true', // Link ingested nodes to source text
+    reextractSchema = false, // Store a new schema version instead of reusing the latest one
+    schemaExtractionMode = process.env.SCHEMA_EXTRACTION_MODE || 'single', // single or multi_pass (a partial schema per chunk)
+    consolidateSchema = process.env.SCHEMA_LLM_CONSOLIDATION === 'true', // LLM pass merging synonyms across partial schemas
+    schemaPack = doc.schemaPack || null, // Domain schema pack (null = select by document type)
+    conformancePolicy = process.env.CYPHER_CONFORMANCE_POLICY || 'warn', // warn, strip or fail on schema violations
+    generationMode = process.env.CYPHER_GENERATION_MODE || 'cypher', // cypher (model writes Cypher) or structured (model extracts JSON)
+    mapTables = process.env.TABLE_GRAPH_MAPPING !== 'false', // Turn mapped table rows into graph data without the LLM
+    batchIngestion = process.env.NEO4J_BATCH_INGESTION === 'true', // Write nodes/relationships as UNWIND batches
+    ingestBatchSize = parseInt(process.env.NEO4J_INGEST_BATCH_SIZE || '500'), // Rows per UNWIND query
+    quarantineFailures = process.env.QUARANTINE_FAILED_STATEMENTS === 'true', // Commit good writes, quarantine failing ones
+    repairAttempts = parseInt(process.env.CYPHER_REPAIR_ATTEMPTS || '2'), // LLM repairs of statements failing EXPLAIN
+    resolveEntities = process.env.ENTITY_RESOLUTION === 'true', // Merge entities duplicated across chunks (chunked mode)
+    resolveAgainstGraph = process.env.GRAPH_ENTITY_RESOLUTION === 'true' // Match entities to nodes of earlier documents before ingestion
+  } = runOptions;
 
-  const doc = await Document.findById(docId);
-  if (!doc) {
-    throw new Error(`Document not found: ${docId}`);
+  // Structured extraction always works on the full document text
+  const fullDocumentGeneration = useFullDocument || generationMode === 'structured';
+
+  // A stage can be skipped only when resuming and its checkpoint says it finished
+  const isStageDone = (stage) => {
+    const status = doc.stages?.[stage]?.status;
+    return resume && (status === 'completed' || status === 'skipped');
+  };
+
+  const resetStages = {};
+  if (!resume) {
+    for (const stage of PIPELINE_STAGES) {
+      resetStages[`stages.${stage}`] = { status: 'pending' };
+    }
+    resetStages.review = { status: requireReview ? 'pending' : 'not_required' };
   }
 
-  await doc.updateOne({ 
-    processingStartedAt: new Date(),
-    status: 'parsing'
+  await doc.updateOne({
+    $set: {
+      processingStartedAt: new Date(),
+      processingCompletedAt: null,
+      error: null,
+      pipelineOptions: {
+        useLlamaParse,
+        createNeo4jConstraints,
+        useFullDocument,
+        chunkingStrategy,
+        chunkMaxTokens,
+        requireReview,
+        createProvenance,
+        reextractSchema,
+        schemaExtractionMode,
+        consolidateSchema,
+        schemaPack,
+        conformancePolicy,
+        generationMode,
+        mapTables,
+        batchIngestion,
+        ingestBatchSize,
+        quarantineFailures,
+        repairAttempts,
+        resolveEntities,
+        resolveAgainstGraph
+      },
+      ...resetStages
+    }
   });
 
-  logger.info('Starting pipeline', { docId, filename: doc.filename });
+  logger.info(resume ? 'Resuming pipeline' : 'Starting pipeline', {
+    docId,
+    filename: doc.filename,
+    resumeFrom: resume ? getResumeStage(doc) : null
+  });
 
   const pipelineStartTime = Date.now();
+  emitPipelineEvent(docId, 'pipeline', { status: 'started', resume, resumeFrom: resume ? getResumeStage(doc) : null });
+  let currentStage = null;
+  let stageStartTime = null;
 
   try {
     // Step 1: Parse document
-    logger.info('Step 1: Parsing document', { docId });
-    const parseStartTime = Date.now();
-    const fullText = await parseDocument(docId, useLlamaParse);
-    const parseTime = Date.now() - parseStartTime;
-    await recordMetrics({ stage: 'parsing', success: true, processingTime: parseTime, docId });
+    let fullText;
+    if (isStageDone('parsing') && doc.fullText) {
+      logger.info('Step 1: Reusing parsed text from previous run', { docId });
+      reuseStage(docId, 'parsing');
+      fullText = doc.fullText;
+    } else {
+      logger.info('Step 1: Parsing document', { docId });
+      currentStage = 'parsing';
+      stageStartTime = await startStage(docId, currentStage);
+      fullText = await parseDocument(docId, useLlamaParse);
+      await completeStage(docId, currentStage, stageStartTime);
+      currentStage = null;
+      await recordMetrics({ stage: 'parsing', success: true, processingTime: Date.now() - stageStartTime, docId });
+    }
 
     // Step 2: Chunk document (only if not using full document mode)
-    if (!useFullDocument) {
-    logger.info('Step 2: Chunking document', { docId });
-    const chunks = chunkText(fullText);
+    const existingChunkCount = isStageDone('chunking') && !useFullDocument
+      ? await DocumentChunk.countDocuments({ docId })
+      : 0;
+
+    if (existingChunkCount > 0) {
+      logger.info('Step 2: Reusing chunks from previous run', { docId, chunkCount: existingChunkCount });
+      reuseStage(docId, 'chunking');
+    } else if (!useFullDocument) {
+      currentStage = 'chunking';
+      stageStartTime = await startStage(docId, currentStage);
+      logger.info('Step 2: Chunking document', { docId, strategy: chunkingStrategy });
+      const chunks = chunkDocument(fullText, { strategy: chunkingStrategy, maxTokens: chunkMaxTokens });
     
-    // Store chunks in MongoDB
-    await DocumentChunk.deleteMany({ docId }); // Clear old chunks if re-running
+      // Store chunks in MongoDB
+      await DocumentChunk.deleteMany({ docId }); // Clear old chunks if re-running
     
-    const chunkDocs = [];
-    for (const chunk of chunks) {
-      const chunkDoc = new DocumentChunk({
-        docId,
-        chunkIndex: chunk.chunkIndex,
-        rawText: chunk.text,
-        wordCount: chunk.wordCount,
-        startIndex: chunk.startIndex,
-        endIndex: chunk.endIndex,
-        status: 'pending'
-      });
-      await chunkDoc.save();
-      chunkDocs.push(chunkDoc);
-    }
+      const chunkDocs = [];
+      for (const chunk of chunks) {
+        const chunkDoc = new DocumentChunk({
+          docId,
+          chunkIndex: chunk.chunkIndex,
+          rawText: chunk.text,
+          wordCount: chunk.wordCount,
+          tokenCount: chunk.tokenCount,
+          startIndex: chunk.startIndex,
+          endIndex: chunk.endIndex,
+          strategy: chunk.strategy,
+          heading: chunk.heading,
+          sectionPath: chunk.sectionPath,
+          status: 'pending'
+        });
+        await chunkDoc.save();
+        chunkDocs.push(chunkDoc);
+      }
 
-    await doc.updateOne({
-      totalChunks: chunks.length,
-      processedChunks: 0
-    });
+      await doc.updateOne({
+        totalChunks: chunks.length,
+        processedChunks: 0
+      });
 
-    logger.info('Document chunked', { docId, chunkCount: chunks.length });
+      logger.info('Document chunked', { docId, strategy: chunkingStrategy, chunkCount: chunks.length });
+      await completeStage(docId, currentStage, stageStartTime);
+      currentStage = null;
     } else {
       logger.info('Step 2: Using full document mode (no chunking)', { docId });
       await doc.updateOne({
         totalChunks: 1,
         processedChunks: 0
       });
+      await skipStage(docId, 'chunking');
     }
 
     // Step 3: Extract schema
-    logger.info('Step 3: Extracting schema', { docId });
-    const schemaStartTime = Date.now();
-    const schema = await extractSchema(docId);
-    const schemaTime = Date.now() - schemaStartTime;
-    await recordMetrics({ stage: 'schemaExtraction', success: true, processingTime: schemaTime, docId });
+    let schema;
+    const storedSchema = isStageDone('schemaExtraction') ? await Schema.findLatest(docId) : null;
+    if (storedSchema) {
+      logger.info('Step 3: Reusing schema from previous run', { docId });
+      reuseStage(docId, 'schemaExtraction');
+      schema = {
+        nodes: storedSchema.nodes,
+        relationships: storedSchema.relationships
+      };
+    } else {
+      logger.info('Step 3: Extracting schema', { docId });
+      currentStage = 'schemaExtraction';
+      stageStartTime = await startStage(docId, currentStage);
+      schema = await extractSchema(docId, {
+        reextract: reextractSchema,
+        mode: schemaExtractionMode,
+        consolidate: consolidateSchema
+      });
+      await completeStage(docId, currentStage, stageStartTime);
+      currentStage = null;
+      await recordMetrics({ stage: 'schemaExtraction', success: true, processingTime: Date.now() - stageStartTime, docId });
+    }
     
     // Get full schema object for formatting
-    const schemaDoc = await Schema.findOne({ docId });
+    const schemaDoc = storedSchema || await Schema.findLatest(docId);
     const fullSchema = schemaDoc ? {
       nodes: schemaDoc.nodes,
       relationships: schemaDoc.relationships
     } : schema;
 
     // Step 4: Create Neo4j constraints (optional)
-    if (createNeo4jConstraints) {
+    if (isStageDone('constraints') && createNeo4jConstraints) {
+      logger.info('Step 4: Constraints already created in previous run', { docId });
+      reuseStage(docId, 'constraints');
+    } else if (createNeo4jConstraints) {
       logger.info('Step 4: Creating Neo4j constraints', { docId });
+      currentStage = 'constraints';
+      stageStartTime = await startStage(docId, currentStage);
       try {
         await createConstraints(schema);
       } catch (error) {
         logger.warn('Failed to create constraints', { docId, error: error.message });
         // Don't fail the pipeline if constraints fail
       }
+      await completeStage(docId, currentStage, stageStartTime);
+      currentStage = null;
+    } else {
+      await skipStage(docId, 'constraints');
     }
 
     // Step 5: Generate Cypher (full document or chunks)
-    await doc.updateOne({ status: 'cypher_generating' });
-    const cypherStartTime = Date.now();
-    
     let fullCypher = '';
     let cypherResultsDocs = [];
     let chunkCount = 0;
     let successfulCypher = 0;
     let failedCypher = 0;
     
-    if (useFullDocument) {
-      // Generate Cypher for full document
-      logger.info('Step 5: Generating Cypher for full document', { docId });
-      fullCypher = await generateCypherForFullDocument(docId);
-      
-      // Save as a single ChunkCypherResult for consistency
-      // For full document mode, chunkId is optional (null)
-      const cypherResultData = {
-        docId,
-        chunkId: null, // Explicitly set to null for full document
-        generatedCypher: fullCypher,
-        status: 'generated',
-        generationModel: CYPHER_MODEL_PROVIDER === 'ollama' ? TEXT2CYPHER_MODEL_OLLAMA : TEXT2CYPHER_MODEL_HF,
-        generationProvider: CYPHER_MODEL_PROVIDER
-      };
-      
-      logger.debug('Creating ChunkCypherResult for full document', { 
-        docId, 
-        chunkId: cypherResultData.chunkId,
-        hasCypher: !!cypherResultData.generatedCypher 
-      });
+    const storedCypherResults = isStageDone('cypherGeneration')
+      ? await ChunkCypherResult.find({ docId }).sort({ createdAt: 1 })
+      : [];
+
+    if (storedCypherResults.length > 0) {
+      // Reuse Cypher from the previous run - ingestion skips results already executed
+      logger.info('Step 5: Reusing generated Cypher from previous run', { docId, resultCount: storedCypherResults.length });
+      reuseStage(docId, 'cypherGeneration');
+      cypherResultsDocs = storedCypherResults;
+      fullCypher = cypherResultsDocs.map(r => r.generatedCypher).join('\n\n');
+      chunkCount = cypherResultsDocs.length;
+      successfulCypher = cypherResultsDocs.filter(r => r.status !== 'error').length;
+      failedCypher = chunkCount - successfulCypher;
+    } else {
+      currentStage = 'cypherGeneration';
+      stageStartTime = await startStage(docId, currentStage);
+      const cypherStartTime = stageStartTime;
+
+      // Drop results left over from earlier runs (full document results, or chunks that were re-created).
+      // Results of current chunks are kept so only pending/failed chunks are regenerated.
+      if (fullDocumentGeneration) {
+        await ChunkCypherResult.deleteMany({ docId });
+      } else {
+        const chunkIds = await DocumentChunk.find({ docId }).distinct('_id');
+        await ChunkCypherResult.deleteMany({ docId, chunkId: { $nin: chunkIds } });
+      }
+      await clearResolutionDecisions(docId);
+    
+      if (fullDocumentGeneration) {
+        // Generate Cypher for full document
+        logger.info('Step 5: Generating Cypher for full document', { docId, generationMode });
+        // Mapped tables are left out of the text; their rows are generated from the mapping below
+        const generated = generationMode === 'structured'
+          ? await generateStructuredCypherForFullDocument(docId, { mapTables })
+          : await generateCypherForFullDocument(docId, { mapTables });
+        fullCypher = generated.cypher;
       
-      const cypherResult = new ChunkCypherResult(cypherResultData);
+        // Save as a single ChunkCypherResult for consistency
+        // For full document mode, chunkId is optional (null)
+        const cypherResultData = {
+          docId,
+          chunkId: null, // Explicitly set to null for full document
+          generatedCypher: fullCypher,
+          propertyConflicts: generated.propertyConflicts,
+          droppedProperties: generated.droppedProperties || [],
+          generationMode,
+          cypherParams: generated.params || null,
+          extraction: generated.extraction || null,
+          promptBudget: generated.promptBudget || null,
+          status: 'generated',
+          generationModel: CYPHER_MODEL_PROVIDER === 'ollama' ? TEXT2CYPHER_MODEL_OLLAMA : TEXT2CYPHER_MODEL_HF,
+          generationProvider: CYPHER_MODEL_PROVIDER
+        };
       
-      // Validate before save to catch any issues early
-      const validationError = cypherResult.validateSync();
-      if (validationError) {
-        logger.error('ChunkCypherResult validation failed', { 
+        logger.debug('Creating ChunkCypherResult for full document', { 
           docId, 
-          errors: Object.keys(validationError.errors || {}),
-          errorMessages: Object.values(validationError.errors || {}).map(e => e.message),
-          chunkId: cypherResult.chunkId,
-          chunkIdType: typeof cypherResult.chunkId,
-          data: cypherResultData
+          chunkId: cypherResultData.chunkId,
+          hasCypher: !!cypherResultData.generatedCypher 
         });
-        throw validationError;
-      }
       
-      await cypherResult.save();
-      cypherResultsDocs = [cypherResult];
-      chunkCount = 1;
-      successfulCypher = 1;
-      failedCypher = 0;
+        const cypherResult = new ChunkCypherResult(cypherResultData);
       
-      logger.info('Cypher generation completed for full document', { docId });
-    } else {
-      // Generate Cypher for all chunks
-      logger.info('Step 5: Generating Cypher for chunks', { docId });
-      const cypherResults = await generateCypherForAllChunks(docId);
-      successfulCypher = cypherResults.filter(r => r.success).length;
-      failedCypher = cypherResults.length - successfulCypher;
-
-      logger.info('Cypher generation completed', { 
-        docId, 
-        successful: successfulCypher,
-        failed: failedCypher
-      });
+        // Validate before save to catch any issues early
+        const validationError = cypherResult.validateSync();
+        if (validationError) {
+          logger.error('ChunkCypherResult validation failed', { 
+            docId, 
+            errors: Object.keys(validationError.errors || {}),
+            errorMessages: Object.values(validationError.errors || {}).map(e => e.message),
+            chunkId: cypherResult.chunkId,
+            chunkIdType: typeof cypherResult.chunkId,
+            data: cypherResultData
+          });
+          throw validationError;
+        }
+      
+        await cypherResult.save();
+        cypherResultsDocs = [cypherResult];
+        chunkCount = 1;
+        successfulCypher = 1;
+        failedCypher = 0;
+      
+        logger.info('Cypher generation completed for full document', { docId });
+      } else {
+        // Generate Cypher for all chunks
+        logger.info('Step 5: Generating Cypher for chunks', { docId });
+        const cypherResults = await generateCypherForAllChunks(docId, { mapTables });
 
-      if (successfulCypher === 0) {
-        throw new Error('No Cypher was successfully generated for any chunk');
-      }
+        // Count stored results: on resume, chunks that succeeded in an earlier run are not regenerated
+        cypherResultsDocs = await ChunkCypherResult.find({ docId }).sort({ createdAt: 1 });
+        successfulCypher = cypherResultsDocs.filter(r => r.status !== 'error').length;
+        failedCypher = cypherResultsDocs.length - successfulCypher;
 
-      // Get all Cypher results
-      cypherResultsDocs = await ChunkCypherResult.find({ docId }).sort({ createdAt: 1 });
-      fullCypher = cypherResultsDocs.map(r => r.generatedCypher).join('\n\n');
-      chunkCount = cypherResultsDocs.length;
+        logger.info('Cypher generation completed', { 
+          docId, 
+          regenerated: cypherResults.length,
+          successful: successfulCypher,
+          failed: failedCypher
+        });
+
+        if (successfulCypher === 0) {
+          throw new Error('No Cypher was successfully generated for any chunk');
+        }
+
+        fullCypher = cypherResultsDocs.map(r => r.generatedCypher).join('\n\n');
+        chunkCount = cypherResultsDocs.length;
       
-      // Format Cypher in structured format for chunked mode too
-      if (fullCypher && fullSchema) {
-        try {
-          fullCypher = formatStructuredCypher(fullCypher, fullSchema);
-          // Update the results with formatted Cypher
-          for (const result of cypherResultsDocs) {
-            result.generatedCypher = formatStructuredCypher(result.generatedCypher, fullSchema);
-            await result.save();
+        // Format Cypher in structured format for chunked mode too
+        if (fullCypher && fullSchema) {
+          try {
+            const pack = await resolveSchemaPack({ schemaPack, docType: schemaDoc?.documentType || null });
+            fullCypher = formatStructuredCypher(fullCypher, fullSchema, pack);
+            // Update the results with formatted Cypher
+            for (const result of cypherResultsDocs) {
+              const formatted = formatStructuredCypherWithReport(result.generatedCypher, fullSchema, pack);
+              result.generatedCypher = formatted.cypher;
+              result.propertyConflicts = formatted.propertyConflicts;
+              result.droppedProperties = formatted.droppedProperties;
+              await result.save();
+            }
+          } catch (formatError) {
+            logger.warn('Failed to format chunked Cypher', { error: formatError.message });
           }
-        } catch (formatError) {
-          logger.warn('Failed to format chunked Cypher', { error: formatError.message });
         }
       }
-    }
     
-    const cypherTime = Date.now() - cypherStartTime;
-    await recordMetrics({ 
-      stage: 'cypherGeneration', 
-      success: fullCypher.length > 0, 
-      processingTime: cypherTime, 
-      docId 
-    });
+      // Rows of tables with a column mapping become graph data directly (see services/tableMapping.js)
+      if (mapTables) {
+        const tableCypher = await generateCypherForTables(docId);
+        if (tableCypher) {
+          const tableResult = await ChunkCypherResult.create({
+            docId,
+            chunkId: null,
+            generatedCypher: tableCypher.cypher,
+            propertyConflicts: tableCypher.propertyConflicts,
+            generationMode: 'table',
+            cypherParams: tableCypher.params,
+            extraction: tableCypher.extraction,
+            status: 'generated'
+          });
+          cypherResultsDocs.push(tableResult);
+          fullCypher = [fullCypher, tableResult.generatedCypher].filter(Boolean).join('\n\n');
+          logger.info('Cypher generated for mapped tables', { docId, tables: tableCypher.extraction.tables.length });
+        }
+      }
+
+      const cypherTime = Date.now() - cypherStartTime;
+      await recordMetrics({ 
+        stage: 'cypherGeneration', 
+        success: fullCypher.length > 0, 
+        processingTime: cypherTime, 
+        docId,
+        generationMode
+      });
+      await completeStage(docId, currentStage, stageStartTime);
+      currentStage = null;
+    }
+
+    // Step 5b: Resolve entities written under different identifiers by different chunks
+    let entityResolution = null;
+    if (isStageDone('entityResolution')) {
+      logger.info('Step 5b: Entity resolution already done in previous run', { docId });
+      reuseStage(docId, 'entityResolution');
+    } else if (resolveEntities && !fullDocumentGeneration) {
+      logger.info('Step 5b: Resolving entities across chunks', { docId });
+      currentStage = 'entityResolution';
+      stageStartTime = await startStage(docId, currentStage);
+      entityResolution = await resolveDocumentEntities(docId);
+      if (entityResolution.resultsUpdated > 0) {
+        cypherResultsDocs = await ChunkCypherResult.find({ docId }).sort({ createdAt: 1 });
+        fullCypher = cypherResultsDocs.map(r => r.generatedCypher).join('\n\n');
+      }
+      await completeStage(docId, currentStage, stageStartTime);
+      currentStage = null;
+    } else {
+      // A resolution from an earlier run no longer matches the Cypher
+      await clearEntityResolution(docId);
+      await skipStage(docId, 'entityResolution');
+    }
     
     // Save Cypher to file in codebase folder
     const cypherFilePath = await saveCypherToFile(docId, doc.filename, cypherResultsDocs);
@@ -248,11 +591,62 @@ export async function runPipeline(docId, options = {}) {
       console.log('\n========================================================\n');
     }
     
+    // Pause for HTTP review - approving it resumes the pipeline at ingestion
+    if (requireReview && !(resume && doc.review?.status === 'approved')) {
+      // Report schema violations to the reviewer; the policy itself is applied before ingestion
+      try {
+        await checkDocumentConformance(docId, { policy: 'warn' });
+      } catch (conformanceError) {
+        logger.warn('Failed to check Cypher conformance for review', { docId, error: conformanceError.message });
+      }
+
+      await doc.updateOne({
+        $set: {
+          status: 'awaiting_review',
+          'review.status': 'pending',
+          'review.requestedAt': new Date(),
+          'review.reviewedAt': null,
+          'review.reviewer': null,
+          'review.comment': null,
+          'review.editedResults': 0
+        }
+      });
+
+      logger.info('Cypher awaiting review', { docId, filePath: cypherFilePath });
+      emitPipelineEvent(docId, 'pipeline', {
+        status: 'awaiting_review',
+        durationMs: Date.now() - pipelineStartTime
+      });
+
+      return {
+        success: true,
+        docId,
+        chunkCount: chunkCount,
+        schema: {
+          nodeTypes: Object.keys(schema.nodes).length,
+          relationshipTypes: schema.relationships.length
+        },
+        cypherGeneration: {
+          successful: successfulCypher,
+          failed: failedCypher,
+          filePath: cypherFilePath
+        },
+        entityResolution,
+        review: {
+          status: 'pending'
+        },
+        ingestion: {
+          skipped: true,
+          reason: 'Awaiting Cypher review'
+        }
+      };
+    }
+
     // Ask for confirmation to save to MongoDB (only if running interactively)
     let shouldSaveToMongoDB = true;
     let shouldIngest = true;
     
-    if (isInteractive && !process.env.SKIP_CYPHER_CONFIRMATION) {
+    if (isInteractive && !process.env.SKIP_CYPHER_CONFIRMATION && !requireReview) {
       // First ask: Do you want to save this Cypher to MongoDB?
       shouldSaveToMongoDB = await askYesNo('Do you like this Cypher? Save to MongoDB?');
       
@@ -273,6 +667,11 @@ export async function runPipeline(docId, options = {}) {
           status: 'cypher_generated',
           processingCompletedAt: new Date()
         });
+        emitPipelineEvent(docId, 'pipeline', {
+          status: 'stopped',
+          reason: 'Cypher rejected during review',
+          durationMs: Date.now() - pipelineStartTime
+        });
         
         return {
           success: true,
@@ -318,6 +717,11 @@ export async function runPipeline(docId, options = {}) {
           status: 'cypher_generated',
           processingCompletedAt: new Date()
         });
+        emitPipelineEvent(docId, 'pipeline', {
+          status: 'stopped',
+          reason: 'Ingestion skipped during review',
+          durationMs: Date.now() - pipelineStartTime
+        });
         
         return {
           success: true,
@@ -346,32 +750,71 @@ export async function runPipeline(docId, options = {}) {
 
     // Step 6: Ingest to Neo4j
     logger.info('Step 6: Ingesting to Neo4j', { docId });
-    const ingestionStartTime = Date.now();
-    const ingestionResults = await ingestAllChunks(docId);
+    currentStage = 'ingestion';
+    stageStartTime = await startStage(docId, currentStage);
+    const ingestionStartTime = stageStartTime;
+    // Throws with the fail policy, leaving the ingestion stage failed and resumable
+    const conformance = await checkDocumentConformance(docId, { policy: conformancePolicy });
+    const graphResolution = resolveAgainstGraph ? await resolveGraphEntities(docId) : null;
+    const ingestionResults = await ingestAllChunks(docId, {
+      createProvenance,
+      batchIngestion,
+      ingestBatchSize,
+      quarantineFailures,
+      repairAttempts
+    });
+    if (graphResolution) {
+      // Linked entities exist only once ingested
+      graphResolution.linksWritten = await writeResolutionLinks(docId);
+    }
     const ingestionTime = Date.now() - ingestionStartTime;
     await recordMetrics({ 
       stage: 'ingestion', 
       success: ingestionResults.successCount > 0, 
       processingTime: ingestionTime, 
-      docId 
+      docId,
+      generationMode,
+      counts: {
+        nodesCreated: ingestionResults.totalNodes,
+        relationshipsCreated: ingestionResults.totalRelationships
+      }
     });
 
+    // Partially failed ingestion stays resumable - executed results are skipped on resume
+    const partial = ingestionResults.errorCount > 0;
+    if (partial) {
+      const message = `${ingestionResults.errorCount} Cypher result(s) failed to ingest`;
+      await failStage(docId, currentStage, stageStartTime, message);
+      await doc.updateOne({ status: 'error', error: message });
+    } else {
+      await completeStage(docId, currentStage, stageStartTime);
+    }
+    currentStage = null;
+
     const totalTime = Date.now() - pipelineStartTime;
 
-    logger.info('Pipeline completed successfully', { 
+    logger[partial ? 'warn' : 'info'](partial ? 'Pipeline completed with ingestion failures' : 'Pipeline completed successfully', {
       docId,
       totalNodes: ingestionResults.totalNodes,
       totalRelationships: ingestionResults.totalRelationships,
+      quarantinedCount: ingestionResults.quarantinedCount,
       successCount: ingestionResults.successCount,
       errorCount: ingestionResults.errorCount,
       totalTimeMs: totalTime
     });
 
     // Record document completion
-    await recordDocumentCompletion(docId, true);
+    await recordDocumentCompletion(docId, !partial);
+    emitPipelineEvent(docId, 'pipeline', {
+      status: partial ? 'partial' : 'completed',
+      durationMs: totalTime,
+      totalNodes: ingestionResults.totalNodes,
+      totalRelationships: ingestionResults.totalRelationships,
+      errorCount: ingestionResults.errorCount
+    });
 
     return {
-      success: true,
+      success: !partial,
       docId,
       chunkCount: chunkCount,
       schema: {
@@ -380,14 +823,28 @@ export async function runPipeline(docId, options = {}) {
       },
       cypherGeneration: {
         successful: successfulCypher,
-        failed: failedCypher
+        failed: failedCypher,
+        generationMode,
+        propertyConflicts: cypherResultsDocs.reduce((sum, r) => sum + (r.propertyConflicts?.length || 0), 0),
+        droppedProperties: cypherResultsDocs.reduce((sum, r) => sum + (r.droppedProperties?.length || 0), 0),
+        // Results whose text exceeded the context window (see utils/chunking.js fitTextToBudget)
+        mapReduced: cypherResultsDocs.filter(r => r.promptBudget?.strategy === 'map_reduce').length,
+        truncated: cypherResultsDocs.filter(r => r.promptBudget?.truncated).length,
+        mappedTables: cypherResultsDocs.reduce((sum, r) => sum + (r.extraction?.tables?.length || 0), 0)
       },
+      entityResolution,
+      conformance,
+      graphResolution,
       ingestion: ingestionResults
     };
 
   } catch (error) {
     const totalTime = Date.now() - pipelineStartTime;
     
+    if (currentStage) {
+      await failStage(docId, currentStage, stageStartTime, error.message);
+    }
+
     await doc.updateOne({
       status: 'error',
       error: error.message
@@ -397,6 +854,12 @@ export async function runPipeline(docId, options = {}) {
     await recordDocumentCompletion(docId, false);
     
     logger.error('Pipeline failed', { docId, error: error.message, totalTimeMs: totalTime });
+    emitPipelineEvent(docId, 'pipeline', {
+      status: 'failed',
+      stage: currentStage,
+      durationMs: totalTime,
+      error: error.message
+    });
     throw error;
   }
 }
@@ -411,7 +874,7 @@ export async function getPipelineStatus(docId) {
   }
 
   const chunks = await DocumentChunk.find({ docId });
-  const schema = await Schema.findOne({ docId });
+  const schema = await Schema.findLatest(docId);
   const cypherResults = await ChunkCypherResult.find({ docId });
 
   const chunkStatuses = chunks.reduce((acc, chunk) => {
@@ -429,12 +892,19 @@ export async function getPipelineStatus(docId) {
       processingStartedAt: doc.processingStartedAt,
       processingCompletedAt: doc.processingCompletedAt
     },
+    stages: PIPELINE_STAGES.map(stage => ({
+      stage,
+      ...(doc.stages?.[stage]?.toObject?.() || { status: 'pending' })
+    })),
+    resumeFrom: getResumeStage(doc),
+    review: doc.review,
     chunks: {
       total: chunks.length,
       byStatus: chunkStatuses
     },
     schema: schema ? {
       extracted: true,
+      version: schema.version,
       nodeTypes: Object.keys(schema.nodes).length,
       relationshipTypes: schema.relationships.length
     } : {
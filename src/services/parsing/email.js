@@ -0,0 +1,154 @@
+/**
+ * Email parsing (EML, RFC 5322 / MIME)
+ * The text starts with the From/To/Cc/Date/Subject headers, followed by the body: the plain
+ * text part, else the HTML part (whose tables are kept). Attachments are listed by name only.
+ */
+
+import fs from 'fs/promises';
+import { logger } from '../../utils/logger.js';
+import { parseHtmlContent } from './html.js';
+import { extractMarkdownTables } from './tables.js';
+
+const TEXT_HEADERS = ['From', 'To', 'Cc', 'Date', 'Subject'];
+
+/**
+ * Decode bytes in a MIME charset (UTF-8 when the charset is unknown)
+ */
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Bytes of quoted-printable text
+ */
+function quotedPrintableBytes(text) {
+  const unfolded = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < unfolded.length; i++) {
+    if (unfolded[i] === '=' && /^[0-9A-F]{2}$/i.test(unfolded.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(unfolded.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(unfolded[i], 'latin1'));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a header: raw 8-bit text as UTF-8, then RFC 2047 encoded words ("=?UTF-8?B?...?=")
+ */
+function decodeHeaderValue(value) {
+  return decodeCharset(Buffer.from(value, 'latin1'), 'utf-8')
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, encoded) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64')
+        : quotedPrintableBytes(encoded.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset.split('*')[0]);
+    });
+}
+
+/**
+ * Split a MIME entity into its headers (lowercased names) and body
+ * The raw text is read as latin1, so every character is one byte of the original file
+ */
+function splitEntity(raw) {
+  const boundary = raw.search(/\r?\n\r?\n/);
+  const head = boundary < 0 ? raw : raw.slice(0, boundary);
+  const body = boundary < 0 ? '' : raw.slice(boundary).replace(/^\r?\n\r?\n/, '');
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      const name = line.slice(0, separator).trim().toLowerCase();
+      headers[name] = headers[name] ?? line.slice(separator + 1).trim();
+    }
+  }
+  return { headers, body };
+}
+
+/**
+ * Parameter of a structured header ("text/plain; charset=utf-8" -> charset)
+ */
+function headerParameter(value, name) {
+  const match = String(value || '').match(new RegExp(`;\\s*${name}\\*?=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? match[1] ?? match[2] : null;
+}
+
+/**
+ * Decoded text of a leaf MIME part
+ */
+function partText(part) {
+  const encoding = String(part.headers['content-transfer-encoding'] || '').toLowerCase();
+  const bytes = encoding === 'base64'
+    ? Buffer.from(part.body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable'
+      ? quotedPrintableBytes(part.body)
+      : Buffer.from(part.body, 'latin1');
+  return decodeCharset(bytes, headerParameter(part.headers['content-type'], 'charset'));
+}
+
+/**
+ * Leaf parts of a MIME entity, depth first
+ */
+function leafParts(entity) {
+  const contentType = String(entity.headers['content-type'] || 'text/plain');
+  const boundary = headerParameter(contentType, 'boundary');
+  if (!/^multipart\//i.test(contentType) || !boundary) {
+    return [{ ...entity, type: contentType.split(';')[0].trim().toLowerCase() }];
+  }
+  const delimiter = `--${boundary}`;
+  const sections = entity.body.split(delimiter).slice(1);
+  return sections
+    .filter(section => !section.startsWith('--'))
+    .flatMap(section => leafParts(splitEntity(section.replace(/^\r?\n/, ''))));
+}
+
+/**
+ * Parse an EML file
+ * @returns {Promise<{text: string, tables: Array<object>}>}
+ */
+export async function parseEmail(filePath) {
+  try {
+    const message = splitEntity(await fs.readFile(filePath, 'latin1'));
+    const parts = leafParts(message);
+
+    const isAttachment = (part) =>
+      /^attachment/i.test(part.headers['content-disposition'] || '') ||
+      !!headerParameter(part.headers['content-disposition'], 'filename');
+    const bodyParts = parts.filter(part => !isAttachment(part));
+    const plain = bodyParts.find(part => part.type === 'text/plain');
+    const html = bodyParts.find(part => part.type === 'text/html');
+
+    let body = '';
+    let tables = [];
+    if (plain) {
+      body = partText(plain);
+      tables = extractMarkdownTables(body);
+    } else if (html) {
+      ({ text: body, tables } = parseHtmlContent(partText(html)));
+    }
+
+    const headerLines = TEXT_HEADERS
+      .filter(name => message.headers[name.toLowerCase()])
+      .map(name => `${name}: ${decodeHeaderValue(message.headers[name.toLowerCase()])}`);
+    const attachments = parts.filter(isAttachment).map(part => decodeHeaderValue(
+      headerParameter(part.headers['content-disposition'], 'filename') ||
+      headerParameter(part.headers['content-type'], 'name') ||
+      part.type
+    ));
+    if (attachments.length > 0) {
+      headerLines.push(`Attachments: ${attachments.join(', ')}`);
+    }
+
+    return { text: `${headerLines.join('\n')}\n\n${body}`.trim(), tables };
+  } catch (error) {
+    logger.error('Email parsing error', { error: error.message, filePath });
+    throw new Error(`Failed to parse EML: ${error.message}`);
+  }
+}
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseEmail } from './email.js';
+
+let dir;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docugraph-email-'));
+});
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function writeEmail(name, lines) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, lines.join('\r\n'), 'latin1');
+  return filePath;
+}
+
+test('encoded headers, quoted-printable text and attachments are decoded', async () => {
+  const filePath = await writeEmail('multipart.eml', [
+    'From: =?UTF-8?B?SsO2cmc=?= <jorg@example.com>',
+    'To: ann@example.com',
+    'Subject: =?ISO-8859-1?Q?Caf=E9_order?=',
+    ' =?UTF-8?Q?_=E2=82=AC10?=',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary=inner',
+    '',
+    '--inner',
+    'Content-Type: text/plain; charset=iso-8859-1',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'The caf=E9 ordered a long line that is =',
+    'folded.',
+    '--inner',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>ignored</p>',
+    '--inner--',
+    '--outer',
+    'Content-Type: application/pdf; name="invoice.pdf"',
+    'Content-Disposition: attachment; filename="=?UTF-8?Q?Rechnung_M=C3=A4rz.pdf?="',
+    'Content-Transfer-Encoding: base64',
+    '',
+    'JVBERi0xLjQ=',
+    '--outer--',
+    ''
+  ]);
+  const { text } = await parseEmail(filePath);
+  assert.equal(text, [
+    'From: Jörg <jorg@example.com>',
+    'To: ann@example.com',
+    'Subject: Café order €10',
+    'Attachments: Rechnung März.pdf',
+    '',
+    'The café ordered a long line that is folded.'
+  ].join('\n'));
+});
+
+test('an HTML-only body is converted to text with its tables', async () => {
+  const html = '<p>Totals</p><table><tr><th>Item</th><th>Amount</th></tr><tr><td>Rent</td><td>100</td></tr></table>';
+  const filePath = await writeEmail('html.eml', [
+    'Subject: Totals',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(html).toString('base64'),
+    ''
+  ]);
+  const { text, tables } = await parseEmail(filePath);
+  assert.match(text, /^Subject: Totals\n\nTotals\n+Item \| Amount\nRent \| 100/);
+  assert.deepEqual(tables.map(table => [table.columns, table.rows]), [[['Item', 'Amount'], [['Rent', '100']]]]);
+});
@@ -0,0 +1,103 @@
+/**
+ * Supported input formats
+ * The one list of file types the upload route, the file watcher and parseDocument accept.
+ * A format is found by file extension first (browsers and mail clients often send a generic
+ * mimetype), then by mimetype. The parser of each format is registered in parsing/index.js.
+ */
+
+import path from 'path';
+
+/**
+ * @typedef {object} DocumentFormat
+ * @property {string} name - Parser key
+ * @property {string} label - Name in messages
+ * @property {Array<string>} extensions - File extensions (lowercase, with the dot)
+ * @property {Array<string>} mimetypes - Mimetypes, the first is used for files without one
+ * @property {boolean} llamaParse - Sent to LlamaParse when it is configured (local parsers are
+ *   exact for text and data formats, so those never are)
+ * @property {boolean} localParser - Has a local parser (false = LlamaParse only)
+ */
+
+/** @type {Array<DocumentFormat>} */
+export const DOCUMENT_FORMATS = [
+  { name: 'pdf', label: 'PDF', extensions: ['.pdf'], mimetypes: ['application/pdf'], llamaParse: true, localParser: true },
+  {
+    name: 'docx',
+    label: 'DOCX',
+    extensions: ['.docx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    llamaParse: true,
+    localParser: true
+  },
+  // Legacy binary Word files: mammoth only reads DOCX
+  { name: 'doc', label: 'DOC', extensions: ['.doc'], mimetypes: ['application/msword'], llamaParse: true, localParser: false },
+  {
+    name: 'pptx',
+    label: 'PPTX',
+    extensions: ['.pptx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    llamaParse: true,
+    localParser: true
+  },
+  {
+    name: 'xlsx',
+    label: 'XLSX',
+    extensions: ['.xlsx'],
+    mimetypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    llamaParse: false,
+    localParser: true
+  },
+  { name: 'csv', label: 'CSV', extensions: ['.csv', '.tsv'], mimetypes: ['text/csv', 'text/tab-separated-values', 'application/csv'], llamaParse: false, localParser: true },
+  { name: 'html', label: 'HTML', extensions: ['.html', '.htm'], mimetypes: ['text/html', 'application/xhtml+xml'], llamaParse: false, localParser: true },
+  { name: 'markdown', label: 'Markdown', extensions: ['.md', '.markdown'], mimetypes: ['text/markdown', 'text/x-markdown'], llamaParse: false, localParser: true },
+  { name: 'eml', label: 'EML', extensions: ['.eml'], mimetypes: ['message/rfc822'], llamaParse: false, localParser: true },
+  { name: 'json', label: 'JSON', extensions: ['.json'], mimetypes: ['application/json'], llamaParse: false, localParser: true },
+  { name: 'text', label: 'TXT', extensions: ['.txt'], mimetypes: ['text/plain'], llamaParse: false, localParser: true }
+];
+
+/**
+ * Format of a file
+ * @param {string|null} mimetype - Mimetype sent with the file
+ * @param {string} filename - File name
+ * @returns {DocumentFormat|null}
+ */
+export function findDocumentFormat(mimetype, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  const type = String(mimetype || '').toLowerCase().split(';')[0].trim();
+  return DOCUMENT_FORMATS.find(format => format.extensions.includes(ext)) ||
+    DOCUMENT_FORMATS.find(format => format.mimetypes.includes(type)) ||
+    null;
+}
+
+/**
+ * Whether a format can be parsed with the current configuration
+ * (the key is read on each call: scripts load their .env after the imports are evaluated)
+ */
+export function canParseFormat(format) {
+  return !!format && (format.localParser || (format.llamaParse && !!process.env.LLAMAPARSE_API_KEY));
+}
+
+/**
+ * Supported format of a file, or null
+ * @param {string|null} mimetype - Mimetype sent with the file
+ * @param {string} filename - File name
+ * @returns {DocumentFormat|null}
+ */
+export function supportedDocumentFormat(mimetype, filename) {
+  const format = findDocumentFormat(mimetype, filename);
+  return canParseFormat(format) ? format : null;
+}
+
+/**
+ * Mimetype to store for a file found by extension (e.g. by the file watcher)
+ */
+export function mimetypeForFile(filename) {
+  return findDocumentFormat(null, filename)?.mimetypes[0] || 'application/octet-stream';
+}
+
+/**
+ * Labels of the formats that can be parsed, for error messages ("PDF, DOCX, ...")
+ */
+export function supportedFormatLabels() {
+  return DOCUMENT_FORMATS.filter(canParseFormat).map(format => format.label).join(', ');
+}
@@ -0,0 +1,60 @@
+/**
+ * HTML to text
+ * Used for mammoth's HTML (DOCX), web pages and HTML email bodies
+ */
+
+import fs from 'fs/promises';
+import { logger } from '../../utils/logger.js';
+import { decodeHtmlEntities, extractHtmlTables } from './tables.js';
+
+/**
+ * Plain text from HTML, with headings kept as markdown lines ("## Title")
+ * so heading-aware chunking can follow the document's structure
+ */
+export function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, title) => `\n\n${'#'.repeat(Number(level))} ${title}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li|tr|table|ul|ol|div|section|article|header|footer|blockquote|pre|dl|dd)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeHtmlEntities(text);
+}
+
+/**
+ * Title of an HTML page, if it has one
+ */
+function htmlTitle(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  return title ? decodeHtmlEntities(title.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Text and tables of an HTML document
+ * @param {string} html - HTML
+ * @param {string} source - Format recorded on the tables
+ * @returns {{text: string, tables: Array<object>}}
+ */
+export function parseHtmlContent(html, source = 'html') {
+  const { html: withoutTables, tables } = extractHtmlTables(html, { source });
+  return { text: htmlToText(withoutTables), tables };
+}
+
+/**
+ * Parse an HTML file
+ * The page title becomes the top heading unless the body starts with one
+ * @returns {Promise<{text: string, tables: Array<object>}>}
+ */
+export async function parseHTML(filePath) {
+  try {
+    const html = await fs.readFile(filePath, 'utf-8');
+    const { text, tables } = parseHtmlContent(html);
+    const title = htmlTitle(html);
+    return { text: title && !/^\s*#/.test(text) ? `# ${title}\n\n${text}` : text, tables };
+  } catch (error) {
+    logger.error('HTML parsing error', { error: error.message, filePath });
+    throw new Error(`Failed to parse HTML: ${error.message}`);
+  }
+}
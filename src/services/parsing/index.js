@@ -1,6 +1,6 @@
 /**
  * Document Parsing Service
- * Supports PDF, DOCX, TXT via LlamaParse (cloud) or local tools
+ * Supports the formats of parsing/formats.js via LlamaParse (cloud) or local parsers
  */
 
 import fs from 'fs/promises';
@@ -11,8 +11,13 @@ import axios from 'axios';
 import FormData from 'form-data';
 import { logger } from '../../utils/logger.js';
 import Document from '../../models/Document.js';
+import { extractMarkdownTables, jsonTextAndTables, pdfPageTables } from './tables.js';
+import { findDocumentFormat, supportedFormatLabels } from './formats.js';
+import { parseHTML, parseHtmlContent } from './html.js';
+import { parseCSV, parseXLSX } from './spreadsheets.js';
+import { parsePPTX } from './slides.js';
+import { parseEmail } from './email.js';
 
-const LLAMAPARSE_API_KEY = process.env.LLAMAPARSE_API_KEY;
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 
 // Ensure upload directory exists
@@ -28,7 +33,9 @@ async function ensureUploadDir() {
  * Parse document using LlamaParse (cloud)
  */
 async function parseWithLlamaParse(filePath, mimetype) {
-  if (!LLAMAPARSE_API_KEY) {
+  // Read on each call, like canParseFormat: scripts load their .env after the imports are evaluated
+  const apiKey = process.env.LLAMAPARSE_API_KEY;
+  if (!apiKey) {
     throw new Error('LLAMAPARSE_API_KEY not configured');
   }
 
@@ -45,7 +52,7 @@ async function parseWithLlamaParse(filePath, mimetype) {
     logger.info('Calling LlamaParse API', { filename: path.basename(filePath) });
     const response = await axios.post(url, formData, {
       headers: {
-        'Authorization': `Bearer ${LLAMAPARSE_API_KEY}`,
+        'Authorization': `Bearer ${apiKey}`,
         ...formData.getHeaders()
       },
       timeout: 300000,
@@ -65,12 +72,22 @@ async function parseWithLlamaParse(filePath, mimetype) {
 
 /**
  * Parse PDF using pdf-parse
+ * Pages are rendered from the positions of their text items so that tables can be detected
+ * @returns {Promise<{text: string, tables: Array<object>}>}
  */
 async function parsePDF(filePath) {
   try {
     const dataBuffer = await fs.readFile(filePath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
+    const tables = [];
+    const data = await pdfParse(dataBuffer, {
+      pagerender: async (pageData) => {
+        const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        const page = pdfPageTables(content.items, pageData.pageIndex + 1);
+        tables.push(...page.tables);
+        return page.text;
+      }
+    });
+    return { text: data.text, tables };
   } catch (error) {
     logger.error('PDF parsing error', { error: error.message, filePath });
     throw new Error(`Failed to parse PDF: ${error.message}`);
@@ -78,12 +95,13 @@ async function parsePDF(filePath) {
 }
 
 /**
- * Parse DOCX using mammoth
+ * Parse DOCX using mammoth (headings are kept as markdown lines, see html.js)
+ * @returns {Promise<{text: string, tables: Array<object>}>}
  */
 async function parseDOCX(filePath) {
   try {
-    const result = await mammoth.extractRawText({ path: filePath });
-    return result.value;
+    const result = await mammoth.convertToHtml({ path: filePath });
+    return parseHtmlContent(result.value, 'docx');
   } catch (error) {
     logger.error('DOCX parsing error', { error: error.message, filePath });
     throw new Error(`Failed to parse DOCX: ${error.message}`);
@@ -92,24 +110,54 @@ async function parseDOCX(filePath) {
 
 /**
  * Parse TXT file
+ * @returns {Promise<{text: string, tables: Array<object>}>}
  */
 async function parseTXT(filePath) {
   try {
     const text = await fs.readFile(filePath, 'utf-8');
-    return text;
+    return { text, tables: extractMarkdownTables(text) };
   } catch (error) {
     logger.error('TXT parsing error', { error: error.message, filePath });
     throw new Error(`Failed to parse TXT: ${error.message}`);
   }
 }
 
+/**
+ * Parse a JSON file
+ * The text has a line per value; arrays of objects are stored as tables and written as their rows
+ * @returns {Promise<{text: string, tables: Array<object>}>}
+ */
+async function parseJSON(filePath) {
+  try {
+    const data = JSON.parse((await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, ''));
+    return jsonTextAndTables(data);
+  } catch (error) {
+    logger.error('JSON parsing error', { error: error.message, filePath });
+    throw new Error(`Failed to parse JSON: ${error.message}`);
+  }
+}
+
+// Local parser per format name (see formats.js); markdown is read like text, headings and pipe tables included
+const LOCAL_PARSERS = {
+  pdf: parsePDF,
+  docx: parseDOCX,
+  pptx: parsePPTX,
+  xlsx: parseXLSX,
+  csv: parseCSV,
+  html: parseHTML,
+  markdown: parseTXT,
+  eml: parseEmail,
+  json: parseJSON,
+  text: parseTXT
+};
+
 /**
  * Main parsing function
  * @param {string} docId - MongoDB document ID
  * @param {boolean} useLlamaParse - Whether to use LlamaParse (default: true if API key available)
  * @returns {Promise<string>} - Parsed text
  */
-export async function parseDocument(docId, useLlamaParse = !!LLAMAPARSE_API_KEY) {
+export async function parseDocument(docId, useLlamaParse = !!process.env.LLAMAPARSE_API_KEY) {
   const doc = await Document.findById(docId);
   if (!doc) {
     throw new Error(`Document not found: ${docId}`);
@@ -126,13 +174,21 @@ export async function parseDocument(docId, useLlamaParse = !!LLAMAPARSE_API_KEY)
     await ensureUploadDir();
     const filePath = doc.filePath || path.join(UPLOAD_DIR, doc._id.toString(), doc.filename);
 
+    const format = findDocumentFormat(doc.mimetype, doc.filename);
+    if (!format) {
+      throw new Error(`Unsupported file type: ${doc.mimetype}. Supported formats: ${supportedFormatLabels()}`);
+    }
+
     let text;
+    let tables = [];
 
-    // Try LlamaParse first if available and requested
-    if (useLlamaParse && LLAMAPARSE_API_KEY) {
+    // Try LlamaParse first if available and requested (layout formats only)
+    if (useLlamaParse && process.env.LLAMAPARSE_API_KEY && format.llamaParse) {
       try {
         text = await parseWithLlamaParse(filePath, doc.mimetype);
-        logger.info('Parsed with LlamaParse', { docId, textLength: text.length });
+        // LlamaParse returns markdown, with tables as pipe tables
+        tables = extractMarkdownTables(text);
+        logger.info('Parsed with LlamaParse', { docId, textLength: text.length, tables: tables.length });
       } catch (error) {
         logger.warn('LlamaParse failed, falling back to local parser', { error: error.message });
         useLlamaParse = false;
@@ -141,24 +197,13 @@ export async function parseDocument(docId, useLlamaParse = !!LLAMAPARSE_API_KEY)
 
     // Fallback to local parsers
     if (!text) {
-      const mimetype = doc.mimetype.toLowerCase();
-
-      if (mimetype === 'application/pdf' || doc.filename.toLowerCase().endsWith('.pdf')) {
-        text = await parsePDF(filePath);
-      } else if (
-        mimetype.includes('wordprocessingml') ||
-        mimetype.includes('msword') ||
-        doc.filename.toLowerCase().endsWith('.docx') ||
-        doc.filename.toLowerCase().endsWith('.doc')
-      ) {
-        text = await parseDOCX(filePath);
-      } else if (mimetype === 'text/plain' || doc.filename.toLowerCase().endsWith('.txt')) {
-        text = await parseTXT(filePath);
-      } else {
-        throw new Error(`Unsupported file type: ${doc.mimetype}`);
+      const parser = LOCAL_PARSERS[format.name];
+      if (!parser) {
+        throw new Error(`${format.label} files can only be parsed with LlamaParse (set LLAMAPARSE_API_KEY), or convert the file to a supported format`);
       }
+      ({ text, tables } = await parser(filePath));
 
-      logger.info('Parsed with local parser', { docId, textLength: text.length, mimetype });
+      logger.info('Parsed with local parser', { docId, textLength: text.length, tables: tables.length, format: format.name });
     }
 
     // Clean text (remove excessive whitespace, normalize line breaks)
@@ -172,10 +217,11 @@ export async function parseDocument(docId, useLlamaParse = !!LLAMAPARSE_API_KEY)
     // Update document
     await doc.updateOne({
       status: 'parsed',
-      fullText: text
+      fullText: text,
+      tables: tables.map((table, tableIndex) => ({ ...table, tableIndex }))
     });
 
-    logger.info('Document parsed successfully', { docId, textLength: text.length });
+    logger.info('Document parsed successfully', { docId, textLength: text.length, tables: tables.length });
     return text;
 
   } catch (error) {
@@ -0,0 +1,62 @@
+/**
+ * Office Open XML helpers (XLSX, PPTX)
+ * The files are zip packages of XML parts; parts are linked through relationship (.rels) parts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { decodeHtmlEntities } from './tables.js';
+
+/**
+ * Open an OOXML package
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<object>} - JSZip package
+ */
+export async function openPackage(filePath) {
+  return JSZip.loadAsync(await fs.readFile(filePath));
+}
+
+/**
+ * Content of a part, or null when the package does not have it
+ */
+export async function readPart(zip, partPath) {
+  const file = zip.file(partPath);
+  return file ? file.async('string') : null;
+}
+
+/**
+ * Attribute value of an XML start tag
+ */
+export function xmlAttribute(tag, name) {
+  const value = tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  return value === undefined ? null : decodeHtmlEntities(value);
+}
+
+/**
+ * Text of the <t> elements (with the given prefix) inside an XML fragment
+ */
+export function xmlText(xml, prefix = '') {
+  const pattern = new RegExp(`<${prefix}t(?:\\s[^>]*)?>([\\s\\S]*?)</${prefix}t>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => decodeHtmlEntities(match[1])).join('');
+}
+
+/**
+ * Targets of a part's relationships, as package paths
+ * @param {object} zip - JSZip package
+ * @param {string} partPath - Part whose relationships are read (e.g. xl/workbook.xml)
+ * @returns {Promise<Map<string, string>>} - Relationship id -> target part
+ */
+export async function partRelationships(zip, partPath) {
+  const dir = path.posix.dirname(partPath);
+  const rels = await readPart(zip, path.posix.join(dir, '_rels', `${path.posix.basename(partPath)}.rels`));
+  const targets = new Map();
+  for (const [tag] of (rels || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const target = xmlAttribute(tag, 'Target');
+    if (!target || xmlAttribute(tag, 'TargetMode') === 'External') {
+      continue;
+    }
+    targets.set(xmlAttribute(tag, 'Id'), target.startsWith('/') ? target.slice(1) : path.posix.join(dir, target));
+  }
+  return targets;
+}
@@ -0,0 +1,96 @@
+/**
+ * Slide deck parsing (PPTX)
+ * Each slide becomes a section headed by its title, with one line per text paragraph;
+ * slide tables are stored as tables with the slide number as their page.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { normalizeTable, tableRowText } from './tables.js';
+import { openPackage, readPart, xmlAttribute, xmlText, partRelationships } from './ooxml.js';
+
+const PRESENTATION_PART = 'ppt/presentation.xml';
+
+/**
+ * Text lines of the paragraphs in a DrawingML fragment
+ */
+function paragraphLines(xml) {
+  return [...xml.matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+    .map(([, paragraph]) => xmlText(paragraph.replace(/<a:br\b[^>]*\/>/g, '<a:t> </a:t>'), 'a:').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Cell texts of a DrawingML table, by row (cells covered by a merge are empty)
+ */
+function slideTableRows(tableXml) {
+  return [...tableXml.matchAll(/<a:tr\b[^>]*>([\s\S]*?)<\/a:tr>/g)].map(([, rowXml]) =>
+    [...rowXml.matchAll(/<a:tc\b([^>]*?)(?:\/>|>([\s\S]*?)<\/a:tc>)/g)].map(([, attributes, cellXml = '']) =>
+      xmlAttribute(attributes, 'hMerge') || xmlAttribute(attributes, 'vMerge') ? '' : paragraphLines(cellXml).join(' ')
+    )
+  );
+}
+
+/**
+ * Title, text lines and tables of one slide, in the order of its shapes
+ */
+function readSlide(xml, slideNumber) {
+  const tables = [];
+  const lines = [];
+  let title = '';
+
+  for (const [element] of xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>|<a:tbl\b[\s\S]*?<\/a:tbl>/g)) {
+    if (element.startsWith('<a:tbl')) {
+      const rows = slideTableRows(element);
+      const table = normalizeTable(rows, { source: 'pptx', page: slideNumber });
+      if (table) {
+        tables.push(table);
+        lines.push(tableRowText(table.columns), ...table.rows.map(tableRowText));
+      } else {
+        lines.push(...rows.filter(row => row.some(Boolean)).map(tableRowText));
+      }
+      continue;
+    }
+    const shapeLines = paragraphLines(element);
+    if (!title && /<p:ph\b[^>]*type="(title|ctrTitle)"/.test(element)) {
+      title = shapeLines.join(' ');
+      continue;
+    }
+    lines.push(...shapeLines);
+  }
+
+  return { title, lines, tables };
+}
+
+/**
+ * Parse a PPTX deck, slides in presentation order
+ * @returns {Promise<{text: string, tables: Array<object>}>}
+ */
+export async function parsePPTX(filePath) {
+  try {
+    const zip = await openPackage(filePath);
+    const presentation = await readPart(zip, PRESENTATION_PART);
+    if (!presentation) {
+      throw new Error(`${PRESENTATION_PART} not found`);
+    }
+    const slideParts = await partRelationships(zip, PRESENTATION_PART);
+
+    const sections = [];
+    const tables = [];
+    let slideNumber = 0;
+    for (const [tag] of presentation.matchAll(/<p:sldId\b[^>]*>/g)) {
+      const xml = await readPart(zip, slideParts.get(xmlAttribute(tag, 'r:id')) || '');
+      if (!xml) {
+        continue;
+      }
+      slideNumber++;
+      const slide = readSlide(xml, slideNumber);
+      tables.push(...slide.tables);
+      const heading = slide.title ? `Slide ${slideNumber}: ${slide.title}` : `Slide ${slideNumber}`;
+      sections.push(`## ${heading}\n\n${slide.lines.join('\n')}`.trim());
+    }
+    return { text: sections.join('\n\n'), tables };
+  } catch (error) {
+    logger.error('PPTX parsing error', { error: error.message, filePath });
+    throw new Error(`Failed to parse PPTX: ${error.message}`);
+  }
+}
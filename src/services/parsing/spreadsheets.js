@@ -0,0 +1,245 @@
+/**
+ * Spreadsheet parsing (XLSX, CSV/TSV)
+ * Every sheet is a table whose first row is the header; the text has a heading per sheet
+ * and the rows as "cell | cell" lines.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+import { decodeHtmlEntities, normalizeTable, tableRowText } from './tables.js';
+import { openPackage, readPart, xmlAttribute, xmlText, partRelationships } from './ooxml.js';
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Built-in number formats that show dates or times (ECMA-376 18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Text lines of sheet rows (the table's when the rows form one)
+ */
+function sheetLines(rows, table) {
+  if (table) {
+    return [tableRowText(table.columns), ...table.rows.map(tableRowText)];
+  }
+  return rows.filter(row => row.some(cell => String(cell).trim())).map(tableRowText);
+}
+
+/**
+ * Delimiter of a CSV file: a tab for .tsv, else the candidate found most often in the first line
+ */
+function csvDelimiter(text, filePath) {
+  if (path.extname(filePath).toLowerCase() === '.tsv') {
+    return '\t';
+  }
+  const firstLine = text.split('\n', 1)[0].replace(/"[^"]*"/g, '');
+  const counts = CSV_DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+  return CSV_DELIMITERS[counts.indexOf(Math.max(...counts))] || ',';
+}
+
+/**
+ * Rows of CSV text (quoted fields may contain delimiters, quotes as "" and line breaks)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsvRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse a CSV or TSV file
+ * @returns {Promise<{text: string, tables: Array<object>}>}
+ */
+export async function parseCSV(filePath) {
+  try {
+    const text = (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '');
+    const rows = parseCsvRows(text, csvDelimiter(text, filePath));
+    const table = normalizeTable(rows, { source: 'csv' });
+    return { text: sheetLines(rows, table).join('\n'), tables: table ? [table] : [] };
+  } catch (error) {
+    logger.error('CSV parsing error', { error: error.message, filePath });
+    throw new Error(`Failed to parse CSV: ${error.message}`);
+  }
+}
+
+/**
+ * Column index of a cell reference ("C7" -> 2)
+ */
+function columnIndex(ref) {
+  const letters = String(ref || '').match(/^[A-Z]+/i)?.[0].toUpperCase() || '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Date and time parts of a custom number format code ("yyyy-mm-dd", "h:mm AM/PM")
+ * Quoted text, escaped characters and [Red]/[$-409] sections are ignored.
+ */
+function formatCodeParts(code) {
+  const bare = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+  return { date: /[dmyhs]/i.test(bare), time: /[hs]/i.test(bare) };
+}
+
+/**
+ * Cell style indexes (the `s` attribute of a cell) whose number format is a date or time
+ * @param {string|null} stylesXml - xl/styles.xml
+ * @returns {{dates: Set<number>, times: Set<number>}} - Styles showing a date, and those showing a time of day
+ */
+function dateStyles(stylesXml) {
+  const codes = new Map();
+  for (const [tag] of (stylesXml || '').matchAll(/<numFmt\b[^>]*>/g)) {
+    codes.set(parseInt(xmlAttribute(tag, 'numFmtId')), xmlAttribute(tag, 'formatCode') || '');
+  }
+  const dates = new Set();
+  const times = new Set();
+  const cellXfs = (stylesXml || '').match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+  for (const [index, [tag]] of [...cellXfs.matchAll(/<xf\b[^>]*>/g)].entries()) {
+    const id = parseInt(xmlAttribute(tag, 'numFmtId') || '0');
+    const parts = codes.has(id)
+      ? formatCodeParts(codes.get(id))
+      : { date: BUILTIN_DATE_FORMATS.has(id), time: BUILTIN_DATE_FORMATS.has(id) && id >= 18 };
+    if (parts.date) {
+      dates.add(index);
+    }
+    if (parts.date && parts.time) {
+      times.add(index);
+    }
+  }
+  return { dates, times };
+}
+
+/**
+ * ISO text of a date serial: a date, a date and time, or a time of day for serials below 1
+ * @param {number} serial - Days since the workbook's epoch
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ * @param {boolean} withTime - The cell's format shows a time
+ */
+function serialToIso(serial, date1904, withTime) {
+  // The 1900 system counts 29 February 1900, which did not exist
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, serial < 60 ? 31 : 30);
+  const iso = new Date(epoch + Math.round(serial * DAY_MS / 1000) * 1000).toISOString();
+  if (serial < 1 && withTime) {
+    return iso.slice(11, 19);
+  }
+  return withTime ? iso.slice(0, 19) : iso.slice(0, 10);
+}
+
+/**
+ * Cell texts of a worksheet part, by row
+ * Numbers formatted as dates are written as ISO dates rather than their serial.
+ * @param {string} xml - Worksheet XML
+ * @param {Array<string>} sharedStrings - Workbook shared strings
+ * @param {object} dateFormats - Date styles of the workbook (see dateStyles) and its date system
+ * @returns {Array<Array<string>>}
+ */
+function worksheetRows(xml, sharedStrings, { dates = new Set(), times = new Set(), date1904 = false } = {}) {
+  const rows = [];
+  for (const [, , rowXml = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const [, attributes, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const type = xmlAttribute(attributes, 't');
+      const value = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1] ?? '';
+      let text;
+      if (type === 's') {
+        text = sharedStrings[parseInt(value)] ?? '';
+      } else if (type === 'inlineStr') {
+        text = xmlText(cellXml);
+      } else if (type === 'b') {
+        text = value === '1' ? 'TRUE' : value === '0' ? 'FALSE' : '';
+      } else {
+        text = decodeHtmlEntities(value);
+        const style = parseInt(xmlAttribute(attributes, 's') || '0');
+        if ((!type || type === 'n') && text !== '' && Number.isFinite(Number(text)) && dates.has(style)) {
+          text = serialToIso(Number(text), date1904, times.has(style));
+        }
+      }
+      const index = columnIndex(xmlAttribute(attributes, 'r'));
+      row[index >= 0 ? index : row.length] = text;
+    }
+    rows.push(Array.from(row, cell => cell ?? ''));
+  }
+  return rows;
+}
+
+/**
+ * Parse an XLSX workbook (values as last calculated by the spreadsheet application)
+ * @returns {Promise<{text: string, tables: Array<object>}>}
+ */
+export async function parseXLSX(filePath) {
+  try {
+    const zip = await openPackage(filePath);
+    const workbook = await readPart(zip, 'xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('xl/workbook.xml not found');
+    }
+    const sharedStringsXml = await readPart(zip, 'xl/sharedStrings.xml');
+    const sharedStrings = [...(sharedStringsXml || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      // Phonetic runs (<rPh>) repeat the text as a reading aid
+      .map(([, item]) => xmlText(item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')));
+    const sheetParts = await partRelationships(zip, 'xl/workbook.xml');
+    const dateFormats = {
+      ...dateStyles(await readPart(zip, 'xl/styles.xml')),
+      date1904: /<workbookPr\b[^>]*\sdate1904="(1|true)"/.test(workbook)
+    };
+
+    const sections = [];
+    const tables = [];
+    for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+      const name = xmlAttribute(tag, 'name');
+      const xml = await readPart(zip, sheetParts.get(xmlAttribute(tag, 'r:id')) || '');
+      if (!xml) {
+        continue;
+      }
+      const rows = worksheetRows(xml, sharedStrings, dateFormats);
+      const table = normalizeTable(rows, { source: 'xlsx', title: name });
+      if (table) {
+        tables.push(table);
+      }
+      const lines = sheetLines(rows, table);
+      if (lines.length > 0) {
+        sections.push(`## ${name}\n\n${lines.join('\n')}`);
+      }
+    }
+    return { text: sections.join('\n\n'), tables };
+  } catch (error) {
+    logger.error('XLSX parsing error', { error: error.message, filePath });
+    throw new Error(`Failed to parse XLSX: ${error.message}`);
+  }
+}
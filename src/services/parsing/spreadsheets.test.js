@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { parseCsvRows, parseCSV, parseXLSX } from './spreadsheets.js';
+
+let dir;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docugraph-spreadsheets-'));
+});
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+/**
+ * Minimal workbook with one sheet: a header row, then rows of [serial, ...] cells in styles 0-5
+ * (general, built-in date, built-in date-time, custom date, custom number, built-in time)
+ */
+async function writeWorkbook(name, rows, { date1904 = false } = {}) {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<workbook><workbookPr${date1904 ? ' date1904="1"' : ''}/><sheets><sheet name="Dates" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>');
+  zip.file('xl/styles.xml', '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/>' +
+    '<numFmt numFmtId="165" formatCode="&quot;Day&quot; 0"/></numFmts><cellXfs><xf numFmtId="0"/><xf numFmtId="14"/>' +
+    '<xf numFmtId="22"/><xf numFmtId="164"/><xf numFmtId="165"/><xf numFmtId="20"/></cellXfs></styleSheet>');
+  const header = ['Plain', 'Date', 'DateTime', 'Custom', 'Quoted', 'Time'];
+  zip.file('xl/sharedStrings.xml', `<sst>${header.map(text => `<si><t>${text}</t></si>`).join('')}</sst>`);
+  const row = (r, cells) => `<row r="${r}">${cells.join('')}</row>`;
+  const columns = 'ABCDEF';
+  const sheetRows = [
+    row(1, header.map((_, i) => `<c r="${columns[i]}1" t="s"><v>${i}</v></c>`)),
+    ...rows.map((values, r) => row(r + 2, values.map((value, i) => `<c r="${columns[i]}${r + 2}" s="${i}"><v>${value}</v></c>`)))
+  ];
+  zip.file('xl/worksheets/sheet1.xml', `<worksheet><sheetData>${sheetRows.join('')}</sheetData></worksheet>`);
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+  return filePath;
+}
+
+test('quoted CSV fields keep delimiters, quotes and line breaks', () => {
+  assert.deepEqual(parseCsvRows('a,"b,c","say ""hi"""\r\n"multi\nline",,x\n'), [
+    ['a', 'b,c', 'say "hi"'],
+    ['multi\nline', '', 'x']
+  ]);
+  assert.deepEqual(parseCsvRows('a;b\n1;2', ';'), [['a', 'b'], ['1', '2']]);
+});
+
+test('the CSV delimiter is detected outside quoted header cells', async () => {
+  const filePath = path.join(dir, 'semicolons.csv');
+  await fs.writeFile(filePath, '\uFEFF"Name, full";Amount\n"Smith, Ann";10\n');
+  const { text, tables } = await parseCSV(filePath);
+  assert.deepEqual(tables[0].columns, ['Name, full', 'Amount']);
+  assert.deepEqual(tables[0].rows, [['Smith, Ann', '10']]);
+  assert.equal(text, 'Name, full | Amount\nSmith, Ann | 10');
+});
+
+test('date serials of the 1900 system become ISO dates', async () => {
+  const filePath = await writeWorkbook('dates1900.xlsx', [
+    [43831, 43831, 43831.5, 59, 60, 0.25],
+    [1, 61, 60, 1, 2, 0.5]
+  ]);
+  const [table] = (await parseXLSX(filePath)).tables;
+  assert.deepEqual(table.rows, [
+    ['43831', '2020-01-01', '2020-01-01T12:00:00', '1900-02-28', '60', '06:00:00'],
+    ['1', '1900-03-01', '1900-02-28T00:00:00', '1900-01-01', '2', '12:00:00']
+  ]);
+});
+
+test('date serials of the 1904 system start on 1 January 1904', async () => {
+  const filePath = await writeWorkbook('dates1904.xlsx', [[42369, 42369, 1.5, 1, 1, 0.75]], { date1904: true });
+  const [table] = (await parseXLSX(filePath)).tables;
+  assert.deepEqual(table.rows, [['42369', '2020-01-01', '1904-01-02T12:00:00', '1904-01-02', '1', '18:00:00']]);
+});
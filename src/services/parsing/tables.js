@@ -0,0 +1,408 @@
+/**
+ * Table detection for parsed documents
+ * Tables are found in HTML (mammoth's output for DOCX, web pages, emails), in the positions of
+ * the text items of a PDF page and in markdown pipe tables (LlamaParse output, text files);
+ * spreadsheets, slides and JSON build theirs with normalizeTable. Each is stored as a header
+ * row and data rows on the document; in the text, table rows are written as "cell | cell"
+ * lines so their columns survive whitespace normalisation.
+ */
+
+// Named entities of mammoth's HTML, XML and common web pages (numeric ones are decoded by code)
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D',
+  hellip: '\u2026', bull: '\u2022', copy: '\u00A9', reg: '\u00AE', trade: '\u2122', euro: '\u20AC'
+};
+
+// PDF text items closer than this (in points) vertically are on the same line
+const PDF_LINE_TOLERANCE = 3;
+// Horizontal gap (in points) that separates two cells rather than two words
+const PDF_MIN_CELL_GAP = 8;
+// A PDF table needs a header and at least this many rows with the same columns
+const PDF_MIN_TABLE_ROWS = 2;
+
+const MARKDOWN_ROW = /^\s*\|(.*)\|\s*$/;
+const MARKDOWN_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name.startsWith('#')) {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function cleanCell(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text line of a table row
+ */
+export function tableRowText(cells) {
+  return cells.map(cleanCell).join(' | ');
+}
+
+/**
+ * Header and data rows of a detected table
+ * The first row is the header. Empty header cells are named "Column N" and repeated names
+ * get a suffix, so every column can be referenced by name in a mapping.
+ * @param {Array<Array<string>>} rawRows - Cell texts per row
+ * @param {object} meta - Where the table was found
+ * @param {string} meta.source - Format the table was read from (docx, pdf, markdown, html, xlsx, csv, pptx, json)
+ * @param {number|null} meta.page - PDF page or slide number
+ * @param {string|null} meta.title - Sheet name or JSON path
+ * @returns {{source: string, page: number|null, title: string|null, columns: Array<string>,
+ *   rows: Array<Array<string>>}|null} - null when the rows do not form a table (fewer than 2 columns or no data row)
+ */
+export function normalizeTable(rawRows, { source, page = null, title = null }) {
+  const rows = rawRows
+    .map(row => row.map(cleanCell))
+    .filter(row => row.some(cell => cell !== ''));
+  const width = Math.max(0, ...rows.map(row => row.length));
+  if (width < 2 || rows.length < 2) {
+    return null;
+  }
+
+  const seen = new Map();
+  const columns = Array.from({ length: width }, (_, index) => {
+    const name = rows[0][index] || `Column ${index + 1}`;
+    const count = (seen.get(name.toLowerCase()) || 0) + 1;
+    seen.set(name.toLowerCase(), count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+
+  return {
+    source,
+    page,
+    title,
+    columns,
+    rows: rows.slice(1).map(row => Array.from({ length: width }, (_, index) => row[index] ?? ''))
+  };
+}
+
+/**
+ * Cells of the rows of an HTML table (colspans are filled with empty cells)
+ */
+function htmlTableRows(tableHtml) {
+  const rows = [];
+  for (const [, rowHtml] of tableHtml.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const cells = [];
+    for (const [, attributes, cellHtml] of rowHtml.matchAll(/<t[dh]([^>]*)>([\s\S]*?)<\/t[dh]>/gi)) {
+      cells.push(cellHtml.replace(/<\/p>|<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ''));
+      const colspan = parseInt(attributes.match(/colspan="?(\d+)/i)?.[1] || '1');
+      for (let i = 1; i < colspan; i++) {
+        cells.push('');
+      }
+    }
+    rows.push(cells);
+  }
+  return rows;
+}
+
+/**
+ * Find the tables in HTML
+ * Each outermost table is replaced by a paragraph of "cell | cell" lines (nested tables are
+ * flattened into their cell).
+ * @param {string} html - HTML, e.g. from mammoth.convertToHtml
+ * @param {object} options - Table options
+ * @param {string} options.source - Format recorded on the tables
+ * @returns {{html: string, tables: Array<object>}} - HTML with tables as text, and the tables
+ */
+export function extractHtmlTables(html, { source = 'docx' } = {}) {
+  const tables = [];
+  let output = '';
+  let position = 0;
+  const tags = /<(\/?)table\b[^>]*>/gi;
+  let depth = 0;
+  let start = -1;
+  for (const match of html.matchAll(tags)) {
+    if (!match[1]) {
+      if (depth === 0) {
+        start = match.index;
+      }
+      depth++;
+      continue;
+    }
+    depth = Math.max(0, depth - 1);
+    if (depth > 0 || start < 0) {
+      continue;
+    }
+    const end = match.index + match[0].length;
+    const rows = htmlTableRows(html.slice(start, end).replace(/<table\b[^>]*>([\s\S]*)<\/table>/i, '$1'));
+    const table = normalizeTable(rows.map(row => row.map(decodeHtmlEntities)), { source });
+    if (table) {
+      tables.push(table);
+    }
+    // Cells stay HTML-encoded here; the text conversion decodes them
+    const lines = rows.filter(row => row.some(cell => cleanCell(cell))).map(tableRowText);
+    output += html.slice(position, start) + `<p>${lines.join('<br>')}</p>`;
+    position = end;
+    start = -1;
+  }
+  output += html.slice(position);
+  return { html: output, tables };
+}
+
+/**
+ * Find markdown pipe tables (a header row, a separator row, then data rows)
+ * @param {string} text - Markdown text
+ * @returns {Array<object>} - Tables
+ */
+export function extractMarkdownTables(text) {
+  const tables = [];
+  const lines = text.split('\n');
+  for (let i = 0; i + 1 < lines.length; i++) {
+    if (!MARKDOWN_ROW.test(lines[i]) || !MARKDOWN_SEPARATOR.test(lines[i + 1])) {
+      continue;
+    }
+    const rows = [lines[i]];
+    let j = i + 2;
+    while (j < lines.length && MARKDOWN_ROW.test(lines[j])) {
+      rows.push(lines[j]);
+      j++;
+    }
+    const table = normalizeTable(rows.map(line => line.match(MARKDOWN_ROW)[1].split('|')), { source: 'markdown' });
+    if (table) {
+      tables.push(table);
+    }
+    i = j - 1;
+  }
+  return tables;
+}
+
+const isJsonScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Text and tables of parsed JSON
+ * Each array whose items are objects becomes a table with a column per scalar key (in order of
+ * first appearance); the JSON path of the array is the table's title. The text has a
+ * "path: value" line per scalar, and each table as a "path:" line followed by its rows, so
+ * table rows read as they do in the other formats.
+ * @param {*} data - Parsed JSON
+ * @returns {{text: string, tables: Array<object>}}
+ */
+export function jsonTextAndTables(data) {
+  const tables = [];
+  const lines = [];
+  const visit = (value, jsonPath) => {
+    if (isJsonScalar(value)) {
+      lines.push(jsonPath ? `${jsonPath}: ${value}` : String(value));
+      return;
+    }
+    if (Array.isArray(value)) {
+      const items = value.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+      let table = null;
+      if (items.length > 0 && items.length === value.length) {
+        const columns = [...new Set(items.flatMap(item => Object.keys(item).filter(key => isJsonScalar(item[key]))))];
+        const rows = items.map(item => columns.map(column => item[column] === null || item[column] === undefined ? '' : String(item[column])));
+        table = normalizeTable([columns, ...rows], { source: 'json', title: jsonPath || '$' });
+      }
+      if (table) {
+        tables.push(table);
+        lines.push(`${jsonPath || '$'}:`, tableRowText(table.columns), ...table.rows.map(tableRowText));
+      } else if (value.length === 0) {
+        lines.push(`${jsonPath || '$'}: []`);
+      }
+      value.forEach((item, index) => {
+        if (!table) {
+          visit(item, `${jsonPath}[${index}]`);
+          return;
+        }
+        // The scalars of a table item are in its row; its nested values follow the table
+        for (const [key, child] of Object.entries(item)) {
+          if (!isJsonScalar(child)) {
+            visit(child, `${jsonPath}[${index}].${key}`);
+          }
+        }
+      });
+    } else if (value && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length === 0 && jsonPath) {
+        lines.push(`${jsonPath}: {}`);
+      }
+      for (const [key, child] of entries) {
+        visit(child, jsonPath ? `${jsonPath}.${key}` : key);
+      }
+    }
+  };
+  visit(data, '');
+  return { text: lines.join('\n'), tables };
+}
+
+/**
+ * Group the text items of a PDF page into lines of cells
+ * Items are on one line when their baselines are within PDF_LINE_TOLERANCE; a new cell
+ * starts where the gap to the previous item is wider than about two characters.
+ */
+function pdfLines(items) {
+  const positioned = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({ x: item.transform[4], y: item.transform[5], width: item.width || 0, str: item.str }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of positioned) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= PDF_LINE_TOLERANCE) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const cells = [];
+    for (const item of line.items.sort((a, b) => a.x - b.x)) {
+      const cell = cells[cells.length - 1];
+      const charWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+      if (cell && item.x - cell.end <= Math.max(PDF_MIN_CELL_GAP, 2 * charWidth)) {
+        cell.text += (item.x - cell.end > charWidth * 0.2 ? ' ' : '') + item.str;
+        cell.end = Math.max(cell.end, item.x + item.width);
+      } else {
+        cells.push({ x: item.x, end: item.x + item.width, text: item.str });
+      }
+    }
+    return cells.map(cell => ({ ...cell, text: cleanCell(cell.text) }));
+  });
+}
+
+/**
+ * Column of each cell: the header cell it overlaps most, else the last header cell left of it
+ * @returns {Array<number>|null} - Column indexes, or null if two cells fall into one column
+ */
+function alignToColumns(cells, header) {
+  const overlap = (a, b) => Math.min(a.end, b.end) - Math.max(a.x, b.x);
+  const columns = cells.map(cell => {
+    let column = -1;
+    let best = 0;
+    header.forEach((headerCell, index) => {
+      if (overlap(cell, headerCell) > best) {
+        column = index;
+        best = overlap(cell, headerCell);
+      }
+    });
+    if (column < 0) {
+      column = Math.max(0, header.findLastIndex(headerCell => headerCell.x <= cell.x));
+    }
+    return column;
+  });
+  return new Set(columns).size === columns.length ? columns : null;
+}
+
+/**
+ * Text and tables of one PDF page from the positions of its text items
+ * A table is a run of lines with two or more cells that line up under the first line's cells.
+ * @param {Array<object>} items - pdf.js text content items
+ * @param {number} page - Page number
+ * @returns {{text: string, tables: Array<object>}}
+ */
+export function pdfPageTables(items, page) {
+  const lines = pdfLines(items);
+  const tables = [];
+  const text = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const header = lines[i];
+    const run = [];
+    if (header.length >= 2) {
+      for (let j = i + 1; j < lines.length && lines[j].length >= 2; j++) {
+        const columns = alignToColumns(lines[j], header);
+        if (!columns) {
+          break;
+        }
+        run.push(columns.reduce((row, column, index) => {
+          row[column] = lines[j][index].text;
+          return row;
+        }, Array(header.length).fill('')));
+      }
+    }
+
+    const table = run.length >= PDF_MIN_TABLE_ROWS
+      ? normalizeTable([header.map(cell => cell.text), ...run], { source: 'pdf', page })
+      : null;
+    if (!table) {
+      text.push(header.map(cell => cell.text).join(' '));
+      continue;
+    }
+    tables.push(table);
+    text.push(tableRowText(table.columns), ...table.rows.map(tableRowText));
+    i += run.length;
+  }
+
+  return { text: text.join('\n'), tables };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pattern of a table row written as a "cell | cell" line or a markdown row, in any whitespace
+ * (word chunks join lines with spaces). Trailing empty cells may be missing.
+ */
+function rowPattern(cells) {
+  const lastCell = cells.findLastIndex(cell => cell !== '');
+  const body = cells
+    .slice(0, lastCell + 1)
+    .map(cell => escapeRegExp(cell).replace(/ /g, '\\s+'))
+    .join('\\s*\\|\\s*');
+  return new RegExp(`(?<=^|\\s)(?:\\|[ \\t]*)?${body}(?:[ \\t]*\\|)*(?=\\s|$)`, 'g');
+}
+
+/**
+ * Leave tables out of a text sent to the LLM (the document text or a chunk of it)
+ * The header and rows of each table are removed and a note takes the place of its first row
+ * found, so the model does not extract rows that become graph data without it. A chunk may
+ * hold only part of a table.
+ * @param {string} text - Document or chunk text
+ * @param {Array<object>} tables - Stored tables (with tableIndex)
+ * @returns {{text: string, omittedRows: number}} - Text without the tables, and the number of rows removed
+ */
+export function omitTableText(text, tables) {
+  let output = text;
+  let omittedRows = 0;
+  for (const table of tables) {
+    const ranges = [];
+    let searchFrom = 0;
+    for (const [index, cells] of [table.columns, ...table.rows].entries()) {
+      const firstCell = cells.find(cell => cell !== '');
+      if (firstCell === undefined || !output.includes(firstCell.split(' ')[0], searchFrom)) {
+        continue;
+      }
+      const pattern = rowPattern(cells);
+      pattern.lastIndex = searchFrom;
+      const match = pattern.exec(output);
+      if (!match) {
+        continue;
+      }
+      let end = match.index + match[0].length;
+      // A markdown separator follows the header
+      const separator = index === 0 ? output.slice(end).match(/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?(?=\s|$)/) : null;
+      if (separator) {
+        end += separator[0].length;
+      }
+      ranges.push({ start: match.index, end, row: index > 0 });
+      searchFrom = end;
+    }
+    if (ranges.length === 0) {
+      continue;
+    }
+
+    const rows = ranges.filter(range => range.row).length;
+    const label = `Table ${table.tableIndex + 1}${table.title ? ` (${table.title})` : ''}`;
+    const note = `[${label}: ${rows} rows left out, they are added to the graph from its column mapping]`;
+    let result = '';
+    let position = 0;
+    ranges.forEach((range, index) => {
+      result += output.slice(position, range.start) + (index === 0 ? note : '');
+      position = range.end;
+    });
+    output = result + output.slice(position);
+    omittedRows += rows;
+  }
+  return {
+    text: output.replace(/[ \t]{2,}/g, ' ').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n'),
+    omittedRows
+  };
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTable, omitTableText, extractMarkdownTables, extractHtmlTables, jsonTextAndTables, decodeHtmlEntities } from './tables.js';
+
+const table = {
+  ...normalizeTable([['Name', 'Amount'], ['Ann', '10'], ['Bob Smith', '20']], { source: 'csv' }),
+  tableIndex: 0,
+  title: 'Sheet1'
+};
+const note = '[Table 1 (Sheet1): 2 rows left out, they are added to the graph from its column mapping]';
+
+test('headers are named and made unique, empty rows dropped and rows padded', () => {
+  assert.deepEqual(normalizeTable([['Name', '', 'name'], ['Ann', '1'], ['', ' ', ''], ['Bob', '2', 'x']], { source: 'csv' }), {
+    source: 'csv',
+    page: null,
+    title: null,
+    columns: ['Name', 'Column 2', 'name (2)'],
+    rows: [['Ann', '1', ''], ['Bob', '2', 'x']]
+  });
+  assert.equal(normalizeTable([['Only'], ['one column']], { source: 'csv' }), null);
+  assert.equal(normalizeTable([['A', 'B']], { source: 'csv' }), null);
+});
+
+test('table rows are left out of the text, with a note in their place', () => {
+  assert.deepEqual(omitTableText('Intro line.\nName | Amount\nAnn | 10\nBob Smith | 20\nOutro Ann.', [table]), {
+    text: `Intro line.\n${note}\n\nOutro Ann.`,
+    omittedRows: 2
+  });
+  // Word chunks join the lines with single spaces
+  assert.equal(omitTableText('Intro Name | Amount Ann | 10 Bob   Smith | 20 end', [table]).text, `Intro ${note} end`);
+});
+
+test('markdown tables are left out with their separator', () => {
+  const markdown = 'Text\n| Name | Amount |\n|---|---:|\n| Ann | 10 |\n| Bob Smith | 20 |\nafter';
+  assert.equal(omitTableText(markdown, [table]).text, `Text\n${note}\n\nafter`);
+  const [found] = extractMarkdownTables(markdown);
+  assert.deepEqual([found.columns, found.rows], [['Name', 'Amount'], [['Ann', '10'], ['Bob Smith', '20']]]);
+});
+
+test('a chunk with part of a table only loses that part', () => {
+  const { text, omittedRows } = omitTableText('Ann | 10\nAnnual report', [table]);
+  assert.equal(omittedRows, 1);
+  assert.ok(text.endsWith('\nAnnual report'));
+  assert.deepEqual(omitTableText('No table here', [table]), { text: 'No table here', omittedRows: 0 });
+});
+
+test('HTML tables become text lines and decoded tables', () => {
+  const { html, tables } = extractHtmlTables('<p>a</p><table><tr><th>A &amp; B</th><th colspan="2">C</th></tr><tr><td>1</td><td>2</td><td>3</td></tr></table><p>b</p>');
+  assert.equal(html, '<p>a</p><p>A &amp; B | C | <br>1 | 2 | 3</p><p>b</p>');
+  assert.deepEqual(tables[0].columns, ['A & B', 'C', 'Column 3']);
+  assert.deepEqual(tables[0].rows, [['1', '2', '3']]);
+  assert.equal(decodeHtmlEntities('&#x41;&#66;&euro;&unknown;'), 'AB€&unknown;');
+});
+
+test('JSON arrays of objects become tables titled by their path', () => {
+  const { text, tables } = jsonTextAndTables({ a: 1, items: [{ id: 1, name: 'x' }, { id: 2, tags: [1] }] });
+  assert.equal(text, 'a: 1\nitems:\nid | name\n1 | x\n2 | \nitems[1].tags[0]: 1');
+  assert.deepEqual(tables.map(found => [found.title, found.columns, found.rows]), [['items', ['id', 'name'], [['1', 'x'], ['2', '']]]]);
+});
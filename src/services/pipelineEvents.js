@@ -0,0 +1,89 @@
+/**
+ * Pipeline Events Service
+ * In-process event bus for pipeline progress (consumed by the SSE endpoint)
+ *
+ * Recent events are buffered per document so late subscribers can catch up
+ * (e.g. after an SSE reconnect with Last-Event-ID).
+ */
+
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+
+const MAX_EVENTS_PER_DOCUMENT = parseInt(process.env.PIPELINE_EVENTS_BUFFER_SIZE || '200');
+const MAX_BUFFERED_DOCUMENTS = 100;
+
+const emitter = new EventEmitter();
+// One listener per open SSE connection
+emitter.setMaxListeners(0);
+
+const eventBuffers = new Map(); // docId -> Array of events
+let nextEventId = 1;
+
+/**
+ * Emit a pipeline event for a document
+ * @param {string} docId - Document ID
+ * @param {string} type - Event type ('pipeline', 'stage', 'chunk', 'review', 'conformance')
+ * @param {object} data - Event payload (status, durationMs, error, ...)
+ * @returns {object} - The emitted event
+ */
+export function emitPipelineEvent(docId, type, data = {}) {
+  const key = docId.toString();
+  const event = {
+    id: nextEventId++,
+    type,
+    docId: key,
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+
+  // A new run starts with a fresh history
+  if (type === 'pipeline' && data.status === 'started') {
+    eventBuffers.delete(key);
+  }
+
+  let buffer = eventBuffers.get(key);
+  if (!buffer) {
+    buffer = [];
+    eventBuffers.set(key, buffer);
+    // Drop the least recently started document's history
+    if (eventBuffers.size > MAX_BUFFERED_DOCUMENTS) {
+      eventBuffers.delete(eventBuffers.keys().next().value);
+    }
+  }
+  buffer.push(event);
+  if (buffer.length > MAX_EVENTS_PER_DOCUMENT) {
+    buffer.shift();
+  }
+
+  try {
+    emitter.emit(key, event);
+  } catch (error) {
+    // Subscribers must never break the pipeline
+    logger.warn('Pipeline event listener failed', { docId: key, type, error: error.message });
+  }
+
+  return event;
+}
+
+/**
+ * Subscribe to pipeline events for a document
+ * @param {string} docId - Document ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribePipelineEvents(docId, listener) {
+  const key = docId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+/**
+ * Get buffered events for a document
+ * @param {string} docId - Document ID
+ * @param {number} afterId - Only return events with a greater ID
+ * @returns {Array<object>}
+ */
+export function getRecentPipelineEvents(docId, afterId = 0) {
+  const buffer = eventBuffers.get(docId.toString()) || [];
+  return buffer.filter(event => event.id > afterId);
+}
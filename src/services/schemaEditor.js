@@ -0,0 +1,140 @@
+/**
+ * Schema Editor Service
+ * Manual corrections of a document's extracted schema
+ *
+ * Edits never modify a stored version: each PUT/PATCH is validated with the strict
+ * validateSchema rules and saved as a new schema version with source 'user'.
+ */
+
+import Document from '../models/Document.js';
+import Schema from '../models/Schema.js';
+import { validateSchema } from './schemaExtraction/index.js';
+import { rebuildGlobalSchema } from './schemaRegistry.js';
+import { logger } from '../utils/logger.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Apply a partial update to a schema
+ * Patch format:
+ *   nodes: { Label: [props] }      - add a label or replace its properties
+ *   nodes: { Label: null }         - remove a label (and the relationships that use it)
+ *   addRelationships: [{ type, from, to }]
+ *   removeRelationships: [{ type, from, to }]
+ * @param {{nodes: object, relationships: Array}} schema - Current schema
+ * @param {object} patch - Partial update
+ * @returns {{nodes: object, relationships: Array}} - Patched copy
+ */
+export function applySchemaPatch(schema, patch = {}) {
+  const nodes = { ...(schema.nodes || {}) };
+  let relationships = (schema.relationships || []).map(({ type, from, to }) => ({ type, from, to }));
+  const sameRel = (a, b) => a.type === b.type && a.from === b.from && a.to === b.to;
+
+  const unknownKeys = Object.keys(patch).filter(key => !['nodes', 'addRelationships', 'removeRelationships'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw httpError(`Unknown patch keys: ${unknownKeys.join(', ')}`, 400);
+  }
+
+  for (const [label, props] of Object.entries(patch.nodes || {})) {
+    if (props === null) {
+      delete nodes[label];
+      relationships = relationships.filter(rel => rel.from !== label && rel.to !== label);
+    } else {
+      nodes[label] = props;
+    }
+  }
+
+  for (const rel of patch.removeRelationships || []) {
+    relationships = relationships.filter(existing => !sameRel(existing, rel));
+  }
+
+  for (const rel of patch.addRelationships || []) {
+    if (!relationships.some(existing => sameRel(existing, rel))) {
+      relationships.push({ type: rel?.type, from: rel?.from, to: rel?.to });
+    }
+  }
+
+  return { nodes, relationships };
+}
+
+/**
+ * Get the current schema version for a document
+ * @param {string} docId - Document ID
+ * @returns {Promise<object|null>} - Schema document, or null if none was extracted
+ */
+export async function getCurrentSchema(docId) {
+  return Schema.findLatest(docId);
+}
+
+/**
+ * Validate and store an edited schema as a new version
+ * @param {string} docId - Document ID
+ * @param {{nodes: object, relationships: Array}} schema - Complete edited schema
+ * @param {object} options - Edit metadata
+ * @param {string} options.editedBy - Who made the edit
+ * @param {string} options.comment - Why the schema was edited
+ * @returns {Promise<object>} - Saved Schema document
+ */
+export async function saveSchemaEdit(docId, schema, { editedBy = null, comment = null } = {}) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw httpError('Document not found', 404);
+  }
+
+  validateSchema(schema, { strict: true });
+
+  const current = await Schema.findLatest(docId);
+  const latestVersion = await Schema.findOne({ docId }).sort({ version: -1 }).select('version');
+
+  const schemaDoc = new Schema({
+    docId,
+    version: (latestVersion?.version || 0) + 1,
+    nodes: schema.nodes,
+    relationships: schema.relationships,
+    source: 'user',
+    basedOnVersion: current ? current.version : null,
+    editedBy,
+    comment,
+    documentType: current?.documentType || null,
+    schemaPack: current?.schemaPack || null
+  });
+
+  try {
+    await schemaDoc.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError('Schema was changed concurrently, fetch it again and retry', 409);
+    }
+    throw error;
+  }
+
+  logger.info('Schema edited', {
+    docId,
+    version: schemaDoc.version,
+    basedOnVersion: schemaDoc.basedOnVersion,
+    editedBy
+  });
+
+  try {
+    await rebuildGlobalSchema();
+  } catch (registryError) {
+    logger.warn('Failed to update global schema', { docId, error: registryError.message });
+  }
+
+  return schemaDoc;
+}
+
+/**
+ * Patch the current schema and store the result as a new version
+ * @param {string} docId - Document ID
+ * @param {object} patch - Partial update (see applySchemaPatch)
+ * @param {object} options - Edit metadata (see saveSchemaEdit)
+ * @returns {Promise<object>} - Saved Schema document
+ */
+export async function patchSchema(docId, patch, options = {}) {
+  const current = await Schema.findLatest(docId);
+  if (!current) {
+    throw httpError('Schema not found for document', 404);
+  }
+
+  return saveSchemaEdit(docId, applySchemaPatch(current, patch), options);
+}
@@ -7,35 +7,42 @@ import { callLLM, extractJSON } from '../../utils/llm.js';
 import { logger } from '../../utils/logger.js';
 import Document from '../../models/Document.js';
 import Schema from '../../models/Schema.js';
+import PartialSchema from '../../models/PartialSchema.js';
+import DocumentChunk from '../../models/DocumentChunk.js';
 import { detectDocumentType, getDocumentTypePrompts } from '../../utils/documentTypeDetector.js';
 import { retryWithBackoff, isRetryableError } from '../../utils/retry.js';
-import { REFERENCE_BPM_SCHEMA } from '../../config/reference-schema.js';
+import { rebuildGlobalSchema, LABEL_PATTERN, PROPERTY_PATTERN, RELATIONSHIP_TYPE_PATTERN } from '../schemaRegistry.js';
+import { resolveDocumentSchemaPack } from '../schemaPacks.js';
+import { estimateTokens, promptBudget, contextWindowOptions } from '../../utils/tokens.js';
+import { fitTextToBudget } from '../../utils/chunking.js';
+import { assertSchemaExtractionMode, schemaPasses, reconcileSchemas } from './multiPass.js';
+import { httpError } from '../../utils/httpError.js';
 
 const SCHEMA_MODEL_PROVIDER = process.env.SCHEMA_MODEL_PROVIDER || process.env.LLM_PROVIDER || 'ollama';
 const SCHEMA_MODEL = process.env.SCHEMA_MODEL || 'deepseek-r1:7b';
 const SCHEMA_EXTRACTION_TIMEOUT = parseInt(process.env.SCHEMA_EXTRACTION_TIMEOUT_MS || process.env.OLLAMA_TIMEOUT_MS || '900000'); // 15 minutes default
+// Tokens kept free in the context window for the schema JSON
+const SCHEMA_OUTPUT_TOKENS = 2048;
+const SCHEMA_EXTRACTION_MODE = process.env.SCHEMA_EXTRACTION_MODE || 'single'; // single or multi_pass
+const SCHEMA_LLM_CONSOLIDATION = process.env.SCHEMA_LLM_CONSOLIDATION === 'true';
 
 /**
  * Build schema extraction prompt
- * @param {string} text - Document text
+ * The text is used as given; extractSchema fits it into the model's context window first.
+ * @param {string} text - Document text (or one part of it)
  * @param {string} docType - Document type (business, financial, technical, etc.)
+ * @param {object|null} pack - Schema pack used as the reference schema
  */
-function buildSchemaPrompt(text, docType = 'general') {
+function buildSchemaPrompt(text, docType = 'general', pack = null) {
   const typePrompts = getDocumentTypePrompts(docType);
-  
-  // Truncate text if too long (keep it focused)
-  const maxTextLength = 10000;
-  const truncatedText = text.length > maxTextLength 
-    ? text.substring(0, maxTextLength) + '\n[... document continues ...]'
-    : text;
-
-  // Build reference schema examples for business documents
+
+  // Build reference schema examples from the selected schema pack
   let referenceSchemaHint = '';
-  if (docType === 'business' || docType === 'financial') {
-    const refNodeTypes = Object.entries(REFERENCE_BPM_SCHEMA.nodes)
+  if (pack) {
+    const refNodeTypes = Object.entries(pack.nodes)
       .map(([label, props]) => `  - ${label}: [${props.join(', ')}]`)
       .join('\n');
-    const refRelationships = REFERENCE_BPM_SCHEMA.relationships
+    const refRelationships = pack.relationships
       .map(rel => `  - ${rel.from} --[${rel.type}]--> ${rel.to}`)
       .join('\n');
     
@@ -46,7 +53,7 @@ ${refNodeTypes}
 Relationships:
 ${refRelationships}
 
-Use this as a guide for naming conventions and structure, but extract what's actually in YOUR document.`;
+Use this as a guide for naming conventions and structure, but extract what's actually in YOUR document.${pack.hints.schema ? `\n${pack.hints.schema}` : ''}`;
   }
 
   return `You are a graph schema extraction expert. Analyze the following ${docType} document and extract a graph schema that represents the entities, their properties, and relationships.
@@ -117,17 +124,104 @@ CRITICAL RULES - Follow These Exactly:
 ${typePrompts.schemaHints ? `\nDocument Type Hints:\n${typePrompts.schemaHints}` : ''}
 
 Document text:
-${truncatedText}${referenceSchemaHint}
+${text}${referenceSchemaHint}
 
 Output JSON only (no markdown, no explanations):`;
 }
 
+const GENERIC_RELATIONSHIP_TYPES = ['CONNECTS_TO', 'RELATED_TO', 'LINKS_TO'];
+
+/**
+ * Collect every structure and naming-convention violation in a schema
+ * @param {object} schema - Schema to check
+ * @returns {Array<string>} - Human-readable violations (empty if valid)
+ */
+function collectSchemaViolations(schema) {
+  const violations = [];
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return ['schema must be an object'];
+  }
+
+  const extraKeys = Object.keys(schema).filter(key => key !== 'nodes' && key !== 'relationships');
+  if (extraKeys.length > 0) {
+    violations.push(`unexpected keys: ${extraKeys.join(', ')} (only "nodes" and "relationships" are allowed)`);
+  }
+
+  if (!schema.nodes || typeof schema.nodes !== 'object' || Array.isArray(schema.nodes)) {
+    violations.push('nodes must be an object of { Label: [properties] }');
+  } else {
+    for (const [label, props] of Object.entries(schema.nodes)) {
+      if (!LABEL_PATTERN.test(label)) {
+        violations.push(`node label "${label}" must be PascalCase`);
+      }
+      if (!Array.isArray(props)) {
+        violations.push(`properties of ${label} must be an array`);
+        continue;
+      }
+      const seen = new Set();
+      for (const prop of props) {
+        if (typeof prop !== 'string' || !PROPERTY_PATTERN.test(prop)) {
+          violations.push(`property "${prop}" of ${label} must be a camelCase string`);
+        } else if (seen.has(prop)) {
+          violations.push(`property "${prop}" of ${label} is listed twice`);
+        }
+        seen.add(prop);
+      }
+    }
+  }
+
+  if (!Array.isArray(schema.relationships)) {
+    violations.push('relationships must be an array of { type, from, to }');
+  } else {
+    const labels = new Set(Object.keys(schema.nodes || {}));
+    const seen = new Set();
+    schema.relationships.forEach((rel, i) => {
+      if (!rel || !rel.type || !rel.from || !rel.to) {
+        violations.push(`relationship at index ${i} must have type, from and to`);
+        return;
+      }
+      if (!RELATIONSHIP_TYPE_PATTERN.test(rel.type)) {
+        violations.push(`relationship type "${rel.type}" must be UPPER_SNAKE_CASE`);
+      }
+      if (GENERIC_RELATIONSHIP_TYPES.includes(rel.type)) {
+        violations.push(`relationship type "${rel.type}" is too generic - use a business-meaningful name`);
+      }
+      for (const end of [rel.from, rel.to]) {
+        if (!labels.has(end)) {
+          violations.push(`relationship ${rel.type} references unknown node label "${end}"`);
+        }
+      }
+      const key = `${rel.from}|${rel.type}|${rel.to}`;
+      if (seen.has(key)) {
+        violations.push(`relationship ${rel.from} --[${rel.type}]--> ${rel.to} is listed twice`);
+      }
+      seen.add(key);
+    });
+  }
+
+  return violations;
+}
+
 /**
  * Validate extracted schema structure
+ * LLM output is repaired where possible; strict mode (user-edited schemas) rejects any violation instead
  * @param {object} schema - Extracted schema
+ * @param {object} options - Validation options
+ * @param {boolean} options.strict - Throw on structure or naming-convention violations
  * @returns {object} - Validated schema
  */
-function validateSchema(schema) {
+export function validateSchema(schema, { strict = false } = {}) {
+  if (strict) {
+    const violations = collectSchemaViolations(schema);
+    if (violations.length > 0) {
+      const error = httpError(`Invalid schema: ${violations.length} violation(s)`, 400);
+      error.violations = violations;
+      throw error;
+    }
+    return schema;
+  }
+
   if (!schema || typeof schema !== 'object') {
     throw new Error('Invalid schema format: schema must be an object');
   }
@@ -166,73 +260,216 @@ function validateSchema(schema) {
   return schema;
 }
 
+/**
+ * Build the prompt that consolidates a schema merged from several passes
+ * @param {{nodes: object, relationships: Array}} schema - Reconciled schema
+ * @param {string} docType - Document type
+ */
+function buildConsolidationPrompt(schema, docType = 'general') {
+  return `The graph schema below was merged from partial schemas, each extracted from a different part of one ${docType} document. The parts were read separately, so the same concept may appear under different names.
+
+Consolidate the schema:
+1. Merge node labels that mean the same thing (e.g. "Company" and "Organization"), keeping the clearest name
+2. Merge properties of a label that mean the same thing (e.g. "dob" and "dateOfBirth")
+3. Merge relationship types that mean the same thing between the same labels (e.g. "EMPLOYS" and "HAS_EMPLOYEE" in the same direction)
+4. Update the "from" and "to" of every relationship to the merged labels
+5. Do not remove anything that is not a duplicate and do not add labels, properties or relationships
+6. Keep the naming conventions: PascalCase labels, camelCase properties, UPPER_SNAKE_CASE relationship types
+
+Schema:
+${JSON.stringify({ nodes: schema.nodes, relationships: schema.relationships }, null, 2)}
+
+Output ONLY the consolidated schema as JSON in the same format, with only the keys "nodes" and "relationships" (no markdown, no explanations):`;
+}
+
+const schemaSize = (schema) => ({
+  nodeTypes: Object.keys(schema.nodes).length,
+  relationshipTypes: schema.relationships.length
+});
+
+/**
+ * Ask the LLM to merge synonyms left in a schema merged from several passes
+ * The merged schema is kept when the call fails or the answer drops more than half of the labels.
+ * @param {{nodes: object, relationships: Array}} schema - Reconciled schema
+ * @param {object} context - Extraction context
+ * @param {string} context.docId - Document ID (for logging)
+ * @param {string} context.docType - Document type
+ * @returns {Promise<{schema: {nodes: object, relationships: Array}, consolidation: object}>}
+ */
+async function consolidateSchema(schema, { docId, docType }) {
+  const systemPrompt = 'You are a precise graph schema consolidation system. Output only valid JSON, no other text.';
+  const prompt = buildConsolidationPrompt(schema, docType);
+  const before = schemaSize(schema);
+  const consolidation = { status: 'failed', model: SCHEMA_MODEL, before, after: null, error: null };
+
+  const budget = promptBudget({
+    model: SCHEMA_MODEL,
+    instructions: `${systemPrompt}\n\n${prompt}`,
+    maxOutputTokens: SCHEMA_OUTPUT_TOKENS
+  });
+  if (budget.availableTokens === 0) {
+    consolidation.error = `Merged schema does not fit the ${budget.contextWindow}-token context window`;
+    logger.warn('Skipping schema consolidation', { docId, error: consolidation.error });
+    return { schema, consolidation };
+  }
+
+  try {
+    const response = await retryWithBackoff(
+      () => callLLM(
+        SCHEMA_MODEL_PROVIDER,
+        SCHEMA_MODEL,
+        prompt,
+        systemPrompt,
+        {
+          temperature: 0.1,
+          timeout: SCHEMA_EXTRACTION_TIMEOUT,
+          ...contextWindowOptions(SCHEMA_MODEL_PROVIDER, SCHEMA_MODEL)
+        }
+      ),
+      {
+        maxRetries: 3,
+        initialDelay: 1000,
+        maxDelay: 10000,
+        shouldRetry: isRetryableError,
+        context: `schema-consolidation-${docId}`
+      }
+    );
+
+    // Normalised like a single pass, so names follow the conventions and relationship ends exist
+    const { nodes, relationships } = reconcileSchemas([validateSchema(extractJSON(response))]);
+    const consolidated = { nodes, relationships };
+    consolidation.after = schemaSize(consolidated);
+
+    if (consolidation.after.nodeTypes === 0 || consolidation.after.nodeTypes < before.nodeTypes / 2) {
+      consolidation.status = 'rejected';
+      consolidation.error = `Consolidation kept ${consolidation.after.nodeTypes} of ${before.nodeTypes} labels`;
+      logger.warn('Schema consolidation rejected, keeping merged schema', { docId, ...consolidation });
+      return { schema, consolidation };
+    }
+
+    consolidation.status = 'applied';
+    logger.info('Schema consolidated', { docId, before, after: consolidation.after });
+    return { schema: consolidated, consolidation };
+  } catch (error) {
+    consolidation.error = error.message;
+    logger.warn('Schema consolidation failed, keeping merged schema', { docId, error: error.message });
+    return { schema, consolidation };
+  }
+}
+
 /**
  * Extract schema from document
+ * In single mode the whole text is one pass; in multi_pass mode each chunk is a pass.
+ * A pass that does not fit the model's context window is split further. The schemas of
+ * several passes are stored as PartialSchemas and reconciled into one (see multiPass.js),
+ * optionally followed by an LLM consolidation. The prompt budget is stored on the version.
+ * Each extraction is stored as a new version; earlier versions are kept
  * @param {string} docId - MongoDB document ID
+ * @param {object} options - Extraction options
+ * @param {boolean} options.reextract - Extract again even if a schema already exists
+ * @param {string} options.mode - single or multi_pass
+ * @param {boolean} options.consolidate - Consolidate a schema merged from several passes with the LLM
  * @returns {Promise<object>} - Extracted schema
  */
-export async function extractSchema(docId) {
+export async function extractSchema(docId, {
+  reextract = false,
+  mode = SCHEMA_EXTRACTION_MODE,
+  consolidate = SCHEMA_LLM_CONSOLIDATION
+} = {}) {
+  assertSchemaExtractionMode(mode);
+
   const doc = await Document.findById(docId);
   if (!doc) {
     throw new Error(`Document not found: ${docId}`);
   }
 
   // Check if schema already exists
-  const existingSchema = await Schema.findOne({ docId });
-  if (existingSchema) {
-    logger.info('Using existing schema', { docId, schemaId: existingSchema._id });
+  const existingSchema = await Schema.findLatest(docId);
+  if (existingSchema && !reextract) {
+    logger.info('Using existing schema', { docId, schemaId: existingSchema._id, version: existingSchema.version });
     return {
       nodes: existingSchema.nodes,
       relationships: existingSchema.relationships
     };
   }
 
-  logger.info('Extracting schema', { docId, filename: doc.filename });
+  // Failed extractions hold a version number too
+  const latestVersion = await Schema.findOne({ docId }).sort({ version: -1 }).select('version');
+  const version = (latestVersion?.version || 0) + 1;
+  const extractionStartTime = Date.now();
+
+  logger.info('Extracting schema', { docId, filename: doc.filename, version, mode });
 
   // Get document text from chunks or full text
+  const chunks = await DocumentChunk.find({ docId }).sort({ chunkIndex: 1 });
   let documentText = '';
   if (doc.fullText) {
     documentText = doc.fullText;
+  } else if (chunks.length > 0) {
+    documentText = chunks.map(c => c.rawText).join('\n\n');
   } else {
-    // Try to get from chunks
-    const DocumentChunk = (await import('../../models/DocumentChunk.js')).default;
-    const chunks = await DocumentChunk.find({ docId }).sort({ chunkIndex: 1 });
-    if (chunks.length > 0) {
-      documentText = chunks.map(c => c.text).join('\n\n');
-    } else {
-      throw new Error(`No text found for document ${docId}`);
-    }
+    throw new Error(`No text found for document ${docId}`);
   }
 
   // Detect document type
   const docType = detectDocumentType(doc.filename, documentText);
+  const pack = await resolveDocumentSchemaPack(doc, docType);
 
-  // Build prompt
-  const prompt = buildSchemaPrompt(documentText, docType);
   const systemPrompt = 'You are a precise graph schema extraction system. Output only valid JSON, no other text.';
 
+  // Fit each pass into what the instructions leave of the context window
+  const budget = promptBudget({
+    model: SCHEMA_MODEL,
+    instructions: `${systemPrompt}\n\n${buildSchemaPrompt('', docType, pack)}`,
+    maxOutputTokens: SCHEMA_OUTPUT_TOKENS
+  });
+  const passTexts = mode === 'multi_pass'
+    ? schemaPasses(documentText, chunks)
+    : [{ text: documentText, chunkId: null, chunkIndex: null, sectionPath: [] }];
+  const fits = passTexts.map(pass => ({ pass, ...fitTextToBudget(pass.text, budget.availableTokens) }));
+  const passes = fits.flatMap(({ pass, parts }) => parts.map(text => ({ ...pass, text })));
+  const truncated = fits.some(fit => fit.truncated);
+  const promptBudgetRecord = {
+    ...budget,
+    textTokens: fits.reduce((sum, fit) => sum + fit.textTokens, 0),
+    strategy: truncated ? 'truncated' : passes.length > 1 ? 'map_reduce' : 'single',
+    parts: passes.length,
+    truncated,
+    droppedTokens: fits.reduce((sum, fit) => sum + fit.droppedTokens, 0),
+    droppedChars: fits.reduce((sum, fit) => sum + fit.droppedChars, 0)
+  };
+  if (truncated) {
+    logger.warn('Document text truncated to fit the schema model context window', { docId, ...promptBudgetRecord });
+  }
+  const storePartials = mode === 'multi_pass' || passes.length > 1;
+
   // Call LLM with retry logic
-  const extractSchemaWithRetry = async () => {
+  const extractSchemaWithRetry = async (text, passIndex) => {
     logger.info('Calling schema extraction LLM', {
       docId,
       provider: SCHEMA_MODEL_PROVIDER,
       model: SCHEMA_MODEL,
+      schemaPack: pack?.name || null,
+      pass: passIndex + 1,
+      passes: passes.length,
       timeoutMs: SCHEMA_EXTRACTION_TIMEOUT
     });
 
     const response = await callLLM(
       SCHEMA_MODEL_PROVIDER,
       SCHEMA_MODEL,
-      prompt,
+      buildSchemaPrompt(text, docType, pack),
       systemPrompt,
       {
         temperature: 0.1,
-        timeout: SCHEMA_EXTRACTION_TIMEOUT
+        timeout: SCHEMA_EXTRACTION_TIMEOUT,
+        ...contextWindowOptions(SCHEMA_MODEL_PROVIDER, SCHEMA_MODEL)
       }
     );
 
     logger.info('Schema extraction LLM response received', {
       docId,
+      pass: passIndex + 1,
       responseLength: response?.length || 0
     });
 
@@ -254,6 +491,7 @@ export async function extractSchema(docId) {
 
     logger.info('Schema extracted successfully', {
       docId,
+      pass: passIndex + 1,
       nodeCount: Object.keys(schema.nodes).length,
       relationshipCount: schema.relationships.length
     });
@@ -261,22 +499,95 @@ export async function extractSchema(docId) {
     return schema;
   };
 
+  let failedPassCount = 0;
+  let reconciliation = null;
+  let consolidation = null;
+
   try {
-    const schema = await retryWithBackoff(extractSchemaWithRetry, {
-      maxRetries: 3,
-      initialDelay: 1000,
-      maxDelay: 10000,
-      isRetryable: isRetryableError
-    });
+    const partials = [];
+    for (const [passIndex, pass] of passes.entries()) {
+      const passStartTime = Date.now();
+      const partial = {
+        docId,
+        schemaVersion: version,
+        passIndex,
+        chunkId: pass.chunkId,
+        chunkIndex: pass.chunkIndex,
+        sectionPath: pass.sectionPath,
+        textTokens: estimateTokens(pass.text)
+      };
+      try {
+        const schema = await retryWithBackoff(() => extractSchemaWithRetry(pass.text, passIndex), {
+          maxRetries: 3,
+          initialDelay: 1000,
+          maxDelay: 10000,
+          isRetryable: isRetryableError
+        });
+        partials.push({ ...partial, nodes: schema.nodes, relationships: schema.relationships });
+      } catch (passError) {
+        if (passes.length === 1) {
+          throw passError;
+        }
+        // One unreadable part must not cost the labels found in all the others
+        failedPassCount++;
+        logger.warn('Schema extraction pass failed, merging the other passes', {
+          docId,
+          pass: passIndex + 1,
+          error: passError.message
+        });
+        partials.push({ ...partial, status: 'error', error: passError.message });
+      }
+      partials[partials.length - 1].extractionTimeMs = Date.now() - passStartTime;
+    }
+
+    if (storePartials) {
+      await PartialSchema.insertMany(partials);
+    }
+
+    const extracted = partials.filter(partial => partial.status !== 'error');
+    if (extracted.length === 0) {
+      throw new Error(`All ${passes.length} schema extraction passes failed`);
+    }
+
+    let schema = { nodes: extracted[0].nodes, relationships: extracted[0].relationships };
+    if (passes.length > 1) {
+      const reconciled = reconcileSchemas(extracted);
+      schema = { nodes: reconciled.nodes, relationships: reconciled.relationships };
+      reconciliation = reconciled.reconciliation;
+      logger.info('Partial schemas merged', {
+        docId,
+        passes: passes.length,
+        failedPasses: failedPassCount,
+        nodeCount: Object.keys(schema.nodes).length,
+        relationshipCount: schema.relationships.length,
+        reconciledLabels: reconciliation.labels.length,
+        reconciledProperties: reconciliation.properties.length,
+        reconciledRelationshipTypes: reconciliation.relationshipTypes.length
+      });
+
+      if (consolidate) {
+        ({ schema, consolidation } = await consolidateSchema(schema, { docId, docType }));
+      }
+    }
 
     // Save schema to MongoDB
     const schemaDoc = new Schema({
       docId,
+      version,
       nodes: schema.nodes,
       relationships: schema.relationships,
       rawResponse: null, // Don't store raw response to save space
       extractionModel: SCHEMA_MODEL,
-      extractionProvider: SCHEMA_MODEL_PROVIDER
+      extractionProvider: SCHEMA_MODEL_PROVIDER,
+      documentType: docType,
+      schemaPack: pack?.name || null,
+      promptBudget: promptBudgetRecord,
+      extractionMode: mode,
+      passCount: passes.length,
+      failedPassCount,
+      reconciliation,
+      consolidation,
+      extractionTimeMs: Date.now() - extractionStartTime
     });
 
     await schemaDoc.save();
@@ -284,10 +595,18 @@ export async function extractSchema(docId) {
     logger.info('Schema saved to MongoDB', {
       docId,
       schemaId: schemaDoc._id,
+      version,
       nodeCount: Object.keys(schema.nodes).length,
       relationshipCount: schema.relationships.length
     });
 
+    // Keep the cross-document catalogue in sync (failure must not fail extraction)
+    try {
+      await rebuildGlobalSchema();
+    } catch (registryError) {
+      logger.warn('Failed to update global schema', { docId, error: registryError.message });
+    }
+
     return schema;
   } catch (error) {
     logger.error('Schema extraction failed', {
@@ -300,11 +619,20 @@ export async function extractSchema(docId) {
     try {
       const errorSchema = new Schema({
         docId,
+        version,
+        status: 'error',
         nodes: {},
         relationships: [],
         rawResponse: `ERROR: ${error.message}`,
         extractionModel: SCHEMA_MODEL,
-        extractionProvider: SCHEMA_MODEL_PROVIDER
+        extractionProvider: SCHEMA_MODEL_PROVIDER,
+        documentType: docType,
+        schemaPack: pack?.name || null,
+        promptBudget: promptBudgetRecord,
+        extractionMode: mode,
+        passCount: passes.length,
+        failedPassCount,
+        extractionTimeMs: Date.now() - extractionStartTime
       });
       await errorSchema.save();
     } catch (saveError) {
@@ -315,3 +643,47 @@ export async function extractSchema(docId) {
   }
 }
 
+/**
+ * Partial schemas merged into a schema version
+ * @param {string} docId - Document ID
+ * @param {number} version - Schema version (defaults to the current one)
+ * @returns {Promise<{docId: string, version: number, extractionMode: string, passCount: number,
+ *   failedPassCount: number, reconciliation: object|null, consolidation: object|null, partials: Array<object>}>}
+ * @throws {Error} 404 if the document or schema version does not exist
+ */
+export async function getPartialSchemas(docId, version = null) {
+  const doc = await Document.findById(docId);
+  if (!doc) {
+    throw httpError('Document not found', 404);
+  }
+
+  const schema = version === null
+    ? await Schema.findLatest(docId)
+    : await Schema.findOne({ docId, version });
+  if (!schema) {
+    throw httpError('Schema version not found', 404);
+  }
+
+  const partials = await PartialSchema.find({ docId, schemaVersion: schema.version }).sort({ passIndex: 1 });
+  return {
+    docId,
+    version: schema.version,
+    extractionMode: schema.extractionMode || 'single',
+    passCount: schema.passCount ?? 1,
+    failedPassCount: schema.failedPassCount || 0,
+    reconciliation: schema.reconciliation || null,
+    consolidation: schema.consolidation || null,
+    partials: partials.map(partial => ({
+      passIndex: partial.passIndex,
+      chunkId: partial.chunkId,
+      chunkIndex: partial.chunkIndex,
+      sectionPath: partial.sectionPath,
+      textTokens: partial.textTokens,
+      status: partial.status,
+      nodes: partial.nodes,
+      relationships: partial.relationships,
+      error: partial.error,
+      extractionTimeMs: partial.extractionTimeMs
+    }))
+  };
+}
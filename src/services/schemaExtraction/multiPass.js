@@ -0,0 +1,68 @@
+/**
+ * Multi-pass schema extraction
+ * A partial schema is extracted from each chunk of the document and the partial schemas are
+ * reconciled into one: labels are unioned, spellings of the same label, property or relationship
+ * type are merged onto one name that follows the naming conventions, and duplicates are dropped.
+ */
+
+import { chunkDocument } from '../../utils/chunking.js';
+import { httpError } from '../../utils/httpError.js';
+import { mergeSchemas } from '../schemaRegistry.js';
+
+// single = one extraction over the text (map-reduce only when it overflows); multi_pass = one per chunk
+export const SCHEMA_EXTRACTION_MODES = ['single', 'multi_pass'];
+
+// Words per pass when the document has no stored chunks
+const SCHEMA_PASS_SIZE_WORDS = parseInt(process.env.SCHEMA_PASS_SIZE_WORDS || '2000');
+
+/**
+ * Validate a schema extraction mode
+ * @param {string} mode - Extraction mode
+ * @throws {Error} 400 if the mode is unknown
+ */
+export function assertSchemaExtractionMode(mode) {
+  if (!SCHEMA_EXTRACTION_MODES.includes(mode)) {
+    throw httpError(`schemaExtractionMode must be one of: ${SCHEMA_EXTRACTION_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Texts of the extraction passes
+ * The document's stored chunks when it was chunked, else paragraphs packed into SCHEMA_PASS_SIZE_WORDS
+ * @param {string} text - Document text
+ * @param {Array<object>} chunks - Stored DocumentChunks, in order
+ * @returns {Array<{text: string, chunkId: object|null, chunkIndex: number|null, sectionPath: Array<string>}>}
+ */
+export function schemaPasses(text, chunks = []) {
+  if (chunks.length > 0) {
+    return chunks.map(chunk => ({
+      text: chunk.rawText,
+      chunkId: chunk._id,
+      chunkIndex: chunk.chunkIndex,
+      sectionPath: chunk.sectionPath || []
+    }));
+  }
+  // Passes are sized in words only; a pass that overflows the context window is split when prompting
+  return chunkDocument(text, { strategy: 'paragraph', chunkSizeWords: SCHEMA_PASS_SIZE_WORDS, maxTokens: Infinity }).map(chunk => ({
+    text: chunk.text,
+    chunkId: null,
+    chunkIndex: null,
+    sectionPath: chunk.sectionPath
+  }));
+}
+
+/**
+ * Reconcile partial schemas into one schema
+ * Spellings are merged onto the naming conventions and plural labels onto their singular (see mergeSchemas)
+ * @param {Array<{nodes: object, relationships: Array}>} schemas - Partial schemas
+ * @returns {{nodes: object, relationships: Array<{type: string, from: string, to: string}>, reconciliation: object}}
+ *   Merged schema; reconciliation lists the names that were written in more than one way
+ */
+export function reconcileSchemas(schemas) {
+  const { nodes, relationships, reconciliation } = mergeSchemas(schemas, { conventions: true });
+  return {
+    nodes,
+    relationships: relationships.map(({ type, from, to }) => ({ type, from, to })),
+    reconciliation
+  };
+}
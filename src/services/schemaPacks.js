@@ -0,0 +1,296 @@
+/**
+ * Schema Pack Service
+ * Loads domain schema packs (JSON/YAML) from a directory
+ *
+ * A pack describes one domain (BPM, HR, legal, IT assets, ...): reference nodes and
+ * relationships, canonical relationship directions, relationship aliases, ID property
+ * conventions, variable prefixes and few-shot examples. Schema extraction, Cypher
+ * generation, fixCypherSyntax and formatStructuredCypher read the pack selected for a
+ * document instead of hard-coded Account/Party/Trade rules.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { logger } from '../utils/logger.js';
+import { assertTableMapping } from './tableMapping.js';
+import { httpError } from '../utils/httpError.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCHEMA_PACKS_DIR = process.env.SCHEMA_PACKS_DIR || path.join(__dirname, '../config/schema-packs');
+const DEFAULT_SCHEMA_PACK = process.env.DEFAULT_SCHEMA_PACK || null;
+
+// Explicit selection that disables pack rules for a document
+export const NO_SCHEMA_PACK = 'none';
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+let packCache = null;
+
+function isTriple(rel) {
+  return rel && typeof rel.from === 'string' && typeof rel.type === 'string' && typeof rel.to === 'string';
+}
+
+/**
+ * Validate a parsed pack file and fill in optional sections
+ * @param {object} raw - Parsed JSON/YAML content
+ * @param {string} file - File name (its base name is the default pack name)
+ * @returns {object} - Normalized pack
+ */
+export function normalizeSchemaPack(raw, file) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${file}: pack must be an object`);
+  }
+
+  const name = raw.name || path.basename(file, path.extname(file));
+  if (name === NO_SCHEMA_PACK) {
+    throw new Error(`${file}: "${NO_SCHEMA_PACK}" is reserved`);
+  }
+  if (!raw.nodes || typeof raw.nodes !== 'object' || Array.isArray(raw.nodes)) {
+    throw new Error(`${file}: "nodes" must be an object of Label: [properties]`);
+  }
+  for (const key of ['relationships', 'canonicalDirections', 'redundantRelationships', 'impliedRelationships']) {
+    if (raw[key] !== undefined && (!Array.isArray(raw[key]) || !raw[key].every(isTriple))) {
+      throw new Error(`${file}: "${key}" must be a list of { from, type, to }`);
+    }
+  }
+  for (const rule of raw.impliedRelationships || []) {
+    if (rule.each !== undefined && !['from', 'to'].includes(rule.each)) {
+      throw new Error(`${file}: impliedRelationships "each" must be "from" or "to"`);
+    }
+  }
+  if (raw.tableMappings !== undefined && !Array.isArray(raw.tableMappings)) {
+    throw new Error(`${file}: "tableMappings" must be a list`);
+  }
+  for (const [index, mapping] of (raw.tableMappings || []).entries()) {
+    try {
+      assertTableMapping(mapping);
+    } catch (error) {
+      throw new Error(`${file}: tableMappings[${index}]: ${error.message}`);
+    }
+  }
+
+  return {
+    name,
+    description: raw.description || '',
+    documentTypes: raw.documentTypes || [],
+    hints: { schema: raw.hints?.schema || '', cypher: raw.hints?.cypher || '' },
+    nodes: raw.nodes,
+    relationships: raw.relationships || [],
+    canonicalDirections: raw.canonicalDirections || [],
+    relationshipAliases: raw.relationshipAliases || {},
+    redundantRelationships: raw.redundantRelationships || [],
+    impliedRelationships: (raw.impliedRelationships || []).map(rule => ({ ...rule, each: rule.each || 'from' })),
+    idProperties: raw.idProperties || {},
+    propertyAliases: raw.propertyAliases || {},
+    variablePrefixes: raw.variablePrefixes || {},
+    tableMappings: raw.tableMappings || [],
+    examples: {
+      correct: raw.examples?.correct || [],
+      wrong: raw.examples?.wrong || []
+    },
+    file
+  };
+}
+
+/**
+ * Load all packs from SCHEMA_PACKS_DIR (cached after the first call)
+ * Invalid files are logged and skipped so one broken pack does not disable the others
+ * @param {object} options - Load options
+ * @param {boolean} options.reload - Read the directory again
+ * @returns {Promise<Map<string, object>>} - Pack name -> pack
+ */
+export async function loadSchemaPacks({ reload = false } = {}) {
+  if (packCache && !reload) {
+    return packCache;
+  }
+
+  const packs = new Map();
+  let files = [];
+  try {
+    files = (await fs.readdir(SCHEMA_PACKS_DIR))
+      .filter(file => PACK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+  } catch (error) {
+    logger.warn('Schema pack directory not readable', { dir: SCHEMA_PACKS_DIR, error: error.message });
+  }
+
+  for (const file of files) {
+    try {
+      const content = await fs.readFile(path.join(SCHEMA_PACKS_DIR, file), 'utf-8');
+      const raw = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+      const pack = normalizeSchemaPack(raw, file);
+      if (packs.has(pack.name)) {
+        logger.warn('Duplicate schema pack name, keeping the first file', { name: pack.name, file });
+        continue;
+      }
+      packs.set(pack.name, pack);
+    } catch (error) {
+      logger.warn('Skipping invalid schema pack', { file, error: error.message });
+    }
+  }
+
+  logger.info('Schema packs loaded', { dir: SCHEMA_PACKS_DIR, packs: [...packs.keys()] });
+  packCache = packs;
+  return packs;
+}
+
+/**
+ * List loaded packs
+ * @returns {Promise<Array<object>>} - Pack summaries
+ */
+export async function listSchemaPacks() {
+  const packs = await loadSchemaPacks();
+  return [...packs.values()].map(pack => ({
+    name: pack.name,
+    description: pack.description,
+    documentTypes: pack.documentTypes,
+    nodeTypes: Object.keys(pack.nodes).length,
+    relationshipTypes: pack.relationships.length,
+    isDefault: pack.name === DEFAULT_SCHEMA_PACK,
+    file: pack.file
+  }));
+}
+
+/**
+ * Get a pack by name
+ * @param {string} name - Pack name
+ * @returns {Promise<object|null>} - Pack or null if not loaded
+ */
+export async function getSchemaPack(name) {
+  const packs = await loadSchemaPacks();
+  return packs.get(name) || null;
+}
+
+/**
+ * Check an upload/process schemaPack option
+ * @param {string} name - Requested pack name (or "none")
+ * @throws {Error} - 400 if the pack does not exist
+ */
+export async function assertSchemaPackExists(name) {
+  if (!name || name === NO_SCHEMA_PACK) {
+    return;
+  }
+  if (!(await getSchemaPack(name))) {
+    const available = [...(await loadSchemaPacks()).keys()];
+    throw httpError(`Unknown schema pack "${name}" (available: ${available.join(', ') || 'none'})`, 400);
+  }
+}
+
+/**
+ * Select the pack for a document
+ * Order: explicit schemaPack option, first pack listing the document type, DEFAULT_SCHEMA_PACK
+ * @param {object} options - Selection inputs
+ * @param {string} options.schemaPack - Pack chosen at upload/process time ("none" disables packs)
+ * @param {string} options.docType - Detected document type
+ * @returns {Promise<object|null>} - Pack, or null to use generic rules only
+ */
+export async function resolveSchemaPack({ schemaPack = null, docType = null } = {}) {
+  if (schemaPack === NO_SCHEMA_PACK) {
+    return null;
+  }
+
+  const packs = await loadSchemaPacks();
+
+  if (schemaPack) {
+    const pack = packs.get(schemaPack);
+    if (pack) {
+      return pack;
+    }
+    logger.warn('Selected schema pack not found, falling back to document type', { schemaPack, docType });
+  }
+
+  if (docType) {
+    for (const pack of packs.values()) {
+      if (pack.documentTypes.includes(docType)) {
+        return pack;
+      }
+    }
+  }
+
+  return (DEFAULT_SCHEMA_PACK && packs.get(DEFAULT_SCHEMA_PACK)) || null;
+}
+
+/**
+ * Map a relationship onto the pack's canonical form
+ * Applies aliases (e.g. HELD_IN_POSITION -> IN_SECURITY), then flips the direction when
+ * the reverse pair is canonical, and flags pairs the pack marks as redundant.
+ * @param {object|null} pack - Schema pack
+ * @param {string} fromLabel - Start node label (may be unknown)
+ * @param {string} type - Relationship type as generated
+ * @param {string} toLabel - End node label (may be unknown)
+ * @returns {{type: string, flip: boolean, redundant: boolean}}
+ */
+export function canonicalizeRelationship(pack, fromLabel, type, toLabel) {
+  if (!pack) {
+    return { type, flip: false, redundant: false };
+  }
+
+  const sameType = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  const redundant = pack.redundantRelationships.some(rule =>
+    sameType(rule.type, type) && rule.from === fromLabel && rule.to === toLabel
+  );
+  if (redundant) {
+    return { type, flip: false, redundant: true };
+  }
+
+  const aliasKey = Object.keys(pack.relationshipAliases).find(alias => sameType(alias, type));
+  const canonicalType = aliasKey ? pack.relationshipAliases[aliasKey] : type;
+
+  const isCanonical = pack.canonicalDirections.some(rule =>
+    rule.type === canonicalType && rule.from === fromLabel && rule.to === toLabel
+  );
+  const flip = !isCanonical && pack.canonicalDirections.some(rule =>
+    rule.type === canonicalType && rule.from === toLabel && rule.to === fromLabel
+  );
+
+  return { type: canonicalType, flip, redundant: false };
+}
+
+/**
+ * Variable prefix for a label (pack convention, else the label's first letter)
+ * @param {object|null} pack - Schema pack
+ * @param {string} label - Node label
+ * @returns {string}
+ */
+export function getVariablePrefix(pack, label) {
+  return pack?.variablePrefixes?.[label] || label.toLowerCase().charAt(0);
+}
+
+/**
+ * ID property for a label according to the pack's ID conventions
+ * @param {object|null} pack - Schema pack
+ * @param {string} label - Node label
+ * @returns {string|null}
+ */
+export function getIdProperty(pack, label) {
+  return pack?.idProperties?.[label] || null;
+}
+
+/**
+ * Label for a node known only by its ID property, e.g. an inline ({addressId: "A1"})
+ * Uses the pack's ID conventions, else the property name (addressId -> Address)
+ * @param {object|null} pack - Schema pack
+ * @param {string} idProp - ID property name ending in "Id"
+ * @returns {string}
+ */
+export function getLabelForIdProperty(pack, idProp) {
+  const packLabel = Object.keys(pack?.idProperties || {}).find(label => pack.idProperties[label] === idProp);
+  return packLabel || idProp.charAt(0).toUpperCase() + idProp.slice(1).replace(/Id$/, '');
+}
+
+/**
+ * Select the pack for a document, honouring the upload and pipeline run choices
+ * @param {object} doc - Document (schemaPack chosen at upload, pipelineOptions.schemaPack per run)
+ * @param {string} docType - Detected document type
+ * @returns {Promise<object|null>} - Pack, or null to use generic rules only
+ */
+export async function resolveDocumentSchemaPack(doc, docType) {
+  return resolveSchemaPack({
+    schemaPack: doc?.pipelineOptions?.schemaPack || doc?.schemaPack || null,
+    docType
+  });
+}
@@ -0,0 +1,393 @@
+/**
+ * Schema Registry Service
+ * Merges every document schema into one versioned global catalogue
+ *
+ * Labels, properties and relationship types that differ only in case are
+ * deduplicated onto the most common spelling. Used by POST /query when no docId is given.
+ * The same merge reconciles the partial schemas of a multi-pass extraction.
+ * Also diffs schema versions of a single document.
+ */
+
+import crypto from 'crypto';
+import Schema from '../models/Schema.js';
+import GlobalSchema from '../models/GlobalSchema.js';
+import { logger } from '../utils/logger.js';
+
+// Naming conventions the schema extraction prompt asks for
+export const LABEL_PATTERN = /^[A-Z][A-Za-z0-9]*$/; // PascalCase
+export const RELATIONSHIP_TYPE_PATTERN = /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*$/; // UPPER_SNAKE_CASE
+export const PROPERTY_PATTERN = /^[a-z][A-Za-z0-9]*$/; // camelCase
+
+/**
+ * Words of a name in any casing ("first_name", "firstName", "First Name" -> first, name)
+ */
+function nameWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Key shared by all spellings of a name, whatever their casing and separators
+ */
+function nameKey(name) {
+  return nameWords(name).join('').toLowerCase();
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+const toPascalCase = (name) => nameWords(name).map(capitalize).join('');
+
+const toCamelCase = (name) => {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+};
+
+const toUpperSnakeCase = (name) => nameWords(name).map(word => word.toUpperCase()).join('_');
+
+const LABEL_CONVENTION = { pattern: LABEL_PATTERN, convert: toPascalCase };
+const PROPERTY_CONVENTION = { pattern: PROPERTY_PATTERN, convert: toCamelCase };
+const RELATIONSHIP_TYPE_CONVENTION = { pattern: RELATIONSHIP_TYPE_PATTERN, convert: toUpperSnakeCase };
+// Relationship types of the global schema are only upper-cased
+const UPPER_CASE = { pattern: /^[^a-z]+$/, convert: (name) => name.toUpperCase() };
+
+/**
+ * Pick the canonical spelling for each key: the most frequent one (ties keep the first seen),
+ * or with a convention the most frequent one that follows it, else the most frequent converted to it
+ * @param {Map<string, Map<string, number>>} spellings - key -> spelling -> count
+ * @param {{pattern: RegExp, convert: Function}|null} convention - Naming convention
+ * @returns {Map<string, {name: string, variants: Array<string>}>} - key -> canonical spelling and
+ *   every spelling seen, most frequent first
+ */
+function canonicalSpellings(spellings, convention = null) {
+  const canonical = new Map();
+  for (const [key, counts] of spellings) {
+    const variants = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([spelling]) => spelling);
+    const conforming = convention && variants.find(spelling => counts.get(spelling) > 0 && convention.pattern.test(spelling));
+    canonical.set(key, {
+      name: !convention ? variants[0] : conforming || convention.convert(variants[0]),
+      variants
+    });
+  }
+  return canonical;
+}
+
+function countSpelling(spellings, value, keyOf) {
+  const key = keyOf(value);
+  if (!key) {
+    return;
+  }
+  if (!spellings.has(key)) {
+    spellings.set(key, new Map());
+  }
+  const counts = spellings.get(key);
+  counts.set(value, (counts.get(value) || 0) + 1);
+}
+
+/**
+ * Fold plural label keys onto their singular when both were seen ("parties" -> "party")
+ * Plural spellings are kept as variants with no count, so they never win over the singular.
+ * @param {Map<string, Map<string, number>>} spellings - key -> spelling -> count
+ * @returns {Map<string, string>} - plural key -> singular key
+ */
+function foldPluralKeys(spellings) {
+  const aliases = new Map();
+  for (const key of spellings.keys()) {
+    const singulars = [
+      key.endsWith('ies') ? `${key.slice(0, -3)}y` : null,
+      key.endsWith('es') ? key.slice(0, -2) : null,
+      key.endsWith('s') ? key.slice(0, -1) : null
+    ];
+    const singular = singulars.find(candidate => candidate && candidate !== key && spellings.has(candidate));
+    if (singular) {
+      aliases.set(key, singular);
+    }
+  }
+  for (const [plural, singular] of aliases) {
+    const target = spellings.get(singular);
+    for (const spelling of spellings.get(plural).keys()) {
+      target.set(spelling, target.get(spelling) || 0);
+    }
+    spellings.delete(plural);
+  }
+  return aliases;
+}
+
+const isReconciled = ({ name, variants }) => variants.length > 1 || variants[0] !== name;
+
+/**
+ * Merge schemas into one deduplicated schema
+ * By default labels and properties that differ only in case are merged onto the most common
+ * spelling and relationship types are upper-cased. With conventions, as for the passes of one
+ * document, spellings that differ in casing or separators ("first_name", "firstName") are merged
+ * onto a name that follows the naming conventions, and plural labels onto their singular.
+ * @param {Array<{nodes: object, relationships: Array}>} schemas - Document or partial schemas
+ * @param {object} options - Merge options
+ * @param {boolean} options.conventions - Merge spellings onto the naming conventions
+ * @returns {{nodes: object, relationships: Array<{type: string, from: string, to: string, documents: number}>,
+ *   labelCounts: object, reconciliation: {labels: Array<{name: string, variants: Array<string>}>,
+ *   properties: Array<{label: string, name: string, variants: Array<string>}>,
+ *   relationshipTypes: Array<{name: string, variants: Array<string>}>, duplicateRelationships: number}}}
+ *   Merged schema, schemas per label and relationship, and the names that were written in more than one way
+ */
+export function mergeSchemas(schemas, { conventions = false } = {}) {
+  const keyOf = conventions ? nameKey : (name) => name.toLowerCase();
+
+  // Labels, including relationship endpoints that no schema listed as a node
+  const labelSpellings = new Map();
+  for (const schema of schemas) {
+    for (const label of Object.keys(schema.nodes || {})) {
+      countSpelling(labelSpellings, label.trim(), keyOf);
+    }
+    for (const rel of schema.relationships || []) {
+      for (const label of [rel?.from, rel?.to]) {
+        if (typeof label === 'string' && label.trim()) {
+          countSpelling(labelSpellings, label.trim(), keyOf);
+        }
+      }
+    }
+  }
+  const pluralAliases = conventions ? foldPluralKeys(labelSpellings) : new Map();
+  const labelKeyOf = (label) => {
+    const key = keyOf(String(label).trim());
+    return pluralAliases.get(key) || key;
+  };
+  const labels = canonicalSpellings(labelSpellings, conventions ? LABEL_CONVENTION : null);
+
+  const propertySpellings = new Map(); // label key -> spellings map
+  const labelDocs = new Map(); // label key -> number of schemas
+  for (const schema of schemas) {
+    const seenLabels = new Set();
+    for (const [label, props] of Object.entries(schema.nodes || {})) {
+      const labelKey = labelKeyOf(label);
+      if (!seenLabels.has(labelKey)) {
+        seenLabels.add(labelKey);
+        labelDocs.set(labelKey, (labelDocs.get(labelKey) || 0) + 1);
+      }
+      if (!propertySpellings.has(labelKey)) {
+        propertySpellings.set(labelKey, new Map());
+      }
+      for (const prop of Array.isArray(props) ? props : []) {
+        if (typeof prop === 'string' && prop.trim()) {
+          countSpelling(propertySpellings.get(labelKey), prop.trim(), keyOf);
+        }
+      }
+    }
+  }
+
+  const nodes = {};
+  const labelCounts = {};
+  const reconciliation = { labels: [], properties: [], relationshipTypes: [], duplicateRelationships: 0 };
+  for (const [labelKey, label] of [...labels].sort((a, b) => a[1].name.localeCompare(b[1].name))) {
+    const props = propertySpellings.has(labelKey)
+      ? [...canonicalSpellings(propertySpellings.get(labelKey), conventions ? PROPERTY_CONVENTION : null).values()]
+      : [];
+    nodes[label.name] = props.map(prop => prop.name).sort();
+    labelCounts[label.name] = labelDocs.get(labelKey) || 0;
+    if (isReconciled(label)) {
+      reconciliation.labels.push(label);
+    }
+    for (const prop of props.filter(isReconciled)) {
+      reconciliation.properties.push({ label: label.name, ...prop });
+    }
+  }
+
+  const typeKeyOf = conventions ? nameKey : (type) => type.toUpperCase();
+  const typeSpellings = new Map();
+  for (const schema of schemas) {
+    for (const rel of schema.relationships || []) {
+      if (rel?.type && rel?.from && rel?.to) {
+        countSpelling(typeSpellings, String(rel.type).trim(), typeKeyOf);
+      }
+    }
+  }
+  const types = canonicalSpellings(typeSpellings, conventions ? RELATIONSHIP_TYPE_CONVENTION : UPPER_CASE);
+  reconciliation.relationshipTypes = [...types.values()].filter(isReconciled);
+
+  const relationships = new Map();
+  for (const schema of schemas) {
+    for (const rel of schema.relationships || []) {
+      if (!rel?.type || !rel?.from || !rel?.to) {
+        continue;
+      }
+      const type = types.get(typeKeyOf(String(rel.type).trim()))?.name;
+      const from = labels.get(labelKeyOf(rel.from))?.name;
+      const to = labels.get(labelKeyOf(rel.to))?.name;
+      if (!type || !from || !to) {
+        continue;
+      }
+      const key = `${from}|${type}|${to}`;
+      if (!relationships.has(key)) {
+        relationships.set(key, { type, from, to, documents: 0 });
+      } else {
+        reconciliation.duplicateRelationships++;
+      }
+      relationships.get(key).documents++;
+    }
+  }
+
+  return {
+    nodes,
+    relationships: [...relationships.values()].sort((a, b) =>
+      a.from.localeCompare(b.from) || a.type.localeCompare(b.type) || a.to.localeCompare(b.to)
+    ),
+    labelCounts,
+    reconciliation
+  };
+}
+
+function hashSchema(nodes, relationships) {
+  const content = JSON.stringify({
+    nodes,
+    relationships: relationships.map(({ type, from, to }) => ({ type, from, to }))
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Latest schema version per document (failed and empty extractions are skipped)
+ */
+async function getLatestDocumentSchemas() {
+  const schemas = await Schema.find({ status: { $ne: 'error' } }).sort({ docId: 1, version: -1 });
+  const latest = new Map();
+  for (const schema of schemas) {
+    const key = schema.docId.toString();
+    if (!latest.has(key)) {
+      latest.set(key, schema);
+    }
+  }
+  return [...latest.values()].filter(s => s.nodes && Object.keys(s.nodes).length > 0);
+}
+
+/**
+ * Rebuild the global schema from all document schemas
+ * A new version is stored only if the merged labels/properties/relationships changed
+ * @returns {Promise<object>} - Latest GlobalSchema
+ */
+export async function rebuildGlobalSchema() {
+  const schemas = await getLatestDocumentSchemas();
+  const { nodes, relationships, labelCounts } = mergeSchemas(schemas);
+  const contentHash = hashSchema(nodes, relationships);
+  const sourceDocIds = schemas.map(s => s.docId);
+
+  const latest = await GlobalSchema.findOne().sort({ version: -1 });
+
+  if (latest && latest.contentHash === contentHash) {
+    await latest.updateOne({
+      relationships,
+      labelCounts,
+      sourceDocIds,
+      documentCount: schemas.length
+    });
+    logger.debug('Global schema unchanged', { version: latest.version });
+    return GlobalSchema.findById(latest._id);
+  }
+
+  const globalSchema = new GlobalSchema({
+    version: (latest?.version || 0) + 1,
+    nodes,
+    relationships,
+    labelCounts,
+    sourceDocIds,
+    documentCount: schemas.length,
+    contentHash
+  });
+
+  try {
+    await globalSchema.save();
+  } catch (error) {
+    // A concurrent rebuild stored this version first
+    if (error.code === 11000) {
+      logger.warn('Global schema version already stored by a concurrent rebuild', { version: globalSchema.version });
+      return GlobalSchema.findOne().sort({ version: -1 });
+    }
+    throw error;
+  }
+
+  logger.info('Global schema updated', {
+    version: globalSchema.version,
+    nodeTypes: Object.keys(nodes).length,
+    relationshipTypes: relationships.length,
+    documentCount: schemas.length
+  });
+
+  return globalSchema;
+}
+
+/**
+ * Get the global schema
+ * @param {object} options - Lookup options
+ * @param {number} options.version - Specific version (defaults to latest, built on first use)
+ * @returns {Promise<object|null>} - GlobalSchema or null if the version does not exist
+ */
+export async function getGlobalSchema({ version = null } = {}) {
+  if (version) {
+    return GlobalSchema.findOne({ version });
+  }
+
+  const latest = await GlobalSchema.findOne().sort({ version: -1 });
+  return latest || rebuildGlobalSchema();
+}
+
+/**
+ * Diff two schemas (e.g. two extraction versions of the same document)
+ * Properties are compared for labels present in both schemas
+ * @param {{nodes: object, relationships: Array}} from - Base schema
+ * @param {{nodes: object, relationships: Array}} to - Compared schema
+ * @returns {object} - Added/removed labels, properties and relationships
+ */
+export function diffSchemas(from, to) {
+  const fromNodes = from.nodes || {};
+  const toNodes = to.nodes || {};
+  const fromLabels = new Set(Object.keys(fromNodes));
+  const toLabels = new Set(Object.keys(toNodes));
+
+  const propertiesAdded = {};
+  const propertiesRemoved = {};
+  for (const label of toLabels) {
+    if (!fromLabels.has(label)) {
+      continue;
+    }
+    const fromProps = new Set(fromNodes[label] || []);
+    const toProps = new Set(toNodes[label] || []);
+    const added = [...toProps].filter(p => !fromProps.has(p));
+    const removed = [...fromProps].filter(p => !toProps.has(p));
+    if (added.length > 0) {
+      propertiesAdded[label] = added;
+    }
+    if (removed.length > 0) {
+      propertiesRemoved[label] = removed;
+    }
+  }
+
+  const relKey = (rel) => `${rel.from}|${rel.type}|${rel.to}`;
+  const fromRels = new Map((from.relationships || []).map(rel => [relKey(rel), rel]));
+  const toRels = new Map((to.relationships || []).map(rel => [relKey(rel), rel]));
+  const pickRel = ({ type, from: relFrom, to: relTo }) => ({ type, from: relFrom, to: relTo });
+
+  const diff = {
+    labels: {
+      added: [...toLabels].filter(l => !fromLabels.has(l)),
+      removed: [...fromLabels].filter(l => !toLabels.has(l))
+    },
+    properties: {
+      added: propertiesAdded,
+      removed: propertiesRemoved
+    },
+    relationships: {
+      added: [...toRels].filter(([key]) => !fromRels.has(key)).map(([, rel]) => pickRel(rel)),
+      removed: [...fromRels].filter(([key]) => !toRels.has(key)).map(([, rel]) => pickRel(rel))
+    }
+  };
+
+  diff.unchanged = diff.labels.added.length === 0 &&
+    diff.labels.removed.length === 0 &&
+    Object.keys(propertiesAdded).length === 0 &&
+    Object.keys(propertiesRemoved).length === 0 &&
+    diff.relationships.added.length === 0 &&
+    diff.relationships.removed.length === 0;
+
+  return diff;
+}
@@ -0,0 +1,184 @@
+/**
+ * Table Mapping Service
+ * Turns the rows of a parsed table (see parsing/tables.js) into graph data through a
+ * column-to-property mapping, without the LLM:
+ *
+ *   {
+ *     columns: ['Employee ID', 'Name', 'Department'],        // packs only: headers that select the mapping
+ *     nodes: [
+ *       { ref: 'employee', label: 'Employee', id: 'Employee ID', properties: { name: 'Name' } },
+ *       { ref: 'department', label: 'Department', id: 'Department' }
+ *     ],
+ *     relationships: [{ from: 'employee', type: 'WORKS_IN', to: 'department', properties: {} }]
+ *   }
+ *
+ * Every row yields one node per node entry (skipped when its id cells are empty) and the
+ * relationships between the nodes of that row. Columns are matched by header name, ignoring
+ * case and whitespace; an id of several columns joins their values with ".".
+ */
+
+import { httpError } from '../utils/httpError.js';
+
+// Column values that become numbers (leading zeros are kept as text: "007", "0123")
+const NUMBER_VALUE = /^-?(0|[1-9]\d{0,14})(\.\d+)?$/;
+
+function columnKey(name) {
+  return String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+const isName = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Columns a mapping reads
+ */
+function mappingColumns(mapping) {
+  const columns = [...(mapping.columns || [])];
+  for (const node of mapping.nodes) {
+    columns.push(...[].concat(node.id), ...Object.values(node.properties || {}));
+  }
+  for (const rel of mapping.relationships || []) {
+    columns.push(...Object.values(rel.properties || {}));
+  }
+  return columns;
+}
+
+/**
+ * Validate a table mapping
+ * @param {object} mapping - Mapping
+ * @param {Array<string>|null} columns - Header of the table it is for (checks the referenced columns exist)
+ * @throws {Error} - 400 describing the first problem
+ */
+export function assertTableMapping(mapping, columns = null) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw httpError('mapping must be an object');
+  }
+  if (mapping.columns !== undefined && (!Array.isArray(mapping.columns) || !mapping.columns.every(isName))) {
+    throw httpError('mapping "columns" must be a list of column names');
+  }
+  if (!Array.isArray(mapping.nodes) || mapping.nodes.length === 0) {
+    throw httpError('mapping "nodes" must be a non-empty list');
+  }
+
+  const refs = new Set();
+  for (const node of mapping.nodes) {
+    if (!node || !isName(node.label)) {
+      throw httpError('every mapped node needs a "label"');
+    }
+    const ref = node.ref || node.label;
+    if (refs.has(ref)) {
+      throw httpError(`mapped node "${ref}" is listed twice (set "ref" to tell them apart)`);
+    }
+    refs.add(ref);
+    const ids = [].concat(node.id);
+    if (ids.length === 0 || !ids.every(isName)) {
+      throw httpError(`mapped node "${ref}" needs an "id" column (or list of columns)`);
+    }
+    if (node.properties !== undefined && (typeof node.properties !== 'object' || Array.isArray(node.properties) ||
+      !Object.values(node.properties).every(isName))) {
+      throw httpError(`"properties" of mapped node "${ref}" must map property names to columns`);
+    }
+  }
+
+  if (mapping.relationships !== undefined && !Array.isArray(mapping.relationships)) {
+    throw httpError('mapping "relationships" must be a list');
+  }
+  for (const rel of mapping.relationships || []) {
+    if (!rel || !isName(rel.type)) {
+      throw httpError('every mapped relationship needs a "type"');
+    }
+    for (const end of [rel.from, rel.to]) {
+      if (!refs.has(end)) {
+        throw httpError(`relationship ${rel.type} refers to unknown node "${end}"`);
+      }
+    }
+    if (rel.properties !== undefined && (typeof rel.properties !== 'object' || Array.isArray(rel.properties) ||
+      !Object.values(rel.properties).every(isName))) {
+      throw httpError(`"properties" of relationship ${rel.type} must map property names to columns`);
+    }
+  }
+
+  if (columns) {
+    const known = new Set(columns.map(columnKey));
+    const missing = mappingColumns(mapping).filter(column => !known.has(columnKey(column)));
+    if (missing.length > 0) {
+      throw httpError(`mapping refers to columns the table does not have: ${[...new Set(missing)].join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Mapping for a table: the one set on the table, else the first pack mapping whose columns it has
+ * @param {object} table - Document table
+ * @param {object|null} pack - Schema pack (tableMappings)
+ * @returns {{mapping: object, source: string}|null} - source is "document" or "pack"
+ */
+export function matchTableMapping(table, pack = null) {
+  if (table.mapping) {
+    return { mapping: table.mapping, source: 'document' };
+  }
+  const known = new Set(table.columns.map(columnKey));
+  const mapping = (pack?.tableMappings || []).find(candidate =>
+    mappingColumns(candidate).every(column => known.has(columnKey(column)))
+  );
+  return mapping ? { mapping, source: 'pack' } : null;
+}
+
+/**
+ * Property value of a cell: numbers become numbers, everything else stays text
+ */
+function cellValue(cell) {
+  return NUMBER_VALUE.test(cell) ? Number(cell) : cell;
+}
+
+/**
+ * Map the rows of a table to graph data
+ * The result has the shape structured mode extracts from the LLM, so it goes through the same
+ * normalisation (cypherGeneration/structured.js normalizeExtractedGraph) and Cypher generation.
+ * @param {{columns: Array<string>, rows: Array<Array<string>>}} table - Document table
+ * @param {object} mapping - Validated mapping
+ * @returns {{nodes: Array<{label: string, id: string, props: object}>, relationships: Array<{from: object,
+ *   type: string, to: object, props: object}>, skippedRows: number}} - skippedRows = rows that yielded no node
+ */
+export function tableRowsToGraph(table, mapping) {
+  const indexes = new Map(table.columns.map((column, index) => [columnKey(column), index]));
+  const cell = (row, column) => String(row[indexes.get(columnKey(column))] ?? '').trim();
+  const props = (row, properties = {}) => {
+    const values = {};
+    for (const [property, column] of Object.entries(properties)) {
+      const value = cell(row, column);
+      if (value !== '') {
+        values[property] = cellValue(value);
+      }
+    }
+    return values;
+  };
+
+  const nodes = [];
+  const relationships = [];
+  let skippedRows = 0;
+  for (const row of table.rows) {
+    const rowNodes = new Map(); // ref -> { label, id }
+    for (const node of mapping.nodes) {
+      const idCells = [].concat(node.id).map(column => cell(row, column));
+      if (idCells.some(value => value === '')) {
+        continue;
+      }
+      const id = idCells.join('.');
+      rowNodes.set(node.ref || node.label, { label: node.label, id });
+      nodes.push({ label: node.label, id, props: props(row, node.properties) });
+    }
+    if (rowNodes.size === 0) {
+      skippedRows++;
+      continue;
+    }
+    for (const rel of mapping.relationships || []) {
+      const from = rowNodes.get(rel.from);
+      const to = rowNodes.get(rel.to);
+      if (from && to) {
+        relationships.push({ from, type: rel.type, to, props: props(row, rel.properties) });
+      }
+    }
+  }
+
+  return { nodes, relationships, skippedRows };
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertTableMapping, matchTableMapping, tableRowsToGraph } from './tableMapping.js';
+
+const mapping = {
+  nodes: [
+    { ref: 'employee', label: 'Employee', id: 'Employee ID', properties: { name: 'Name', salary: 'Salary' } },
+    { ref: 'department', label: 'Department', id: ['Site', 'Department'] }
+  ],
+  relationships: [{ from: 'employee', type: 'WORKS_IN', to: 'department', properties: { since: 'Start Year' } }]
+};
+
+const table = {
+  columns: ['Employee  ID', 'Name', 'Salary', 'Site', 'department', 'Start Year'],
+  rows: [
+    ['007', 'Ann', '52000.50', 'HQ', 'Sales', '2019'],
+    ['8', 'Bob', '', 'HQ', '', '2020'],
+    ['', '', '', '', '', '']
+  ]
+};
+
+test('rows become nodes and relationships, columns matched ignoring case and spacing', () => {
+  const { nodes, relationships, skippedRows } = tableRowsToGraph(table, mapping);
+  assert.deepEqual(nodes, [
+    { label: 'Employee', id: '007', props: { name: 'Ann', salary: 52000.5 } },
+    { label: 'Department', id: 'HQ.Sales', props: {} },
+    { label: 'Employee', id: '8', props: { name: 'Bob' } }
+  ]);
+  assert.deepEqual(relationships, [{
+    from: { label: 'Employee', id: '007' },
+    type: 'WORKS_IN',
+    to: { label: 'Department', id: 'HQ.Sales' },
+    props: { since: 2019 }
+  }]);
+  assert.equal(skippedRows, 1);
+});
+
+test('mappings are validated against the table columns', () => {
+  assert.doesNotThrow(() => assertTableMapping(mapping, table.columns));
+  const invalid = [
+    [null, /must be an object/],
+    [{ nodes: [] }, /non-empty list/],
+    [{ nodes: [{ label: 'A', id: 'x' }, { label: 'A', id: 'y' }] }, /listed twice/],
+    [{ nodes: [{ label: 'A' }] }, /needs an "id" column/],
+    [{ nodes: [{ label: 'A', id: 'x' }], relationships: [{ type: 'R', from: 'A', to: 'B' }] }, /unknown node "B"/]
+  ];
+  for (const [candidate, message] of invalid) {
+    assert.throws(() => assertTableMapping(candidate), error => error.status === 400 && message.test(error.message));
+  }
+  assert.throws(
+    () => assertTableMapping({ nodes: [{ label: 'A', id: 'Missing' }] }, table.columns),
+    /does not have: Missing/
+  );
+});
+
+test('a table mapping wins over the pack mappings it matches', () => {
+  const pack = { tableMappings: [{ columns: ['Other'], nodes: [{ label: 'X', id: 'Other' }] }, mapping] };
+  assert.deepEqual(matchTableMapping(table, pack), { mapping, source: 'pack' });
+  assert.deepEqual(matchTableMapping({ ...table, mapping: pack.tableMappings[0] }, pack).source, 'document');
+  assert.equal(matchTableMapping({ columns: ['Unrelated'], rows: [] }, pack), null);
+});
@@ -1,9 +1,59 @@
 /**
  * Text chunking utilities for splitting long documents into manageable pieces
+ *
+ * Strategies:
+ *   words     - fixed word windows with overlap (cuts anywhere)
+ *   paragraph - whole paragraphs packed up to the word and token budgets; tables and lists stay together
+ *   heading   - one chunk per section under a markdown (#) or numbered heading ("2.1 Definitions")
+ *   sentence  - whole sentences packed up to a token budget
+ * A paragraph, section or sentence larger than the budget is split with the next finer strategy.
+ * Paragraph and sentence chunks start anew at each heading, so the heading path every chunk
+ * records covers all of its text.
  */
 
+import { estimateTokens } from './tokens.js';
+import { httpError } from './httpError.js';
+
 const DEFAULT_CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE_WORDS || '1000');
 const DEFAULT_OVERLAP = parseInt(process.env.CHUNK_OVERLAP_WORDS || '100');
+const DEFAULT_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS || '1000');
+const PROMPT_MAP_REDUCE = process.env.PROMPT_MAP_REDUCE !== 'false';
+
+// Below this many tokens for text, a prompt's instructions leave no useful room
+const MIN_TEXT_TOKENS = 200;
+
+export const CHUNKING_STRATEGIES = ['words', 'paragraph', 'heading', 'sentence'];
+
+// Numbered headings are short lines without a closing period, e.g. "2.1 Definitions"
+const NUMBERED_HEADING = /^((?:\d+\.)*\d+)\.?\s+(\S.{0,78})$/;
+// A numbered list item ("1. Pay Rent monthly"); next to another one it is not a heading
+const LIST_ITEM = /^\d+[.)]\s/;
+// Single-level section numbers above this are years or amounts ("2019 Revenue grew")
+const MAX_SECTION_NUMBER = 99;
+const KEYWORD_HEADING = /^(article|section|chapter|part|schedule|annex|appendix)\s+([0-9]+|[ivxlc]+|[a-z])\b[.:]?(?:\s+(.*))?$/i;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+
+/**
+ * Validate a chunking strategy
+ * @param {string} strategy - Strategy name
+ * @throws {Error} - 400 when the strategy is unknown
+ */
+export function assertChunkingStrategy(strategy) {
+  if (!CHUNKING_STRATEGIES.includes(strategy)) {
+    throw httpError(`chunkingStrategy must be one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate the token budget of the paragraph, heading and sentence strategies
+ * @param {number} maxTokens - Tokens per chunk
+ * @throws {Error} - 400 when it is not a positive integer
+ */
+export function assertChunkMaxTokens(maxTokens) {
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    throw httpError('chunkMaxTokens must be a positive integer');
+  }
+}
 
 /**
  * Split text into chunks by word count with overlap
@@ -19,7 +69,7 @@ export function chunkText(text, chunkSizeWords = DEFAULT_CHUNK_SIZE, overlapWord
 
   const words = text.split(/\s+/);
   const chunks = [];
-  
+
   if (words.length <= chunkSizeWords) {
     return [{
       text: text,
@@ -37,7 +87,7 @@ export function chunkText(text, chunkSizeWords = DEFAULT_CHUNK_SIZE, overlapWord
     const endIdx = Math.min(startIdx + chunkSizeWords, words.length);
     const chunkWords = words.slice(startIdx, endIdx);
     const chunkText = chunkWords.join(' ');
-    
+
     // Find actual text boundaries for this chunk
     const textBeforeChunk = words.slice(0, startIdx).join(' ');
     const textStart = textBeforeChunk.length + (textBeforeChunk.length > 0 ? 1 : 0);
@@ -53,7 +103,7 @@ export function chunkText(text, chunkSizeWords = DEFAULT_CHUNK_SIZE, overlapWord
 
     // Move forward, accounting for overlap
     startIdx += chunkSizeWords - overlapWords;
-    
+
     // Prevent infinite loop
     if (startIdx >= words.length) break;
   }
@@ -61,11 +111,381 @@ export function chunkText(text, chunkSizeWords = DEFAULT_CHUNK_SIZE, overlapWord
   return chunks;
 }
 
+function countWords(text) {
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Non-empty pieces of text[start, end) between separator matches, with their offsets
+ * @param {RegExp} separator - Global pattern the pieces are split on
+ */
+function splitSpans(text, start, end, separator) {
+  const spans = [];
+  const source = text.slice(start, end);
+  let cursor = 0;
+  for (const match of source.matchAll(separator)) {
+    spans.push({ start: start + cursor, end: start + match.index + match[0].length });
+    cursor = match.index + match[0].length;
+  }
+  spans.push({ start: start + cursor, end });
+  return spans
+    .map(span => trimSpan(text, span))
+    .filter(span => span.end > span.start);
+}
+
+function trimSpan(text, { start, end }) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
 /**
- * Estimate token count (rough approximation: 1 token ≈ 0.75 words)
+ * Headings of a text with their offsets and levels
+ * Markdown headings (LlamaParse output, DOCX headings) are used when the text has any;
+ * otherwise numbered and "Article/Section N" lines are.
+ * @returns {Array<{start: number, end: number, level: number, title: string}>}
  */
-export function estimateTokens(text) {
-  const words = text.split(/\s+/).length;
-  return Math.ceil(words / 0.75);
+export function findHeadings(text) {
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    lines.push({ start: offset, end: offset + line.length, text: line.trim() });
+    offset += line.length + 1;
+  }
+
+  const markdown = lines
+    .map(line => ({ line, match: line.text.match(MARKDOWN_HEADING) }))
+    .filter(({ match }) => match)
+    .map(({ line, match }) => ({ start: line.start, end: line.end, level: match[1].length, title: match[2] }));
+  if (markdown.length > 0) {
+    return markdown;
+  }
+
+  // A list item's neighbours are the closest non-blank lines before and after it
+  const listItem = (index) => {
+    if (!LIST_ITEM.test(lines[index].text)) {
+      return false;
+    }
+    let previous = index - 1;
+    while (previous >= 0 && !lines[previous].text) previous--;
+    let next = index + 1;
+    while (next < lines.length && !lines[next].text) next++;
+    return [lines[previous], lines[next]].some(line => line && LIST_ITEM.test(line.text));
+  };
+
+  const headings = [];
+  for (const [index, line] of lines.entries()) {
+    const keyword = line.text.match(KEYWORD_HEADING);
+    if (keyword && line.text.length <= 80) {
+      headings.push({ start: line.start, end: line.end, level: 1, title: line.text });
+      continue;
+    }
+    const numbered = line.text.match(NUMBERED_HEADING);
+    const singleLevel = numbered && !numbered[1].includes('.');
+    if (singleLevel && (parseInt(numbered[1]) > MAX_SECTION_NUMBER || listItem(index))) {
+      continue;
+    }
+    if (numbered && !/[.;:,]$/.test(numbered[2]) && countWords(numbered[2]) <= 10 && /^[A-Z]/.test(numbered[2])) {
+      headings.push({ start: line.start, end: line.end, level: numbered[1].split('.').length, title: line.text });
+    }
+  }
+  return headings;
+}
+
+/**
+ * Heading titles enclosing the text of a span, outermost first
+ * Headings the span opens with count, e.g. "## 2 Terms\n### 2.1 Rent\nRent is..." is under 2.1,
+ * but only those inside the span.
+ */
+function sectionPathAt(text, headings, { start, end }) {
+  let offset = start;
+  let leading = headings.find(heading => heading.start === offset);
+  while (leading && leading.end < end) {
+    offset = trimSpan(text, { start: leading.end, end: text.length }).start;
+    leading = headings.find(heading => heading.start === offset);
+  }
+
+  const stack = [];
+  for (const heading of headings) {
+    if (heading.start > offset) {
+      break;
+    }
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+  }
+  return stack.map(heading => heading.title);
 }
 
+/**
+ * Pack consecutive spans into chunks while they fit the budget
+ * A span larger than the budget on its own is passed to `splitLarge`.
+ * @param {Array<{start: number, end: number}>} spans - Spans in text order
+ * @param {function} fits - Whether a text is within the budget
+ * @param {function} splitLarge - Splits an oversized span into spans that fit
+ * @param {Array<object>} breaks - Headings; a span starting at one starts a new chunk
+ */
+function packSpans(text, spans, fits, splitLarge, breaks = []) {
+  const packed = [];
+  let current = null;
+  for (const span of spans) {
+    if (!fits(text.slice(span.start, span.end))) {
+      if (current) {
+        packed.push(current);
+        current = null;
+      }
+      packed.push(...splitLarge(span));
+      continue;
+    }
+    const startsSection = breaks.some(heading => heading.start === span.start);
+    if (current && !startsSection && fits(text.slice(current.start, span.end))) {
+      current = { start: current.start, end: span.end };
+    } else {
+      if (current) {
+        packed.push(current);
+      }
+      current = { ...span };
+    }
+  }
+  if (current) {
+    packed.push(current);
+  }
+  return packed;
+}
+
+/**
+ * Longest prefix of [start, candidates[i].end) that fits, searching `candidates` from `first`
+ * Grows the step until a candidate does not fit, then bisects, so no check reads far past the
+ * result (fitting only fails more as a span grows).
+ * @returns {number} - Index of the last fitting candidate, or first - 1 if none fits
+ */
+function lastFitting(text, start, candidates, first, fits) {
+  const fitsAt = (index) => fits(text.slice(start, candidates[index].end));
+  let low = first - 1;
+  let step = 1;
+  while (low + step < candidates.length && fitsAt(low + step)) {
+    low += step;
+    step *= 2;
+  }
+  let high = Math.min(low + step, candidates.length) - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (fitsAt(mid)) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Spans that fit the budget, cut between words
+ * A word that does not fit on its own (a long identifier, a line of CSV without spaces) is cut
+ * between characters.
+ * @param {function} fits - Whether a text is within the budget
+ */
+function fittingSpans(text, span, fits) {
+  const words = [...text.slice(span.start, span.end).matchAll(/\S+/g)]
+    .map(word => ({ start: span.start + word.index, end: span.start + word.index + word[0].length }));
+  const spans = [];
+  for (let i = 0; i < words.length;) {
+    const last = lastFitting(text, words[i].start, words, i, fits);
+    if (last >= i) {
+      spans.push({ start: words[i].start, end: words[last].end });
+      i = last + 1;
+      continue;
+    }
+    const ends = Array.from({ length: words[i].end - words[i].start }, (_, offset) => ({ end: words[i].start + offset + 1 }));
+    for (let c = 0; c < ends.length;) {
+      const start = c === 0 ? words[i].start : ends[c - 1].end;
+      // At least one character, so a budget too small for any text still moves on
+      const cut = Math.max(c, lastFitting(text, start, ends, c, fits));
+      spans.push({ start, end: ends[cut].end });
+      c = cut + 1;
+    }
+    i++;
+  }
+  return spans;
+}
+
+/**
+ * Sentences of a span; blank lines and list/table line breaks end a sentence too
+ */
+function sentenceSpans(text, span) {
+  return splitSpans(text, span.start, span.end, /(?<=[.!?]["')\]]?)\s+(?=["'([]?[A-Z0-9])|\n\s*\n|\n(?=\s*(?:[-*•|]|\d+[.)]\s))/g);
+}
+
+function paragraphSpans(text, span) {
+  return splitSpans(text, span.start, span.end, /\n\s*\n/g);
+}
+
+/**
+ * Join spans that hold only a heading to the span after them, so no chunk ends with a heading
+ */
+function attachHeadings(spans, headings) {
+  const attached = [];
+  let pendingStart = null;
+  for (const [i, span] of spans.entries()) {
+    const isHeading = headings.some(heading => heading.start <= span.start && span.end <= heading.end);
+    if (isHeading && i + 1 < spans.length) {
+      pendingStart = pendingStart ?? span.start;
+      continue;
+    }
+    attached.push({ start: pendingStart ?? span.start, end: span.end });
+    pendingStart = null;
+  }
+  return attached;
+}
+
+/**
+ * Whether a text has at most `words` words and `tokens` estimated tokens
+ */
+function withinBudget(words, tokens) {
+  return (chunk) => countWords(chunk) <= words && estimateTokens(chunk) <= tokens;
+}
+
+/**
+ * Pack paragraphs within the word and token budgets; oversized paragraphs are packed by sentence
+ */
+function packParagraphs(text, spans, { words, tokens }, breaks = []) {
+  const fits = withinBudget(words, tokens);
+  const splitParagraph = (span) => packSpans(text, sentenceSpans(text, span), fits,
+    (sentence) => fittingSpans(text, sentence, fits));
+  return packSpans(text, spans, fits, splitParagraph, breaks);
+}
+
+/**
+ * Pack sentences within the token budget
+ */
+function packSentences(text, headings, tokens, breaks = []) {
+  const fits = (chunk) => estimateTokens(chunk) <= tokens;
+  return packSpans(text, attachHeadings(sentenceSpans(text, { start: 0, end: text.length }), headings),
+    fits, (sentence) => fittingSpans(text, sentence, fits), breaks);
+}
+
+/**
+ * Spans of one chunk per section; oversized sections are packed by paragraph
+ */
+function sectionSpans(text, headings, budget) {
+  const starts = [0, ...headings.map(heading => heading.start)];
+  const sections = [];
+  for (let i = 0; i < starts.length; i++) {
+    const section = trimSpan(text, { start: starts[i], end: i + 1 < starts.length ? starts[i + 1] : text.length });
+    if (section.end <= section.start) {
+      continue;
+    }
+    // A heading with no text of its own (e.g. "2 Terms" directly above "2.1 Rent") opens the next section
+    const heading = headings.find(h => h.start === section.start);
+    if (heading && trimSpan(text, { start: heading.end, end: section.end }).end <= heading.end && i + 1 < starts.length) {
+      starts[i + 1] = section.start;
+      continue;
+    }
+    sections.push(section);
+  }
+  const fits = withinBudget(budget.words, budget.tokens);
+  return sections.flatMap(section => fits(text.slice(section.start, section.end))
+    ? [section]
+    : packParagraphs(text, paragraphSpans(text, section), budget));
+}
+
+/**
+ * Split text into chunks with a chunking strategy
+ * @param {string} text - Full text to chunk
+ * @param {object} options - Chunking options
+ * @param {string} options.strategy - words, paragraph, heading or sentence
+ * @param {number} options.chunkSizeWords - Words per chunk (words, paragraph, heading)
+ * @param {number} options.overlapWords - Words repeated between chunks (words)
+ * @param {number} options.maxTokens - Estimated tokens per chunk (paragraph, heading, sentence)
+ * @returns {Array<{text: string, startIndex: number, endIndex: number, wordCount: number,
+ *   tokenCount: number, chunkIndex: number, strategy: string, heading: string|null, sectionPath: Array<string>}>}
+ */
+export function chunkDocument(text, {
+  strategy = 'words',
+  chunkSizeWords = DEFAULT_CHUNK_SIZE,
+  overlapWords = DEFAULT_OVERLAP,
+  maxTokens = DEFAULT_MAX_TOKENS
+} = {}) {
+  assertChunkingStrategy(strategy);
+  if (!text || text.trim().length === 0) {
+    return [];
+  }
+
+  const headings = findHeadings(text);
+  let spans;
+  switch (strategy) {
+    case 'words':
+      // Word windows are re-joined with single spaces, so they keep their own text
+      spans = chunkText(text, chunkSizeWords, overlapWords)
+        .map(chunk => ({ start: chunk.startIndex, end: chunk.endIndex, text: chunk.text }));
+      break;
+    case 'paragraph':
+      spans = packParagraphs(text, attachHeadings(paragraphSpans(text, { start: 0, end: text.length }), headings),
+        { words: chunkSizeWords, tokens: maxTokens }, headings);
+      break;
+    case 'heading':
+      spans = sectionSpans(text, headings, { words: chunkSizeWords, tokens: maxTokens });
+      break;
+    case 'sentence':
+      spans = packSentences(text, headings, maxTokens, headings);
+      break;
+  }
+
+  return spans.map((span, chunkIndex) => {
+    const chunk = span.text ?? text.slice(span.start, span.end);
+    const sectionPath = sectionPathAt(text, headings, span);
+    return {
+      text: chunk,
+      startIndex: span.start,
+      endIndex: span.end,
+      wordCount: countWords(chunk),
+      tokenCount: estimateTokens(chunk),
+      chunkIndex,
+      strategy,
+      heading: sectionPath.length > 0 ? sectionPath[sectionPath.length - 1] : null,
+      sectionPath
+    };
+  });
+}
+
+/**
+ * Fit text into the tokens a prompt has left for it
+ * Text that fits is kept whole. Otherwise it is split at sentence boundaries into parts that fit,
+ * for a map-reduce over the parts, or - with map-reduce turned off (PROMPT_MAP_REDUCE=false) -
+ * cut after the last sentence that fits.
+ * @param {string} text - Document or chunk text
+ * @param {number} availableTokens - Tokens left for the text (see utils/tokens.js promptBudget)
+ * @param {object} options - Fitting options
+ * @param {boolean} options.mapReduce - Split instead of truncating
+ * @returns {{parts: Array<string>, strategy: string, textTokens: number, truncated: boolean,
+ *   droppedTokens: number, droppedChars: number}} - strategy is single, map_reduce or truncated
+ * @throws {Error} - When the instructions leave too little room for any text
+ */
+export function fitTextToBudget(text, availableTokens, { mapReduce = PROMPT_MAP_REDUCE } = {}) {
+  const textTokens = estimateTokens(text);
+  const fitted = { textTokens, truncated: false, droppedTokens: 0, droppedChars: 0 };
+  if (textTokens <= availableTokens) {
+    return { ...fitted, parts: [text], strategy: 'single' };
+  }
+  if (availableTokens < MIN_TEXT_TOKENS) {
+    throw new Error(`Prompt instructions leave only ${availableTokens} tokens for text; configure a larger context window`);
+  }
+
+  // Parts are packed across headings: each is a prompt, not a stored chunk
+  const parts = packSentences(text, findHeadings(text), availableTokens).map(span => text.slice(span.start, span.end));
+  if (mapReduce) {
+    return { ...fitted, parts, strategy: 'map_reduce' };
+  }
+
+  const kept = parts[0];
+  return {
+    parts: [kept],
+    strategy: 'truncated',
+    textTokens,
+    truncated: true,
+    droppedTokens: Math.max(0, textTokens - estimateTokens(kept)),
+    droppedChars: text.length - kept.length
+  };
+}
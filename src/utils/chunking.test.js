@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkDocument, findHeadings, fitTextToBudget } from './chunking.js';
+import { estimateTokens } from './tokens.js';
+
+const csvText = Array.from({ length: 500 }, (_, i) => `${i},ACCT_${i},accountIdentifier${i},2024-01-01,100.00`).join('\n');
+const longIdentifiers = Array.from({ length: 40 }, (_, i) => `${'x'.repeat(400)}${i}`).join(' ');
+const prose = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} describes the lease terms in some detail.`).join(' ');
+
+test('every chunk stays within maxTokens, with or without sentence breaks', () => {
+  for (const text of [csvText, longIdentifiers, prose]) {
+    for (const strategy of ['paragraph', 'heading', 'sentence']) {
+      const chunks = chunkDocument(text, { strategy, maxTokens: 200 });
+      assert.ok(chunks.length > 1, `${strategy} splits the text`);
+      for (const chunk of chunks) {
+        assert.ok(chunk.tokenCount <= 200, `${strategy} chunk of ${chunk.tokenCount} tokens`);
+      }
+    }
+  }
+});
+
+test('chunks keep every word of the text', () => {
+  const chunks = chunkDocument(csvText, { strategy: 'sentence', maxTokens: 300 });
+  assert.equal(chunks.map(chunk => chunk.text).join('').replace(/\s/g, ''), csvText.replace(/\s/g, ''));
+});
+
+test('paragraph chunks honour the word budget too', () => {
+  const chunks = chunkDocument(prose, { strategy: 'paragraph', chunkSizeWords: 50, maxTokens: 10000 });
+  for (const chunk of chunks) {
+    assert.ok(chunk.wordCount <= 50);
+  }
+});
+
+test('numbered list items and years are not headings', () => {
+  const text = '1 Parties\n\nThe tenant shall:\n1. Pay Rent monthly\n2. Keep the Premises clean\n3. Allow Inspections\n\n2019 Revenue grew\n\n2.1 Rent\n\nRent is due.';
+  assert.deepEqual(findHeadings(text).map(heading => heading.title), ['1 Parties', '2.1 Rent']);
+});
+
+test('a chunk is not given a heading that follows it', () => {
+  const text = '1. Introduction\n\nThe tenant shall comply.\n\n2. Pay Rent\n\nRent is due monthly.';
+  const chunks = chunkDocument(text, { strategy: 'heading', chunkSizeWords: 1000 });
+  assert.deepEqual(chunks.map(chunk => chunk.heading), ['1. Introduction', '2. Pay Rent']);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.includes(chunk.heading));
+  }
+});
+
+test('text over the prompt budget is split into parts that fit', () => {
+  for (const text of [csvText, longIdentifiers, prose]) {
+    const fitted = fitTextToBudget(text, 300, { mapReduce: true });
+    assert.equal(fitted.strategy, 'map_reduce');
+    for (const part of fitted.parts) {
+      assert.ok(estimateTokens(part) <= 300, `part of ${estimateTokens(part)} tokens`);
+    }
+    assert.equal(fitted.parts.join('').replace(/\s/g, ''), text.replace(/\s/g, ''));
+  }
+});
+
+test('without map-reduce the text is cut after the first part', () => {
+  const fitted = fitTextToBudget(prose, 300, { mapReduce: false });
+  assert.equal(fitted.strategy, 'truncated');
+  assert.equal(fitted.parts.length, 1);
+  assert.ok(prose.startsWith(fitted.parts[0]));
+  assert.equal(fitted.droppedChars, prose.length - fitted.parts[0].length);
+  assert.deepEqual(fitTextToBudget('short text', 300).parts, ['short text']);
+  assert.throws(() => fitTextToBudget(prose, 100), /leave only 100 tokens/);
+});
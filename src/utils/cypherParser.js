@@ -0,0 +1,754 @@
+/**
+ * Cypher Parser
+ * Tokenizer and AST for the MERGE/CREATE/MATCH/SET/WITH subset the Cypher model emits
+ *
+ * The parser is tolerant: a clause it cannot parse becomes a `raw` clause with an `error`
+ * instead of throwing, because generated Cypher is often partly invalid. Every AST node keeps
+ * its source range (`start`/`end` offsets into the parsed text), so fixes can be applied as
+ * text edits that leave the rest of the Cypher untouched (see applyEdits).
+ *
+ * AST shape:
+ *   { source, tokens, statements: [{ index, kind: 'query'|'schema', start, end, text, clauses, errors }] }
+ *   MERGE           { patterns: [path], actions: [{ on: 'CREATE'|'MATCH', items }] }
+ *   CREATE / MATCH  { patterns: [path], where }
+ *   SET             { items: [{ kind: 'property'|'replace'|'merge'|'labels', variable, property, value, labels }] }
+ *   other clauses   { raw: true, text }
+ *   path            { variable, nodes: [node], relationships: [{ variable, types, properties, direction, left, right }] }
+ *   node            { variable, labels, properties: map|parameter|null }
+ *   expression      { type: 'string'|'number'|'boolean'|'null'|'variable'|'property'|'parameter'|'map'|'list'|'function'|'expression', text, ... }
+ */
+
+const MULTI_CHAR_PUNCTUATION = ['+=', '<>', '<=', '>=', '=~', '!=', '..'];
+
+const CLAUSE_KEYWORDS = new Set([
+  'MERGE', 'CREATE', 'MATCH', 'OPTIONAL', 'SET', 'WITH', 'UNWIND', 'RETURN', 'DELETE',
+  'DETACH', 'REMOVE', 'FOREACH', 'CALL', 'UNION', 'LOAD', 'USE'
+]);
+
+const SCHEMA_OBJECTS = new Set(['CONSTRAINT', 'INDEX', 'RANGE', 'TEXT', 'POINT', 'FULLTEXT', 'LOOKUP', 'VECTOR', 'BTREE']);
+
+const IDENTIFIER_PATTERN = /[\p{L}_][\p{L}\p{N}_]*/uy;
+const NUMBER_PATTERN = /(?:0x[0-9a-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/y;
+const SIMPLE_NAME = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+/**
+ * Error with the source offset the parser stopped at
+ */
+function syntaxError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
+
+/**
+ * Split Cypher into tokens
+ * Whitespace and comments are dropped; strings are unescaped into `value`
+ * @param {string} source - Cypher text
+ * @returns {Array<{type: string, value: *, start: number, end: number}>} - Tokens
+ *   (types: identifier, string, number, parameter, punct)
+ */
+export function tokenizeCypher(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let terminated = false;
+      i++;
+      while (i < source.length) {
+        const c = source[i];
+        if (c === '\\' && i + 1 < source.length) {
+          const escaped = source[i + 1];
+          if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(i + 2, i + 6))) {
+            value += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+            i += 6;
+          } else {
+            value += ESCAPES[escaped] ?? escaped;
+            i += 2;
+          }
+          continue;
+        }
+        i++;
+        if (c === char) {
+          terminated = true;
+          break;
+        }
+        value += c;
+      }
+      tokens.push({ type: 'string', value, start, end: i, ...(terminated ? {} : { unterminated: true }) });
+      continue;
+    }
+
+    if (char === '`') {
+      let value = '';
+      i++;
+      while (i < source.length) {
+        if (source[i] === '`') {
+          if (source[i + 1] === '`') {
+            value += '`';
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += source[i++];
+      }
+      tokens.push({ type: 'identifier', value, quoted: true, start, end: i });
+      continue;
+    }
+
+    if (char === '$') {
+      IDENTIFIER_PATTERN.lastIndex = i + 1;
+      const name = IDENTIFIER_PATTERN.exec(source) || /^\d+/.exec(source.slice(i + 1, i + 12));
+      if (name) {
+        i = i + 1 + name[0].length;
+        tokens.push({ type: 'parameter', value: name[0], start, end: i });
+        continue;
+      }
+    }
+
+    NUMBER_PATTERN.lastIndex = i;
+    const number = /\d/.test(char) ? NUMBER_PATTERN.exec(source) : null;
+    if (number) {
+      i += number[0].length;
+      tokens.push({ type: 'number', value: Number(number[0]), start, end: i });
+      continue;
+    }
+
+    IDENTIFIER_PATTERN.lastIndex = i;
+    const identifier = IDENTIFIER_PATTERN.exec(source);
+    if (identifier) {
+      i += identifier[0].length;
+      tokens.push({ type: 'identifier', value: identifier[0], start, end: i });
+      continue;
+    }
+
+    const punct = MULTI_CHAR_PUNCTUATION.find(p => source.startsWith(p, i)) || char;
+    i += punct.length;
+    tokens.push({ type: 'punct', value: punct, start, end: i });
+  }
+
+  return tokens;
+}
+
+function isWord(token, word) {
+  return token?.type === 'identifier' && !token.quoted && token.value.toUpperCase() === word;
+}
+
+function isPunct(token, value) {
+  return token?.type === 'punct' && token.value === value;
+}
+
+/**
+ * Parse one statement (tokens[from, to))
+ */
+function parseStatement(source, tokens, from, to, index) {
+  let pos = from;
+
+  const peek = (offset = 0) => (pos + offset < to ? tokens[pos + offset] : null);
+  const lastEnd = () => tokens[pos - 1].end;
+  const fail = (message) => {
+    throw syntaxError(message, peek()?.start ?? tokens[to - 1].end);
+  };
+  const expectPunct = (value) => {
+    if (!isPunct(peek(), value)) {
+      fail(`Expected "${value}"`);
+    }
+    pos++;
+  };
+  const expectName = (what) => {
+    const token = peek();
+    if (token?.type !== 'identifier') {
+      fail(`Expected ${what}`);
+    }
+    pos++;
+    return token;
+  };
+
+  // A clause keyword at absolute token index i (not a property, label, map key or ON CREATE)
+  const isClauseStart = (i) => {
+    const token = i < to ? tokens[i] : null;
+    if (token?.type !== 'identifier' || token.quoted || !CLAUSE_KEYWORDS.has(token.value.toUpperCase())) {
+      return false;
+    }
+    const prev = i > from ? tokens[i - 1] : null;
+    if (isWord(prev, 'ON') || isPunct(prev, '.') || isPunct(prev, ':') || isPunct(tokens[i + 1], ':')) {
+      return false;
+    }
+    const word = token.value.toUpperCase();
+    if (word === 'OPTIONAL') {
+      return isWord(tokens[i + 1], 'MATCH');
+    }
+    if (word === 'DETACH') {
+      return isWord(tokens[i + 1], 'DELETE');
+    }
+    return true;
+  };
+
+  const isMergeAction = (i) =>
+    isWord(tokens[i], 'ON') && (isWord(tokens[i + 1], 'CREATE') || isWord(tokens[i + 1], 'MATCH')) && i + 1 < to;
+
+  // Index where an expression starting at pos ends (depth-0 separator, clause keyword or ON CREATE/ON MATCH)
+  const expressionEnd = () => {
+    let depth = 0;
+    let i = pos;
+    for (; i < to; i++) {
+      const token = tokens[i];
+      if (token.type === 'punct') {
+        if (['(', '[', '{'].includes(token.value)) {
+          depth++;
+          continue;
+        }
+        if ([')', ']', '}'].includes(token.value)) {
+          if (depth === 0) {
+            break;
+          }
+          depth--;
+          continue;
+        }
+        if (depth === 0 && token.value === ',') {
+          break;
+        }
+      }
+      if (depth === 0 && i > pos && (isClauseStart(i) || isMergeAction(i))) {
+        break;
+      }
+    }
+    return i;
+  };
+
+  const withRange = (node, startToken) => {
+    node.start = startToken.start;
+    node.end = lastEnd();
+    node.text = source.slice(node.start, node.end);
+    return node;
+  };
+
+  function parseMap() {
+    const open = peek();
+    expectPunct('{');
+    const entries = [];
+    while (!isPunct(peek(), '}')) {
+      const keyToken = peek();
+      if (keyToken?.type !== 'identifier' && keyToken?.type !== 'string') {
+        fail('Expected a map key');
+      }
+      pos++;
+      expectPunct(':');
+      const value = parseExpression();
+      entries.push({
+        key: keyToken.value,
+        keyStart: keyToken.start,
+        keyEnd: keyToken.end,
+        value,
+        start: keyToken.start,
+        end: value.end
+      });
+      if (isPunct(peek(), ',')) {
+        pos++;
+      } else if (!isPunct(peek(), '}')) {
+        fail('Expected "," or "}" in map');
+      }
+    }
+    pos++;
+    return withRange({ type: 'map', entries }, open);
+  }
+
+  function parseList() {
+    const open = peek();
+    expectPunct('[');
+    const items = [];
+    while (!isPunct(peek(), ']')) {
+      items.push(parseExpression());
+      if (isPunct(peek(), ',')) {
+        pos++;
+      } else if (!isPunct(peek(), ']')) {
+        fail('Expected "," or "]" in list');
+      }
+    }
+    pos++;
+    return withRange({ type: 'list', items }, open);
+  }
+
+  function parseFunction() {
+    const first = peek();
+    const nameParts = [expectName('a function name').value];
+    while (isPunct(peek(), '.')) {
+      pos++;
+      nameParts.push(expectName('a function name').value);
+    }
+    expectPunct('(');
+    const args = [];
+    while (!isPunct(peek(), ')')) {
+      args.push(parseExpression());
+      if (isPunct(peek(), ',')) {
+        pos++;
+      } else if (!isPunct(peek(), ')')) {
+        fail('Expected "," or ")" in function call');
+      }
+    }
+    pos++;
+    return withRange({ type: 'function', name: nameParts.join('.'), args }, first);
+  }
+
+  // Classify the tokens [start, stop) as a single expression
+  function classify(start, stop) {
+    const first = tokens[start];
+    const count = stop - start;
+    const range = { start: first.start, end: tokens[stop - 1].end };
+    range.text = source.slice(range.start, range.end);
+
+    const structured = [
+      [isPunct(first, '{'), parseMap],
+      [isPunct(first, '['), parseList],
+      [first.type === 'identifier' && (isPunct(tokens[start + 1], '(') || isPunct(tokens[start + 1], '.')), parseFunction]
+    ];
+    for (const [applies, parse] of structured) {
+      if (!applies) {
+        continue;
+      }
+      const saved = pos;
+      pos = start;
+      try {
+        const expression = parse();
+        if (pos === stop) {
+          pos = saved;
+          return expression;
+        }
+      } catch {
+        // not this form - fall through to the simpler forms
+      }
+      pos = saved;
+    }
+
+    if (count === 1) {
+      if (first.type === 'string') {
+        return { type: 'string', value: first.value, ...range };
+      }
+      if (first.type === 'number') {
+        return { type: 'number', value: first.value, ...range };
+      }
+      if (first.type === 'parameter') {
+        return { type: 'parameter', name: first.value, ...range };
+      }
+      if (isWord(first, 'TRUE') || isWord(first, 'FALSE')) {
+        return { type: 'boolean', value: isWord(first, 'TRUE'), ...range };
+      }
+      if (isWord(first, 'NULL')) {
+        return { type: 'null', value: null, ...range };
+      }
+      if (first.type === 'identifier') {
+        return { type: 'variable', name: first.value, ...range };
+      }
+    }
+    if (count === 2 && isPunct(first, '-') && tokens[start + 1].type === 'number') {
+      return { type: 'number', value: -tokens[start + 1].value, ...range };
+    }
+    if (count === 3 && first.type === 'identifier' && isPunct(tokens[start + 1], '.') && tokens[start + 2].type === 'identifier') {
+      return { type: 'property', variable: first.value, property: tokens[start + 2].value, ...range };
+    }
+    return { type: 'expression', ...range };
+  }
+
+  function parseExpression() {
+    const stop = expressionEnd();
+    if (stop === pos) {
+      fail('Expected an expression');
+    }
+    const expression = classify(pos, stop);
+    pos = stop;
+    return expression;
+  }
+
+  function parseNode() {
+    const open = peek();
+    expectPunct('(');
+    const node = { variable: null, labels: [], properties: null };
+    if (peek()?.type === 'identifier' && !isPunct(peek(1), '(')) {
+      node.variable = peek().value;
+      node.variableStart = peek().start;
+      node.variableEnd = peek().end;
+      pos++;
+    }
+    while (isPunct(peek(), ':') || (node.labels.length > 0 && (isPunct(peek(), '&') || isPunct(peek(), '|')))) {
+      pos++;
+      node.labels.push(expectName('a label').value);
+    }
+    if (isPunct(peek(), '{')) {
+      node.properties = parseMap();
+    } else if (peek()?.type === 'parameter') {
+      node.properties = { type: 'parameter', name: peek().value, start: peek().start, end: peek().end, text: source.slice(peek().start, peek().end) };
+      pos++;
+    }
+    expectPunct(')');
+    return withRange(node, open);
+  }
+
+  function parseRelationship() {
+    const first = peek();
+    const relationship = { variable: null, types: [], properties: null, length: null };
+    const leftArrow = isPunct(peek(), '<');
+    if (leftArrow) {
+      pos++;
+    }
+    expectPunct('-');
+    if (isPunct(peek(), '[')) {
+      relationship.detailStart = peek().start;
+      pos++;
+      if (peek()?.type === 'identifier') {
+        relationship.variable = peek().value;
+        pos++;
+      }
+      if (isPunct(peek(), ':')) {
+        pos++;
+        const typeToken = expectName('a relationship type');
+        relationship.types.push(typeToken.value);
+        relationship.typeStart = typeToken.start;
+        relationship.typeEnd = typeToken.end;
+        while (isPunct(peek(), '|')) {
+          pos++;
+          if (isPunct(peek(), ':')) {
+            pos++;
+          }
+          relationship.types.push(expectName('a relationship type').value);
+        }
+      }
+      if (isPunct(peek(), '*')) {
+        const lengthStart = peek().start;
+        pos++;
+        while (peek()?.type === 'number' || isPunct(peek(), '..')) {
+          pos++;
+        }
+        relationship.length = source.slice(lengthStart, lastEnd());
+      }
+      if (isPunct(peek(), '{')) {
+        relationship.properties = parseMap();
+      } else if (peek()?.type === 'parameter') {
+        relationship.properties = { type: 'parameter', name: peek().value, start: peek().start, end: peek().end, text: source.slice(peek().start, peek().end) };
+        pos++;
+      }
+      expectPunct(']');
+      relationship.detailEnd = lastEnd();
+    }
+    expectPunct('-');
+    const rightArrow = isPunct(peek(), '>');
+    if (rightArrow) {
+      pos++;
+    }
+    if (leftArrow && rightArrow) {
+      fail('Relationship cannot point both ways');
+    }
+    relationship.direction = rightArrow ? 'out' : leftArrow ? 'in' : 'both';
+    return withRange(relationship, first);
+  }
+
+  function parsePath() {
+    const first = peek();
+    const path = { variable: null, nodes: [], relationships: [] };
+    if (peek()?.type === 'identifier' && isPunct(peek(1), '=')) {
+      path.variable = peek().value;
+      pos += 2;
+    }
+    path.nodes.push(parseNode());
+    while (isPunct(peek(), '<') || isPunct(peek(), '-')) {
+      const relationship = parseRelationship();
+      path.nodes.push(parseNode());
+      relationship.left = path.nodes.length - 2;
+      relationship.right = path.nodes.length - 1;
+      path.relationships.push(relationship);
+    }
+    return withRange(path, first);
+  }
+
+  function parsePatternList() {
+    const patterns = [parsePath()];
+    while (isPunct(peek(), ',')) {
+      pos++;
+      patterns.push(parsePath());
+    }
+    return patterns;
+  }
+
+  function parseSetItems() {
+    const items = [];
+    do {
+      if (items.length > 0) {
+        pos++; // ","
+      }
+      const first = peek();
+      const variable = expectName('a variable').value;
+      const item = { variable };
+      if (isPunct(peek(), '.')) {
+        pos++;
+        const propertyToken = expectName('a property name');
+        item.kind = 'property';
+        item.property = propertyToken.value;
+        expectPunct('=');
+        item.value = parseExpression();
+      } else if (isPunct(peek(), '=') || isPunct(peek(), '+=')) {
+        item.kind = isPunct(peek(), '=') ? 'replace' : 'merge';
+        pos++;
+        item.value = parseExpression();
+      } else if (isPunct(peek(), ':')) {
+        item.kind = 'labels';
+        item.labels = [];
+        while (isPunct(peek(), ':')) {
+          pos++;
+          item.labels.push(expectName('a label').value);
+        }
+      } else {
+        fail('Expected a SET assignment');
+      }
+      items.push(withRange(item, first));
+    } while (isPunct(peek(), ','));
+    return items;
+  }
+
+  // Skip to the next clause keyword at depth 0
+  function skipToNextClause() {
+    let depth = 0;
+    while (pos < to) {
+      const token = tokens[pos];
+      if (depth === 0 && isClauseStart(pos)) {
+        return;
+      }
+      if (token.type === 'punct' && ['(', '[', '{'].includes(token.value)) {
+        depth++;
+      } else if (token.type === 'punct' && [')', ']', '}'].includes(token.value)) {
+        depth = Math.max(0, depth - 1);
+      }
+      pos++;
+    }
+  }
+
+  function parseClause() {
+    const firstIndex = pos;
+    const first = peek();
+    if (!isClauseStart(pos)) {
+      fail(`Unexpected "${source.slice(first.start, first.end)}"`);
+    }
+    let type = first.value.toUpperCase();
+    pos++;
+    if (type === 'OPTIONAL' || type === 'DETACH') {
+      type = `${type} ${peek().value.toUpperCase()}`;
+      pos++;
+    }
+
+    const clause = { type };
+
+    if (type === 'MERGE') {
+      clause.patterns = [parsePath()];
+      clause.actions = [];
+      while (isMergeAction(pos) && isWord(peek(2), 'SET')) {
+        const actionStart = peek();
+        const on = peek(1).value.toUpperCase();
+        const setToken = peek(2);
+        pos += 3;
+        const action = { on, setStart: setToken.start, items: parseSetItems() };
+        clause.actions.push(withRange(action, actionStart));
+      }
+    } else if (type === 'CREATE') {
+      clause.patterns = parsePatternList();
+    } else if (type === 'MATCH' || type === 'OPTIONAL MATCH') {
+      clause.patterns = parsePatternList();
+      if (isWord(peek(), 'WHERE')) {
+        pos++;
+        const whereStart = pos;
+        skipToNextClause();
+        clause.where = whereStart < pos ? source.slice(tokens[whereStart].start, lastEnd()) : '';
+      }
+    } else if (type === 'SET') {
+      clause.items = parseSetItems();
+    } else {
+      clause.raw = true;
+      skipToNextClause();
+    }
+
+    if (pos < to && !isClauseStart(pos)) {
+      fail(`Unexpected "${source.slice(peek().start, peek().end)}" after ${type}`);
+    }
+
+    clause.tokenRange = [firstIndex, pos];
+    return withRange(clause, first);
+  }
+
+  const statement = {
+    index,
+    kind: 'query',
+    start: tokens[from].start,
+    end: tokens[to - 1].end,
+    clauses: [],
+    errors: []
+  };
+  statement.text = source.slice(statement.start, statement.end);
+
+  if ((isWord(peek(), 'CREATE') || isWord(peek(), 'DROP')) &&
+      peek(1)?.type === 'identifier' && SCHEMA_OBJECTS.has(peek(1).value.toUpperCase())) {
+    statement.kind = 'schema';
+    return statement;
+  }
+
+  while (pos < to) {
+    const clauseStart = pos;
+    try {
+      statement.clauses.push(parseClause());
+    } catch (error) {
+      const first = tokens[clauseStart];
+      pos = clauseStart + 1;
+      skipToNextClause();
+      const clause = {
+        type: isClauseStart(clauseStart) ? first.value.toUpperCase() : 'UNKNOWN',
+        raw: true,
+        error: error.message,
+        tokenRange: [clauseStart, pos]
+      };
+      statement.clauses.push(withRange(clause, first));
+      statement.errors.push({ message: error.message, position: error.position ?? first.start });
+    }
+  }
+
+  return statement;
+}
+
+/**
+ * Parse Cypher into statements and clauses
+ * Never throws: unparseable clauses are kept as raw clauses and listed in `errors`
+ * @param {string} source - Cypher text
+ * @returns {{source: string, tokens: Array, statements: Array<object>}}
+ */
+export function parseCypher(source) {
+  const text = source || '';
+  const tokens = tokenizeCypher(text);
+  const statements = [];
+
+  let from = 0;
+  for (let i = 0; i <= tokens.length; i++) {
+    if (i === tokens.length || isPunct(tokens[i], ';')) {
+      if (i > from) {
+        const statement = parseStatement(text, tokens, from, i, statements.length);
+        statement.tokenRange = [from, i];
+        statement.semicolon = i < tokens.length ? tokens[i].start : null;
+        statements.push(statement);
+      }
+      from = i + 1;
+    }
+  }
+
+  return { source: text, tokens, statements };
+}
+
+/**
+ * Split Cypher into individual statements
+ * Semicolons inside strings, identifiers and comments are ignored; comments before a
+ * statement are dropped so a leading comment does not hide the statement behind it
+ * @param {string} cypher - Cypher text
+ * @returns {Array<string>} - Statements without the trailing semicolon
+ */
+export function splitCypherStatements(cypher) {
+  if (!cypher || cypher.trim().length === 0) {
+    return [];
+  }
+
+  const tokens = tokenizeCypher(cypher);
+  const statements = [];
+  let from = 0;
+  for (let i = 0; i <= tokens.length; i++) {
+    if (i === tokens.length || isPunct(tokens[i], ';')) {
+      if (i > from) {
+        statements.push(cypher.slice(tokens[from].start, tokens[i - 1].end).trim());
+      }
+      from = i + 1;
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Iterate over every node pattern of a parsed statement
+ * @param {object} statement - Parsed statement
+ * @returns {Generator<{clause: object, path: object, node: object}>}
+ */
+export function* statementNodes(statement) {
+  for (const clause of statement.clauses) {
+    for (const path of clause.patterns || []) {
+      for (const node of path.nodes) {
+        yield { clause, path, node };
+      }
+    }
+  }
+}
+
+/**
+ * Iterate over every relationship pattern of a parsed statement, with its end nodes
+ * `from`/`to` follow the arrow; undirected relationships keep the written order
+ * @param {object} statement - Parsed statement
+ * @returns {Generator<{clause: object, path: object, relationship: object, from: object, to: object}>}
+ */
+export function* statementRelationships(statement) {
+  for (const clause of statement.clauses) {
+    for (const path of clause.patterns || []) {
+      for (const relationship of path.relationships) {
+        const left = path.nodes[relationship.left];
+        const right = path.nodes[relationship.right];
+        const [from, to] = relationship.direction === 'in' ? [right, left] : [left, right];
+        yield { clause, path, relationship, from, to };
+      }
+    }
+  }
+}
+
+/**
+ * Quote a label, type or property name with backticks when Cypher requires it
+ * @param {string} name - Name
+ * @returns {string}
+ */
+export function formatName(name) {
+  return SIMPLE_NAME.test(name) ? name : `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Apply text edits to the parsed source
+ * Edits are { start, end, text } ranges of the original text; an edit overlapping one
+ * further along is skipped
+ * @param {string} source - Original text
+ * @param {Array<{start: number, end: number, text: string}>} edits - Replacements
+ * @returns {string} - Edited text
+ */
+export function applyEdits(source, edits) {
+  let result = source;
+  let limit = Infinity;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start || b.end - a.end)) {
+    if (edit.end > limit) {
+      continue;
+    }
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    limit = edit.start;
+  }
+  return result;
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeCypher, parseCypher, splitCypherStatements, statementNodes, statementRelationships, applyEdits, formatName } from './cypherParser.js';
+
+test('strings, quoted identifiers and comments are single tokens', () => {
+  const tokens = tokenizeCypher('\'a;}\' "x\\"y" `q``n` $p // c;\n 1.5');
+  assert.deepEqual(tokens.map(token => [token.type, token.value]), [
+    ['string', 'a;}'],
+    ['string', 'x"y'],
+    ['identifier', 'q`n'],
+    ['parameter', 'p'],
+    ['number', 1.5]
+  ]);
+});
+
+test('statements split on semicolons outside strings and comments', () => {
+  const cypher = 'MERGE (p:Person {name: "a;b}"}); // next;\nCREATE (o:`Org;` {id: 1});\n\n';
+  assert.deepEqual(splitCypherStatements(cypher), [
+    'MERGE (p:Person {name: "a;b}"})',
+    'CREATE (o:`Org;` {id: 1})'
+  ]);
+  assert.deepEqual(splitCypherStatements('  '), []);
+});
+
+test('node and relationship patterns are parsed with labels and properties', () => {
+  const [statement] = parseCypher('CREATE (o:`Big Co` {id: 2, name: \'A}\'})-[:OWNS {since: 2001}]->(x:Thing)').statements;
+  assert.equal(statement.kind, 'query');
+  assert.deepEqual(statement.errors, []);
+
+  const nodes = [...statementNodes(statement)].map(({ node }) => node);
+  assert.deepEqual(nodes.map(node => node.labels), [['Big Co'], ['Thing']]);
+  assert.deepEqual(nodes[0].properties.entries.map(entry => [entry.key, entry.value.value]), [['id', 2], ['name', 'A}']]);
+
+  const [{ relationship, from, to }] = [...statementRelationships(statement)];
+  assert.deepEqual(relationship.types, ['OWNS']);
+  assert.equal(from.variable, 'o');
+  assert.equal(to.variable, 'x');
+});
+
+test('incoming relationships report from/to in arrow order', () => {
+  const [statement] = parseCypher('MATCH (a:A), (b:B) MERGE (a)<-[:R]-(b)').statements;
+  const [{ from, to }] = [...statementRelationships(statement)];
+  assert.equal(from.variable, 'b');
+  assert.equal(to.variable, 'a');
+});
+
+test('SET with several labels and MERGE actions', () => {
+  const [statement] = parseCypher('MERGE (p:Person {id: 1}) ON CREATE SET p.x = 1 ON MATCH SET p.y = 2 SET p:Employee:Manager, p.z = "}"').statements;
+  const [merge, set] = statement.clauses;
+  assert.equal(merge.type, 'MERGE');
+  assert.deepEqual(merge.actions.map(action => action.on), ['CREATE', 'MATCH']);
+  assert.equal(set.type, 'SET');
+  assert.deepEqual(set.items.map(item => [item.kind, item.variable, item.labels || item.property]), [
+    ['labels', 'p', ['Employee', 'Manager']],
+    ['property', 'p', 'z']
+  ]);
+});
+
+test('schema statements are recognised and unparseable clauses kept as raw', () => {
+  const { statements } = parseCypher('CREATE CONSTRAINT c IF NOT EXISTS FOR (n:P) REQUIRE n.id IS UNIQUE; MERGE (a:A {id: }) RETURN a');
+  assert.equal(statements[0].kind, 'schema');
+  assert.ok(statements[1].clauses.some(clause => clause.raw));
+  assert.ok(statements[1].errors.length > 0);
+});
+
+test('edits are applied to the original text', () => {
+  const source = 'MERGE (p:Person {name: "x"})';
+  const [statement] = parseCypher(source).statements;
+  const [{ node }] = [...statementNodes(statement)];
+  const label = node.labels[0];
+  const start = source.indexOf(label);
+  assert.equal(applyEdits(source, [{ start, end: start + label.length, text: formatName('Big Co') }]), 'MERGE (p:`Big Co` {name: "x"})');
+  assert.equal(formatName('Person'), 'Person');
+});
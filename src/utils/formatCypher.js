@@ -3,17 +3,28 @@
  * 1) Constraints
  * 2) Nodes with sequential variable names
  * 3) Relationships using those variables
+ *
+ * Variable names, ID properties, relationship directions and implied links
+ * follow the schema pack selected for the document (see services/schemaPacks.js).
+ * The raw Cypher is read with the Cypher parser (utils/cypherParser.js), so node
+ * properties, extra labels and SET assignments survive formatting.
  */
 
 import Schema from '../models/Schema.js';
 import { logger } from './logger.js';
+import { parseCypher, statementNodes, statementRelationships, formatName } from './cypherParser.js';
+import { canonicalizeRelationship, getVariablePrefix, getIdProperty, getLabelForIdProperty } from '../services/schemaPacks.js';
+
+// Temporal constructors whose string argument is kept as written
+const TEMPORAL_FUNCTIONS = new Set(['date', 'datetime', 'localdatetime', 'localtime', 'time', 'duration']);
 
 /**
  * Generate constraint statements from schema
  * @param {object} schema - Schema object with nodes
+ * @param {object|null} pack - Schema pack (ID conventions and variable prefixes)
  * @returns {string} - Formatted constraint statements
  */
-function generateConstraints(schema) {
+function generateConstraints(schema, pack = null) {
   const constraints = [];
   
   // Validate schema structure
@@ -23,7 +34,7 @@ function generateConstraints(schema) {
       hasNodes: !!(schema && schema.nodes),
       schemaType: typeof schema?.nodes
     });
-    return '/* --- 1) Add uniqueness constraints (run once) --- */\n\n-- No constraints: Invalid schema structure\n\n';
+    return '/* --- 1) Add uniqueness constraints (run once) --- */\n\n// No constraints: Invalid schema structure\n\n';
   }
   
   for (const [label, props] of Object.entries(schema.nodes)) {
@@ -45,8 +56,14 @@ function generateConstraints(schema) {
       return trueIdPattern.test(lowerProp);
     });
     
+    // The pack's ID convention wins when the schema has that property (e.g. Accounting -> transactionId)
+    const packIdProp = getIdProperty(pack, label);
+    const conventionProps = packIdProp
+      ? props.filter(p => typeof p === 'string' && p.toLowerCase() === packIdProp.toLowerCase())
+      : [];
+
     // If no true ID found, check for generic id/uuid
-    const idProps = trueIdProps.length > 0 ? trueIdProps : props.filter(p => {
+    const idProps = conventionProps.length > 0 ? conventionProps : trueIdProps.length > 0 ? trueIdProps : props.filter(p => {
       if (typeof p !== 'string') return false;
       const lowerProp = p.toLowerCase();
       return /^(id|_id|uuid)$/.test(lowerProp);
@@ -54,35 +71,8 @@ function generateConstraints(schema) {
 
     // Create constraint ONLY for true ID properties (not foreign keys)
     for (const idProp of idProps) {
-      // Generate variable name prefix from label (e.g., Party -> p, Account -> a)
-      const varPrefix = label.toLowerCase().charAt(0);
       const constraintName = `${label.toLowerCase()}_${idProp}_unique`;
-      
-      // Handle special cases for variable names
-      let varName = varPrefix;
-      if (label === 'Accounting') {
-        varName = 'acc2'; // Use acc2 to avoid conflict with Account (a)
-      } else if (label === 'Address') {
-        varName = 'addr';
-      } else if (label === 'Reference') {
-        varName = 'ref';
-      } else if (label === 'Investment') {
-        varName = 'inv';
-      } else if (label === 'Position') {
-        varName = 'pos';
-      } else if (label === 'Holding') {
-        varName = 'h';
-      } else if (label === 'Risk') {
-        varName = 'r';
-      } else if (label === 'Security') {
-        varName = 's';
-      } else if (label === 'Trade') {
-        varName = 't';
-      } else if (label === 'Account') {
-        varName = 'a';
-      } else if (label === 'Party') {
-        varName = 'p';
-      }
+      const varName = getVariablePrefix(pack, label);
       
       // Normalize property name to camelCase for consistency with nodes
       // Schema might have AccountId but nodes use accountId (Neo4j is case-sensitive)
@@ -106,8 +96,8 @@ function generateConstraints(schema) {
       schemaStructure: schema?.nodes ? Object.entries(schema.nodes).map(([label, props]) => ({ label, props })) : []
     });
     // Return header with comment explaining no constraints
-    constraintCypher += '-- No constraints generated from schema.\n';
-    constraintCypher += '-- Constraints will be inferred from generated Cypher nodes.\n\n';
+    constraintCypher += '// No constraints generated from schema.\n';
+    constraintCypher += '// Constraints will be inferred from generated Cypher nodes.\n\n';
     return constraintCypher;
   }
   
@@ -122,9 +112,10 @@ function generateConstraints(schema) {
 /**
  * Generate constraints from parsed nodes (fallback when schema doesn't have ID properties)
  * @param {Array} nodes - Parsed node objects
+ * @param {object|null} pack - Schema pack (ID conventions and variable prefixes)
  * @returns {string} - Formatted constraint statements
  */
-function generateConstraintsFromNodes(nodes) {
+export function generateConstraintsFromNodes(nodes, pack = null) {
   const constraints = [];
   const seenLabels = new Set();
   
@@ -153,21 +144,9 @@ function generateConstraintsFromNodes(nodes) {
       const labelLower = label.toLowerCase();
       const trueIdPattern = new RegExp(`^${labelLower}id$|^${labelLower}_id$`, 'i');
       
-      // Only create constraint if it's a true ID (matches pattern) or generic id/uuid
-      if (trueIdPattern.test(idProp.toLowerCase()) || /^(id|_id|uuid)$/i.test(idProp)) {
-        // Generate variable name
-        let varName = label.toLowerCase().charAt(0);
-        if (label === 'Accounting') varName = 'acc2';
-        else if (label === 'Address') varName = 'addr';
-        else if (label === 'Reference') varName = 'ref';
-        else if (label === 'Investment') varName = 'inv';
-        else if (label === 'Position') varName = 'pos';
-        else if (label === 'Holding') varName = 'h';
-        else if (label === 'Risk') varName = 'r';
-        else if (label === 'Security') varName = 's';
-        else if (label === 'Trade') varName = 't';
-        else if (label === 'Account') varName = 'a';
-        else if (label === 'Party') varName = 'p';
+      // Only create constraint if it's a true ID (matches pattern), the pack's ID property or generic id/uuid
+      if (trueIdPattern.test(idProp.toLowerCase()) || idProp === getIdProperty(pack, label) || /^(id|_id|uuid)$/i.test(idProp)) {
+        const varName = getVariablePrefix(pack, label);
         
         // Normalize property name to camelCase
         const normalizedProp = idProp.charAt(0).toLowerCase() + idProp.slice(1);
@@ -186,8 +165,8 @@ function generateConstraintsFromNodes(nodes) {
   let constraintCypher = '/* --- 1) Add uniqueness constraints (run once) --- */\n\n';
   
   if (constraints.length === 0) {
-    constraintCypher += '-- No constraints generated (no ID properties found in nodes).\n';
-    constraintCypher += '-- You may need to manually add constraints based on your data model.\n\n';
+    constraintCypher += '// No constraints generated (no ID properties found in nodes).\n';
+    constraintCypher += '// You may need to manually add constraints based on your data model.\n\n';
   } else {
     for (const constraint of constraints) {
       const padding = ' '.repeat(Math.max(0, 30 - constraint.varName.length));
@@ -199,131 +178,398 @@ function generateConstraintsFromNodes(nodes) {
 }
 
 /**
- * Parse Cypher to extract nodes and relationships
+ * Whether an expression can be written into the formatted Cypher
+ * Literals, lists, maps and function calls over literals are kept; references to other
+ * variables are kept only as node property references that can be renamed (see formatValue)
+ */
+function isPortableValue(value) {
+  switch (value.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'null':
+    case 'parameter':
+    case 'property':
+      return true;
+    case 'list':
+      return value.items.every(isPortableValue);
+    case 'map':
+      return value.entries.every(entry => isPortableValue(entry.value));
+    case 'function':
+      return value.args.every(isPortableValue);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Why Neo4j cannot store a value as a property, or null when it can
+ * Maps, lists holding maps, lists or nulls, and lists mixing value types are rejected by Neo4j
+ * when written as a property, which fails the whole statement. Parameters and property
+ * references are not known until the query runs, so they are kept.
+ * @param {object} value - Parsed expression
+ * @returns {string|null} - 'map', 'nested list', 'list with null' or 'mixed list'
+ */
+function unstorableReason(value) {
+  if (value.type === 'map') {
+    return 'map';
+  }
+  if (value.type !== 'list') {
+    return null;
+  }
+  if (value.items.some(item => item.type === 'map' || item.type === 'list')) {
+    return 'nested list';
+  }
+  if (value.items.some(item => item.type === 'null')) {
+    return 'list with null';
+  }
+  const itemTypes = new Set(value.items
+    .filter(item => item.type !== 'parameter' && item.type !== 'property')
+    .map(item => item.type === 'function' ? item.name.toLowerCase() : item.type));
+  return itemTypes.size > 1 ? 'mixed list' : null;
+}
+
+/**
+ * Value text for the formatted Cypher, with node property references renamed
+ * @param {object} value - Parsed expression
+ * @param {Function} renameProperty - (variable, property) -> text, or null if the variable is unknown
+ * @returns {string|null} - Text, or null when a reference cannot be resolved
+ */
+function formatValue(value, renameProperty) {
+  switch (value.type) {
+    case 'property':
+      return renameProperty(value.variable, value.property);
+    case 'list': {
+      const items = value.items.map(item => formatValue(item, renameProperty));
+      return items.includes(null) ? null : `[${items.join(', ')}]`;
+    }
+    case 'map': {
+      const entries = value.entries.map(entry => {
+        const text = formatValue(entry.value, renameProperty);
+        return text === null ? null : `${formatName(entry.key)}: ${text}`;
+      });
+      return entries.includes(null) ? null : `{${entries.join(', ')}}`;
+    }
+    case 'function': {
+      const args = value.args.map(arg => formatValue(arg, renameProperty));
+      return args.includes(null) ? null : `${value.name}(${args.join(', ')})`;
+    }
+    default:
+      return value.text;
+  }
+}
+
+/**
+ * Canonical text of a literal property value, or null when the value is not a literal
+ * Strings are written with double quotes, numbers and booleans in Cypher's own form and
+ * temporal values as date("...")/datetime("...") calls, so equal values compare equal
+ * whatever quoting the model used.
+ * @param {object} value - Parsed expression
+ * @returns {string|null}
+ */
+function formatLiteral(value) {
+  switch (value.type) {
+    case 'string':
+      return JSON.stringify(value.value);
+    case 'number':
+      return String(value.value);
+    case 'boolean':
+      return value.text.toLowerCase();
+    case 'list': {
+      const items = value.items.map(formatLiteral);
+      return items.includes(null) ? null : `[${items.join(', ')}]`;
+    }
+    case 'function': {
+      const name = value.name.toLowerCase();
+      if (TEMPORAL_FUNCTIONS.has(name) && value.args.length === 1 && value.args[0].type === 'string') {
+        return `${name}(${JSON.stringify(value.args[0].value)})`;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Pick the identity property of a node pattern
+ * Order: the pack's ID property, {label}Id, any other *Id/id/uuid, then the first string property
+ * @param {string} label - Node label
+ * @param {Array<object>} entries - Parsed map entries
+ * @param {object|null} pack - Schema pack (ID conventions)
+ * @returns {object|null} - Map entry used as identity
+ */
+function findIdentityEntry(label, entries, pack) {
+  const literal = entries.filter(entry => entry.value.type === 'string' || entry.value.type === 'number');
+  const packIdProp = getIdProperty(pack, label);
+  const labelIdPattern = new RegExp(`^${label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}_?id$`, 'i');
+
+  return literal.find(entry => packIdProp && entry.key === packIdProp) ||
+    literal.find(entry => labelIdPattern.test(entry.key)) ||
+    literal.find(entry => /^[a-z]\w*Id$/.test(entry.key) || /^(id|_id|uuid)$/i.test(entry.key)) ||
+    literal.find(entry => entry.value.type === 'string') ||
+    null;
+}
+
+/**
+ * Infer the label of an anonymous inline node such as ({addressId: "A1"})
+ */
+function inferLabel(entries, pack) {
+  const idEntry = entries.find(entry => /\w+Id$/.test(entry.key));
+  return idEntry ? getLabelForIdProperty(pack, idEntry.key) : null;
+}
+
+/**
+ * Record a value written for a node property
+ * Literals assigned by a node map or plain SET become candidates for the property; other
+ * values (and every ON CREATE SET / ON MATCH SET value) are kept as assignments. Values
+ * Neo4j cannot store as a property are dropped and noted on the node.
+ * @param {object} node - Extracted node
+ * @param {string} property - Property name
+ * @param {object} value - Parsed expression
+ * @param {string} target - 'set', 'onCreate' or 'onMatch'
+ * @param {Function} scope - Variable -> node lookup of the statement the value was written in
+ */
+function addValue(node, property, value, target, scope) {
+  if (property === node.idProp) {
+    return;
+  }
+  const reason = unstorableReason(value);
+  if (reason) {
+    node.dropped.push({ property, reason });
+    return;
+  }
+  const literal = target === 'set' ? formatLiteral(value) : null;
+  if (literal !== null) {
+    if (!node.properties.has(property)) {
+      node.properties.set(property, []);
+    }
+    node.properties.get(property).push(literal);
+  } else if (isPortableValue(value)) {
+    node[target].push({ property, value, scope });
+  } else {
+    logger.debug('Dropping property value that cannot be formatted', { property, value: value.text });
+  }
+}
+
+/**
+ * Choose one value for a property written with several values
+ * The most frequent value wins; a tie goes to the value written first, so the same Cypher
+ * always formats the same way.
+ * @param {Array<string>} candidates - Literal texts in order of appearance
+ * @returns {{value: string, values: Array<{value: string, count: number}>}} - Chosen value and
+ *   the distinct values with their counts (more than one means the values conflicted)
+ */
+export function resolveProperty(candidates) {
+  const counts = new Map();
+  for (const candidate of candidates) {
+    counts.set(candidate, (counts.get(candidate) || 0) + 1);
+  }
+  const values = [...counts].map(([value, count]) => ({ value, count }));
+  const chosen = values.reduce((best, entry) => entry.count > best.count ? entry : best);
+  return { value: chosen.value, values };
+}
+
+/**
+ * Extract nodes (with all their properties) and relationships from Cypher
+ * Nodes are identified by label + identity property value, so the same entity written in
+ * several statements becomes one node. Every literal value written for a property (in a
+ * node map or a SET) is collected as a candidate; resolveProperty picks one per property.
+ * Other assignments and ON CREATE SET / ON MATCH SET are kept with the node they update.
  * @param {string} cypher - Raw Cypher text
- * @returns {object} - Parsed nodes and relationships
+ * @param {object|null} pack - Schema pack (ID conventions)
+ * @returns {{nodes: Array<object>, relationships: Array<object>}}
  */
-function parseCypher(cypher) {
+function extractGraph(cypher, pack = null) {
+  const ast = parseCypher(cypher);
   const nodes = [];
+  const nodesByKey = new Map();
   const relationships = [];
-  
-  // Extract MERGE node statements
-  const nodePattern = /MERGE\s*\((\w+):(\w+)\s*\{([^}]+)\}\)/g;
-  let nodeMatch;
-  const nodeMap = new Map(); // Map of (label, idValue) -> variableName
-  
-  while ((nodeMatch = nodePattern.exec(cypher)) !== null) {
-    const varName = nodeMatch[1];
-    const label = nodeMatch[2];
-    const props = nodeMatch[3];
-    
-    // Extract ID property value
-    const idMatch = props.match(/(\w+Id|id|_id|uuid):\s*["']([^"']+)["']/i);
-    if (idMatch) {
-      const idProp = idMatch[1];
-      const idValue = idMatch[2];
-      const key = `${label}:${idValue}`;
-      
-      nodes.push({
-        originalVar: varName,
-        label,
-        props,
-        idProp,
-        idValue,
-        key
+  const documentVariables = new Map();
+
+  for (const statement of ast.statements) {
+    if (statement.kind !== 'query') {
+      continue;
+    }
+    if (statement.errors.length > 0) {
+      logger.debug('Skipping unparseable Cypher while formatting', { statement: statement.index, errors: statement.errors });
+    }
+
+    const variables = new Map();
+    const patternNodes = new Map(); // parsed node pattern -> node
+    const lookup = (variable) => variables.get(variable) || documentVariables.get(variable) || null;
+
+    for (const { clause, node: pattern } of statementNodes(statement)) {
+      if (clause.type !== 'MERGE' && clause.type !== 'CREATE' && clause.type !== 'MATCH') {
+        continue;
+      }
+      const entries = pattern.properties?.type === 'map' ? pattern.properties.entries : [];
+      const labels = pattern.labels.length > 0 ? pattern.labels : [inferLabel(entries, pack)].filter(Boolean);
+
+      if (labels.length === 0 || entries.length === 0) {
+        // Variable reference such as (a) - resolved to the node it was bound to
+        const bound = pattern.variable ? lookup(pattern.variable) : null;
+        if (bound) {
+          patternNodes.set(pattern, bound);
+        }
+        continue;
+      }
+
+      const identity = findIdentityEntry(labels[0], entries, pack);
+      if (!identity) {
+        continue;
+      }
+
+      const key = `${labels[0]}:${identity.key}:${identity.value.value}`;
+      let node = nodesByKey.get(key);
+      if (!node) {
+        node = {
+          originalVar: pattern.variable,
+          label: labels[0],
+          labels: [...labels],
+          idProp: identity.key,
+          idValue: identity.value.value,
+          idText: formatLiteral(identity.value),
+          key,
+          properties: new Map(), // property -> candidate literal texts, in order of appearance
+          onCreate: [],
+          onMatch: [],
+          set: [],
+          dropped: [] // { property, reason } of values Neo4j cannot store
+        };
+        nodesByKey.set(key, node);
+        nodes.push(node);
+      }
+
+      for (const label of labels) {
+        if (!node.labels.includes(label)) {
+          node.labels.push(label);
+        }
+      }
+      for (const entry of entries) {
+        if (entry.key !== node.idProp && entry.value.type !== 'null') {
+          addValue(node, entry.key, entry.value, 'set', lookup);
+        }
+      }
+
+      patternNodes.set(pattern, node);
+      if (pattern.variable) {
+        variables.set(pattern.variable, node);
+        if (!documentVariables.has(pattern.variable)) {
+          documentVariables.set(pattern.variable, node);
+        }
+      }
+    }
+
+    const addAssignments = (items, target) => {
+      for (const item of items) {
+        const node = lookup(item.variable);
+        if (!node) {
+          continue;
+        }
+        if (item.kind === 'property') {
+          addValue(node, item.property, item.value, target, lookup);
+        } else if ((item.kind === 'merge' || item.kind === 'replace') && item.value.type === 'map') {
+          for (const entry of item.value.entries) {
+            addValue(node, entry.key, entry.value, target, lookup);
+          }
+        } else if (item.kind === 'labels') {
+          item.labels.filter(label => !node.labels.includes(label)).forEach(label => node.labels.push(label));
+        } else {
+          logger.debug('Dropping SET assignment that cannot be formatted', { assignment: item.text });
+        }
+      }
+    };
+
+    for (const clause of statement.clauses) {
+      if (clause.type === 'SET') {
+        addAssignments(clause.items, 'set');
+      }
+      for (const action of clause.actions || []) {
+        addAssignments(action.items, action.on === 'CREATE' ? 'onCreate' : 'onMatch');
+      }
+    }
+
+    for (const { clause, relationship, from, to } of statementRelationships(statement)) {
+      if (clause.type !== 'MERGE' && clause.type !== 'CREATE') {
+        continue;
+      }
+      const fromNode = patternNodes.get(from) || (from.variable ? lookup(from.variable) : null);
+      const toNode = patternNodes.get(to) || (to.variable ? lookup(to.variable) : null);
+      if (!fromNode || !toNode || relationship.types.length === 0) {
+        logger.debug('Skipping relationship with unresolved end nodes', { relationship: relationship.text });
+        continue;
+      }
+      const entries = relationship.properties?.type === 'map' && isPortableValue(relationship.properties)
+        ? relationship.properties.entries
+        : [];
+      const dropped = entries
+        .filter(entry => unstorableReason(entry.value))
+        .map(entry => ({ property: entry.key, reason: unstorableReason(entry.value) }));
+      const storable = entries.filter(entry => !unstorableReason(entry.value));
+      relationships.push({
+        from: fromNode,
+        type: relationship.types[0],
+        to: toNode,
+        properties: storable.length > 0 ? { ...relationship.properties, entries: storable } : null,
+        dropped,
+        scope: lookup
       });
-      
-      nodeMap.set(key, varName);
     }
   }
-  
-  // Extract MERGE relationship statements
-  // Handle both -> and -&gt; (HTML entity) patterns
-  const relPattern = /MERGE\s*\(([^)]+)\)-\[:([^\]]+)\](?:-&gt;|->)\(([^)]+)\)/g;
-  let relMatch;
-  
-  while ((relMatch = relPattern.exec(cypher)) !== null) {
-    const fromVar = relMatch[1].trim();
-    let relType = relMatch[2];
-    const toVar = relMatch[3].trim();
-    
-    // Fix HTML entities in relationship type as well
-    relType = relType.replace(/-&gt;/g, '->').replace(/&gt;/g, '>').replace(/&lt;/g, '<');
-    
-    relationships.push({
-      from: fromVar,
-      type: relType,
-      to: toVar
-    });
-  }
-  
-  return { nodes, relationships, nodeMap };
+
+  return { nodes, relationships };
 }
 
 /**
  * Generate sequential variable names
  * @param {Array} nodes - Array of node objects
- * @returns {Map} - Map of original variable -> new sequential variable
+ * @param {object|null} pack - Schema pack (variable prefixes)
+ * @returns {Map} - Map of node -> new sequential variable
  */
-function generateSequentialVariables(nodes) {
+function generateSequentialVariables(nodes, pack = null) {
   const varMap = new Map();
   let counter = 1;
-  
-  // Group nodes by label to assign sequential numbers
-  const nodesByLabel = {};
-  for (const node of nodes) {
-    if (!nodesByLabel[node.label]) {
-      nodesByLabel[node.label] = [];
-    }
-    nodesByLabel[node.label].push(node);
-  }
-  
-  // Assign sequential variables
+
   for (const node of nodes) {
     // Generate variable name based on label and counter
-    let varPrefix = node.label.toLowerCase().charAt(0);
-    
-    // Handle special cases
-    if (node.label === 'Accounting') {
-      varPrefix = 'acc2';
-    } else if (node.label === 'Address') {
-      varPrefix = 'addr';
-    } else if (node.label === 'Reference') {
-      varPrefix = 'ref';
-    } else if (node.label === 'Investment') {
-      varPrefix = 'inv';
-    } else if (node.label === 'Position') {
-      varPrefix = 'pos';
-    } else if (node.label === 'Holding') {
-      varPrefix = 'h';
-    } else if (node.label === 'Risk') {
-      varPrefix = 'r';
-    } else if (node.label === 'Security') {
-      varPrefix = 's';
-    } else if (node.label === 'Trade') {
-      varPrefix = 't';
-    } else if (node.label === 'Account') {
-      varPrefix = 'account';
-    } else if (node.label === 'Party') {
-      varPrefix = 'party';
-    }
-    
-    const newVarName = `${varPrefix}${counter}`;
-    varMap.set(node.originalVar, newVarName);
-    varMap.set(node.key, newVarName); // Also map by key for lookup
+    varMap.set(node, `${getVariablePrefix(pack, node.label)}${counter}`);
     counter++;
   }
-  
+
   return varMap;
 }
 
 /**
  * Format Cypher in structured format
+ * Each node is MERGEd on its label and identity property only; its other properties, extra
+ * labels and SET assignments follow as SET clauses. Nodes and relationships are written as
+ * one statement so the relationship MERGEs can use the node variables.
  * @param {string} rawCypher - Raw Cypher from LLM
  * @param {object} schema - Schema object
+ * @param {object|null} pack - Schema pack selected for the document
  * @returns {string} - Formatted Cypher
  */
-export function formatStructuredCypher(rawCypher, schema) {
+export function formatStructuredCypher(rawCypher, schema, pack = null) {
+  return formatStructuredCypherWithReport(rawCypher, schema, pack).cypher;
+}
+
+/**
+ * Format Cypher in structured format and report the property conflicts resolved on the way
+ * A conflict is a node property written with different values (e.g. the same Account with two
+ * balances); the value kept is chosen by resolveProperty and noted in a comment above the node.
+ * Property values Neo4j cannot store (maps, nested or mixed lists) are dropped and reported too.
+ * @param {string} rawCypher - Raw Cypher from LLM
+ * @param {object} schema - Schema object
+ * @param {object|null} pack - Schema pack selected for the document
+ * @returns {{cypher: string, propertyConflicts: Array<object>, droppedProperties: Array<object>}} - Formatted
+ *   Cypher, conflicts ({ label, idProperty, idValue, property, kept, values: [{ value, count }] }) and
+ *   dropped values ({ label, idProperty, idValue, property, reason } for nodes,
+ *   { type, fromLabel, toLabel, property, reason } for relationships)
+ */
+export function formatStructuredCypherWithReport(rawCypher, schema, pack = null) {
+  const propertyConflicts = [];
+  const droppedProperties = [];
   try {
     // Fix HTML escapes first
     let cleanedCypher = rawCypher;
@@ -333,164 +579,122 @@ export function formatStructuredCypher(rawCypher, schema) {
     cleanedCypher = cleanedCypher.replace(/&lt;/g, '<');
     
     // Parse Cypher to extract nodes and relationships FIRST
-    const { nodes, relationships } = parseCypher(cleanedCypher);
+    const { nodes, relationships } = extractGraph(cleanedCypher, pack);
     
     if (nodes.length === 0) {
       logger.warn('No nodes found in Cypher, returning raw Cypher');
-      return rawCypher;
+      return { cypher: rawCypher, propertyConflicts, droppedProperties };
     }
     
     // Generate constraints section from schema
-    let constraintsSection = generateConstraints(schema);
+    let constraintsSection = generateConstraints(schema, pack);
     
     // If no constraints from schema, infer from parsed nodes
     if (constraintsSection.includes('No constraints generated')) {
-      constraintsSection = generateConstraintsFromNodes(nodes);
+      constraintsSection = generateConstraintsFromNodes(nodes, pack);
     }
     
     // Generate sequential variable names
-    const varMap = generateSequentialVariables(nodes);
+    const varMap = generateSequentialVariables(nodes, pack);
+
+    // Property references (SET b.accountId = a.accountId) point at the renamed variables
+    const renamer = (scope) => (variable, property) => {
+      const node = scope(variable);
+      return node ? `${varMap.get(node)}.${formatName(property)}` : null;
+    };
     
     // Format nodes section
     let nodesSection = '\n/* --- 2) Create nodes with unique variable names --- */\n\n';
-    let nodeCounter = 1;
-    const nodeVarMap = new Map(); // Map to track which variables we've used
-    
+
     for (const node of nodes) {
-      const newVarName = varMap.get(node.originalVar) || `${node.label.toLowerCase().charAt(0)}${nodeCounter}`;
-      
-      // Avoid duplicates
-      if (!nodeVarMap.has(node.key)) {
-        const padding = ' '.repeat(Math.max(0, 20 - newVarName.length));
-        nodesSection += `MERGE (${newVarName}:${node.label}${padding}{${node.idProp}: "${node.idValue}"})\n`;
-        nodeVarMap.set(node.key, newVarName);
-        nodeCounter++;
+      const newVarName = varMap.get(node);
+      const assign = (property, text) => `${newVarName}.${formatName(property)} = ${text}`;
+      const formatAssignments = (target) => node[target]
+        .map(({ property, value, scope }) => {
+          const text = formatValue(value, renamer(scope));
+          return text === null ? null : assign(property, text);
+        })
+        .filter(Boolean);
+
+      const properties = [];
+      for (const [property, candidates] of node.properties) {
+        const { value, values } = resolveProperty(candidates);
+        properties.push(assign(property, value));
+        if (values.length > 1) {
+          propertyConflicts.push({
+            label: node.label,
+            idProperty: node.idProp,
+            idValue: node.idValue,
+            property,
+            kept: value,
+            values
+          });
+          nodesSection += `// PROPERTY CONFLICT: ${node.label} ${node.idProp} = ${node.idText}, ${property} = ` +
+            `${values.map(entry => `${entry.value} (${entry.count}x)`).join(', ')} - kept ${value}\n`;
+        }
+      }
+
+      for (const { property, reason } of node.dropped) {
+        droppedProperties.push({ label: node.label, idProperty: node.idProp, idValue: node.idValue, property, reason });
+        nodesSection += `// DROPPED PROPERTY: ${node.label} ${node.idProp} = ${node.idText}, ${property} (${reason})\n`;
+      }
+
+      const padding = ' '.repeat(Math.max(0, 20 - newVarName.length));
+      nodesSection += `MERGE (${newVarName}:${formatName(node.label)}${padding}{${formatName(node.idProp)}: ${node.idText}})\n`;
+
+      const onCreate = formatAssignments('onCreate');
+      if (onCreate.length > 0) {
+        nodesSection += `ON CREATE SET ${onCreate.join(', ')}\n`;
+      }
+      const onMatch = formatAssignments('onMatch');
+      if (onMatch.length > 0) {
+        nodesSection += `ON MATCH SET ${onMatch.join(', ')}\n`;
+      }
+      const extraLabels = node.labels.length > 1 ? [`${newVarName}:${node.labels.slice(1).map(formatName).join(':')}`] : [];
+      const assignments = [...extraLabels, ...properties, ...formatAssignments('set')];
+      if (assignments.length > 0) {
+        nodesSection += `SET ${assignments.join(', ')}\n`;
       }
     }
     
-    nodesSection += ';\n\n';
-    
-    // Format relationships section
-    let relationshipsSection = '/* --- 3) Now MERGE relationships (use variables from above) --- */\n\n';
-    
-    // Create a map of variable names to node info for quick lookup
-    const varToNodeMap = new Map();
-    for (const node of nodes) {
-      varToNodeMap.set(node.originalVar, node);
-      varToNodeMap.set(node.key, node);
+    if (propertyConflicts.length > 0) {
+      logger.info('Resolved conflicting node property values', {
+        conflicts: propertyConflicts.length,
+        properties: propertyConflicts.slice(0, 10).map(conflict => `${conflict.label}.${conflict.property}`)
+      });
     }
     
+    // Format relationships section (same statement as the nodes, so their variables are in scope)
+    let relationshipsSection = '\n/* --- 3) Now MERGE relationships (use variables from above) --- */\n\n';
+    
     // Track relationships to avoid duplicates
     const relationshipSet = new Set();
     
-    // Track which nodes need security links
-    const investmentNodes = nodes.filter(n => n.label === 'Investment');
-    const securityNodes = nodes.filter(n => n.label === 'Security');
-    const tradeNodes = nodes.filter(n => n.label === 'Trade');
-    const accountNodes = nodes.filter(n => n.label === 'Account');
-    const investmentSecurityLinks = new Set();
-    const tradeAccountLinks = new Set(); // Track account → trade links
-    const tradeSecurityLinks = new Set(); // Track trade → security links
+    // Links per pack relationship (fromVar|TYPE|toVar) - used to add implied links below
+    const linkedPairs = new Set();
     
     for (const rel of relationships) {
-      // Try to map variables using the varMap
-      let fromVar = rel.from.trim();
-      let toVar = rel.to.trim();
-      
-      // Try to find matching node for fromVar
-      const fromNode = varToNodeMap.get(fromVar);
-      if (fromNode) {
-        fromVar = varMap.get(fromNode.originalVar) || fromVar;
-      } else {
-        // Try to find by matching variable name in nodes
-        for (const node of nodes) {
-          if (node.originalVar === fromVar || fromVar.includes(node.originalVar)) {
-            fromVar = varMap.get(node.originalVar) || fromVar;
-            break;
-          }
-        }
-      }
-      
-      // Try to find matching node for toVar
-      const toNode = varToNodeMap.get(toVar);
-      if (toNode) {
-        toVar = varMap.get(toNode.originalVar) || toVar;
-      } else {
-        // Try to find by matching variable name in nodes
-        for (const node of nodes) {
-          if (node.originalVar === toVar || toVar.includes(node.originalVar)) {
-            toVar = varMap.get(node.originalVar) || toVar;
-            break;
-          }
-        }
-      }
+      const fromVar = varMap.get(rel.from);
+      const toVar = varMap.get(rel.to);
       
-      // Fix relationship directions based on business logic
+      // Fix relationship directions and names with the schema pack
       let finalFromVar = fromVar;
       let finalToVar = toVar;
-      let finalRelType = rel.type;
-      
-      // Find node labels for direction checking - create reverse map for faster lookup
-      const varToLabelMap = new Map();
-      for (const node of nodes) {
-        const mappedVar = varMap.get(node.originalVar);
-        if (mappedVar) {
-          varToLabelMap.set(mappedVar, node.label);
-        }
-      }
       
-      const fromNodeLabel = varToLabelMap.get(fromVar);
-      const toNodeLabel = varToLabelMap.get(toVar);
-      
-      // Fix HAS_ACCOUNT: Should be party → account, not account → party
-      if (rel.type === 'HAS_ACCOUNT' && fromNodeLabel === 'Account' && toNodeLabel === 'Party') {
-        finalFromVar = toVar;
-        finalToVar = fromVar;
-        logger.debug('Fixed HAS_ACCOUNT direction', { from: fromVar, to: toVar });
-      }
-      
-      // Fix EXECUTED_TRADE: Should be account → trade, not trade → account
-      if (rel.type === 'EXECUTED_TRADE' && fromNodeLabel === 'Trade' && toNodeLabel === 'Account') {
-        finalFromVar = toVar;
-        finalToVar = fromVar;
-        logger.debug('Fixed EXECUTED_TRADE direction', { from: fromVar, to: toVar });
+      const canonical = canonicalizeRelationship(pack, rel.from.label, rel.type, rel.to.label);
+      if (canonical.redundant) {
+        logger.debug('Skipping redundant relationship', { type: rel.type, from: fromVar, to: toVar });
+        continue;
       }
-      
-      // Fix HELD_IN_POSITION and HELD_IN_HOLDING: Should be Position/Holding → Security (IN_SECURITY)
-      if ((rel.type === 'HELD_IN_POSITION' || rel.type === 'HELD_IN_HOLDING') && fromNodeLabel === 'Security') {
-        // Security → Position/Holding is wrong, should be Position/Holding → Security
+      const finalRelType = canonical.type;
+      if (canonical.flip) {
         finalFromVar = toVar;
         finalToVar = fromVar;
-        finalRelType = 'IN_SECURITY';
-        logger.debug('Fixed HELD_IN_POSITION/HELD_IN_HOLDING direction', { 
-          originalType: rel.type, 
-          from: fromVar, 
-          to: toVar 
-        });
-      } else if ((rel.type === 'HELD_IN_POSITION' || rel.type === 'HELD_IN_HOLDING') && toNodeLabel === 'Security') {
-        // Position/Holding → Security is correct direction, just rename to IN_SECURITY
-        finalRelType = 'IN_SECURITY';
-        logger.debug('Renamed HELD_IN_POSITION/HELD_IN_HOLDING to IN_SECURITY', { originalType: rel.type });
-      }
-      
-      // Standardize MADE_INVESTMENT to HAS_INVESTMENT
-      if (rel.type === 'MADE_INVESTMENT') {
-        finalRelType = 'HAS_INVESTMENT';
-        logger.debug('Standardized MADE_INVESTMENT to HAS_INVESTMENT');
-      }
-      
-      // Track Investment → Security links (for IN_SECURITY relationship type)
-      if (rel.type === 'IN_SECURITY' && fromNodeLabel === 'Investment' && toNodeLabel === 'Security') {
-        investmentSecurityLinks.add(fromVar);
-      }
-      
-      // Track Trade links
-      if (rel.type === 'EXECUTED_TRADE' && fromNodeLabel === 'Account' && toNodeLabel === 'Trade') {
-        tradeAccountLinks.add(finalToVar); // Track the trade variable
-      }
-      if (rel.type === 'ON_SECURITY' && fromNodeLabel === 'Trade' && toNodeLabel === 'Security') {
-        tradeSecurityLinks.add(finalFromVar); // Track the trade variable
+        logger.debug('Fixed relationship direction', { originalType: rel.type, type: finalRelType, from: fromVar, to: toVar });
+      } else if (finalRelType !== rel.type) {
+        logger.debug('Renamed relationship type', { originalType: rel.type, type: finalRelType });
       }
+      linkedPairs.add(`${finalFromVar}|${finalRelType}|${finalToVar}`);
       
       // Create relationship key for deduplication
       const relKey = `${finalFromVar}-[:${finalRelType}]->${finalToVar}`;
@@ -501,76 +705,50 @@ export function formatStructuredCypher(rawCypher, schema) {
         continue;
       }
       relationshipSet.add(relKey);
-      
-      // Handle inline node creation in relationships
-      const inlineNodePattern = /\{(\w+Id|id|_id|uuid):\s*["']([^"']+)["']\}/i;
-      const inlineMatch = finalToVar.match(inlineNodePattern);
-      
-      if (inlineMatch) {
-        // This is an inline node creation - we need to create the node first
-        const idProp = inlineMatch[1];
-        const idValue = inlineMatch[2];
-        // Infer label from property name
-        const inferredLabel = idProp.charAt(0).toUpperCase() + idProp.slice(1).replace(/Id$/, '');
-        const newVarName = `${inferredLabel.toLowerCase().charAt(0)}${nodeCounter}`;
-        
-        relationshipsSection += `MERGE (${newVarName}:${inferredLabel} {${idProp}: "${idValue}"})\n`;
-        relationshipsSection += `MERGE (${finalFromVar})-[:${finalRelType}]->(${newVarName});\n\n`;
-        nodeCounter++;
-      } else {
-        // Normal relationship - use mapped variables
-        relationshipsSection += `MERGE (${finalFromVar})-[:${finalRelType}]->(${finalToVar});\n\n`;
+
+      for (const { property, reason } of rel.dropped) {
+        droppedProperties.push({ type: finalRelType, fromLabel: rel.from.label, toLabel: rel.to.label, property, reason });
+        relationshipsSection += `// DROPPED PROPERTY: ${finalRelType} from ${rel.from.label} to ${rel.to.label}, ${property} (${reason})\n`;
       }
+      const properties = rel.properties ? formatValue(rel.properties, renamer(rel.scope)) : null;
+      relationshipsSection += `MERGE (${finalFromVar})-[:${formatName(finalRelType)}${properties ? ` ${properties}` : ''}]->(${finalToVar})\n`;
     }
     
-    // Add missing Investment → Security links
-    if (investmentNodes.length > 0 && securityNodes.length > 0) {
-      for (const invNode of investmentNodes) {
-        const invVar = varMap.get(invNode.originalVar);
-        if (!investmentSecurityLinks.has(invVar)) {
-          // Link first investment to first security if not already linked
-          const secVar = varMap.get(securityNodes[0].originalVar);
-          const relKey = `${invVar}-[:IN_SECURITY]->${secVar}`;
-          if (!relationshipSet.has(relKey)) {
-            relationshipsSection += `MERGE (${invVar})-[:IN_SECURITY]->(${secVar});\n\n`;
-            relationshipSet.add(relKey);
-            logger.debug('Added missing Investment → Security link', { invVar, secVar });
-          }
-        }
+    // Add implied links declared by the pack, e.g. every Trade linked from the first Account:
+    // { from: 'Account', type: 'EXECUTED_TRADE', to: 'Trade', each: 'to' }
+    for (const rule of pack?.impliedRelationships || []) {
+      const fromNodes = nodes.filter(n => n.label === rule.from);
+      const toNodes = nodes.filter(n => n.label === rule.to);
+      if (fromNodes.length === 0 || toNodes.length === 0) {
+        continue;
       }
-    }
-    
-    // Add missing Trade links
-    if (tradeNodes.length > 0) {
-      for (const tradeNode of tradeNodes) {
-        const tradeVar = varMap.get(tradeNode.originalVar);
-        
-        // Ensure Trade is linked to Account (if accounts exist)
-        if (accountNodes.length > 0 && !tradeAccountLinks.has(tradeVar)) {
-          const accountVar = varMap.get(accountNodes[0].originalVar);
-          const relKey = `${accountVar}-[:EXECUTED_TRADE]->${tradeVar}`;
-          if (!relationshipSet.has(relKey)) {
-            relationshipsSection += `MERGE (${accountVar})-[:EXECUTED_TRADE]->(${tradeVar});\n\n`;
-            relationshipSet.add(relKey);
-            logger.debug('Added missing Account → Trade link', { accountVar, tradeVar });
-          }
+      
+      const eachNodes = rule.each === 'to' ? toNodes : fromNodes;
+      const anchorVar = varMap.get((rule.each === 'to' ? fromNodes : toNodes)[0]);
+      
+      for (const node of eachNodes) {
+        const nodeVar = varMap.get(node);
+        const alreadyLinked = [...linkedPairs].some(pair => {
+          const [pairFrom, pairType, pairTo] = pair.split('|');
+          return pairType === rule.type && (rule.each === 'to' ? pairTo === nodeVar : pairFrom === nodeVar);
+        });
+        if (alreadyLinked) {
+          continue;
         }
         
-        // Ensure Trade is linked to Security (if securities exist)
-        if (securityNodes.length > 0 && !tradeSecurityLinks.has(tradeVar)) {
-          const secVar = varMap.get(securityNodes[0].originalVar);
-          const relKey = `${tradeVar}-[:ON_SECURITY]->${secVar}`;
-          if (!relationshipSet.has(relKey)) {
-            relationshipsSection += `MERGE (${tradeVar})-[:ON_SECURITY]->(${secVar});\n\n`;
-            relationshipSet.add(relKey);
-            logger.debug('Added missing Trade → Security link', { tradeVar, secVar });
-          }
+        const [linkFrom, linkTo] = rule.each === 'to' ? [anchorVar, nodeVar] : [nodeVar, anchorVar];
+        const relKey = `${linkFrom}-[:${rule.type}]->${linkTo}`;
+        if (!relationshipSet.has(relKey)) {
+          relationshipsSection += `MERGE (${linkFrom})-[:${rule.type}]->(${linkTo})\n`;
+          relationshipSet.add(relKey);
+          linkedPairs.add(`${linkFrom}|${rule.type}|${linkTo}`);
+          logger.debug('Added implied relationship', { from: linkFrom, type: rule.type, to: linkTo });
         }
       }
     }
     
-    // Combine all sections
-    let finalCypher = constraintsSection + nodesSection + relationshipsSection;
+    // Combine all sections - nodes and relationships end as a single statement
+    let finalCypher = constraintsSection + nodesSection + relationshipsSection.trimEnd() + ';\n';
     
     // Final cleanup: Ensure NO HTML entities remain anywhere
     finalCypher = finalCypher.replace(/-&gt;/g, '->');
@@ -578,7 +756,14 @@ export function formatStructuredCypher(rawCypher, schema) {
     finalCypher = finalCypher.replace(/&gt;/g, '>');
     finalCypher = finalCypher.replace(/&lt;/g, '<');
     
-    return finalCypher;
+    if (droppedProperties.length > 0) {
+      logger.warn('Dropped property values Neo4j cannot store', {
+        dropped: droppedProperties.length,
+        properties: droppedProperties.slice(0, 10).map(entry => `${entry.label || entry.type}.${entry.property}`)
+      });
+    }
+
+    return { cypher: finalCypher, propertyConflicts, droppedProperties };
     
   } catch (error) {
     logger.error('Failed to format Cypher', { error: error.message });
@@ -588,7 +773,6 @@ export function formatStructuredCypher(rawCypher, schema) {
     fallbackCypher = fallbackCypher.replace(/-&lt;/g, '<-');
     fallbackCypher = fallbackCypher.replace(/&gt;/g, '>');
     fallbackCypher = fallbackCypher.replace(/&lt;/g, '<');
-    return fallbackCypher;
+    return { cypher: fallbackCypher, propertyConflicts: [], droppedProperties: [] };
   }
 }
-
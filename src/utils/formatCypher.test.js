@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatStructuredCypherWithReport, resolveProperty } from './formatCypher.js';
+import { parseCypher, splitCypherStatements } from './cypherParser.js';
+
+const schema = { nodes: { Person: ['personId', 'name'], Company: ['companyId', 'name'] }, relationships: [] };
+
+const raw = `MERGE (a:Person {personId: "P1", name: "Ann; \\"A\\" }"}) SET a:Employee:Manager;
+MERGE (b:Company {companyId: "C1", name: "Acme"});
+MERGE (a2:Person {personId: "P1", name: "Ann"});
+MERGE (x:Person {personId: "P1", name: "Ann; \\"A\\" }"});
+MATCH (a:Person {personId: "P1"}), (b:Company {companyId: "C1"}) MERGE (a)-[:WORKS_AT {since: 2020}]->(b);
+MERGE (m:Company {companyId: "C2", meta: {a: 1}})`;
+
+test('nodes are merged on their identity and written once', () => {
+  const { cypher } = formatStructuredCypherWithReport(raw, schema);
+  assert.match(cypher, /CREATE CONSTRAINT IF NOT EXISTS FOR \(p:Person\)\s+REQUIRE p\.personId IS UNIQUE;/);
+  assert.equal(cypher.match(/MERGE \(\w+:Person\s+\{personId: "P1"\}\)/g).length, 1);
+  assert.match(cypher, /SET p1:Employee:Manager, p1\.name = "Ann; \\"A\\" }"/);
+  assert.match(cypher, /MERGE \(p1\)-\[:WORKS_AT \{since: 2020\}\]->\(c2\);/);
+});
+
+test('formatted Cypher parses back without errors', () => {
+  const { cypher } = formatStructuredCypherWithReport(raw, schema);
+  const { statements } = parseCypher(cypher);
+  assert.ok(statements.length > 1);
+  for (const statement of statements) {
+    assert.deepEqual(statement.errors, []);
+  }
+  assert.equal(splitCypherStatements(cypher).length, statements.length);
+});
+
+test('conflicting values and unstorable values are reported', () => {
+  const { propertyConflicts, droppedProperties } = formatStructuredCypherWithReport(raw, schema);
+  assert.deepEqual(propertyConflicts.map(conflict => [conflict.label, conflict.property, conflict.kept]), [
+    ['Person', 'name', '"Ann; \\"A\\" }"']
+  ]);
+  assert.deepEqual(droppedProperties, [
+    { label: 'Company', idProperty: 'companyId', idValue: 'C2', property: 'meta', reason: 'map' }
+  ]);
+});
+
+test('the most frequent value wins, the first one on a tie', () => {
+  assert.deepEqual(resolveProperty(['"a"', '"b"', '"b"']).value, '"b"');
+  assert.deepEqual(resolveProperty(['"a"', '"b"']), {
+    value: '"a"',
+    values: [{ value: '"a"', count: 1 }, { value: '"b"', count: 1 }]
+  });
+});
+
+test('Cypher without nodes is returned as is', () => {
+  const { cypher } = formatStructuredCypherWithReport('RETURN 1', schema);
+  assert.equal(cypher, 'RETURN 1');
+});
@@ -0,0 +1,15 @@
+/**
+ * Errors carrying the HTTP status the routes respond with
+ */
+
+/**
+ * Error with an HTTP status for the routes (400 = bad request)
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code (default: 400)
+ * @returns {Error}
+ */
+export function httpError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
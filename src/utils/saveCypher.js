@@ -20,6 +20,18 @@ async function ensureCypherOutputDir() {
   }
 }
 
+/**
+ * cypher-shell :param lines for a result's parameters (structured and table mode Cypher)
+ * Parameter names repeat across results, so each result sets its own before its statements
+ */
+function cypherParamLines(result) {
+  const params = Object.entries(result.cypherParams || {});
+  if (params.length === 0) {
+    return '';
+  }
+  return params.map(([name, value]) => `:param ${name} => ${JSON.stringify(value)}`).join('\n') + '\n\n';
+}
+
 /**
  * Save Cypher results to files
  * @param {string} docId - Document ID
@@ -50,14 +62,15 @@ export async function saveCypherToFile(docId, filename, cypherResults) {
     
     if (isFullDocument) {
       // Full document - output complete Cypher
+      combinedCypher += cypherParamLines(cypherResults[0]);
       combinedCypher += cypherResults[0].generatedCypher;
     } else {
-      // Chunked mode - combine all chunks
+      // Chunked mode (or results of mapped tables) - combine all results
       cypherResults.forEach((result, index) => {
         if (result.error) {
           combinedCypher += `-- ERROR in result ${index + 1}: ${result.error}\n\n`;
         } else {
-          combinedCypher += `${result.generatedCypher}\n\n`;
+          combinedCypher += `${cypherParamLines(result)}${result.generatedCypher}\n\n`;
         }
       });
     }
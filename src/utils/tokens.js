@@ -0,0 +1,107 @@
+/**
+ * Token estimates and model context windows
+ * Prompt builders use these to fit the instructions, schema and text into the model's window
+ * instead of cutting the text at a fixed number of characters.
+ */
+
+import { logger } from './logger.js';
+
+const DEFAULT_CONTEXT_WINDOW = parseInt(process.env.LLM_DEFAULT_CONTEXT_WINDOW || '8192');
+
+// Context windows of common models, by name prefix (LLM_CONTEXT_WINDOWS takes precedence)
+const KNOWN_CONTEXT_WINDOWS = [
+  ['deepseek-r1', 32768],
+  ['llama3.1', 131072],
+  ['llama3.2', 131072],
+  ['llama3', 8192],
+  ['qwen2.5', 32768],
+  ['mistral', 32768],
+  ['gemma2', 8192],
+  ['tomasonjo/text2cypher', 8192],
+  ['text2cypher', 8192]
+];
+
+// Share of the window the answer may take at most, so long answers still leave room for text
+const MAX_RESERVE_SHARE = 0.25;
+
+/**
+ * Estimate token count
+ * The larger of two rough rules (1 token ≈ 0.75 words, 1 token ≈ 4 characters), so text with
+ * long identifiers, numbers or JSON is not underestimated.
+ * @param {string} text - Text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+  return Math.ceil(Math.max(words / 0.75, text.length / 4));
+}
+
+/**
+ * Context windows configured with LLM_CONTEXT_WINDOWS, e.g. {"deepseek-r1:7b": 32768}
+ */
+function configuredContextWindows() {
+  if (!process.env.LLM_CONTEXT_WINDOWS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.LLM_CONTEXT_WINDOWS);
+  } catch (error) {
+    logger.warn('Ignoring invalid LLM_CONTEXT_WINDOWS', { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Context window of a model in tokens
+ * LLM_CONTEXT_WINDOWS (exact name, then name without its :tag), the known model families,
+ * else LLM_DEFAULT_CONTEXT_WINDOW.
+ * @param {string} model - Model name
+ * @returns {number}
+ */
+export function getContextWindow(model) {
+  const configured = configuredContextWindows();
+  const name = String(model || '');
+  const configuredWindow = configured[name] ?? configured[name.split(':')[0]];
+  if (Number.isInteger(configuredWindow) && configuredWindow > 0) {
+    return configuredWindow;
+  }
+  const known = KNOWN_CONTEXT_WINDOWS.find(([prefix]) => name.toLowerCase().startsWith(prefix));
+  return known ? known[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Provider options that make the model use its whole context window
+ * Ollama otherwise runs with its own, much smaller default (num_ctx) and silently drops the
+ * start of longer prompts.
+ * @param {string} provider - 'ollama' or 'huggingface'
+ * @param {string} model - Model name
+ * @returns {object}
+ */
+export function contextWindowOptions(provider, model) {
+  return provider === 'ollama' ? { num_ctx: getContextWindow(model) } : {};
+}
+
+/**
+ * Tokens left for document text in a prompt
+ * @param {object} options - Budget options
+ * @param {string} options.model - Model name
+ * @param {string} options.instructions - The prompt without its document text
+ * @param {number} options.maxOutputTokens - Tokens the answer may take
+ * @returns {{model: string, contextWindow: number, reservedTokens: number, instructionTokens: number,
+ *   availableTokens: number}}
+ */
+export function promptBudget({ model, instructions, maxOutputTokens }) {
+  const contextWindow = getContextWindow(model);
+  const reservedTokens = Math.min(maxOutputTokens, Math.floor(contextWindow * MAX_RESERVE_SHARE));
+  const instructionTokens = estimateTokens(instructions);
+  return {
+    model,
+    contextWindow,
+    reservedTokens,
+    instructionTokens,
+    availableTokens: Math.max(0, contextWindow - reservedTokens - instructionTokens)
+  };
+}
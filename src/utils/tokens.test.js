@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, getContextWindow, contextWindowOptions, promptBudget } from './tokens.js';
+
+test('estimates take the larger of the word and character rules', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('one two three'), 4);
+  assert.equal(estimateTokens('x'.repeat(400)), 100);
+  assert.equal(estimateTokens('a,b,c,d,e,f,g,h,i,j,k,l'), 6);
+});
+
+test('context windows come from configuration, then the known models', (t) => {
+  t.after(() => delete process.env.LLM_CONTEXT_WINDOWS);
+  assert.equal(getContextWindow('llama3.1:8b'), 131072);
+  assert.equal(getContextWindow('llama3:latest'), 8192);
+
+  process.env.LLM_CONTEXT_WINDOWS = JSON.stringify({ 'deepseek-r1:7b': 16384, custom: 4096 });
+  assert.equal(getContextWindow('deepseek-r1:7b'), 16384);
+  assert.equal(getContextWindow('custom:latest'), 4096);
+  assert.equal(getContextWindow('deepseek-r1:14b'), 32768);
+
+  assert.deepEqual(contextWindowOptions('ollama', 'custom'), { num_ctx: 4096 });
+  assert.deepEqual(contextWindowOptions('huggingface', 'custom'), {});
+});
+
+test('the answer reserve is capped at a quarter of the window', () => {
+  const instructions = 'word '.repeat(300);
+  const budget = promptBudget({ model: 'llama3', instructions, maxOutputTokens: 4000 });
+  assert.equal(budget.contextWindow, 8192);
+  assert.equal(budget.reservedTokens, 2048);
+  assert.equal(budget.instructionTokens, 400);
+  assert.equal(budget.availableTokens, 8192 - 2048 - 400);
+
+  const tight = promptBudget({ model: 'llama3', instructions: 'x'.repeat(40000), maxOutputTokens: 1000 });
+  assert.equal(tight.availableTokens, 0);
+});